@@ -4,220 +4,1269 @@
  */
 
 const http = require('http');
-const { consultarVehiculo, consultarMultiples, consultarMultas } = require('./playwright-scraper');
+const crypto = require('crypto');
+const { consultarMultiples, consultarMultas, proveedorPlaywright, estadisticasNavegadores } = require('./playwright-scraper');
+const { validarPatente, errorPatenteInvalida } = require('./lib/patente');
+const { parseFecha } = require('./lib/fechas');
+const { EPISODIOS, calcularRestriccion } = require('./lib/restriccion');
+const { buildOpenApi, validarRespuesta } = require('./lib/openapi');
+const { metricasDrift } = require('./lib/drift');
+const { SECCIONES, seleccionarSeccion, createErrorReport } = require('./lib/schema');
+const { crearRouter, parseQuery } = require('./lib/router');
+const { leerConfiguracion, keyDeHeaders, crearAutenticador } = require('./lib/api-keys');
+const { crearAlmacenMemoria, crearLimitador, leerLimites, limitesDeRuta, limitarPeticion, encabezadosLimite } = require('./lib/rate-limit');
+const { crearAlmacenLRU, crearAlmacenDisco, crearCacheConsultas, esCacheable, coincideETag, pideSinCache } = require('./lib/cache');
+const { crearColaJobs, vistaJob } = require('./lib/jobs');
+const { leerHostsPermitidos, validarCallbackUrl, crearDespachador, vistaEntrega } = require('./lib/webhooks');
+const { formatoStream, abrirStream } = require('./lib/stream');
+const { leerFlota, csvReportes, csvMultas } = require('./lib/csv');
+const { leerPrioridades, leerFusion, crearOrquestador } = require('./lib/orquestador');
+const { proveedorWorkerReporte, proveedorWorkerMultas } = require('./lib/proveedores');
+const { crearClienteBoostr, proveedorBoostr } = require('./lib/boostr');
+const { motivoDeFalla, crearRegistroBreakers } = require('./lib/circuit-breaker');
+const { leerReintentos } = require('./lib/reintentos');
+const { leerLotes, resumirLote } = require('./lib/lotes');
 
 const PORT = process.env.PORT || 3000;
 
+// Modo de prueba: cada respuesta se valida contra el spec OpenAPI
+const VALIDAR_RESPUESTAS = process.env.VALIDAR_RESPUESTAS === '1';
+const OPENAPI = buildOpenApi();
+
+// API keys de API_KEYS_FILE o API_KEYS; sin keys la API queda abierta
+const AUTH = crearAutenticador(leerConfiguracion(), { archivoUso: process.env.API_KEYS_USO });
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+
+// Límites de tasa por IP y por API key (RATE_LIMITS ajusta perfiles o rutas)
+const LIMITES = leerLimites(process.env.RATE_LIMITS);
+const LIMITADOR = crearLimitador({ almacen: crearAlmacenMemoria() });
+// Detrás de un proxy la IP del cliente viene en X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+
+// Cache de reportes y multas: LRU en memoria, o en disco con CACHE_DIR
+const CACHE = crearCacheConsultas({
+  almacen: process.env.CACHE_DIR
+    ? crearAlmacenDisco({ directorio: process.env.CACHE_DIR })
+    : crearAlmacenLRU({ maxEntradas: Number(process.env.CACHE_MAX_ENTRADAS) || 500 }),
+  ttls: process.env.CACHE_TTL ? JSON.parse(process.env.CACHE_TTL) : {}
+});
+const TODAS_LAS_SECCIONES = Object.keys(SECCIONES);
+
+// Circuit breakers por upstream (lib/circuit-breaker.js): el orquestador y las multas
+const BREAKERS = crearRegistroBreakers({
+  umbral: Number(process.env.BREAKER_UMBRAL) || undefined,
+  esperaMs: Number(process.env.BREAKER_ESPERA_MS) || undefined
+});
+
+// Reintentos y tiempos máximos de Boostr y los Workers (MAX_RETRIES, TIMEOUT_MS, DEADLINE_MS)
+const REINTENTOS = leerReintentos(process.env);
+
+// Proveedores del reporte (lib/orquestador.js): Playwright, Boostr y los Workers
+// si están configurados, y el de multas; PRIORIDADES cambia el orden por sección
+// y FUSIONAR arma esas secciones campo por campo con todos (lib/fusion.js)
+const ORQUESTADOR = crearOrquestador({
+  proveedores: [
+    proveedorPlaywright,
+    ...(process.env.BOOSTR_API_KEY
+      ? [proveedorBoostr({ cliente: crearClienteBoostr({ apiKey: process.env.BOOSTR_API_KEY, url: process.env.BOOSTR_URL, ...REINTENTOS }), prioridad: 15 })]
+      : []),
+    ...(process.env.WORKER_VEHICULO_URL
+      ? [proveedorWorkerReporte({ nombre: 'cloudflare-worker-vehiculo', url: process.env.WORKER_VEHICULO_URL, ruta: '/consultar', prioridad: 20, ...REINTENTOS })]
+      : []),
+    ...(process.env.WORKER_BROWSER_URL
+      ? [proveedorWorkerReporte({ nombre: 'cloudflare-browser-rendering', url: process.env.WORKER_BROWSER_URL, prioridad: 30, ...REINTENTOS })]
+      : []),
+    proveedorWorkerMultas({ url: process.env.WORKER_MULTAS_URL, prioridad: 40, ...REINTENTOS })
+  ],
+  prioridades: leerPrioridades(process.env.PRIORIDADES),
+  breakers: BREAKERS,
+  fusionar: leerFusion(process.env.FUSIONAR)
+});
+
+// Consultas síncronas con varias patentes; los jobs aceptan muchas más
+const MAX_PATENTES = 10;
+const MAX_PATENTES_JOB = 1000;
+// Pausa entre patentes que sí se scrapean (no las que salen del cache), la de MULTIPLES_PAUSA_MS
+const PAUSA_JOBS_MS = leerLotes(process.env).pausa;
+
 /**
- * Parse JSON body from request
+ * Leer el body crudo de la petición
  */
-function parseBody(req) {
+function leerCuerpo(req) {
   return new Promise((resolve, reject) => {
     let body = '';
+    req.setEncoding('utf8');
     req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (e) {
-        reject(new Error('Invalid JSON'));
-      }
-    });
+    req.on('end', () => resolve(body));
     req.on('error', reject);
   });
 }
 
+/**
+ * Headers CORS de todas las respuestas
+ */
+function encabezadosCors() {
+  return {
+    'Access-Control-Allow-Origin': CORS_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, If-None-Match, Cache-Control',
+    'Access-Control-Expose-Headers': 'Content-Disposition, ETag, Last-Modified, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Secciones-Omitidas'
+  };
+}
+
 /**
  * Send JSON response
+ * Con `cache` ({ cachedAt, maxAge }) una respuesta 200 lleva ETag,
+ * Last-Modified y Cache-Control, y responde 304 si calza con If-None-Match.
  */
-function sendJSON(res, statusCode, data) {
-  res.writeHead(statusCode, {
+function sendJSON(res, statusCode, data, cache) {
+  if (VALIDAR_RESPUESTAS && res.req.method !== 'OPTIONS' && statusCode !== 404 && statusCode !== 405) {
+    const errores = validarRespuesta(OPENAPI, {
+      metodo: res.req.method,
+      ruta: res.req.url.split('?')[0],
+      status: statusCode,
+      cuerpo: JSON.parse(JSON.stringify(data))
+    });
+    if (errores.length > 0) {
+      console.error(`[API] Respuesta no cumple el spec:`, errores);
+      statusCode = 500;
+      data = { error: 'Respuesta no cumple el spec OpenAPI', errores, respuesta: data };
+    }
+  }
+
+  const body = JSON.stringify(data, null, 2);
+  const headers = {
     'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    ...encabezadosCors()
+  };
+
+  if (cache && statusCode === 200) {
+    headers.ETag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    headers['Cache-Control'] = `private, max-age=${cache.maxAge}`;
+    if (cache.cachedAt) headers['Last-Modified'] = new Date(cache.cachedAt).toUTCString();
+
+    if (coincideETag(res.req.headers['if-none-match'], headers.ETag)) {
+      delete headers['Content-Type'];
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  }
+
+  res.writeHead(statusCode, headers);
+  res.end(body);
+}
+
+/**
+ * Send CSV response (lib/csv.js), como descarga
+ */
+function sendCSV(res, texto, nombre) {
+  res.writeHead(200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${nombre}"`,
+    ...encabezadosCors()
   });
-  res.end(JSON.stringify(data, null, 2));
+  res.end(texto);
 }
 
 /**
- * Parse query string
+ * Reporte del orquestador pasando por el cache
+ * Se guarda siempre con _provenance y se quita si no se pidió.
+ * @param {object} options - { secciones } que entrega la ruta (definen el TTL),
+ *   { provenance }, { forzar } para no usar lo guardado
+ * @returns {Promise<object>} - { reporte, cachedAt, maxAge, desdeCache }
  */
-function parseQuery(url) {
-  const queryStart = url.indexOf('?');
-  if (queryStart === -1) return {};
-  const query = {};
-  const pairs = url.slice(queryStart + 1).split('&');
-  for (const pair of pairs) {
-    const [key, value] = pair.split('=');
-    query[decodeURIComponent(key)] = decodeURIComponent(value || '');
+async function reporteConCache(patente, tipo, { secciones = TODAS_LAS_SECCIONES, provenance = false, forzar = false } = {}) {
+  const { valor, cachedAt, maxAge, desdeCache } = await CACHE.obtener(
+    `vehiculo:${tipo}:${patente}`,
+    secciones,
+    () => ORQUESTADOR.consultar(patente, { tipo }),
+    { forzar }
+  );
+  if (!provenance) delete valor._provenance;
+  valor.cachedAt = cachedAt;
+  return { reporte: valor, cachedAt, maxAge, desdeCache };
+}
+
+/**
+ * consultarMultas a través del breaker del Worker de multas, el mismo que usa el orquestador
+ */
+async function multasConBreaker(patente) {
+  const breaker = BREAKERS.de('cloudflare-worker-multas');
+  if (!breaker.permitir()) {
+    return { success: false, patente, error: breaker.mensaje(), codigo: 'CIRCUITO_ABIERTO', timestamp: new Date().toISOString() };
   }
-  return query;
+  const resultado = await consultarMultas(patente);
+  breaker.registrar(motivoDeFalla(resultado));
+  return resultado;
 }
 
 /**
- * Request handler
+ * Multas de consultarMultas (Worker de multas) pasando por el cache
+ * @returns {Promise<object>} - { resultado, cachedAt, maxAge }
  */
-async function handleRequest(req, res) {
-  const url = req.url;
-  const method = req.method;
-  const path = url.split('?')[0];
+async function multasConCache(patente, { forzar = false } = {}) {
+  const { valor, cachedAt, maxAge } = await CACHE.obtener(
+    `multas:${patente}`,
+    ['multas'],
+    () => multasConBreaker(patente),
+    { forzar }
+  );
+  valor.cachedAt = cachedAt;
+  return { resultado: valor, cachedAt, maxAge };
+}
 
-  // CORS preflight
-  if (method === 'OPTIONS') {
-    sendJSON(res, 200, { ok: true });
-    return;
+/**
+ * Quitar el nombre del propietario que muestra el sitio de multas si la key no puede verlo
+ * @returns {boolean} - true si se quitó
+ */
+function redactarMultas(resultado, cliente) {
+  if (AUTH.puedeVer(cliente, 'propietario') || !resultado.informacionVehiculo) return false;
+  delete resultado.informacionVehiculo.nombre;
+  return true;
+}
+
+/**
+ * Multas de una patente de una flota: si el Worker falla queda el error en
+ * la fila en vez de fallar la consulta completa
+ */
+async function multasDeFlota(patente, { forzar = false } = {}) {
+  try {
+    return (await multasConCache(patente, { forzar })).resultado;
+  } catch (error) {
+    return { success: false, patente, error: error.message, timestamp: new Date().toISOString() };
   }
+}
 
-  // Health check
-  if (path === '/' || path === '/health') {
-    sendJSON(res, 200, {
-      status: 'ok',
-      service: 'patente-scraper-api',
-      timestamp: new Date().toISOString(),
-      endpoints: {
-        'GET /consultar?patente=XXX': 'Consultar info completa de vehículo',
-        'GET /multas?patente=XXX': 'Consultar solo multas',
-        'POST /consultar': 'Consultar con body { patente, tipo }',
-        'POST /multas': 'Consultar multas con body { patente }',
-        'POST /consultar-multiple': 'Consultar múltiples { patentes: [] }'
-      }
-    });
-    return;
+/**
+ * Consultar una patente de un job (lib/jobs.js); con opciones.multas guarda
+ * también sus multas en item.multas
+ */
+async function procesarPatenteJob(patente, job, item) {
+  const { reporte, desdeCache } = await reporteConCache(patente, job.tipo, { provenance: job.opciones.provenance });
+  if (job.opciones.multas) item.multas = await multasDeFlota(patente);
+  if (!desdeCache) await new Promise(r => setTimeout(r, PAUSA_JOBS_MS));
+  return reporte;
+}
+
+// Webhooks firmados con WEBHOOK_SECRET; sin secreto no se acepta callbackUrl. Los hosts internos
+// (localhost, redes privadas) solo si están en WEBHOOK_HOSTS_PERMITIDOS
+const WEBHOOK_PERMITIDOS = leerHostsPermitidos(process.env.WEBHOOK_HOSTS_PERMITIDOS);
+const WEBHOOKS = process.env.WEBHOOK_SECRET
+  ? crearDespachador({
+    secreto: process.env.WEBHOOK_SECRET,
+    archivo: process.env.WEBHOOKS_FILE || 'webhooks.json',
+    permitidos: WEBHOOK_PERMITIDOS
+  })
+  : null;
+
+/**
+ * Omitir de una vista de job lo que la key no puede ver
+ * @returns {string[]} - Secciones omitidas
+ */
+function redactarJob(vista, cliente) {
+  const omitidas = new Set();
+  for (const item of vista.resultados) {
+    if (item.resultado) AUTH.redactar(item.resultado, cliente).forEach(seccion => omitidas.add(seccion));
+    if (!item.multas) continue;
+    if (!AUTH.puedeVer(cliente, 'multas')) {
+      delete item.multas;
+      omitidas.add('multas');
+    } else if (redactarMultas(item.multas, cliente)) {
+      omitidas.add('propietario');
+    }
   }
+  return [...omitidas];
+}
 
-  // Consultar multas
-  if (path === '/multas') {
-    let patente;
+/**
+ * Enviar un job terminado a su callbackUrl, con las secciones que la key puede ver
+ */
+function notificarJob(job) {
+  if (!job.opciones.callbackUrl || !WEBHOOKS) return;
 
-    if (method === 'GET') {
-      const query = parseQuery(url);
-      patente = query.patente;
-    } else if (method === 'POST') {
-      try {
-        const body = await parseBody(req);
-        patente = body.patente;
-      } catch (e) {
-        sendJSON(res, 400, { error: 'Invalid JSON body' });
-        return;
-      }
-    } else {
-      sendJSON(res, 405, { error: 'Method not allowed' });
-      return;
+  const cliente = job.cliente ? AUTH.buscar(job.cliente) : null;
+  const vista = structuredClone(vistaJob(job));
+  redactarJob(vista, cliente);
+  WEBHOOKS.enviar(job.opciones.callbackUrl, `job.${job.estado}`, vista, { cliente: job.cliente });
+}
+
+// Jobs de consultas masivas, persistidos en JOBS_FILE para sobrevivir a un reinicio
+const JOBS_FILE = process.env.JOBS_FILE || 'jobs.json';
+const JOBS = crearColaJobs({
+  archivo: JOBS_FILE,
+  procesar: procesarPatenteJob,
+  alTerminar: notificarJob
+});
+
+/**
+ * Validar la patente antes de scrapear; responde 400 si no es válida
+ * @returns {string|null} - Patente normalizada, o null si ya se respondió
+ */
+function requirePatente(res, input) {
+  const validacion = validarPatente(input);
+  if (!validacion.valida) {
+    sendJSON(res, 400, errorPatenteInvalida(input, validacion));
+    return null;
+  }
+  return validacion.patente;
+}
+
+/**
+ * Validar una lista de patentes; responde 400 si falta, es muy larga o hay inválidas
+ * @param {number} maximo - Cantidad máxima de patentes
+ * @returns {string[]|null} - Patentes normalizadas, o null si ya se respondió
+ */
+function requirePatentes(res, patentes, tipo, maximo) {
+  if (!patentes || !Array.isArray(patentes) || patentes.length === 0) {
+    sendJSON(res, 400, { error: 'Se requiere array de patentes' });
+    return null;
+  }
+
+  if (patentes.length > maximo) {
+    sendJSON(res, 400, { error: `Máximo ${maximo} patentes por consulta` });
+    return null;
+  }
+
+  // Búsquedas por RUT o VIN no llevan patente
+  const validaciones = patentes.map(p => (
+    tipo === 'vehiculo' || tipo === 'moto' ? validarPatente(p) : { valida: true, patente: p }
+  ));
+  const invalidas = validaciones
+    .map((v, i) => ({ patente: patentes[i], error: v.error }))
+    .filter((_, i) => !validaciones[i].valida);
+
+  if (invalidas.length > 0) {
+    sendJSON(res, 400, { error: 'Hay patentes inválidas', invalidas });
+    return null;
+  }
+
+  return validaciones.map(v => v.patente);
+}
+
+/**
+ * Validar callbackUrl si viene; responde 400 si no es válido o los webhooks están desactivados
+ * @returns {boolean} - false si ya se respondió
+ */
+function requireCallback(res, input) {
+  if (input.callbackUrl === undefined) return true;
+
+  const error = WEBHOOKS
+    ? validarCallbackUrl(input.callbackUrl, { permitidos: WEBHOOK_PERMITIDOS })
+    : 'callbackUrl requiere configurar WEBHOOK_SECRET en el servidor';
+  if (error) {
+    sendJSON(res, 400, { error });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validar fecha y episodio de una consulta de restricción; responde 400 si no son válidos
+ * @returns {object|null} - { fecha, episodio } para calcularRestriccion, o null si ya se respondió
+ */
+function requireOpcionesRestriccion(res, input) {
+  const opciones = {};
+
+  if (input.fecha) {
+    opciones.fecha = parseFecha(input.fecha);
+    if (!opciones.fecha) {
+      sendJSON(res, 400, { error: 'Fecha inválida', fecha: input.fecha });
+      return null;
     }
+  }
 
-    if (!patente) {
-      sendJSON(res, 400, { error: 'Patente es requerida' });
-      return;
+  if (input.episodio) {
+    if (!EPISODIOS.includes(input.episodio)) {
+      sendJSON(res, 400, { error: `Episodio inválido. Valores válidos: ${EPISODIOS.join(', ')}` });
+      return null;
     }
+    opciones.episodio = input.episodio;
+  }
 
-    console.log(`[API] Consultando multas: ${patente}`);
+  return opciones;
+}
+
+/**
+ * Datos del vehículo para la restricción que vienen en la entrada: `vehiculo`
+ * (body) o tipoSello, anio y combustible (query)
+ * @returns {object|null} - null si hay que obtenerlos con el scraper
+ */
+function vehiculoDeEntrada(input) {
+  if (input.vehiculo) return input.vehiculo;
+  return input.tipoSello || input.año || input.anio || input.combustible
+    ? { tipoSello: input.tipoSello, año: input.año || input.anio, combustible: input.combustible }
+    : null;
+}
+
+/**
+ * ¿Opción booleana activada? (1 o true, en query o body)
+ */
+function activada(valor) {
+  return ['1', 'true', true].includes(valor);
+}
+
+/**
+ * ¿La petición trae o pide CSV? (Content-Type o Accept text/csv)
+ */
+function esCsv(tipo) {
+  return typeof tipo === 'string' && tipo.includes('text/csv');
+}
 
+/**
+ * Entrada de un handler: query string (GET) o body JSON (POST), más los
+ * parámetros de la ruta, que tienen prioridad
+ * Un body text/csv (lib/csv.js) se lee como { patentes } más las opciones
+ * del query string, y deja en `flota` las columnas extra de cada fila.
+ * No responde: el 400 se envía después de la API key, para que una petición
+ * sin key reciba 401 aunque el body sea inválido.
+ * @returns {Promise<object>} - { entrada } o { error }
+ */
+async function leerEntrada(req, params) {
+  if (req.method !== 'POST') {
+    return { entrada: { ...parseQuery(req.url), ...params } };
+  }
+
+  const cuerpo = await leerCuerpo(req);
+
+  if (esCsv(req.headers['content-type'])) {
     try {
-      const resultado = await consultarMultas(patente);
-      sendJSON(res, 200, resultado);
-    } catch (error) {
-      console.error(`[API] Error:`, error.message);
-      sendJSON(res, 500, {
-        success: false,
-        error: error.message,
-        patente: patente.toUpperCase()
-      });
+      const flota = leerFlota(cuerpo);
+      return { entrada: { ...parseQuery(req.url), patentes: flota.patentes, flota, ...params } };
+    } catch (e) {
+      return { error: e.message };
     }
+  }
+
+  try {
+    // flota solo viene de un body CSV
+    const { flota, ...entrada } = cuerpo ? JSON.parse(cuerpo) : {};
+    return { entrada: { ...entrada, ...params } };
+  } catch (e) {
+    return { error: 'Invalid JSON body' };
+  }
+}
+
+/**
+ * Límites de tasa de una petición según el trabajo que hará
+ * Una ruta con perfil 'navegador' solo descuenta de ese perfil (o de su
+ * propia entrada en RATE_LIMITS) si la entrada es válida: una patente
+ * inválida recibe 400 sin abrir el navegador y cuenta como 'normal'. El
+ * perfil de la ruta puede depender de la entrada (ver /restriccion).
+ * @param {object} definicion - Ruta de la tabla de rutas
+ * @param {string} ruta - Patrón de la ruta
+ * @param {object} [input] - Entrada leída, o nada si no se pudo leer
+ * @returns {object} - Límites de limitesDeRuta
+ */
+function limitesDePeticion(definicion, ruta, input) {
+  if (typeof definicion.perfil !== 'function' && definicion.perfil !== 'navegador') {
+    return limitesDeRuta(LIMITES, ruta, definicion.perfil || 'normal');
+  }
+
+  const perfil = !input || typeof definicion.perfil !== 'function' ? definicion.perfil : definicion.perfil(input);
+  // Si la entrada bajó el perfil, tampoco se descuenta de la entrada propia de la ruta
+  return perfil === 'navegador' && consultaValida(input)
+    ? limitesDeRuta(LIMITES, ruta, 'navegador')
+    : limitesDeRuta(LIMITES, null, 'normal');
+}
+
+/**
+ * ¿La entrada trae una patente (o lista de patentes) que se va a consultar?
+ * Mismas reglas que requireConsulta y requirePatentes
+ */
+function consultaValida(input) {
+  if (!input) return false;
+  const tipo = input.tipo || 'vehiculo';
+  const valida = patente => (tipo === 'vehiculo' || tipo === 'moto' ? validarPatente(patente).valida : Boolean(patente));
+  return Array.isArray(input.patentes)
+    ? input.patentes.length > 0 && input.patentes.length <= MAX_PATENTES && input.patentes.every(valida)
+    : valida(input.patente);
+}
+
+/**
+ * Consultas que descuenta una entrada: una por patente distinta (normalizada), o una
+ */
+function costoDeCuota(input) {
+  if (!Array.isArray(input.patentes)) return 1;
+  const distintas = new Set(input.patentes.map(patente => validarPatente(patente).patente || String(patente).trim().toUpperCase()));
+  return Math.max(1, distintas.size);
+}
+
+/**
+ * IP del cliente (la primera de X-Forwarded-For si TRUST_PROXY=1)
+ */
+function ipCliente(req) {
+  if (TRUST_PROXY && req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Descontar del límite de tasa; responde 429 si no quedan fichas
+ * @returns {Promise<boolean>} - false si ya se respondió
+ */
+async function aplicarLimite(res, limites, clientes) {
+  const resultado = await limitarPeticion(LIMITADOR, limites, clientes);
+  if (!resultado) return true;
+
+  for (const [nombre, valor] of Object.entries(encabezadosLimite(resultado))) {
+    res.setHeader(nombre, valor);
+  }
+  if (!resultado.permitido) {
+    sendJSON(res, 429, { error: `Demasiadas peticiones; reintentar en ${resultado.reintentarEn} s` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Estado del servicio
+ */
+function health(res) {
+  sendJSON(res, 200, {
+    status: 'ok',
+    service: 'patente-scraper-api',
+    timestamp: new Date().toISOString(),
+    drift: metricasDrift(),
+    navegadores: estadisticasNavegadores(),
+    proveedores: ORQUESTADOR.describir(),
+    breakers: BREAKERS.estados(),
+    endpoints: {
+      'GET /v1/vehiculos/:patente': 'Reporte completo del vehículo',
+      'GET /v1/vehiculos/:patente/multas': 'Multas del vehículo',
+      'GET /v1/vehiculos/:patente/propietario': 'Datos del propietario',
+      'GET /v1/vehiculos/:patente/restriccion?fecha=YYYY-MM-DD': 'Calcular restricción vehicular',
+      'POST /v1/consultas': 'Consultar con body { patente, tipo } o { patentes: [], tipo }',
+      'POST /v1/jobs': 'Encolar muchas patentes con body { patentes: [], tipo }',
+      'GET /v1/jobs/:id': 'Avance y resultados de un job (DELETE lo cancela)',
+      'GET /v1/webhooks/fallidas': 'Entregas de webhooks fallidas (POST /v1/webhooks/:id/reenviar las reenvía)',
+      'GET /v1/cuota': 'Uso y cuotas de la API key',
+      'GET /openapi.json': 'Spec OpenAPI (?servicio= para los Workers)'
+    }
+  });
+}
+
+/**
+ * Spec OpenAPI de la API local o de un Worker
+ */
+function openapi(res, input) {
+  const documento = input.servicio ? buildOpenApi(input.servicio) : OPENAPI;
+  if (!documento) {
+    sendJSON(res, 404, { error: `Servicio desconocido: ${input.servicio}` });
     return;
   }
+  sendJSON(res, 200, documento);
+}
+
+/**
+ * Omitir las secciones que la API key no puede ver, avisando en X-Secciones-Omitidas
+ */
+function redactarReportes(res, reportes, cliente) {
+  const omitidas = new Set();
+  for (const reporte of reportes) {
+    AUTH.redactar(reporte, cliente).forEach(seccion => omitidas.add(seccion));
+  }
+  if (omitidas.size > 0) {
+    res.setHeader('X-Secciones-Omitidas', [...omitidas].join(', '));
+  }
+}
+
+/**
+ * Validar la entrada de una consulta de reporte; responde 400 si no es válida
+ * @returns {object|null} - { patente, tipo, opcionesRestriccion }, o null si ya se respondió
+ */
+function requireConsulta(res, input) {
+  const tipo = input.tipo || 'vehiculo';
+  let patente = input.patente;
+
+  // Búsquedas por RUT o VIN no llevan patente
+  if (tipo === 'vehiculo' || tipo === 'moto') {
+    patente = requirePatente(res, patente);
+    if (!patente) return null;
+  } else if (!patente) {
+    sendJSON(res, 400, { error: 'Patente es requerida' });
+    return null;
+  }
+
+  const conRestriccion = activada(input.restriccion);
+  const opcionesRestriccion = conRestriccion ? requireOpcionesRestriccion(res, input) : null;
+  if (conRestriccion && !opcionesRestriccion) return null;
+
+  return { patente, tipo, opcionesRestriccion };
+}
+
+/**
+ * Reporte de una consulta ya validada, con restriccionCalculada si se pidió
+ * @returns {Promise<object>} - { reporte, cachedAt, maxAge }
+ */
+async function reporteDeConsulta({ patente, tipo, opcionesRestriccion }, input, sinCache) {
+  const resultado = await reporteConCache(patente, tipo, {
+    provenance: activada(input.provenance),
+    forzar: sinCache
+  });
+  const { reporte } = resultado;
+  if (opcionesRestriccion && reporte.success) {
+    reporte.restriccionCalculada = calcularRestriccion(
+      { patente: reporte.patente, vehiculo: reporte.vehiculo },
+      opcionesRestriccion
+    );
+  }
+  return resultado;
+}
+
+/**
+ * Reporte completo de una patente, o búsqueda por RUT/VIN según tipo
+ * Opcionales: provenance=1 y restriccion=1 (acepta también fecha y episodio)
+ */
+async function consultarReporte(res, input, { cliente, sinCache }) {
+  const consulta = requireConsulta(res, input);
+  if (!consulta) return;
+  const { patente } = consulta;
+
+  console.log(`[API] Consultando patente: ${patente}`);
+
+  try {
+    const { reporte: resultado, cachedAt, maxAge } = await reporteDeConsulta(consulta, input, sinCache);
+    redactarReportes(res, [resultado], cliente);
+    sendJSON(res, 200, resultado, { cachedAt, maxAge });
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    sendJSON(res, 500, {
+      success: false,
+      error: error.message,
+      patente: String(patente).toUpperCase()
+    });
+  }
+}
+
+/**
+ * Multas de una patente (vía Worker de multas)
+ */
+async function consultarMultasPatente(res, input, { cliente, sinCache }) {
+  const patente = requirePatente(res, input.patente);
+  if (!patente) return;
+
+  console.log(`[API] Consultando multas: ${patente}`);
+
+  try {
+    const { resultado, cachedAt, maxAge } = await multasConCache(patente, { forzar: sinCache });
+    if (redactarMultas(resultado, cliente)) res.setHeader('X-Secciones-Omitidas', 'propietario');
+    sendJSON(res, 200, resultado, { cachedAt, maxAge });
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    sendJSON(res, 500, {
+      success: false,
+      error: error.message,
+      patente
+    });
+  }
+}
 
-  // Consultar una patente
-  if (path === '/consultar') {
-    let patente, tipo;
-
-    if (method === 'GET') {
-      const query = parseQuery(url);
-      patente = query.patente;
-      tipo = query.tipo || 'vehiculo';
-    } else if (method === 'POST') {
-      try {
-        const body = await parseBody(req);
-        patente = body.patente;
-        tipo = body.tipo || 'vehiculo';
-      } catch (e) {
-        sendJSON(res, 400, { error: 'Invalid JSON body' });
+/**
+ * Solo la sección propietario del reporte
+ */
+async function consultarPropietario(res, input, { sinCache }) {
+  const patente = requirePatente(res, input.patente);
+  if (!patente) return;
+
+  console.log(`[API] Consultando propietario: ${patente}`);
+
+  try {
+    const { reporte, cachedAt, maxAge } = await reporteConCache(patente, 'vehiculo', {
+      secciones: ['propietario'],
+      provenance: activada(input.provenance),
+      forzar: sinCache
+    });
+    sendJSON(res, 200, { ...seleccionarSeccion(reporte, 'propietario'), cachedAt }, { cachedAt, maxAge });
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    sendJSON(res, 500, {
+      success: false,
+      error: error.message,
+      patente
+    });
+  }
+}
+
+/**
+ * Restricción vehicular de una patente en una fecha
+ * Los datos del vehículo vienen en `vehiculo` (body) o en tipoSello, anio y
+ * combustible (query); si faltan se obtienen con el scraper.
+ */
+async function consultarRestriccion(res, input, { sinCache }) {
+  const patente = requirePatente(res, input.patente);
+  if (!patente) return;
+
+  const opciones = requireOpcionesRestriccion(res, input);
+  if (!opciones) return;
+
+  try {
+    let vehiculo = vehiculoDeEntrada(input);
+
+    if (!vehiculo) {
+      console.log(`[API] Consultando vehículo para restricción: ${patente}`);
+      const { reporte } = await reporteConCache(patente, 'vehiculo', { secciones: ['vehiculo'], forzar: sinCache });
+      if (!reporte.success) {
+        sendJSON(res, 502, {
+          success: false,
+          error: reporte.error,
+          mensaje: reporte.mensaje,
+          patente
+        });
         return;
       }
-    } else {
-      sendJSON(res, 405, { error: 'Method not allowed' });
-      return;
+      vehiculo = reporte.vehiculo;
     }
 
-    if (!patente) {
-      sendJSON(res, 400, { error: 'Patente es requerida' });
-      return;
+    sendJSON(res, 200, {
+      success: true,
+      patente,
+      ...calcularRestriccion({ patente, vehiculo }, opciones)
+    });
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    sendJSON(res, 500, {
+      success: false,
+      error: error.message,
+      patente
+    });
+  }
+}
+
+/**
+ * Reportes de varias patentes: primero las que están frescas en el cache y
+ * después las demás con consultarMultiples, que se guardan en el cache
+ * @param {object} options - { provenance }, { sinCache }, { alObtener(indice, reporte) } se llama
+ *   con cada reporte apenas está; si devuelve false no se consultan las que faltan
+ * @returns {Promise<object>} - { reportes, resumen }: reportes en el orden pedido (null los que no se
+ *   alcanzaron a consultar) y { total, unicas, ok, errores, omitidas } de resumirLote
+ */
+async function reportesVarios(patentes, tipo, { provenance = false, sinCache = false, alObtener = () => {} } = {}) {
+  const claves = patentes.map(patente => `vehiculo:${tipo}:${patente}`);
+  const guardados = await Promise.all(claves.map(clave => (sinCache ? null : CACHE.leer(clave, TODAS_LAS_SECCIONES))));
+  const reportes = patentes.map(() => null);
+
+  const listo = (indice, { valor, cachedAt }) => {
+    if (!provenance) delete valor._provenance;
+    reportes[indice] = { ...valor, cachedAt };
+    return alObtener(indice, reportes[indice]);
+  };
+
+  for (const [indice, guardado] of guardados.entries()) {
+    if (guardado && listo(indice, guardado) === false) return { reportes, resumen: resumirLote(patentes, reportes) };
+  }
+
+  const faltantes = patentes.map((_, indice) => indice).filter(indice => !guardados[indice]);
+  if (faltantes.length > 0) {
+    await consultarMultiples(faltantes.map(indice => patentes[indice]), tipo, {
+      consultar: (patente, tipoBusqueda, { signal }) => ORQUESTADOR.consultar(patente, { tipo: tipoBusqueda, signal }),
+      alObtener: async (reporte, posicion) => {
+        const indice = faltantes[posicion];
+        const entrada = esCacheable(reporte)
+          ? await CACHE.guardar(claves[indice], reporte, TODAS_LAS_SECCIONES)
+          : { valor: reporte, cachedAt: null };
+        return listo(indice, entrada);
+      }
+    });
+  }
+
+  return { reportes, resumen: resumirLote(patentes, reportes) };
+}
+
+/**
+ * Varias patentes en streaming (SSE o NDJSON): un evento 'resultado' por
+ * patente apenas está, 'progreso' después de cada una y 'resumen' al final
+ */
+async function transmitirVarias(res, formato, patentes, tipo, input, { cliente, sinCache }) {
+  const omitidas = Object.keys(SECCIONES).filter(seccion => !AUTH.puedeVer(cliente, seccion));
+  if (omitidas.length > 0) res.setHeader('X-Secciones-Omitidas', omitidas.join(', '));
+
+  const stream = abrirStream(res, formato, encabezadosCors());
+  const resumen = { total: patentes.length, procesadas: 0, ok: 0, errores: 0 };
+
+  try {
+    await reportesVarios(patentes, tipo, {
+      provenance: activada(input.provenance),
+      sinCache,
+      alObtener: (indice, reporte) => {
+        AUTH.redactar(reporte, cliente);
+        resumen.procesadas++;
+        resumen[reporte.success ? 'ok' : 'errores']++;
+
+        stream.enviar('resultado', { indice, patente: patentes[indice], resultado: reporte }, indice);
+        stream.enviar('progreso', { procesadas: resumen.procesadas, total: resumen.total });
+        // Si el cliente se fue no se siguen scrapeando las que faltan
+        return !stream.cerrado();
+      }
+    });
+    stream.enviar('resumen', { success: true, ...resumen });
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    stream.enviar('error', { success: false, error: error.message });
+  }
+  stream.terminar();
+}
+
+/**
+ * ¿Responder CSV? Con Accept: text/csv, o si el body era CSV y no se pidió JSON
+ */
+function pideCsv(req, input) {
+  const accept = req.headers.accept || '';
+  return esCsv(accept) || (Boolean(input.flota) && !accept.includes('application/json'));
+}
+
+/**
+ * Validar la tabla CSV pedida (?tabla=patentes|multas); responde 400 o 403
+ * @returns {boolean} - false si ya se respondió
+ */
+function requireTabla(res, tabla = 'patentes', cliente) {
+  if (!['patentes', 'multas'].includes(tabla)) {
+    sendJSON(res, 400, { error: 'Tabla inválida. Valores válidos: patentes, multas' });
+    return false;
+  }
+  if (tabla === 'multas' && !AUTH.puedeVer(cliente, 'multas')) {
+    sendJSON(res, 403, { error: 'La API key no tiene acceso a la sección multas' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Responder la tabla CSV de una flota: una fila por patente, o una por multa con tabla=multas
+ * @param {object[]} items - [{ patente, extras, reporte, multas }]
+ * @param {object|null} flota - De leerFlota, para las columnas extra y el separador
+ */
+function responderTablaCsv(res, tabla = 'patentes', items, flota, cliente) {
+  if (!requireTabla(res, tabla, cliente)) return;
+  const opciones = flota ? { columnasExtra: flota.columnasExtra, separador: flota.separador } : {};
+  if (tabla === 'multas') {
+    sendCSV(res, csvMultas(items, opciones), 'multas.csv');
+  } else {
+    sendCSV(res, csvReportes(items, opciones), 'patentes.csv');
+  }
+}
+
+/**
+ * Varias patentes como CSV: reportes y, si la key puede verlas, multas de cada patente
+ */
+async function responderVariasCsv(res, patentes, tipo, input, { cliente, sinCache }) {
+  if (!requireTabla(res, input.tabla, cliente)) return;
+
+  try {
+    const { reportes } = await reportesVarios(patentes, tipo, { sinCache });
+    redactarReportes(res, reportes, cliente);
+
+    // Las búsquedas por RUT o VIN no tienen patente para el sitio de multas
+    const conMultas = AUTH.puedeVer(cliente, 'multas') && (tipo === 'vehiculo' || tipo === 'moto');
+    const items = [];
+    for (const [indice, patente] of patentes.entries()) {
+      const multas = conMultas ? await multasDeFlota(patente, { forzar: sinCache }) : null;
+      if (multas) redactarMultas(multas, cliente);
+      items.push({ patente, extras: input.flota ? input.flota.extras[indice] : {}, reporte: reportes[indice], multas });
     }
+    responderTablaCsv(res, input.tabla, items, input.flota, cliente);
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    sendJSON(res, 500, { error: error.message });
+  }
+}
 
-    console.log(`[API] Consultando patente: ${patente}`);
+/**
+ * Varias patentes en una consulta (máximo MAX_PATENTES)
+ * Con Accept: text/event-stream o application/x-ndjson los resultados se
+ * transmiten a medida que están; con un body CSV o Accept: text/csv se
+ * responde una tabla CSV.
+ */
+async function consultarVarias(res, input, contexto) {
+  const { cliente, sinCache } = contexto;
+  const tipo = input.tipo || 'vehiculo';
+  const patentes = requirePatentes(res, input.patentes, tipo, MAX_PATENTES);
+  if (!patentes) return;
 
-    try {
-      const resultado = await consultarVehiculo(patente, tipo);
-      sendJSON(res, 200, resultado);
-    } catch (error) {
-      console.error(`[API] Error:`, error.message);
-      sendJSON(res, 500, {
-        success: false,
-        error: error.message,
-        patente: patente.toUpperCase()
-      });
+  console.log(`[API] Consultando ${patentes.length} patentes`);
+
+  const formato = formatoStream(res.req.headers.accept);
+  if (formato) return transmitirVarias(res, formato, patentes, tipo, input, contexto);
+  if (pideCsv(res.req, input)) return responderVariasCsv(res, patentes, tipo, input, contexto);
+
+  try {
+    const { reportes: resultados, resumen } = await reportesVarios(patentes, tipo, { provenance: activada(input.provenance), sinCache });
+    redactarReportes(res, resultados, cliente);
+    sendJSON(res, 200, {
+      success: true,
+      total: resultados.length,
+      resumen,
+      resultados
+    });
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    sendJSON(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * Consulta con callbackUrl: responde 202 al tiro y envía el resultado por webhook
+ * Con varias patentes crea un job, que envía el job completo al terminar.
+ */
+async function consultarConCallback(res, input, contexto) {
+  if (!requireCallback(res, input)) return;
+  if (Array.isArray(input.patentes)) return crearJob(res, input, contexto);
+
+  const consulta = requireConsulta(res, input);
+  if (!consulta) return;
+  const { cliente, sinCache } = contexto;
+
+  sendJSON(res, 202, { success: true, patente: consulta.patente, callbackUrl: input.callbackUrl });
+  console.log(`[API] Consultando patente ${consulta.patente} para ${input.callbackUrl}`);
+
+  let reporte;
+  try {
+    ({ reporte } = await reporteDeConsulta(consulta, input, sinCache));
+  } catch (error) {
+    console.error(`[API] Error:`, error.message);
+    reporte = createErrorReport(consulta.patente, 'api-server', error.message);
+  }
+  AUTH.redactar(reporte, cliente);
+  WEBHOOKS.enviar(input.callbackUrl, 'consulta.completada', reporte, { cliente: cliente && cliente.label });
+}
+
+/**
+ * POST /v1/consultas: { patentes: [] } consulta varias, si no una sola;
+ * con callbackUrl responde 202 y el resultado llega por webhook
+ */
+function crearConsulta(res, input, contexto) {
+  if (input.callbackUrl !== undefined) return consultarConCallback(res, input, contexto);
+  return Array.isArray(input.patentes) ? consultarVarias(res, input, contexto) : consultarReporte(res, input, contexto);
+}
+
+/**
+ * Responder 503 si la cola no pudo guardar JOBS_FILE (disco lleno o de solo lectura)
+ */
+function sinArchivoDeJobs(res, error) {
+  console.error(`[API] No se pudo guardar ${JOBS_FILE}: ${error.message}`);
+  sendJSON(res, 503, { error: 'No se pudo guardar el job; reintentar más tarde', message: error.message });
+}
+
+/**
+ * POST /v1/jobs: encolar varias patentes y responder 202 con el job
+ */
+function crearJob(res, input, { cliente }) {
+  const tipo = input.tipo || 'vehiculo';
+  const patentes = requirePatentes(res, input.patentes, tipo, MAX_PATENTES_JOB);
+  if (!patentes || !requireCallback(res, input)) return;
+
+  let job;
+  try {
+    job = JOBS.crear({
+      patentes,
+      tipo,
+      cliente: cliente ? cliente.label : null,
+      opciones: {
+        provenance: activada(input.provenance),
+        callbackUrl: input.callbackUrl || null,
+        // Un job creado con CSV se exporta con sus totales de multas
+        multas: activada(input.multas) || Boolean(input.flota),
+        flota: input.flota ? { extras: input.flota.extras, columnasExtra: input.flota.columnasExtra, separador: input.flota.separador } : null
+      }
+    });
+  } catch (error) {
+    sinArchivoDeJobs(res, error);
+    return;
+  }
+  console.log(`[API] Job ${job.id}: ${patentes.length} patentes`);
+
+  res.setHeader('Location', `/v1/jobs/${job.id}`);
+  sendJSON(res, 202, vistaJob(job));
+}
+
+/**
+ * Responder un job con las secciones que la key puede ver; 404 si no existe o es de otra key
+ * Con Accept: text/csv responde la tabla CSV de los resultados que ya están.
+ */
+function responderJob(res, job, cliente, input = {}) {
+  if (!job) {
+    sendJSON(res, 404, { error: 'Job no encontrado' });
+    return;
+  }
+  const vista = structuredClone(vistaJob(job));
+  const omitidas = redactarJob(vista, cliente);
+  if (omitidas.length > 0) res.setHeader('X-Secciones-Omitidas', omitidas.join(', '));
+
+  if (pideCsv(res.req, input)) {
+    const flota = job.opciones.flota;
+    const items = vista.resultados.map((item, indice) => ({
+      patente: item.patente,
+      extras: flota ? flota.extras[indice] : {},
+      reporte: item.resultado,
+      multas: item.multas || null
+    }));
+    responderTablaCsv(res, input.tabla, items, flota, cliente);
+    return;
+  }
+  sendJSON(res, 200, vista);
+}
+
+/**
+ * GET /v1/jobs/:id: avance y resultados por patente (JSON o CSV)
+ */
+function consultarJob(res, input, { cliente }) {
+  responderJob(res, JOBS.obtener(input.id, cliente && cliente.label), cliente, input);
+}
+
+/**
+ * DELETE /v1/jobs/:id: cancelar las patentes que faltan
+ */
+function cancelarJob(res, input, { cliente }) {
+  let job;
+  try {
+    job = JOBS.cancelar(input.id, cliente && cliente.label);
+  } catch (error) {
+    sinArchivoDeJobs(res, error);
+    return;
+  }
+  responderJob(res, job, cliente);
+}
+
+/**
+ * Responder 404 si los webhooks están desactivados
+ * @returns {boolean} - false si ya se respondió
+ */
+function requireWebhooks(res) {
+  if (!WEBHOOKS) {
+    sendJSON(res, 404, { error: 'Webhooks desactivados (falta WEBHOOK_SECRET)' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /v1/webhooks/fallidas: entregas que agotaron sus intentos
+ */
+function listarEntregasFallidas(res, input, { cliente }) {
+  if (!requireWebhooks(res)) return;
+  const entregas = WEBHOOKS.fallidas(cliente && cliente.label).map(vistaEntrega);
+  sendJSON(res, 200, { total: entregas.length, entregas });
+}
+
+/**
+ * POST /v1/webhooks/:id/reenviar: reintentar una entrega fallida
+ */
+function reenviarEntrega(res, input, { cliente }) {
+  if (!requireWebhooks(res)) return;
+  const entrega = WEBHOOKS.reenviar(input.id, cliente && cliente.label);
+  if (!entrega) {
+    sendJSON(res, 404, { error: 'No hay una entrega fallida con ese id' });
+    return;
+  }
+  sendJSON(res, 202, vistaEntrega(entrega));
+}
+
+/**
+ * Uso y cuotas de la API key de la petición
+ */
+function cuota(res, input, { cliente }) {
+  if (!cliente) {
+    sendJSON(res, 404, { error: 'La API no tiene keys configuradas' });
+    return;
+  }
+  sendJSON(res, 200, AUTH.uso(cliente));
+}
+
+/**
+ * Ruta anterior a /v1: responde igual, con los headers Deprecation y Link
+ * @param {function} handler - Handler de la ruta nueva
+ * @param {function} sucesor - input => path de la ruta nueva
+ */
+function obsoleta(handler, sucesor) {
+  return (res, input, contexto) => {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Link', `<${sucesor(input)}>; rel="successor-version"`);
+    return handler(res, input, contexto);
+  };
+}
+
+/**
+ * Path de /v1/vehiculos/:patente[/sufijo] para la patente de la entrada
+ */
+const rutaVehiculo = (sufijo = '') => input => (
+  typeof input.patente === 'string' && input.patente
+    ? `/v1/vehiculos/${encodeURIComponent(input.patente)}${sufijo}`
+    : '/v1/consultas'
+);
+
+/**
+ * Tabla de rutas
+ * publica: no pide API key ni tiene límite de tasa. seccion: la key debe
+ * poder ver esa sección. cuota: false para no descontar de la cuota de la
+ * key. perfil: límites de tasa (lib/rate-limit.js), 'normal' por defecto, o
+ * (input) => perfil si el trabajo depende de la entrada (ver limitesDePeticion).
+ */
+const perfilRestriccion = input => (vehiculoDeEntrada(input) ? 'normal' : 'navegador');
+
+const router = crearRouter([
+  { ruta: '/', publica: true, metodos: { GET: health } },
+  { ruta: '/health', publica: true, metodos: { GET: health } },
+  { ruta: '/openapi.json', cuota: false, metodos: { GET: openapi } },
+  { ruta: '/v1/cuota', cuota: false, metodos: { GET: cuota } },
+  { ruta: '/v1/vehiculos/:patente', perfil: 'navegador', metodos: { GET: consultarReporte } },
+  { ruta: '/v1/vehiculos/:patente/multas', seccion: 'multas', metodos: { GET: consultarMultasPatente } },
+  { ruta: '/v1/vehiculos/:patente/propietario', seccion: 'propietario', perfil: 'navegador', metodos: { GET: consultarPropietario } },
+  { ruta: '/v1/vehiculos/:patente/restriccion', seccion: 'restriccionVehicular', perfil: perfilRestriccion, metodos: { GET: consultarRestriccion } },
+  { ruta: '/v1/consultas', perfil: 'navegador', metodos: { POST: crearConsulta } },
+  { ruta: '/v1/jobs', metodos: { POST: crearJob } },
+  { ruta: '/v1/jobs/:id', cuota: false, metodos: { GET: consultarJob, DELETE: cancelarJob } },
+  { ruta: '/v1/webhooks/fallidas', cuota: false, metodos: { GET: listarEntregasFallidas } },
+  { ruta: '/v1/webhooks/:id/reenviar', cuota: false, metodos: { POST: reenviarEntrega } },
+
+  // Rutas anteriores a /v1 (deprecated)
+  {
+    ruta: '/consultar',
+    perfil: 'navegador',
+    metodos: {
+      GET: obsoleta(consultarReporte, rutaVehiculo()),
+      POST: obsoleta(consultarReporte, () => '/v1/consultas')
+    }
+  },
+  {
+    ruta: '/multas',
+    seccion: 'multas',
+    metodos: {
+      GET: obsoleta(consultarMultasPatente, rutaVehiculo('/multas')),
+      POST: obsoleta(consultarMultasPatente, rutaVehiculo('/multas'))
     }
+  },
+  {
+    ruta: '/restriccion',
+    seccion: 'restriccionVehicular',
+    perfil: perfilRestriccion,
+    metodos: {
+      GET: obsoleta(consultarRestriccion, rutaVehiculo('/restriccion')),
+      POST: obsoleta(consultarRestriccion, rutaVehiculo('/restriccion'))
+    }
+  },
+  { ruta: '/consultar-multiple', perfil: 'navegador', metodos: { POST: obsoleta(consultarVarias, () => '/v1/consultas') } }
+]);
+
+/**
+ * Request handler
+ * Un error que escapa de la ruta (leer el body, guardar el uso de la key...) se registra y
+ * responde 500; http.createServer ignora la promesa, así que no debe rechazarse.
+ */
+async function handleRequest(req, res) {
+  try {
+    await atenderPeticion(req, res);
+  } catch (error) {
+    console.error(`[API] Error en ${req.method} ${req.url}:`, error.message);
+    if (!res.headersSent) sendJSON(res, 500, { error: error.message });
+    else if (!res.writableEnded) res.end();
+  }
+}
+
+/**
+ * Rutear una petición: límites, API key, cuota y handler
+ */
+async function atenderPeticion(req, res) {
+  const path = req.url.split('?')[0];
+
+  // CORS preflight
+  if (req.method === 'OPTIONS') {
+    sendJSON(res, 200, { ok: true });
     return;
   }
 
-  // Consultar múltiples patentes
-  if (path === '/consultar-multiple' && method === 'POST') {
-    try {
-      const body = await parseBody(req);
-      const patentes = body.patentes;
-      const tipo = body.tipo || 'vehiculo';
+  const destino = router.resolver(req.method, path);
+  if (!destino) {
+    sendJSON(res, 404, { error: 'Endpoint no encontrado' });
+    return;
+  }
 
-      if (!patentes || !Array.isArray(patentes) || patentes.length === 0) {
-        sendJSON(res, 400, { error: 'Se requiere array de patentes' });
-        return;
-      }
+  if (!destino.handler) {
+    res.setHeader('Allow', destino.allow.join(', '));
+    sendJSON(res, 405, { error: 'Method not allowed', allow: destino.allow });
+    return;
+  }
 
-      if (patentes.length > 10) {
-        sendJSON(res, 400, { error: 'Máximo 10 patentes por consulta' });
-        return;
-      }
+  const { definicion } = destino;
+
+  // La entrada se lee antes de limitar para descontar según el trabajo que hará la petición
+  const { entrada: input, error: errorEntrada } = await leerEntrada(req, destino.params);
+  const limites = limitesDePeticion(definicion, destino.ruta, input);
 
-      console.log(`[API] Consultando ${patentes.length} patentes`);
+  // La IP se limita antes de revisar la key, para frenar también los intentos con keys inválidas
+  if (!definicion.publica && !(await aplicarLimite(res, limites, { ip: ipCliente(req) }))) return;
 
-      const resultados = await consultarMultiples(patentes, tipo);
-      sendJSON(res, 200, {
-        success: true,
-        total: resultados.length,
-        resultados
+  // API key: todas las rutas salvo /health
+  let cliente = null;
+  if (AUTH.habilitado && !definicion.publica) {
+    cliente = AUTH.autenticar(req.headers);
+    if (!cliente) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="patente-scraper-api"');
+      sendJSON(res, 401, {
+        error: keyDeHeaders(req.headers)
+          ? 'API key inválida'
+          : 'Se requiere API key (header X-API-Key o Authorization: Bearer)'
       });
-    } catch (error) {
-      console.error(`[API] Error:`, error.message);
-      sendJSON(res, 500, { error: error.message });
+      return;
     }
+    console.log(`[API] ${cliente.label}: ${req.method} ${path}`);
+
+    if (!(await aplicarLimite(res, limites, { key: cliente.label }))) return;
+  }
+
+  if (definicion.seccion && !AUTH.puedeVer(cliente, definicion.seccion)) {
+    sendJSON(res, 403, { error: `La API key no tiene acceso a la sección ${definicion.seccion}` });
+    return;
+  }
+
+  if (errorEntrada) {
+    sendJSON(res, 400, { error: errorEntrada });
+    return;
+  }
+
+  // Buscar por RUT es buscar por propietario
+  if (input.tipo === 'rut' && !AUTH.puedeVer(cliente, 'propietario')) {
+    sendJSON(res, 403, { error: 'La API key no tiene acceso a la sección propietario' });
     return;
   }
 
-  // 404
-  sendJSON(res, 404, { error: 'Endpoint no encontrado' });
+  // Cada patente distinta descuenta una consulta
+  const costo = cliente && definicion.cuota !== false ? costoDeCuota(input) : 0;
+  if (costo > 0) {
+    const consumo = AUTH.consumir(cliente, costo);
+    if (!consumo.permitido) {
+      res.setHeader('Retry-After', String(consumo.reintentarEn));
+      sendJSON(res, 429, { error: `Cuota ${consumo.cuota} agotada para la API key ${cliente.label}` });
+      return;
+    }
+  }
+
+  await destino.handler(res, input, { cliente, sinCache: pideSinCache(req.headers) });
+
+  // El handler valida la entrada: una petición rechazada (patente inválida, fecha...) no consulta nada
+  if (costo > 0 && res.statusCode === 400) AUTH.devolver(cliente, costo);
 }
 
 // Create server
 const server = http.createServer(handleRequest);
 
+if (!AUTH.habilitado) {
+  console.warn('[API] Sin API keys configuradas (API_KEYS_FILE o API_KEYS): todas las rutas quedan abiertas');
+}
+
 server.listen(PORT, () => {
+  // Retomar los jobs que quedaron pendientes antes del reinicio
+  JOBS.iniciar();
+
   console.log(`
 ╔════════════════════════════════════════════════════╗
 ║   Patente Scraper API                              ║
 ║   Servidor corriendo en http://localhost:${PORT}      ║
 ╠════════════════════════════════════════════════════╣
 ║   Endpoints:                                       ║
-║   GET  /consultar?patente=JCLJ38  (info completa)  ║
-║   GET  /multas?patente=JCLJ38     (solo multas)    ║
-║   POST /consultar-multiple { "patentes": [...] }   ║
+║   GET  /v1/vehiculos/JCLJ38        (info completa) ║
+║   GET  /v1/vehiculos/JCLJ38/multas (solo multas)   ║
+║   POST /v1/consultas { "patentes": [...] }         ║
 ╚════════════════════════════════════════════════════╝
   `);
 });
@@ -2,145 +2,24 @@
  * Cloudflare Worker con Browser Rendering para consultar datos del vehículo
  * Usa Puppeteer dentro del Worker para ejecutar JavaScript y extraer datos
  * Endpoint: /?patente=XXX
+ * Cada paso de la página tiene TIMEOUT_MS; la carga inicial de PatenteChile
+ * reintenta timeouts y errores de navegación según MAX_RETRIES y DEADLINE_MS.
  */
 
 import puppeteer from '@cloudflare/puppeteer';
-
-/**
- * Extraer datos del vehículo del HTML renderizado
- */
-function extractVehicleData(pageContent, patente) {
-  const result = {
-    success: true,
-    patente: patente,
-    timestamp: new Date().toISOString(),
-    source: 'cloudflare-browser-rendering',
-    propietario: null,
-    vehiculo: null,
-    multas: null,
-    revisionTecnica: null,
-    permisoCirculacion: null,
-    soap: null,
-  };
-
-  try {
-    // Limpiar HTML entities
-    const cleanValue = (val) => {
-      if (!val) return null;
-      let cleaned = val
-        .replace(/&nbsp;/g, '')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&#\d+;/g, '')
-        .trim();
-      // Si queda vacío o solo espacios, retornar null
-      if (!cleaned || cleaned === '-' || cleaned === 'N/A' || cleaned.length > 100) {
-        return null;
-      }
-      return cleaned;
-    };
-
-    // Helper para extraer texto de una celda después de un label
-    const extractValue = (label) => {
-      const patterns = [
-        // Patrón para tablas con <b> label
-        new RegExp(`<td[^>]*>\\s*<b>${label}<\\/b>\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i'),
-        // Patrón para tablas sin <b>
-        new RegExp(`<td[^>]*>${label}\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i'),
-        // Patrón para divs/spans
-        new RegExp(`>${label}[:\\s]*<\\/[^>]+>\\s*<[^>]+>([^<]+)<`, 'i'),
-        // Patrón para id específico
-        new RegExp(`id="[^"]*${label.toLowerCase().replace(/\s+/g, '')}[^"]*"[^>]*>([^<]+)<`, 'i'),
-        // Patrón general
-        new RegExp(`<b>${label}<\\/b>\\s*[:\\s]*([^<]+)(?:<|$)`, 'i'),
-        new RegExp(`${label}[:\\s]+([^<\\n]+)`, 'i'),
-      ];
-
-      for (const pattern of patterns) {
-        const match = pageContent.match(pattern);
-        if (match && match[1]) {
-          const value = cleanValue(match[1]);
-          if (value) {
-            return value;
-          }
-        }
-      }
-      return null;
-    };
-
-    // Propietario
-    const rut = extractValue('RUT');
-    const nombre = extractValue('Nombre');
-    if (rut || nombre) {
-      result.propietario = { rut, nombre };
-    }
-
-    // Vehículo
-    const vehiculoData = {
-      patente: patente,
-      tipo: extractValue('Tipo'),
-      marca: extractValue('Marca'),
-      modelo: extractValue('Modelo'),
-      año: null,
-      color: extractValue('Color'),
-      numeroMotor: extractValue('N° de motor') || extractValue('Motor'),
-      numeroChasis: extractValue('N° de chasis') || extractValue('Chasis'),
-      procedencia: extractValue('Procedencia'),
-      fabricante: extractValue('Fabricante'),
-      tipoSello: extractValue('Tipo Sello'),
-      combustible: extractValue('Combustible'),
-    };
-
-    // Extraer año
-    const añoMatch = pageContent.match(/Año[:\s]*<\/[^>]+>\s*<[^>]+>(\d{4})/i) ||
-                     pageContent.match(/Año[:\s]+(\d{4})/i);
-    if (añoMatch) {
-      vehiculoData.año = parseInt(añoMatch[1]);
-    }
-
-    if (Object.values(vehiculoData).some(v => v !== null && v !== patente)) {
-      result.vehiculo = vehiculoData;
-    }
-
-    // Multas
-    const tieneMultas = pageContent.toLowerCase().includes('tiene multas') &&
-                        !pageContent.toLowerCase().includes('no tiene multas');
-    const cantidadMatch = pageContent.match(/(\d+)\s*multa/i);
-
-    result.multas = {
-      tiene: tieneMultas,
-      cantidad: cantidadMatch ? parseInt(cantidadMatch[1]) : 0,
-    };
-
-    // Revisión técnica
-    result.revisionTecnica = {
-      kilometraje: extractValue('Kilometraje'),
-      ultimoControl: extractValue('Último Control'),
-      fechaVencimiento: extractValue('Vencimiento'),
-    };
-
-    // Permiso de circulación
-    result.permisoCirculacion = {
-      añoPago: extractValue('Año Pago'),
-      municipalidad: extractValue('Municipalidad'),
-    };
-
-    // SOAP
-    result.soap = {
-      compania: extractValue('Compañía') || extractValue('SOAP'),
-      fechaInicio: extractValue('Fecha Inicio'),
-    };
-
-  } catch (error) {
-    result.success = false;
-    result.error = `Error parsing: ${error.message}`;
-  }
-
-  return result;
-}
-
-export default {
+import { normalizeReport, createErrorReport } from './lib/schema.js';
+import { validarPatente, validarPatenteWorker } from './lib/patente.js';
+import { isCaptchaPage } from './lib/captcha.js';
+import { extractVehicleData } from './lib/extract-vehicle-data.js';
+import { registrarDrift } from './lib/drift.js';
+import { conLimiteDeTasa } from './lib/rate-limit.js';
+import { leerReintentos, conReintentos } from './lib/reintentos.js';
+
+const SOURCE = 'cloudflare-browser-rendering';
+
+// Límite por IP: perfil 'navegador' (cada consulta abre una sesión de Browser Rendering); una
+// patente inválida se responde con 400 sin abrir el navegador y cuenta en el perfil 'normal'
+export default conLimiteDeTasa({
   async fetch(request, env) {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
@@ -153,18 +32,22 @@ export default {
     }
 
     const url = new URL(request.url);
-    const patente = url.searchParams.get('patente');
+    let patente = url.searchParams.get('patente');
 
     if (!patente) {
-      return new Response(JSON.stringify({
-        error: 'Parámetro "patente" es requerido',
-        usage: '/?patente=ABC123'
-      }), {
+      return new Response(JSON.stringify(
+        createErrorReport(null, SOURCE, 'Parámetro "patente" es requerido', 'Uso: /?patente=ABC123')
+      ), {
         status: 400,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
+    // Rechazar patentes inválidas antes de consultar PatenteChile
+    const validada = validarPatenteWorker(patente, corsHeaders);
+    if (validada.respuesta) return validada.respuesta;
+    patente = validada.patente;
+
     let browser = null;
 
     try {
@@ -173,23 +56,26 @@ export default {
       const page = await browser.newPage();
 
       // Configurar timeout y viewport
-      page.setDefaultTimeout(30000);
+      const reintentos = leerReintentos(env);
+      page.setDefaultTimeout(reintentos.timeout);
       await page.setViewport({ width: 1280, height: 720 });
 
-      // Navegar a la página principal de PatenteChile
-      await page.goto('https://www.patentechile.com/', {
-        waitUntil: 'networkidle2',
-      });
-
-      // Esperar a que cargue el formulario de búsqueda
-      await page.waitForSelector('#inputTerm', { timeout: 15000 });
+      // Navegar a la página principal de PatenteChile y esperar el formulario de búsqueda
+      await conReintentos(async () => {
+        await page.goto('https://www.patentechile.com/', { waitUntil: 'networkidle2' });
+        await page.waitForSelector('#inputTerm').catch(async error => {
+          // El challenge de Cloudflare no se resuelve reintentando
+          if (isCaptchaPage(await page.content())) error.codigo = 'CAPTCHA';
+          throw error;
+        });
+      }, { ...reintentos, timeout: 0 });
 
       // Escribir la patente en el input
       await page.type('#inputTerm', patente.toUpperCase(), { delay: 50 });
 
       // Hacer clic en el botón de búsqueda y esperar navegación
       await Promise.all([
-        page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
+        page.waitForNavigation({ waitUntil: 'networkidle2' }),
         page.click('#searchBtn'),
       ]);
 
@@ -198,21 +84,19 @@ export default {
 
       // Verificar si hay CAPTCHA de Cloudflare
       const pageContent = await page.content();
-      if (pageContent.includes('Just a moment') || pageContent.includes('Checking your browser')) {
+      if (isCaptchaPage(pageContent)) {
         await browser.close();
         browser = null;
-        return new Response(JSON.stringify({
-          success: false,
-          error: 'CAPTCHA detectado',
-          message: 'El sitio está mostrando protección de Cloudflare',
-        }), {
+        return new Response(JSON.stringify(createErrorReport(
+          patente, SOURCE, 'CAPTCHA detectado', 'El sitio está mostrando protección de Cloudflare', 'CAPTCHA'
+        )), {
           status: 403,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
 
       // Esperar a que aparezca la tabla de resultados
-      await page.waitForSelector('#tbl-results', { timeout: 20000 });
+      await page.waitForSelector('#tbl-results');
 
       // Esperar a que carguen los datos REALES en la tabla
       await page.waitForFunction(() => {
@@ -226,7 +110,7 @@ export default {
           text.includes('no se encontr') ||
           text.includes('Patente no válida')
         );
-      }, { timeout: 30000 });
+      });
 
       // Espera adicional para que TODAS las secciones terminen de cargar
       await new Promise(r => setTimeout(r, 3000));
@@ -247,6 +131,7 @@ export default {
           soap: null,
           transportePublico: null,
           restriccionVehicular: null,
+          _provenance: {},
         };
 
         // Buscar la tabla de resultados
@@ -257,8 +142,22 @@ export default {
           return result;
         }
 
+        // Labels y secciones vistos, para detectar cambios de layout
+        result._layout = { tablaEncontrada: true, secciones: [], labels: [] };
+        table.querySelectorAll('tr').forEach(row => {
+          const encabezado = row.querySelector('th');
+          const cells = row.querySelectorAll('td');
+          if (encabezado) {
+            result._layout.secciones.push(encabezado.textContent.trim().replace(/\s+/g, ' '));
+          } else if (cells.length >= 2) {
+            const label = cells[0].textContent?.trim().replace(/\s+/g, ' ');
+            if (label) result._layout.labels.push(label);
+          }
+        });
+
         // Función para extraer valor de una fila por label
-        const getValue = (label) => {
+        // Con `campo` registra en _provenance si el label calzó exacto o parcial
+        const getValue = (label, campo) => {
           const rows = table.querySelectorAll('tr');
           for (const row of rows) {
             const cells = row.querySelectorAll('td');
@@ -267,6 +166,14 @@ export default {
               if (labelCell && labelCell.toLowerCase().includes(label.toLowerCase())) {
                 const value = cells[1].textContent?.trim();
                 if (value && value !== '-' && value !== 'N/A' && !value.includes('&nbsp;')) {
+                  if (campo) {
+                    const exacto = labelCell.replace(/:$/, '').toLowerCase() === label.toLowerCase();
+                    result._provenance[campo] = {
+                      label: labelCell,
+                      estrategia: exacto ? 'fila-tabla' : 'fila-tabla-parcial',
+                      confianza: exacto ? 'alta' : 'media'
+                    };
+                  }
                   return value;
                 }
               }
@@ -276,26 +183,26 @@ export default {
         };
 
         // Propietario
-        const rut = getValue('RUT');
-        const nombre = getValue('Nombre');
+        const rut = getValue('RUT', 'propietario.rut');
+        const nombre = getValue('Nombre', 'propietario.nombre');
         if (rut || nombre) {
           result.propietario = { rut, nombre };
         }
 
         // Vehículo
         result.vehiculo = {
-          patente: getValue('Patente') || patenteInput,
-          tipo: getValue('Tipo'),
-          marca: getValue('Marca'),
-          modelo: getValue('Modelo'),
-          año: parseInt(getValue('Año')) || null,
-          color: getValue('Color'),
-          numeroMotor: getValue('Motor'),
-          numeroChasis: getValue('Chasis'),
-          procedencia: getValue('Procedencia'),
-          fabricante: getValue('Fabricante'),
-          tipoSello: getValue('sello'),
-          combustible: getValue('Combustible'),
+          patente: getValue('Patente', 'vehiculo.patente') || patenteInput,
+          tipo: getValue('Tipo', 'vehiculo.tipo'),
+          marca: getValue('Marca', 'vehiculo.marca'),
+          modelo: getValue('Modelo', 'vehiculo.modelo'),
+          año: parseInt(getValue('Año', 'vehiculo.año')) || null,
+          color: getValue('Color', 'vehiculo.color'),
+          numeroMotor: getValue('Motor', 'vehiculo.numeroMotor'),
+          numeroChasis: getValue('Chasis', 'vehiculo.numeroChasis'),
+          procedencia: getValue('Procedencia', 'vehiculo.procedencia'),
+          fabricante: getValue('Fabricante', 'vehiculo.fabricante'),
+          tipoSello: getValue('sello', 'vehiculo.tipoSello'),
+          combustible: getValue('Combustible', 'vehiculo.combustible'),
         };
 
         // Multas
@@ -309,12 +216,12 @@ export default {
 
         // Revisión técnica
         result.revisionTecnica = {
-          kilometraje: getValue('Kilometraje'),
-          comuna: getValue('Comuna de revisión'),
-          mes: getValue('Mes de revisión'),
-          ultimoControl: getValue('Último control'),
-          estado: getValue('Estado'),
-          fechaVencimiento: getValue('Fecha de vencimiento'),
+          kilometraje: getValue('Kilometraje', 'revisionTecnica.kilometraje'),
+          comuna: getValue('Comuna de revisión', 'revisionTecnica.comuna'),
+          mes: getValue('Mes de revisión', 'revisionTecnica.mes'),
+          ultimoControl: getValue('Último control', 'revisionTecnica.ultimoControl'),
+          estado: getValue('Estado', 'revisionTecnica.estado'),
+          fechaVencimiento: getValue('Fecha de vencimiento', 'revisionTecnica.fechaVencimiento'),
         };
 
         // Gases (si hay sección separada)
@@ -322,27 +229,27 @@ export default {
 
         // Permiso de circulación
         result.permisoCirculacion = {
-          añoPago: getValue('Año de pago'),
-          municipalidad: getValue('Municipalidad'),
-          fechaPago: getValue('Fecha de pago'),
+          añoPago: getValue('Año de pago', 'permisoCirculacion.añoPago'),
+          municipalidad: getValue('Municipalidad', 'permisoCirculacion.municipalidad'),
+          fechaPago: getValue('Fecha de pago', 'permisoCirculacion.fechaPago'),
         };
 
         // SOAP
         result.soap = {
           estado: null,
-          compania: getValue('Compañia') || getValue('Compania'),
-          fechaInicio: getValue('Fecha inicio'),
+          compania: getValue('Compañia', 'soap.compania') || getValue('Compania', 'soap.compania'),
+          fechaInicio: getValue('Fecha inicio', 'soap.fechaInicio'),
           fechaVencimiento: null,
         };
         // Buscar estado y vencimiento de SOAP
-        const soapEstado = getValue('Estado');
+        const soapEstado = getValue('Estado', 'soap.estado');
         if (soapEstado && !soapEstado.includes('VENCIDA')) {
           result.soap.estado = soapEstado;
         }
 
         // Transporte público
-        const esTransporte = getValue('Transporte público');
-        const tipoTransporte = getValue('Tipo transporte');
+        const esTransporte = getValue('Transporte público', 'transportePublico.es');
+        const tipoTransporte = getValue('Tipo transporte', 'transportePublico.tipo');
         if (esTransporte) {
           result.transportePublico = {
             es: esTransporte,
@@ -351,7 +258,7 @@ export default {
         }
 
         // Restricción vehicular
-        const condicion = getValue('Condición');
+        const condicion = getValue('Condición', 'restriccionVehicular.condicion');
         if (condicion) {
           result.restriccionVehicular = {
             condicion: condicion,
@@ -361,11 +268,21 @@ export default {
         return result;
       }, patente.toUpperCase());
 
+      // Si page.evaluate no encontró la tabla, intentar con el HTML completo
+      const reporte = vehicleData.success
+        ? vehicleData
+        : extractVehicleData(await page.content(), patente.toUpperCase());
+
       // Cerrar el navegador
       await browser.close();
       browser = null;
 
-      return new Response(JSON.stringify(vehicleData), {
+      const normalizado = normalizeReport(reporte, {
+        provenance: url.searchParams.get('provenance') === '1'
+      });
+      registrarDrift(normalizado);
+
+      return new Response(JSON.stringify(normalizado), {
         status: 200,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
@@ -376,14 +293,23 @@ export default {
         try { await browser.close(); } catch (e) {}
       }
 
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Error al consultar vehículo',
-        message: error.message,
-      }), {
+      if (error.codigo === 'CAPTCHA') {
+        return new Response(JSON.stringify(createErrorReport(
+          patente, SOURCE, 'CAPTCHA detectado', 'El sitio está mostrando protección de Cloudflare', 'CAPTCHA'
+        )), {
+          status: 403,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify(
+        createErrorReport(patente, SOURCE, 'Error al consultar vehículo', error.message, error.codigo)
+      ), {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
   }
-};
+}, {
+  perfil: request => (validarPatente(new URL(request.url).searchParams.get('patente')).valida ? 'navegador' : 'normal')
+});
@@ -2,181 +2,28 @@
  * Cloudflare Worker dedicado para consultar datos completos del vehículo
  * Endpoint: /consultar?patente=XXX
  * Hace POST a https://www.patentechile.com/resultados
+ * Cada endpoint de PatenteChile pasa por su propio circuit breaker; su
+ * estado (por instancia del Worker) se ve en /health. Los timeouts, errores
+ * de red y 5xx se reintentan según MAX_RETRIES, TIMEOUT_MS y DEADLINE_MS.
  */
 
-/**
- * Parsear HTML de /resultados para extraer toda la información del vehículo
- */
-function parseResultadosHtml(html, patente) {
-  const result = {
-    success: true,
-    patente: patente,
-    timestamp: new Date().toISOString(),
-    source: 'cloudflare-worker',
-    propietario: null,
-    vehiculo: null,
-    multas: null,
-    revisionTecnica: null,
-    gases: null,
-    permisoCirculacion: null,
-    soap: null,
-    transportePublico: null,
-    restriccionVehicular: null
-  };
-
-  try {
-    // Verificar si hay error o patente no encontrada
-    const errorPatterns = [
-      'no se encontr',
-      'patente no válida',
-      'error al consultar',
-      'sin resultados'
-    ];
-
-    const htmlLower = html.toLowerCase();
-    const hasError = errorPatterns.some(pattern => htmlLower.includes(pattern));
-
-    if (hasError && !htmlLower.includes('multas')) {
-      result.success = false;
-      result.error = 'Patente no encontrada o error en consulta';
-      return result;
-    }
-
-    // Función helper para extraer valor de celda después de un label
-    const extractValue = (label) => {
-      const patterns = [
-        new RegExp(`<td[^>]*>\\s*<b>${label}<\\/b>\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i'),
-        new RegExp(`<td[^>]*>${label}\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i'),
-        new RegExp(`<b>${label}<\\/b>\\s*[:\\s]*([^<]+)(?:<|$)`, 'i'),
-        new RegExp(`${label}[:\\s]+([^<\\n]+)`, 'i')
-      ];
-
-      for (const pattern of patterns) {
-        const match = html.match(pattern);
-        if (match && match[1]) {
-          const value = match[1].trim();
-          if (value && value !== '-' && value !== 'N/A') {
-            return value;
-          }
-        }
-      }
-      return null;
-    };
-
-    // Extraer datos del propietario
-    const rut = extractValue('RUT');
-    const nombre = extractValue('Nombre');
-
-    if (rut || nombre) {
-      result.propietario = {
-        rut: rut,
-        nombre: nombre
-      };
-    }
+import { normalizeReport, createErrorReport } from './lib/schema.js';
+import { validarPatenteWorker } from './lib/patente.js';
+import { parseResultadosHtml } from './lib/parse-resultados.js';
+import { registrarDrift } from './lib/drift.js';
+import { conLimiteDeTasa } from './lib/rate-limit.js';
+import { isCaptchaPage } from './lib/captcha.js';
+import { motivoDeFalla, crearRegistroBreakers } from './lib/circuit-breaker.js';
+import { leerReintentos, conReintentos } from './lib/reintentos.js';
 
-    // Extraer datos del vehículo
-    const vehiculoData = {
-      patente: extractValue('Patente') || patente,
-      tipo: extractValue('Tipo'),
-      marca: extractValue('Marca'),
-      modelo: extractValue('Modelo'),
-      año: null,
-      color: extractValue('Color'),
-      numeroMotor: extractValue('N° de motor') || extractValue('Numero Motor') || extractValue('Motor'),
-      numeroChasis: extractValue('N° de chasis') || extractValue('Numero Chasis') || extractValue('Chasis'),
-      procedencia: extractValue('Procedencia'),
-      fabricante: extractValue('Fabricante'),
-      tipoSello: extractValue('Tipo Sello') || extractValue('Sello'),
-      combustible: extractValue('Combustible')
-    };
-
-    // Extraer año
-    const añoMatch = html.match(/Año[:\s]*<\/td>\s*<td[^>]*>(\d{4})/i) ||
-                     html.match(/Año[:\s]+(\d{4})/i);
-    if (añoMatch) {
-      vehiculoData.año = parseInt(añoMatch[1]);
-    }
-
-    if (Object.values(vehiculoData).some(v => v !== null && v !== patente)) {
-      result.vehiculo = vehiculoData;
-    }
-
-    // Extraer multas
-    const tieneMultasMatch = html.match(/tiene multas[:\s]*(sí|si|no)/i) ||
-                             html.match(/(no tiene multas|sin multas)/i);
-
-    const cantidadMultasMatch = html.match(/cantidad[:\s]*(\d+)/i) ||
-                                 html.match(/(\d+)\s*multa/i);
-
-    result.multas = {
-      tiene: tieneMultasMatch ? !tieneMultasMatch[0].toLowerCase().includes('no') : false,
-      cantidad: cantidadMultasMatch ? parseInt(cantidadMultasMatch[1]) : 0,
-      mensaje: extractValue('Multas') || 'Sin información'
-    };
-
-    // Extraer revisión técnica
-    const rtData = {
-      kilometraje: extractValue('Kilometraje'),
-      comuna: extractValue('Comuna'),
-      mes: extractValue('Mes'),
-      ultimoControl: extractValue('Último Control') || extractValue('Ultimo Control'),
-      fechaVencimiento: extractValue('Fecha de Vencimiento') || extractValue('Vencimiento')
-    };
-
-    if (Object.values(rtData).some(v => v !== null)) {
-      result.revisionTecnica = rtData;
-    }
-
-    // Extraer permiso de circulación
-    const permisoData = {
-      añoPago: extractValue('Año Pago') || extractValue('Permiso'),
-      municipalidad: extractValue('Municipalidad'),
-      fechaPago: extractValue('Fecha de Pago') || extractValue('Fecha Pago')
-    };
+// Breakers por endpoint; viven mientras Cloudflare mantenga la instancia
+const BREAKERS = crearRegistroBreakers();
 
-    if (Object.values(permisoData).some(v => v !== null)) {
-      result.permisoCirculacion = permisoData;
-    }
+const SOURCE = 'cloudflare-worker-vehiculo';
 
-    // Extraer SOAP
-    const soapData = {
-      compania: extractValue('Compañía') || extractValue('Compania') || extractValue('SOAP'),
-      fechaInicio: extractValue('Fecha Inicio') || extractValue('Inicio SOAP')
-    };
-
-    if (Object.values(soapData).some(v => v !== null)) {
-      result.soap = soapData;
-    }
-
-    // Extraer transporte público
-    const esTransporte = extractValue('Es Transporte Público') || extractValue('Transporte');
-    const tipoTransporte = extractValue('Tipo Transporte');
-
-    if (esTransporte || tipoTransporte) {
-      result.transportePublico = {
-        es: esTransporte,
-        tipo: tipoTransporte
-      };
-    }
-
-    // Extraer restricción vehicular
-    const restriccion = extractValue('Restricción') || extractValue('Restriccion Vehicular');
-    if (restriccion) {
-      result.restriccionVehicular = {
-        condicion: restriccion
-      };
-    }
-
-  } catch (error) {
-    result.success = false;
-    result.error = `Error al parsear HTML: ${error.message}`;
-  }
-
-  return result;
-}
-
-export default {
-  async fetch(request) {
+// Límite por IP (lib/rate-limit.js)
+export default conLimiteDeTasa({
+  async fetch(request, env = {}) {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
@@ -187,35 +34,57 @@ export default {
       return new Response(null, { status: 200, headers: corsHeaders });
     }
 
+    let patente = null;
+
     try {
       const url = new URL(request.url);
-      const patente = url.searchParams.get('patente');
 
-      if (!patente) {
+      if (url.pathname === '/health') {
         return new Response(JSON.stringify({
-          error: 'Parámetro "patente" es requerido',
-          usage: '/consultar?patente=ABC123'
+          status: 'ok',
+          service: SOURCE,
+          timestamp: new Date().toISOString(),
+          breakers: BREAKERS.estados()
         }), {
+          status: 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
+      patente = url.searchParams.get('patente');
+
+      if (!patente) {
+        return new Response(JSON.stringify(
+          createErrorReport(null, SOURCE, 'Parámetro "patente" es requerido', 'Uso: /consultar?patente=ABC123')
+        ), {
           status: 400,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
 
+      // Rechazar patentes inválidas antes de consultar PatenteChile
+      const validada = validarPatenteWorker(patente, corsHeaders);
+      if (validada.respuesta) return validada.respuesta;
+      patente = validada.patente;
+
       // Probar múltiples endpoints conocidos de PatenteChile
       const endpoints = [
         {
+          nombre: 'patentechile-resultados-post',
           url: 'https://www.patentechile.com/resultados',
           method: 'POST',
           body: `patente=${patente.toUpperCase()}`,
           contentType: 'application/x-www-form-urlencoded'
         },
         {
+          nombre: 'patentechile-resultados-get',
           url: `https://www.patentechile.com/resultados?patente=${patente.toUpperCase()}`,
           method: 'GET',
           body: null,
           contentType: null
         },
         {
+          nombre: 'patentechile-resultado-consulta',
           url: 'https://patentechile.com/resultado-consulta',
           method: 'POST',
           body: `patente=${patente.toUpperCase()}`,
@@ -225,8 +94,25 @@ export default {
 
       let response = null;
       let lastError = null;
+      let ultimoMotivo = null;
+      const abiertos = [];
+
+      // DEADLINE_MS es para todos los endpoints juntos
+      const reintentos = leerReintentos(env);
+      const fin = reintentos.plazo ? Date.now() + reintentos.plazo : Infinity;
 
       for (const endpoint of endpoints) {
+        if (Date.now() >= fin) break;
+
+        // Circuito abierto: no tocar el endpoint y pasar al siguiente
+        const breaker = BREAKERS.de(endpoint.nombre);
+        if (!breaker.permitir()) {
+          abiertos.push(breaker);
+          lastError = new Error(breaker.mensaje());
+          continue;
+        }
+
+        let motivo = null;
         try {
           const headers = {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
@@ -244,25 +130,42 @@ export default {
           const fetchOptions = {
             method: endpoint.method,
             headers: headers,
-            redirect: 'follow',
-            signal: AbortSignal.timeout(15000)
+            redirect: 'follow'
           };
 
           if (endpoint.body) {
             fetchOptions.body = endpoint.body;
           }
 
-          response = await fetch(endpoint.url, fetchOptions);
-
-          if (response.ok) {
-            const text = await response.text();
+          // Un 5xx que es el challenge de Cloudflare no se reintenta: cuenta como CAPTCHA
+          let text;
+          ({ response, text } = await conReintentos(async signal => {
+            const respuesta = await fetch(endpoint.url, { ...fetchOptions, signal });
+            return { response: respuesta, text: await respuesta.text() };
+          }, {
+            ...reintentos,
+            plazo: fin - Date.now(),
+            reintentarSi: intento => intento.response.status >= 500 && !isCaptchaPage(intento.text)
+          }));
+
+          if (isCaptchaPage(text)) {
+            motivo = 'CAPTCHA';
+            lastError = new Error(`CAPTCHA detectado en ${endpoint.nombre}`);
+          } else if (response.status === 429) {
+            motivo = 'LIMITE_TASA';
+            lastError = new Error(`Límite de tasa (429) en ${endpoint.nombre}`);
+          } else if (response.ok) {
             // Verificar que no sea solo la página de inicio o error
             if (text.includes('Propietario') || text.includes('Vehículo') ||
                 text.includes('propietario') || text.includes('vehiculo') ||
                 text.includes('RUT') || text.includes('Marca')) {
-              // Encontramos datos válidos
-              const parsedData = parseResultadosHtml(text, patente.toUpperCase());
+              // Encontramos datos válidos; `endpoint` indica cuál respondió
+              const parsedData = normalizeReport(parseResultadosHtml(text, patente.toUpperCase()), {
+                source: SOURCE,
+                provenance: url.searchParams.get('provenance') === '1'
+              });
               parsedData.endpoint = endpoint.url;
+              registrarDrift(parsedData);
               return new Response(JSON.stringify(parsedData), {
                 status: 200,
                 headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -271,22 +174,36 @@ export default {
           }
         } catch (err) {
           lastError = err;
+          motivo = motivoDeFalla(null, err);
           continue;
+        } finally {
+          breaker.registrar(motivo);
+          ultimoMotivo = motivo || ultimoMotivo;
         }
       }
 
+      // Todos los circuitos abiertos: fallar al tiro indicando cuándo reintentar
+      if (abiertos.length === endpoints.length) {
+        const hasta = abiertos.map(b => Date.parse(b.estado().abiertoHasta)).filter(Number.isFinite);
+        const segundos = hasta.length > 0 ? Math.max(1, Math.ceil((Math.min(...hasta) - Date.now()) / 1000)) : 1;
+        return new Response(JSON.stringify(createErrorReport(
+          patente, SOURCE, 'Circuito abierto en todos los endpoints de PatenteChile', lastError.message, 'CIRCUITO_ABIERTO'
+        )), {
+          status: 503,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Retry-After': String(segundos) }
+        });
+      }
+
       // Si ningún endpoint funcionó, devolver error con debug info
-      throw new Error(lastError?.message || 'Ningún endpoint devolvió datos válidos');
+      throw Object.assign(new Error(lastError?.message || 'Ningún endpoint devolvió datos válidos'), { codigo: ultimoMotivo });
 
     } catch (error) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Error al consultar vehículo',
-        message: error.message
-      }), {
+      return new Response(JSON.stringify(
+        createErrorReport(patente, SOURCE, 'Error al consultar vehículo', error.message, error.codigo)
+      ), {
         status: 500,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
   }
-};
+}, { perfil: 'normal' });
@@ -6,335 +6,25 @@
  * Endpoints:
  * - /consultar-patente?patente=XXX  → Solo multas (endpoint actual)
  * - /consultar?patente=XXX          → Datos completos del vehículo (propietario, vehículo, RT, SOAP, etc.)
+ *
+ * Las peticiones a PatenteChile reintentan timeouts, errores de red y 5xx
+ * según MAX_RETRIES, TIMEOUT_MS y DEADLINE_MS (lib/reintentos.js).
  */
 
-/**
- * Parsear HTML de /resultados para extraer toda la información del vehículo
- * Estructura esperada: tabla con celdas <td><b>Label</b></td><td>Valor</td>
- */
-function parseResultadosHtml(html, patente) {
-  const result = {
-    success: true,
-    patente: patente,
-    timestamp: new Date().toISOString(),
-    source: 'cloudflare-worker',
-    propietario: null,
-    vehiculo: null,
-    multas: null,
-    revisionTecnica: null,
-    gases: null,
-    permisoCirculacion: null,
-    soap: null,
-    transportePublico: null,
-    restriccionVehicular: null
-  };
-
-  try {
-    // Verificar si hay error o patente no encontrada
-    const errorPatterns = [
-      'no se encontr',
-      'patente no válida',
-      'error al consultar',
-      'sin resultados'
-    ];
-
-    const htmlLower = html.toLowerCase();
-    const hasError = errorPatterns.some(pattern => htmlLower.includes(pattern));
-
-    if (hasError && !htmlLower.includes('multas')) {
-      result.success = false;
-      result.error = 'Patente no encontrada o error en consulta';
-      return result;
-    }
-
-    // Función helper para extraer valor de celda después de un label
-    const extractValue = (label) => {
-      // Patrón: <td><b>Label</b></td><td>Valor</td> o <td>Label</td><td>Valor</td>
-      const patterns = [
-        new RegExp(`<td[^>]*>\\s*<b>${label}<\\/b>\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i'),
-        new RegExp(`<td[^>]*>${label}\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i'),
-        new RegExp(`<b>${label}<\\/b>\\s*[:\\s]*([^<]+)(?:<|$)`, 'i'),
-        new RegExp(`${label}[:\\s]+([^<\\n]+)`, 'i')
-      ];
-
-      for (const pattern of patterns) {
-        const match = html.match(pattern);
-        if (match && match[1]) {
-          const value = match[1].trim();
-          if (value && value !== '-' && value !== 'N/A') {
-            return value;
-          }
-        }
-      }
-      return null;
-    };
-
-    // Extraer datos del propietario
-    const rut = extractValue('RUT');
-    const nombre = extractValue('Nombre');
-
-    if (rut || nombre) {
-      result.propietario = {
-        rut: rut,
-        nombre: nombre
-      };
-    }
-
-    // Extraer datos del vehículo
-    const vehiculoData = {
-      patente: extractValue('Patente') || patente,
-      tipo: extractValue('Tipo'),
-      marca: extractValue('Marca'),
-      modelo: extractValue('Modelo'),
-      año: null,
-      color: extractValue('Color'),
-      numeroMotor: extractValue('N° de motor') || extractValue('Numero Motor') || extractValue('Motor'),
-      numeroChasis: extractValue('N° de chasis') || extractValue('Numero Chasis') || extractValue('Chasis'),
-      procedencia: extractValue('Procedencia'),
-      fabricante: extractValue('Fabricante'),
-      tipoSello: extractValue('Tipo Sello') || extractValue('Sello'),
-      combustible: extractValue('Combustible')
-    };
-
-    // Extraer año (puede ser número)
-    const añoMatch = html.match(/Año[:\s]*<\/td>\s*<td[^>]*>(\d{4})/i) ||
-                     html.match(/Año[:\s]+(\d{4})/i);
-    if (añoMatch) {
-      vehiculoData.año = parseInt(añoMatch[1]);
-    }
-
-    // Solo agregar si tiene datos
-    if (Object.values(vehiculoData).some(v => v !== null && v !== patente)) {
-      result.vehiculo = vehiculoData;
-    }
-
-    // Extraer multas
-    const tieneMultasMatch = html.match(/tiene multas[:\s]*(sí|si|no)/i) ||
-                             html.match(/(no tiene multas|sin multas)/i) ||
-                             html.match(/multas[:\s]*(sí|si|no)/i);
-
-    const cantidadMultasMatch = html.match(/cantidad[:\s]*(\d+)/i) ||
-                                 html.match(/(\d+)\s*multa/i);
-
-    result.multas = {
-      tiene: tieneMultasMatch ? tieneMultasMatch[1].toLowerCase().includes('s') : false,
-      cantidad: cantidadMultasMatch ? parseInt(cantidadMultasMatch[1]) : 0,
-      mensaje: extractValue('Multas') || 'Sin información'
-    };
-
-    // Extraer revisión técnica
-    const rtData = {
-      kilometraje: extractValue('Kilometraje'),
-      comuna: extractValue('Comuna'),
-      mes: extractValue('Mes'),
-      ultimoControl: extractValue('Último Control') || extractValue('Ultimo Control'),
-      fechaVencimiento: extractValue('Fecha de Vencimiento') || extractValue('Vencimiento')
-    };
-
-    if (Object.values(rtData).some(v => v !== null)) {
-      result.revisionTecnica = rtData;
-    }
-
-    // Extraer gases
-    const gasesData = {
-      ultimoControl: extractValue('Gases') || extractValue('Control Gases'),
-      fechaVencimiento: extractValue('Vencimiento Gases')
-    };
-
-    if (Object.values(gasesData).some(v => v !== null)) {
-      result.gases = gasesData;
-    }
-
-    // Extraer permiso de circulación
-    const permisoData = {
-      añoPago: extractValue('Año Pago') || extractValue('Permiso'),
-      municipalidad: extractValue('Municipalidad'),
-      fechaPago: extractValue('Fecha de Pago') || extractValue('Fecha Pago')
-    };
-
-    if (Object.values(permisoData).some(v => v !== null)) {
-      result.permisoCirculacion = permisoData;
-    }
-
-    // Extraer SOAP
-    const soapData = {
-      compania: extractValue('Compañía') || extractValue('Compania') || extractValue('SOAP'),
-      fechaInicio: extractValue('Fecha Inicio') || extractValue('Inicio SOAP')
-    };
-
-    if (Object.values(soapData).some(v => v !== null)) {
-      result.soap = soapData;
-    }
-
-    // Extraer transporte público
-    const esTransporte = extractValue('Es Transporte Público') || extractValue('Transporte');
-    const tipoTransporte = extractValue('Tipo Transporte');
-
-    if (esTransporte || tipoTransporte) {
-      result.transportePublico = {
-        es: esTransporte,
-        tipo: tipoTransporte
-      };
-    }
-
-    // Extraer restricción vehicular
-    const restriccion = extractValue('Restricción') || extractValue('Restriccion Vehicular');
-    if (restriccion) {
-      result.restriccionVehicular = {
-        condicion: restriccion
-      };
-    }
-
-  } catch (error) {
-    result.success = false;
-    result.error = `Error al parsear HTML: ${error.message}`;
-  }
-
-  return result;
-}
-
-/**
- * Parsear HTML para extraer información de multas y vehículo
- */
-function parseMultasFromHtml(html, patente) {
-  const result = {
-    patente: patente,
-    tieneMultas: false,
-    cantidadMultas: 0,
-    mensaje: 'No se encontraron multas',
-    informacionVehiculo: {},
-    multas: [],
-    timestamp: new Date().toISOString(),
-    source: 'cloudflare-worker'
-  };
-
-  try {
-    // Buscar indicadores de sin multas
-    const indicadoresSinMultas = [
-      'no se encontraron multas',
-      'sin multas',
-      'no tiene multas',
-      'no hay multas',
-      'sin infracciones',
-      'no hay infracciones'
-    ];
-
-    const hasNoMultas = indicadoresSinMultas.some(indicator =>
-      html.toLowerCase().includes(indicator.toLowerCase())
-    );
-
-    if (hasNoMultas) {
-      result.mensaje = 'No se encontraron multas';
-      return result;
-    }
-
-    // Extraer información del vehículo
-    const nombreMatch = html.match(/Nombre[:\s]+([A-ZÁÉÍÓÚÑÜ\s]+?)(?:<|Vehiculo|RUT|Año)/i);
-    if (nombreMatch) {
-      result.informacionVehiculo.nombre = nombreMatch[1].trim();
-    }
+import { normalizeReport, createErrorReport } from './lib/schema.js';
+import { validarPatenteWorker } from './lib/patente.js';
+import { isCaptchaPage } from './lib/captcha.js';
+import { parseResultadosHtml } from './lib/parse-resultados.js';
+import { parseMultasFromHtml } from './lib/parse-multas.js';
+import { registrarDrift } from './lib/drift.js';
+import { conLimiteDeTasa } from './lib/rate-limit.js';
+import { leerReintentos, fetchConReintentos } from './lib/reintentos.js';
 
-    const vehiculoMatch = html.match(/Vehiculo[:\s]+([^<]+?)(?=<|Año|Color|$)/i);
-    if (vehiculoMatch) {
-      result.informacionVehiculo.vehiculo = vehiculoMatch[1].trim();
-    }
+// source de los reportes de /consultar (el mismo que pone parseResultadosHtml)
+const SOURCE = 'cloudflare-worker';
 
-    const añoMatch = html.match(/Año[:\s]+(\d{4})/i);
-    if (añoMatch) {
-      result.informacionVehiculo.año = parseInt(añoMatch[1]);
-    }
-
-    const colorMatch = html.match(/Color[:\s]+([A-ZÁÉÍÓÚÑÜ]+)/i);
-    if (colorMatch) {
-      result.informacionVehiculo.color = colorMatch[1].trim();
-    }
-
-    // Buscar multas por ROL/CAUSA (patrón más robusto)
-    const multasRegex = /ROL\/CAUSA[:\s]+(\d+)|rol[:\s]*["'](\d+)["']|causa[:\s]*["'](\d+)["']/gi;
-    const rolesEncontrados = new Set(); // Usar Set para evitar duplicados
-    let match;
-
-    while ((match = multasRegex.exec(html)) !== null) {
-      const rol = match[1] || match[2] || match[3];
-      if (rol) {
-        rolesEncontrados.add(rol);
-      }
-    }
-
-    // Buscar información adicional de cada multa (comuna, año, estado, etc.)
-    const multasConDetalles = [];
-
-    // Patrón para buscar bloques de multas con más detalles
-    const multaBlockRegex = /<div[^>]*class[^>]*multa[^>]*>[\s\S]*?<\/div>|<tr[^>]*>[\s\S]*?ROL[^<]*(\d{6})[^<]*<[\s\S]*?<\/tr>/gi;
-    let blockMatch;
-
-    while ((blockMatch = multaBlockRegex.exec(html)) !== null) {
-      const block = blockMatch[0];
-
-      const rolMatch = block.match(/ROL[\/\s]*CAUSA[:\s]*(\d+)|rol[:\s]*["'](\d+)["']/i);
-      const comunaMatch = block.match(/comuna[:\s]*([A-ZÁÉÍÓÚÑÜ\s]+?)(?:<|$)/i);
-      const estadoMatch = block.match(/estado[:\s]*([A-Za-záéíóúñü\s]+?)(?:<|$)/i);
-      const añoMultaMatch = block.match(/año[:\s]*(\d{4})/i);
-      const tipoMatch = block.match(/tipo[:\s]*([^<]+?)(?=<|$)/i);
-
-      if (rolMatch) {
-        const rol = rolMatch[1] || rolMatch[2];
-        multasConDetalles.push({
-          rol: rol,
-          tipo: tipoMatch ? tipoMatch[1].trim() : 'MULTA POR ROL/CAUSA',
-          descripcion: `Multa por ROL/CAUSA ${rol}`,
-          estado: estadoMatch ? estadoMatch[1].trim() : 'Pendiente',
-          comuna: comunaMatch ? comunaMatch[1].trim() : undefined,
-          año: añoMultaMatch ? parseInt(añoMultaMatch[1]) : undefined
-        });
-      }
-    }
-
-    // Si encontramos multas con detalles, usarlas
-    if (multasConDetalles.length > 0) {
-      result.multas = multasConDetalles;
-      result.cantidadMultas = multasConDetalles.length;
-      result.tieneMultas = true;
-      result.mensaje = `Se encontraron ${multasConDetalles.length} multa(s)`;
-    }
-    // Si no, usar los roles encontrados sin detalles
-    else if (rolesEncontrados.size > 0) {
-      result.multas = Array.from(rolesEncontrados).map(rol => ({
-        rol: rol,
-        tipo: 'MULTA POR ROL/CAUSA',
-        descripcion: `Multa por ROL/CAUSA ${rol}`,
-        estado: 'Pendiente'
-      }));
-      result.cantidadMultas = rolesEncontrados.size;
-      result.tieneMultas = true;
-      result.mensaje = `Se encontraron ${rolesEncontrados.size} multa(s)`;
-    }
-
-    // Buscar indicadores explícitos de cantidad de multas
-    const cantidadMatch = html.match(/multas encontradas[:\s]*(\d+)/i) ||
-                         html.match(/tiene[:\s]*(\d+)[:\s]*multa/i) ||
-                         html.match(/infracciones encontradas[:\s]*(\d+)/i);
-
-    if (cantidadMatch) {
-      const cantidad = parseInt(cantidadMatch[1]);
-      if (cantidad > result.cantidadMultas) {
-        result.cantidadMultas = cantidad;
-        result.tieneMultas = cantidad > 0;
-        result.mensaje = cantidad > 0 ?
-          `Se encontraron ${cantidad} multa(s)` :
-          'No se encontraron multas';
-      }
-    }
-
-  } catch (error) {
-    result.mensaje = `Error al parsear HTML: ${error.message}`;
-    result.error = error.message;
-  }
-
-  return result;
-}
-
-export default {
+// Límite por IP (lib/rate-limit.js)
+export default conLimiteDeTasa({
   async fetch(request, env, ctx) {
     // Configurar CORS
     const corsHeaders = {
@@ -417,14 +107,12 @@ export default {
       };
 
       // Realizar la petición al sitio objetivo
-      const response = await fetch(targetUrl, {
+      const response = await fetchConReintentos(targetUrl, {
         method: 'GET',
         headers: browserHeaders,
         // Configuraciones adicionales para evitar detección
-        redirect: 'follow',
-        // Timeout de 30 segundos
-        signal: AbortSignal.timeout(30000)
-      });
+        redirect: 'follow'
+      }, leerReintentos(env));
 
       if (!response.ok) {
         return new Response(JSON.stringify({
@@ -481,7 +169,7 @@ export default {
       });
     }
   }
-};
+}, { perfil: 'normal' });
 
 /**
  * Función para hacer scraping específico de patentes
@@ -500,7 +188,7 @@ export async function scrapePatente(request, env, ctx) {
 
   try {
     const url = new URL(request.url);
-    const patente = url.searchParams.get('patente');
+    let patente = url.searchParams.get('patente');
     
     if (!patente) {
       return new Response(JSON.stringify({
@@ -512,6 +200,11 @@ export async function scrapePatente(request, env, ctx) {
       });
     }
 
+    // Rechazar patentes inválidas antes de consultar PatenteChile
+    const validada = validarPatenteWorker(patente, corsHeaders);
+    if (validada.respuesta) return validada.respuesta;
+    patente = validada.patente;
+
     // URL del formulario de consulta
     const targetUrl = 'https://www.patentechile.com/consultar-multas/';
     
@@ -534,11 +227,10 @@ export async function scrapePatente(request, env, ctx) {
     };
 
     // Primero obtener la página del formulario
-    const formResponse = await fetch(targetUrl, {
+    const formResponse = await fetchConReintentos(targetUrl, {
       method: 'GET',
-      headers: headers,
-      signal: AbortSignal.timeout(30000)
-    });
+      headers: headers
+    }, leerReintentos(env));
 
     if (!formResponse.ok) {
       throw new Error(`Error al cargar formulario: ${formResponse.status}`);
@@ -599,7 +291,7 @@ export async function consultarPatente(request, env, ctx) {
 
   try {
     const url = new URL(request.url);
-    const patente = url.searchParams.get('patente');
+    let patente = url.searchParams.get('patente');
     
     if (!patente) {
       return new Response(JSON.stringify({
@@ -611,6 +303,11 @@ export async function consultarPatente(request, env, ctx) {
       });
     }
 
+    // Rechazar patentes inválidas antes de consultar PatenteChile
+    const validada = validarPatenteWorker(patente, corsHeaders);
+    if (validada.respuesta) return validada.respuesta;
+    patente = validada.patente;
+
     // Basándome en el análisis del JavaScript del sitio, el formulario se envía por POST
     // a https://www.patentechile.com/resultado-multas con los parámetros:
     // frmTerm2: patente, frmOpcion2: tipo (vehiculo/moto)
@@ -650,13 +347,12 @@ export async function consultarPatente(request, env, ctx) {
     });
 
     // Realizar la consulta POST con los datos del formulario
-    const response = await fetch(consultaUrl, {
+    const response = await fetchConReintentos(consultaUrl, {
       method: 'POST',
       headers: headers,
       body: formData,
-      redirect: 'follow',
-      signal: AbortSignal.timeout(30000)
-    });
+      redirect: 'follow'
+    }, leerReintentos(env));
 
     if (!response.ok) {
       throw new Error(`Error en consulta: ${response.status}`);
@@ -665,8 +361,7 @@ export async function consultarPatente(request, env, ctx) {
     const resultHtml = await response.text();
     
     // Verificar si hay CAPTCHA en la respuesta
-    if (resultHtml.toLowerCase().includes('cloudflare') && 
-        resultHtml.toLowerCase().includes('checking your browser')) {
+    if (isCaptchaPage(resultHtml)) {
       return new Response(JSON.stringify({
         error: 'CAPTCHA detectado en respuesta',
         message: 'El sitio está mostrando un CAPTCHA de Cloudflare'
@@ -712,20 +407,25 @@ export async function consultarVehiculo(request, env, ctx) {
     return new Response(null, { status: 200, headers: corsHeaders });
   }
 
+  let patente = null;
   try {
     const url = new URL(request.url);
-    const patente = url.searchParams.get('patente');
+    patente = url.searchParams.get('patente');
 
     if (!patente) {
-      return new Response(JSON.stringify({
-        error: 'Parámetro "patente" es requerido',
-        usage: '/consultar?patente=ABC123'
-      }), {
+      return new Response(JSON.stringify(
+        createErrorReport(null, SOURCE, 'Parámetro "patente" es requerido', 'Uso: /consultar?patente=ABC123')
+      ), {
         status: 400,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
+    // Rechazar patentes inválidas antes de consultar PatenteChile
+    const validada = validarPatenteWorker(patente, corsHeaders);
+    if (validada.respuesta) return validada.respuesta;
+    patente = validada.patente;
+
     // URL de resultados de PatenteChile
     const consultaUrl = 'https://www.patentechile.com/resultados';
 
@@ -761,13 +461,12 @@ export async function consultarVehiculo(request, env, ctx) {
     });
 
     // Realizar la consulta POST
-    const response = await fetch(consultaUrl, {
+    const response = await fetchConReintentos(consultaUrl, {
       method: 'POST',
       headers: headers,
       body: formData,
-      redirect: 'follow',
-      signal: AbortSignal.timeout(30000)
-    });
+      redirect: 'follow'
+    }, leerReintentos(env));
 
     if (!response.ok) {
       throw new Error(`Error en consulta: ${response.status}`);
@@ -776,20 +475,20 @@ export async function consultarVehiculo(request, env, ctx) {
     const resultHtml = await response.text();
 
     // Verificar si hay CAPTCHA en la respuesta
-    if (resultHtml.toLowerCase().includes('just a moment') &&
-        resultHtml.toLowerCase().includes('checking your browser')) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'CAPTCHA detectado',
-        message: 'El sitio está mostrando un CAPTCHA de Cloudflare'
-      }), {
+    if (isCaptchaPage(resultHtml)) {
+      return new Response(JSON.stringify(createErrorReport(
+        patente, SOURCE, 'CAPTCHA detectado', 'El sitio está mostrando un CAPTCHA de Cloudflare', 'CAPTCHA'
+      )), {
         status: 403,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
-    // Parsear HTML para extraer información estructurada
-    const parsedData = parseResultadosHtml(resultHtml, patente.toUpperCase());
+    // Parsear HTML y llevarlo al esquema canónico
+    const parsedData = normalizeReport(parseResultadosHtml(resultHtml, patente.toUpperCase()), {
+      provenance: url.searchParams.get('provenance') === '1'
+    });
+    registrarDrift(parsedData);
 
     return new Response(JSON.stringify(parsedData), {
       status: 200,
@@ -797,11 +496,9 @@ export async function consultarVehiculo(request, env, ctx) {
     });
 
   } catch (error) {
-    return new Response(JSON.stringify({
-      success: false,
-      error: 'Error al consultar vehículo',
-      message: error.message
-    }), {
+    return new Response(JSON.stringify(
+      createErrorReport(patente, SOURCE, 'Error al consultar vehículo', error.message, error.codigo)
+    ), {
       status: 500,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }
     });
@@ -0,0 +1,254 @@
+/**
+ * API keys de la API local: identificación, cuotas y secciones permitidas
+ * Las keys se cargan de API_KEYS_FILE (JSON) o de API_KEYS (el mismo JSON en
+ * la variable). Cada key tiene un label para los logs, una cuota diaria y una
+ * mensual (días y meses de Chile continental) y la lista de secciones del
+ * reporte que puede ver. El uso se guarda en memoria, o en API_KEYS_USO para
+ * que sobreviva a un reinicio.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { SECCIONES } = require('./schema');
+const { ZONA_HORARIA, hoySantiago, diasEntre } = require('./fechas');
+
+/**
+ * SHA-256 en hex; las keys se comparan por hash y el archivo puede traer
+ * solo el hash en vez de la key
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Leer la configuración de keys desde archivo o variable de entorno
+ * @param {object} [env] - Variables de entorno (por defecto process.env)
+ * @returns {object[]|null} - Entradas crudas, o null si no hay keys configuradas
+ */
+function leerConfiguracion(env = process.env) {
+  let texto = null;
+  if (env.API_KEYS_FILE) {
+    texto = fs.readFileSync(env.API_KEYS_FILE, 'utf8');
+  } else if (env.API_KEYS) {
+    texto = env.API_KEYS;
+  }
+  if (!texto) return null;
+
+  const config = JSON.parse(texto);
+  return Array.isArray(config) ? config : config.keys;
+}
+
+/**
+ * Validar y normalizar las entradas de configuración
+ * @param {object[]} entradas - [{ key | sha256, label, cuotaDiaria, cuotaMensual, secciones }]
+ * @returns {object[]} - [{ hash, label, cuotaDiaria, cuotaMensual, secciones }]
+ * @throws {Error} - Si una entrada no tiene key o label, repite label o nombra una sección desconocida
+ */
+function normalizarClientes(entradas) {
+  const labels = new Set();
+
+  return entradas.map((entrada, i) => {
+    if (!entrada.label) throw new Error(`API key #${i + 1}: falta label`);
+    if (labels.has(entrada.label)) throw new Error(`API key "${entrada.label}": label repetido`);
+    labels.add(entrada.label);
+
+    if (!entrada.key && !entrada.sha256) throw new Error(`API key "${entrada.label}": falta key o sha256`);
+
+    const secciones = entrada.secciones || Object.keys(SECCIONES);
+    const desconocidas = secciones.filter(s => !SECCIONES[s]);
+    if (desconocidas.length > 0) {
+      throw new Error(`API key "${entrada.label}": secciones desconocidas: ${desconocidas.join(', ')}`);
+    }
+
+    return {
+      hash: entrada.sha256 ? entrada.sha256.toLowerCase() : hashKey(entrada.key),
+      label: entrada.label,
+      cuotaDiaria: entrada.cuotaDiaria ?? null,
+      cuotaMensual: entrada.cuotaMensual ?? null,
+      secciones
+    };
+  });
+}
+
+/**
+ * Segundos que faltan para la medianoche en Chile continental
+ */
+function segundosHastaMedianoche(ahora) {
+  const partes = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: ZONA_HORARIA,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(ahora).map(p => [p.type, Number(p.value)]));
+
+  return 86400 - (partes.hour * 3600 + partes.minute * 60 + partes.second);
+}
+
+/**
+ * Key enviada en la petición: header X-API-Key o Authorization: Bearer
+ */
+function keyDeHeaders(headers) {
+  if (headers['x-api-key']) return headers['x-api-key'];
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Crear el autenticador de la API
+ * @param {object[]|null} entradas - Configuración (ver leerConfiguracion); null desactiva la autenticación
+ * @param {object} [options] - { archivoUso } para persistir el uso, { ahora } reloj para tests
+ * @returns {object} - { habilitado, autenticar, buscar, consumir, devolver, uso, puedeVer, redactar }
+ */
+function crearAutenticador(entradas, options = {}) {
+  const clientes = entradas ? normalizarClientes(entradas) : [];
+  const porHash = new Map(clientes.map(cliente => [cliente.hash, cliente]));
+  const ahora = options.ahora || (() => new Date());
+
+  // { label: { dia, usadoDia, mes, usadoMes } }
+  let registro = {};
+  if (options.archivoUso && fs.existsSync(options.archivoUso)) {
+    registro = JSON.parse(fs.readFileSync(options.archivoUso, 'utf8'));
+  }
+
+  function guardarUso() {
+    if (options.archivoUso) {
+      fs.writeFileSync(options.archivoUso, JSON.stringify(registro, null, 2));
+    }
+  }
+
+  /**
+   * Uso del cliente en el día y mes actuales (reinicia los contadores vencidos)
+   */
+  function uso(cliente) {
+    const hoy = hoySantiago(ahora());
+    const mes = hoy.slice(0, 7);
+    const actual = registro[cliente.label] || {};
+
+    registro[cliente.label] = {
+      dia: hoy,
+      usadoDia: actual.dia === hoy ? actual.usadoDia : 0,
+      mes,
+      usadoMes: actual.mes === mes ? actual.usadoMes : 0
+    };
+
+    return {
+      label: cliente.label,
+      ...registro[cliente.label],
+      cuotaDiaria: cliente.cuotaDiaria,
+      cuotaMensual: cliente.cuotaMensual,
+      secciones: cliente.secciones
+    };
+  }
+
+  return {
+    habilitado: clientes.length > 0,
+
+    /**
+     * Buscar el cliente de una petición
+     * @param {object} headers - req.headers
+     * @returns {object|null} - Cliente, o null si no envió key o la key no existe
+     */
+    autenticar(headers) {
+      const key = keyDeHeaders(headers);
+      return key ? porHash.get(hashKey(key)) || null : null;
+    },
+
+    /**
+     * Cliente por label, para trabajos que siguen después de la petición (jobs, webhooks)
+     * @returns {object|null}
+     */
+    buscar(label) {
+      return clientes.find(cliente => cliente.label === label) || null;
+    },
+
+    /**
+     * Descontar consultas de la cuota del cliente
+     * No descuenta nada si alguna de las cuotas no alcanza.
+     * @param {object} cliente - De autenticar()
+     * @param {number} [costo] - Consultas a descontar (una por patente)
+     * @returns {object} - { permitido, cuota: 'diaria'|'mensual', reintentarEn } (segundos)
+     */
+    consumir(cliente, costo = 1) {
+      const actual = uso(cliente);
+
+      if (cliente.cuotaDiaria !== null && actual.usadoDia + costo > cliente.cuotaDiaria) {
+        return { permitido: false, cuota: 'diaria', reintentarEn: segundosHastaMedianoche(ahora()) };
+      }
+
+      if (cliente.cuotaMensual !== null && actual.usadoMes + costo > cliente.cuotaMensual) {
+        const [año, mes] = actual.mes.split('-').map(Number);
+        const primeroSiguiente = new Date(Date.UTC(año, mes, 1)).toISOString().slice(0, 10);
+        const dias = diasEntre(actual.dia, primeroSiguiente) - 1;
+        return { permitido: false, cuota: 'mensual', reintentarEn: dias * 86400 + segundosHastaMedianoche(ahora()) };
+      }
+
+      registro[cliente.label].usadoDia += costo;
+      registro[cliente.label].usadoMes += costo;
+      guardarUso();
+      return { permitido: true };
+    },
+
+    /**
+     * Devolver consultas descontadas por una petición que resultó inválida
+     * @param {object} cliente - De autenticar()
+     * @param {number} [costo] - Lo que se descontó con consumir()
+     */
+    devolver(cliente, costo = 1) {
+      uso(cliente);
+      const actual = registro[cliente.label];
+      actual.usadoDia = Math.max(0, actual.usadoDia - costo);
+      actual.usadoMes = Math.max(0, actual.usadoMes - costo);
+      guardarUso();
+    },
+
+    uso,
+
+    /**
+     * ¿El cliente puede ver la sección? Sin autenticación se ve todo.
+     */
+    puedeVer(cliente, seccion) {
+      return !cliente || cliente.secciones.includes(seccion);
+    },
+
+    /**
+     * Dejar en null las secciones que el cliente no puede ver, junto con sus
+     * advertencias, _provenance, conflictos y fuentes; sin vehiculo también se
+     * quita restriccionCalculada, que se calcula con él. Modifica el reporte.
+     * @param {object} reporte - Reporte normalizado
+     * @param {object|null} cliente - De autenticar()
+     * @returns {string[]} - Secciones omitidas
+     */
+    redactar(reporte, cliente) {
+      if (!cliente) return [];
+
+      const omitidas = Object.keys(SECCIONES).filter(s => !cliente.secciones.includes(s));
+      const visible = ruta => !omitidas.includes(ruta.split('.')[0]);
+
+      for (const seccion of omitidas) {
+        if (seccion in reporte) reporte[seccion] = null;
+      }
+      if (reporte.advertencias) {
+        reporte.advertencias = reporte.advertencias.filter(a => visible(a.campo));
+      }
+      if (reporte._provenance) {
+        reporte._provenance = Object.fromEntries(Object.entries(reporte._provenance).filter(([ruta]) => visible(ruta)));
+      }
+      if (reporte.conflictos) {
+        reporte.conflictos = reporte.conflictos.filter(c => visible(c.campo));
+      }
+      if (reporte.fuentes) {
+        for (const seccion of omitidas) delete reporte.fuentes[seccion];
+      }
+      if (omitidas.includes('vehiculo')) delete reporte.restriccionCalculada;
+      return omitidas;
+    }
+  };
+}
+
+module.exports = {
+  hashKey,
+  leerConfiguracion,
+  keyDeHeaders,
+  crearAutenticador
+};
@@ -0,0 +1,114 @@
+/**
+ * Servidor local que imita la API de Boostr, para probar el cliente sin red
+ * Responde /vehicle/{patente}.json y /tag/{rut}.json con datos de ejemplo,
+ * exige la API key y aplica el mismo límite de 5 peticiones cada 10 s
+ * (responde 429 si se excede).
+ *
+ * Uso: node lib/boostr-mock.js [puerto]
+ * y luego BOOSTR_URL=http://localhost:4010 BOOSTR_API_KEY=clave-de-prueba npm start
+ */
+
+const http = require('http');
+const { LIMITE } = require('./boostr');
+
+const API_KEY = 'clave-de-prueba';
+
+// Datos de ejemplo con la forma de `data` en las respuestas de Boostr
+const VEHICULOS = {
+  HVCY94: {
+    plate: 'HVCY94',
+    dv: 'K',
+    type: 'AUTOMOVIL',
+    make: 'KIA',
+    model: 'MORNING EX 1.2',
+    year: 2016,
+    color: 'BLANCO',
+    engine: 'G4LAFP123456',
+    chassis: 'KNABX512BGT123456',
+    manufacturer: 'KIA MOTORS',
+    fuel: 'GASOLINA',
+    owner: { rut: '12.345.678-5', name: 'JUAN PÉREZ SOTO' },
+    technical_review: { date: '2024-05-10', expiration_date: '2025-05-31', result: 'APROBADA', commune: 'MAIPU' },
+    soap: { company: 'HDI SEGUROS', start_date: '2024-04-01', end_date: '2025-03-31' }
+  },
+  GKSB78: {
+    plate: 'GKSB78',
+    type: 'CAMIONETA',
+    make: 'TOYOTA',
+    model: 'HILUX',
+    year: 2014,
+    color: 'GRIS',
+    fuel: 'DIESEL',
+    owner: null,
+    technical_review: null,
+    soap: null
+  }
+};
+
+const TAGS = {
+  '12345678-5': [
+    { plate: 'HVCY94', company: 'AUTOPISTA CENTRAL', status: 'ACTIVO', debt: 12500 }
+  ]
+};
+
+/**
+ * Crear el servidor simulado (sin escuchar todavía)
+ * @param {object} [options] - { apiKey }, { vehiculos }, { tags }, { peticiones } y { ventanaMs } del límite
+ * @returns {http.Server} - Con `peticiones`: instante de cada petición recibida
+ */
+function crearMockBoostr({
+  apiKey = API_KEY,
+  vehiculos = VEHICULOS,
+  tags = TAGS,
+  peticiones = LIMITE.peticiones,
+  ventanaMs = LIMITE.ventanaMs
+} = {}) {
+  const recibidas = [];
+
+  const servidor = http.createServer((req, res) => {
+    const responder = (status, cuerpo) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(cuerpo));
+    };
+
+    if (req.headers['x-api-key'] !== apiKey) {
+      return responder(401, { status: 'error', message: 'Invalid API key' });
+    }
+
+    const ahora = Date.now();
+    recibidas.push(ahora);
+    if (recibidas.filter(t => t > ahora - ventanaMs).length > peticiones) {
+      return responder(429, { status: 'error', message: 'Too many requests' });
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let coincidencia;
+    if ((coincidencia = pathname.match(/^\/vehicle\/([^/]+)\.json$/))) {
+      const vehiculo = vehiculos[decodeURIComponent(coincidencia[1]).toUpperCase()];
+      return vehiculo
+        ? responder(200, { status: 'success', data: vehiculo })
+        : responder(404, { status: 'error', message: 'Vehicle not found' });
+    }
+    if ((coincidencia = pathname.match(/^\/tag\/([^/]+)\.json$/))) {
+      return responder(200, { status: 'success', data: tags[decodeURIComponent(coincidencia[1])] || [] });
+    }
+    responder(404, { status: 'error', message: 'Not found' });
+  });
+
+  servidor.peticiones = recibidas;
+  return servidor;
+}
+
+if (require.main === module) {
+  const puerto = Number(process.argv[2]) || 4010;
+  crearMockBoostr().listen(puerto, () => {
+    console.log(`Boostr simulado en http://localhost:${puerto} (API key: ${API_KEY})`);
+  });
+}
+
+module.exports = {
+  API_KEY,
+  VEHICULOS,
+  TAGS,
+  crearMockBoostr
+};
@@ -0,0 +1,233 @@
+/**
+ * Cliente de la API de Boostr (https://api.boostr.cl)
+ * Segunda fuente para propietario, vehículo, revisión técnica y SOAP, y la
+ * única para el TAG. Boostr permite 5 peticiones cada 10 segundos por key:
+ * el cliente encola las peticiones y las despacha respetando esa ventana.
+ * Las respuestas vienen como { status: 'success', data } y se traducen al
+ * reporte canónico con CAMPOS_VEHICULO. Los timeouts, errores de red y 5xx se
+ * reintentan (lib/reintentos.js); cada reintento vuelve a esperar turno.
+ */
+
+const { normalizeReport } = require('./schema');
+const { TIMEOUT_MS, conReintentos } = require('./reintentos');
+
+const URL_BOOSTR = 'https://api.boostr.cl';
+
+// Límite de Boostr por API key
+const LIMITE = { peticiones: 5, ventanaMs: 10_000 };
+
+const SOURCE = 'boostr';
+
+/**
+ * Campo del reporte ← ruta en `data` de /vehicle/{patente}.json
+ */
+const CAMPOS_VEHICULO = {
+  'propietario.rut': 'owner.rut',
+  'propietario.nombre': 'owner.name',
+  'vehiculo.tipo': 'type',
+  'vehiculo.marca': 'make',
+  'vehiculo.modelo': 'model',
+  'vehiculo.año': 'year',
+  'vehiculo.color': 'color',
+  'vehiculo.numeroMotor': 'engine',
+  'vehiculo.numeroChasis': 'chassis',
+  'vehiculo.fabricante': 'manufacturer',
+  'vehiculo.combustible': 'fuel',
+  'revisionTecnica.ultimoControl': 'technical_review.date',
+  'revisionTecnica.fechaVencimiento': 'technical_review.expiration_date',
+  'revisionTecnica.estado': 'technical_review.result',
+  'revisionTecnica.comuna': 'technical_review.commune',
+  'soap.compania': 'soap.company',
+  'soap.fechaInicio': 'soap.start_date',
+  'soap.fechaVencimiento': 'soap.end_date'
+};
+
+// Secciones que entrega Boostr
+const SECCIONES_BOOSTR = [...new Set(Object.keys(CAMPOS_VEHICULO).map(ruta => ruta.split('.')[0]))];
+
+/**
+ * Ventana deslizante: como máximo `peticiones` cada `ventanaMs`; el resto espera en orden
+ * Cada petición ocupa su lugar hasta `ventanaMs` después de terminar, así la
+ * latencia de la red no junta en el servidor peticiones que salieron separadas.
+ * @returns {object} - { turno(signal) => Promise<liberar()>, estado() }
+ */
+function crearVentana({ peticiones = LIMITE.peticiones, ventanaMs = LIMITE.ventanaMs } = {}) {
+  // Instante en que terminó cada petición reciente (Infinity mientras está en curso)
+  let recientes = [];
+  const cola = [];
+  let timer = null;
+
+  function despachar() {
+    clearTimeout(timer);
+    timer = null;
+    while (cola.length > 0) {
+      const ahora = Date.now();
+      recientes = recientes.filter(reciente => reciente.fin > ahora - ventanaMs);
+      if (recientes.length >= peticiones) {
+        const primera = Math.min(...recientes.map(reciente => reciente.fin));
+        if (primera !== Infinity) timer = setTimeout(despachar, primera + ventanaMs - ahora);
+        return;
+      }
+
+      const reciente = { fin: Infinity };
+      recientes.push(reciente);
+      cola.shift().resolve(() => {
+        if (reciente.fin !== Infinity) return;
+        reciente.fin = Date.now();
+        despachar();
+      });
+    }
+  }
+
+  /**
+   * Esperar el turno de una petición; hay que llamar liberar() cuando termine.
+   * Se rechaza si se aborta la señal antes.
+   */
+  function turno(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const espera = { resolve, reject };
+      cola.push(espera);
+      signal?.addEventListener('abort', () => {
+        const indice = cola.indexOf(espera);
+        if (indice === -1) return;
+        cola.splice(indice, 1);
+        reject(signal.reason);
+      }, { once: true });
+      if (!timer) despachar();
+    });
+  }
+
+  return {
+    turno,
+    estado: () => ({ enCola: cola.length, peticiones, ventanaMs })
+  };
+}
+
+/**
+ * Crear un cliente de Boostr
+ * @param {object} options - { apiKey }, { url } base, { timeout } ms por petición sin contar la espera
+ *   en cola, { maxReintentos } y { plazo } (de leerReintentos), { peticiones } y { ventanaMs } del
+ *   límite (por defecto el de Boostr)
+ * @returns {object} - { vehiculo(patente), tag(rut), estado() }
+ * @throws {Error} - Si falta la API key
+ */
+function crearClienteBoostr({ apiKey, url = URL_BOOSTR, timeout = TIMEOUT_MS, maxReintentos, plazo = 2 * timeout, peticiones, ventanaMs }) {
+  if (!apiKey) throw new Error('Falta la API key de Boostr (BOOSTR_API_KEY)');
+  const ventana = crearVentana({ peticiones, ventanaMs });
+
+  /**
+   * Un intento de GET a Boostr; devuelve `data` de una respuesta exitosa
+   * @throws {Error} - Con `status` HTTP y `codigo` (NO_ENCONTRADA, LIMITE_TASA, TIMEOUT o ERROR)
+   */
+  async function pedirUnaVez(ruta, signal) {
+    const falla = (mensaje, codigo, status = null) => Object.assign(new Error(`Boostr: ${mensaje}`), { codigo, status });
+
+    let liberar;
+    let respuesta;
+    let cuerpo = null;
+    try {
+      liberar = await ventana.turno(signal);
+      respuesta = await fetch(new URL(ruta, url), {
+        headers: { 'X-API-KEY': apiKey, Accept: 'application/json' },
+        signal: AbortSignal.any([AbortSignal.timeout(timeout), ...(signal ? [signal] : [])])
+      });
+      cuerpo = await respuesta.json().catch(() => null);
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') throw falla('sin respuesta a tiempo', 'TIMEOUT');
+      throw falla(error.message, 'ERROR');
+    } finally {
+      if (liberar) liberar();
+    }
+
+    if (!respuesta.ok || cuerpo?.status !== 'success') {
+      const mensaje = cuerpo?.message || `HTTP ${respuesta.status}`;
+      const codigo = { 404: 'NO_ENCONTRADA', 429: 'LIMITE_TASA' }[respuesta.status] || 'ERROR';
+      throw falla(mensaje, codigo, respuesta.status);
+    }
+    return cuerpo.data;
+  }
+
+  /**
+   * GET a Boostr con reintentos; el timeout se aplica a cada petición y el plazo incluye la cola
+   */
+  function pedir(ruta, { signal } = {}) {
+    return conReintentos(senal => pedirUnaVez(ruta, senal), { maxReintentos, timeout: 0, plazo, signal });
+  }
+
+  return {
+    /**
+     * Datos del vehículo, propietario, revisión técnica y SOAP
+     * @param {object} [options] - { signal }
+     */
+    vehiculo: (patente, options) => pedir(`/vehicle/${encodeURIComponent(patente.toUpperCase())}.json`, options),
+
+    /**
+     * TAG (televía) asociados a un RUT
+     * @param {object} [options] - { signal }
+     */
+    tag: (rut, options) => pedir(`/tag/${encodeURIComponent(rut)}.json`, options),
+
+    estado: ventana.estado
+  };
+}
+
+const leerRuta = (datos, ruta) => ruta.split('.').reduce((valor, clave) => (valor == null ? undefined : valor[clave]), datos);
+
+/**
+ * Traducir `data` de /vehicle/{patente}.json al reporte canónico
+ * @param {object} [options] - { provenance: true } para incluir _provenance
+ */
+function reporteBoostr(datos, patente, { provenance = false } = {}) {
+  const raw = { _provenance: {} };
+  for (const [destino, origen] of Object.entries(CAMPOS_VEHICULO)) {
+    const valor = leerRuta(datos, origen);
+    if (valor === undefined || valor === null) continue;
+    const [seccion, campo] = destino.split('.');
+    raw[seccion] = { ...raw[seccion], [campo]: valor };
+    raw._provenance[destino] = { label: origen, estrategia: 'api', confianza: 'alta' };
+  }
+  return normalizeReport(raw, { patente, source: SOURCE, provenance });
+}
+
+/**
+ * Traducir `data` de /tag/{rut}.json
+ * @returns {object} - { rut, tags: [{ patente, concesionaria, estado, deuda }] }
+ */
+function tagBoostr(datos, rut) {
+  return {
+    rut,
+    tags: (Array.isArray(datos) ? datos : []).map(tag => ({
+      patente: tag.plate ?? null,
+      concesionaria: tag.company ?? null,
+      estado: tag.status ?? null,
+      deuda: Number.isFinite(tag.debt) ? tag.debt : null
+    }))
+  };
+}
+
+/**
+ * Boostr como proveedor del orquestador (lib/orquestador.js)
+ * @param {object} options - { cliente } de crearClienteBoostr, { prioridad }
+ */
+function proveedorBoostr({ cliente, prioridad }) {
+  return {
+    nombre: SOURCE,
+    secciones: SECCIONES_BOOSTR,
+    prioridad,
+    async fetch(patente, { signal } = {}) {
+      return reporteBoostr(await cliente.vehiculo(patente, { signal }), patente, { provenance: true });
+    }
+  };
+}
+
+module.exports = {
+  URL_BOOSTR,
+  LIMITE,
+  CAMPOS_VEHICULO,
+  crearVentana,
+  crearClienteBoostr,
+  reporteBoostr,
+  tagBoostr,
+  proveedorBoostr
+};
@@ -0,0 +1,214 @@
+/**
+ * Pool de navegadores para el scraper de Playwright
+ * Mantiene unos pocos navegadores abiertos y entrega a cada consulta un
+ * contexto nuevo (cookies y storage aislados) en el navegador menos ocupado.
+ * Limita las consultas simultáneas; las demás esperan su turno en cola. Un
+ * navegador se recicla después de maxUsos contextos (Firefox acumula
+ * memoria) o si se cae, y el siguiente que haga falta se lanza de nuevo.
+ */
+
+// Tiempo máximo en cola antes de rechazar la consulta
+const MAX_ESPERA_MS = 120_000;
+
+/**
+ * Crear un pool de navegadores
+ * @param {object} options - { lanzar() => Promise<Browser> }, { opcionesContexto } de browser.newContext,
+ *   { navegadores } abiertos como máximo, { concurrencia } contextos simultáneos en total,
+ *   { maxUsos } contextos por navegador antes de reciclarlo, { maxEspera } ms en cola (0 sin límite)
+ * @returns {object} - { adquirir, estadisticas, cerrar }
+ */
+function crearPoolNavegadores({
+  lanzar,
+  opcionesContexto = {},
+  navegadores = 1,
+  concurrencia = 2,
+  maxUsos = 50,
+  maxEspera = MAX_ESPERA_MS
+}) {
+  const porNavegador = Math.ceil(concurrencia / navegadores);
+  const abiertos = [];
+  const cola = [];
+  let enUso = 0;
+  let siguienteId = 1;
+  const contadores = { lanzados: 0, reciclados: 0, caidos: 0, contextos: 0, rechazadas: 0 };
+
+  function quitar(entrada) {
+    const indice = abiertos.indexOf(entrada);
+    if (indice !== -1) abiertos.splice(indice, 1);
+  }
+
+  /**
+   * Un navegador se desconectó sin que lo cerrara el pool
+   */
+  function caido(entrada) {
+    if (entrada.cerrando || entrada.caido) return;
+    entrada.caido = true;
+    entrada.retirado = true;
+    contadores.caidos++;
+    quitar(entrada);
+    console.error(`[Pool] Navegador ${entrada.id} desconectado; el próximo se lanza de nuevo`);
+  }
+
+  async function cerrarNavegador(entrada) {
+    entrada.cerrando = true;
+    quitar(entrada);
+    try {
+      const navegador = await entrada.lanzando;
+      await navegador.close();
+    } catch (e) {
+      // Ya estaba cerrado o no alcanzó a abrir
+    }
+  }
+
+  function lanzarNavegador() {
+    const entrada = { id: siguienteId++, activos: 0, usos: 0, retirado: false, caido: false, cerrando: false };
+    contadores.lanzados++;
+    entrada.lanzando = Promise.resolve().then(lanzar).then(navegador => {
+      navegador.on('disconnected', () => caido(entrada));
+      return navegador;
+    }, error => {
+      quitar(entrada);
+      throw error;
+    });
+    abiertos.push(entrada);
+    return entrada;
+  }
+
+  /**
+   * Navegador para un contexto nuevo: el menos ocupado con espacio, o uno
+   * nuevo si todavía caben
+   */
+  function elegir() {
+    const vigentes = abiertos.filter(entrada => !entrada.retirado);
+    const menosOcupado = vigentes.reduce((mejor, entrada) => (!mejor || entrada.activos < mejor.activos ? entrada : mejor), null);
+
+    if (menosOcupado && menosOcupado.activos < porNavegador) return menosOcupado;
+    if (vigentes.length < navegadores) return lanzarNavegador();
+    // El turno limita el total a concurrencia, así que no deberían estar todos llenos
+    return menosOcupado;
+  }
+
+  /**
+   * Esperar un turno; se rechaza si pasa maxEspera en cola
+   */
+  function turno() {
+    if (enUso < concurrencia && cola.length === 0) {
+      enUso++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const espera = { resolve, reject, timer: null };
+      if (maxEspera > 0) {
+        espera.timer = setTimeout(() => {
+          cola.splice(cola.indexOf(espera), 1);
+          contadores.rechazadas++;
+          const error = new Error(`Pool de navegadores ocupado: más de ${maxEspera} ms en cola`);
+          error.codigo = 'POOL_OCUPADO';
+          reject(error);
+        }, maxEspera);
+      }
+      cola.push(espera);
+    });
+  }
+
+  /**
+   * Pasar el turno al primero de la cola, o liberarlo
+   */
+  function soltarTurno() {
+    const espera = cola.shift();
+    if (espera) {
+      clearTimeout(espera.timer);
+      espera.resolve();
+    } else {
+      enUso--;
+    }
+  }
+
+  /**
+   * Devolver el contexto de un navegador; si estaba retirado y era el último, se cierra
+   */
+  function soltar(entrada, navegador) {
+    entrada.activos--;
+    if (navegador && !navegador.isConnected()) caido(entrada);
+    if (entrada.retirado && !entrada.caido && !entrada.cerrando && entrada.activos === 0) {
+      contadores.reciclados++;
+      cerrarNavegador(entrada);
+    }
+    soltarTurno();
+  }
+
+  /**
+   * Obtener un contexto nuevo; hay que llamar liberar() al terminar, también si falla
+   * @returns {Promise<object>} - { context, liberar() }
+   * @throws {Error} - Si se agota maxEspera en cola (con codigo 'POOL_OCUPADO') o el navegador no se pudo lanzar
+   */
+  async function adquirir() {
+    await turno();
+
+    const entrada = elegir();
+    entrada.activos++;
+    entrada.usos++;
+    // Con maxUsos contextos entregados no recibe más; se cierra cuando terminan
+    if (entrada.usos >= maxUsos) entrada.retirado = true;
+
+    let navegador = null;
+    let context;
+    try {
+      navegador = await entrada.lanzando;
+      context = await navegador.newContext(opcionesContexto);
+    } catch (error) {
+      soltar(entrada, navegador);
+      throw error;
+    }
+    contadores.contextos++;
+
+    let liberado = false;
+    return {
+      context,
+      async liberar() {
+        if (liberado) return;
+        liberado = true;
+        try {
+          await context.close();
+        } catch (e) {
+          // El navegador se cayó con el contexto abierto
+        }
+        soltar(entrada, navegador);
+      }
+    };
+  }
+
+  /**
+   * Estado del pool, para /health
+   */
+  function estadisticas() {
+    return {
+      abiertos: abiertos.length,
+      maxNavegadores: navegadores,
+      enUso,
+      concurrencia,
+      enCola: cola.length,
+      maxUsos,
+      ...contadores,
+      navegadores: abiertos.map(({ id, activos, usos, retirado }) => ({ id, activos, usos, retirado }))
+    };
+  }
+
+  /**
+   * Cerrar todos los navegadores y rechazar las consultas en cola
+   */
+  async function cerrar() {
+    for (const espera of cola.splice(0)) {
+      clearTimeout(espera.timer);
+      espera.reject(new Error('Pool de navegadores cerrado'));
+    }
+    await Promise.all([...abiertos].map(cerrarNavegador));
+  }
+
+  return { adquirir, estadisticas, cerrar };
+}
+
+module.exports = {
+  MAX_ESPERA_MS,
+  crearPoolNavegadores
+};
@@ -0,0 +1,225 @@
+/**
+ * Cache de consultas para la API local
+ * Guarda los reportes de consultarVehiculo y las multas de consultarMultas.
+ * Cada sección del reporte tiene su TTL (las características del vehículo
+ * casi no cambian; las multas y el SOAP sí): una ruta sirve desde el cache
+ * mientras todas las secciones que entrega estén frescas. Una sección que
+ * ningún proveedor respondió (`fuentes` en null) vence en TTL_FALLIDA, para no
+ * consultar de nuevo en cada petición durante una caída parcial ni quedarse
+ * con el hueco por días. El almacén es un
+ * LRU en memoria o, con CACHE_DIR, un directorio en disco que sobrevive a
+ * los reinicios; ambos tienen la interfaz de los almacenes de rate-limit.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HORA = 3600;
+const DIA = 24 * HORA;
+
+/**
+ * TTL por sección del reporte, en segundos (CACHE_TTL ajusta cualquiera)
+ */
+const TTL_SECCIONES = {
+  vehiculo: 30 * DIA,
+  transportePublico: 30 * DIA,
+  propietario: 7 * DIA,
+  permisoCirculacion: 7 * DIA,
+  revisionTecnica: DIA,
+  gases: DIA,
+  soap: DIA,
+  restriccionVehicular: DIA,
+  multas: 6 * HORA
+};
+
+// TTL de una sección cuyos proveedores fallaron todos
+const TTL_FALLIDA = 10 * 60;
+
+/**
+ * Almacén LRU en memoria
+ * @param {object} [options] - { maxEntradas } (por defecto 500)
+ * @returns {object} - { leer(clave), guardar(clave, valor, ttlSegundos), borrar(clave) }
+ */
+function crearAlmacenLRU({ maxEntradas = 500 } = {}) {
+  const datos = new Map();
+
+  return {
+    async leer(clave) {
+      const entrada = datos.get(clave);
+      if (!entrada) return null;
+      datos.delete(clave);
+      if (entrada.expira <= Date.now()) return null;
+
+      // Reinsertar la deja al final: la primera del Map es la menos usada
+      datos.set(clave, entrada);
+      return entrada.valor;
+    },
+
+    async guardar(clave, valor, ttl) {
+      datos.delete(clave);
+      datos.set(clave, { valor, expira: Date.now() + ttl * 1000 });
+      while (datos.size > maxEntradas) {
+        datos.delete(datos.keys().next().value);
+      }
+    },
+
+    async borrar(clave) {
+      datos.delete(clave);
+    }
+  };
+}
+
+/**
+ * Almacén en disco: un archivo JSON por clave
+ * @param {object} options - { directorio }
+ */
+function crearAlmacenDisco({ directorio }) {
+  fs.mkdirSync(directorio, { recursive: true });
+  const archivo = clave => path.join(directorio, `${crypto.createHash('sha1').update(clave).digest('hex')}.json`);
+
+  return {
+    async leer(clave) {
+      let entrada;
+      try {
+        entrada = JSON.parse(await fs.promises.readFile(archivo(clave), 'utf8'));
+      } catch (e) {
+        // No existe o quedó a medio escribir
+        return null;
+      }
+      if (entrada.expira <= Date.now()) {
+        await fs.promises.rm(archivo(clave), { force: true });
+        return null;
+      }
+      return entrada.valor;
+    },
+
+    async guardar(clave, valor, ttl) {
+      // Escribir y renombrar para no dejar archivos a medias
+      const destino = archivo(clave);
+      const temporal = `${destino}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporal, JSON.stringify({ clave, valor, expira: Date.now() + ttl * 1000 }));
+      await fs.promises.rename(temporal, destino);
+    },
+
+    async borrar(clave) {
+      await fs.promises.rm(archivo(clave), { force: true });
+    }
+  };
+}
+
+/**
+ * Por defecto no se guardan los errores (CAPTCHA, timeout, patente no encontrada);
+ * los reportes parciales sí, con sus secciones fallidas en TTL_FALLIDA
+ */
+function esCacheable(valor) {
+  return Boolean(valor) && valor.success !== false && !valor.error;
+}
+
+/**
+ * Crear el cache de consultas
+ * @param {object} options - { almacen, ttls } ttls sobrescribe TTL_SECCIONES,
+ *   { ahora } reloj para tests (() => milisegundos)
+ * @returns {object} - { ttl, leer, guardar, obtener }
+ */
+function crearCacheConsultas({ almacen, ttls = {}, ahora = Date.now }) {
+  const TTL = { ...TTL_SECCIONES, ...ttls };
+  const TTL_MAXIMO = Math.max(...Object.values(TTL));
+  const pendientes = new Map();
+
+  /**
+   * TTL de un conjunto de secciones: el de la más volátil
+   * @param {object} [valor] - Reporte guardado; sus secciones con `fuentes` en null duran TTL_FALLIDA
+   */
+  function ttl(secciones, valor) {
+    const fallida = seccion => valor?.fuentes?.[seccion] === null;
+    return Math.min(...secciones.map(seccion => (fallida(seccion) ? Math.min(TTL[seccion], TTL_FALLIDA) : TTL[seccion])));
+  }
+
+  /**
+   * Entrada fresca para las secciones pedidas
+   * @returns {Promise<object|null>} - { valor, cachedAt, maxAge } o null si no hay o venció
+   */
+  async function leer(clave, secciones) {
+    const entrada = await almacen.leer(clave);
+    if (!entrada) return null;
+
+    const edad = Math.floor((ahora() - Date.parse(entrada.cachedAt)) / 1000);
+    const maxAge = ttl(secciones, entrada.valor) - edad;
+    if (maxAge <= 0) return null;
+
+    return { valor: structuredClone(entrada.valor), cachedAt: entrada.cachedAt, maxAge };
+  }
+
+  /**
+   * Guardar un valor; queda en el almacén mientras alguna sección pueda pedirse
+   * @returns {Promise<object>} - { valor, cachedAt, maxAge } con maxAge para las secciones dadas
+   */
+  async function guardar(clave, valor, secciones) {
+    const cachedAt = new Date(ahora()).toISOString();
+    await almacen.guardar(clave, { valor, cachedAt }, TTL_MAXIMO);
+    return { valor: structuredClone(valor), cachedAt, maxAge: ttl(secciones, valor) };
+  }
+
+  /**
+   * Leer del cache o consultar y guardar
+   * Las consultas simultáneas de la misma clave esperan a la misma promesa.
+   * @param {string} clave - p.ej. 'vehiculo:vehiculo:HVCY94'
+   * @param {string[]} secciones - Secciones que entrega la ruta (definen el TTL)
+   * @param {function} consultar - () => Promise<valor>
+   * @param {object} [options] - { forzar } para ignorar lo guardado (Cache-Control: no-cache)
+   * @returns {Promise<object>} - { valor, cachedAt, maxAge, desdeCache }; cachedAt es null si el valor no se guardó
+   */
+  async function obtener(clave, secciones, consultar, { forzar = false } = {}) {
+    if (!forzar) {
+      const guardado = await leer(clave, secciones);
+      if (guardado) return { ...guardado, desdeCache: true };
+    }
+
+    if (!pendientes.has(clave)) {
+      pendientes.set(clave, (async () => {
+        const valor = await consultar();
+        return esCacheable(valor) ? guardar(clave, valor, secciones) : { valor, cachedAt: null, maxAge: 0 };
+      })().finally(() => pendientes.delete(clave)));
+    }
+
+    const resultado = await pendientes.get(clave);
+    return {
+      valor: structuredClone(resultado.valor),
+      cachedAt: resultado.cachedAt,
+      maxAge: resultado.cachedAt ? ttl(secciones, resultado.valor) : 0,
+      desdeCache: false
+    };
+  }
+
+  return { ttl, leer, guardar, obtener };
+}
+
+/**
+ * ¿El header If-None-Match calza con el ETag? Acepta varios valores, '*' y
+ * ETags débiles (W/).
+ */
+function coincideETag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  const limpio = valor => valor.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(valor => valor.trim() === '*' || limpio(valor) === limpio(etag));
+}
+
+/**
+ * ¿La petición pide saltarse el cache? (Cache-Control: no-cache o Pragma: no-cache)
+ */
+function pideSinCache(headers) {
+  return /(^|,)\s*no-cache\s*(,|$)/i.test(headers['cache-control'] || '') ||
+    /no-cache/i.test(headers.pragma || '');
+}
+
+module.exports = {
+  TTL_SECCIONES,
+  TTL_FALLIDA,
+  crearAlmacenLRU,
+  crearAlmacenDisco,
+  crearCacheConsultas,
+  esCacheable,
+  coincideETag,
+  pideSinCache
+};
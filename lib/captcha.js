@@ -0,0 +1,29 @@
+/**
+ * Detección de la página intermedia de Cloudflare ("Just a moment...")
+ * que PatenteChile muestra en lugar de los resultados cuando nos bloquea.
+ */
+
+const INDICADORES_CAPTCHA = [
+  'checking your browser',
+  'challenge-platform',
+  'cf-challenge',
+  'cf-turnstile'
+];
+
+/**
+ * ¿El HTML corresponde a un CAPTCHA / challenge de Cloudflare?
+ * @param {string} html - HTML recibido
+ * @returns {boolean}
+ */
+function isCaptchaPage(html) {
+  if (!html) return false;
+  const htmlLower = html.toLowerCase();
+
+  if (INDICADORES_CAPTCHA.some(indicador => htmlLower.includes(indicador))) {
+    return true;
+  }
+
+  return htmlLower.includes('just a moment') && htmlLower.includes('cloudflare');
+}
+
+module.exports = { isCaptchaPage };
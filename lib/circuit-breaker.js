@@ -0,0 +1,154 @@
+/**
+ * Circuit breakers por upstream (Playwright, cada Worker, Boostr, cada
+ * endpoint de PatenteChile en el Worker de vehículo)
+ * Después de `umbral` fallas seguidas por CAPTCHA, 429 o timeout el
+ * circuito se abre y las consultas fallan al tiro sin tocar el upstream.
+ * Pasado `esperaMs` queda semiabierto: deja pasar una sola consulta de
+ * prueba, que lo cierra si responde bien o lo vuelve a abrir si falla.
+ * Otros errores (patente no encontrada, pool ocupado) no cuentan: el
+ * upstream respondió. Quien consulta llama permitir() antes y registrar()
+ * con el resultado después.
+ *
+ * Sin dependencias de Node: lo usan la API local y los Workers.
+ */
+
+const UMBRAL = 3;
+const ESPERA_MS = 60_000;
+// Aperturas que se guardan en el historial de cada breaker
+const MAX_HISTORIAL = 20;
+
+/**
+ * Motivo por el que un resultado cuenta como falla del upstream
+ * @param {object} [resultado] - Reporte o respuesta (success/error/codigo/status)
+ * @param {Error} [error] - Excepción, si la consulta la lanzó
+ * @returns {string|null} - 'CAPTCHA', 'LIMITE_TASA', 'TIMEOUT', 'CIRCUITO_ABIERTO' (el upstream
+ *   tiene su propio breaker abierto, p.ej. el Worker de vehículo), o null si no cuenta
+ */
+function motivoDeFalla(resultado, error) {
+  const origen = error || resultado;
+  if (!origen || (!error && origen.success !== false && !origen.error)) return null;
+
+  if (origen.codigo === 'CAPTCHA' || /captcha/i.test(`${origen.error || ''} ${origen.message || ''}`)) return 'CAPTCHA';
+  if (origen.codigo === 'LIMITE_TASA' || origen.status === 429) return 'LIMITE_TASA';
+  if (origen.codigo === 'TIMEOUT' || origen.name === 'TimeoutError') return 'TIMEOUT';
+  if (origen.codigo === 'CIRCUITO_ABIERTO') return 'CIRCUITO_ABIERTO';
+  return null;
+}
+
+/**
+ * Crear un circuit breaker
+ * @param {object} options - { nombre }, { umbral } fallas seguidas para abrir, { esperaMs } abierto
+ *   antes de probar de nuevo, { ahora } reloj para tests (() => milisegundos)
+ * @returns {object} - { nombre, permitir, registrar, mensaje, estado }
+ */
+function crearBreaker({ nombre, umbral = UMBRAL, esperaMs = ESPERA_MS, ahora = Date.now }) {
+  let estado = 'cerrado';
+  let fallasSeguidas = 0;
+  let ultimoMotivo = null;
+  let abiertoHasta = null;
+  let sondeando = false;
+  let aperturas = 0;
+  let rechazadas = 0;
+  const historial = [];
+
+  function abrir(motivo) {
+    estado = 'abierto';
+    abiertoHasta = ahora() + esperaMs;
+    aperturas++;
+    historial.push({ abierto: new Date(ahora()).toISOString(), motivo, fallas: fallasSeguidas, cerrado: null });
+    if (historial.length > MAX_HISTORIAL) historial.shift();
+  }
+
+  /**
+   * ¿Puede pasar una consulta? En semiabierto deja pasar solo una a la vez;
+   * quien recibe true debe llamar registrar() con el resultado
+   */
+  function permitir() {
+    if (estado === 'abierto' && ahora() >= abiertoHasta) {
+      estado = 'semiabierto';
+      sondeando = false;
+    }
+    if (estado === 'cerrado') return true;
+    if (estado === 'semiabierto' && !sondeando) {
+      sondeando = true;
+      return true;
+    }
+    rechazadas++;
+    return false;
+  }
+
+  /**
+   * Registrar el resultado de una consulta que pasó
+   * @param {string|null} motivo - De motivoDeFalla(); null si el upstream respondió
+   */
+  function registrar(motivo) {
+    if (!motivo) {
+      if (estado !== 'cerrado') {
+        const ultima = historial[historial.length - 1];
+        if (ultima && !ultima.cerrado) ultima.cerrado = new Date(ahora()).toISOString();
+      }
+      estado = 'cerrado';
+      fallasSeguidas = 0;
+      sondeando = false;
+      return;
+    }
+
+    fallasSeguidas++;
+    ultimoMotivo = motivo;
+    if (estado === 'semiabierto' || fallasSeguidas >= umbral) {
+      sondeando = false;
+      abrir(motivo);
+    }
+  }
+
+  /**
+   * Mensaje para las consultas rechazadas mientras está abierto
+   */
+  function mensaje() {
+    const segundos = Math.max(0, Math.ceil((abiertoHasta - ahora()) / 1000));
+    return estado === 'semiabierto'
+      ? `Circuito semiabierto para ${nombre}: hay una consulta de prueba en curso`
+      : `Circuito abierto para ${nombre} después de ${fallasSeguidas} fallas seguidas (${ultimoMotivo}); se reintenta en ${segundos} s`;
+  }
+
+  return {
+    nombre,
+    permitir,
+    registrar,
+    mensaje,
+    estado: () => ({
+      nombre,
+      estado: estado === 'abierto' && ahora() >= abiertoHasta ? 'semiabierto' : estado,
+      fallasSeguidas,
+      ultimoMotivo,
+      abiertoHasta: estado === 'abierto' ? new Date(abiertoHasta).toISOString() : null,
+      aperturas,
+      rechazadas,
+      historial: historial.map(apertura => ({ ...apertura }))
+    })
+  };
+}
+
+/**
+ * Breakers por nombre, creados al primer uso con la misma configuración
+ * @param {object} [options] - Opciones de crearBreaker (menos nombre)
+ * @returns {object} - { de(nombre), estados() }
+ */
+function crearRegistroBreakers(options = {}) {
+  const breakers = new Map();
+  return {
+    de(nombre) {
+      if (!breakers.has(nombre)) breakers.set(nombre, crearBreaker({ ...options, nombre }));
+      return breakers.get(nombre);
+    },
+    estados: () => [...breakers.values()].map(breaker => breaker.estado())
+  };
+}
+
+module.exports = {
+  UMBRAL,
+  ESPERA_MS,
+  motivoDeFalla,
+  crearBreaker,
+  crearRegistroBreakers
+};
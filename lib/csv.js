@@ -0,0 +1,227 @@
+/**
+ * Importación y exportación CSV de flotas
+ * Entrada: un CSV con una columna patente (también se acepta ppu o placa) y
+ * cualquier otra columna, que se devuelve tal cual en cada fila. Salida: una
+ * fila por patente con el reporte canónico aplanado en columnas estables
+ * ('vehiculo.marca', 'soap.vigente', 'multas.montoPendiente'...), o una fila
+ * por multa. Se usa el separador del archivo de entrada (Excel en español
+ * guarda con ';') y se escribe con BOM para que Excel reconozca el UTF-8.
+ */
+
+const { SECCIONES } = require('./schema');
+
+const BOM = '\uFEFF';
+
+// Nombres aceptados para la columna de la patente (sin tildes ni mayúsculas)
+const COLUMNAS_PATENTE = ['patente', 'ppu', 'placa'];
+
+// Secciones del reporte que van en el CSV, con todos sus campos
+const SECCIONES_CSV = ['vehiculo', 'revisionTecnica', 'soap', 'permisoCirculacion'];
+
+// Totales de la consulta de multas (Worker de multas)
+const TOTALES_MULTAS = ['cantidadPendientes', 'montoTotal', 'montoPendiente'];
+
+/**
+ * Columnas de la fila de cada patente, después de las columnas de entrada
+ */
+const COLUMNAS_REPORTE = [
+  'patente',
+  'success',
+  'error',
+  ...SECCIONES_CSV.flatMap(seccion => (
+    Object.keys(SECCIONES[seccion])
+      .filter(campo => !(seccion === 'vehiculo' && campo === 'patente'))
+      .map(campo => `${seccion}.${campo}`)
+  )),
+  ...Object.keys(SECCIONES.multas).filter(campo => campo !== 'mensaje').map(campo => `multas.${campo}`),
+  ...TOTALES_MULTAS.map(campo => `multas.${campo}`),
+  'multas.error'
+];
+
+/**
+ * Columnas del CSV de multas, después de las columnas de entrada
+ */
+const COLUMNAS_MULTA = ['patente', 'rol', 'juzgado', 'comuna', 'fecha', 'año', 'tipo', 'descripcion', 'monto', 'estado'];
+
+/**
+ * Separador de un CSV según su primera línea: ';' si tiene más que ','
+ */
+function detectarSeparador(texto) {
+  const linea = texto.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const contar = caracter => linea.split(caracter).length - 1;
+  return contar(';') > contar(',') ? ';' : ',';
+}
+
+/**
+ * Parsear un CSV (RFC 4180: comillas dobles, "" escapado y saltos de línea
+ * dentro de comillas). Las filas vacías se descartan.
+ * @param {string} texto
+ * @param {string} [separador] - Por defecto se detecta
+ * @returns {string[][]}
+ */
+function parseCsv(texto, separador = null) {
+  texto = texto.replace(/^\uFEFF/, '');
+  separador = separador || detectarSeparador(texto);
+  const filas = [];
+  let fila = [];
+  let celda = '';
+  let comillas = false;
+
+  for (let i = 0; i < texto.length; i++) {
+    const c = texto[i];
+    if (comillas) {
+      if (c === '"' && texto[i + 1] === '"') {
+        celda += '"';
+        i++;
+      } else if (c === '"') {
+        comillas = false;
+      } else {
+        celda += c;
+      }
+    } else if (c === '"') {
+      comillas = true;
+    } else if (c === separador) {
+      fila.push(celda);
+      celda = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && texto[i + 1] === '\n') i++;
+      fila.push(celda);
+      filas.push(fila);
+      fila = [];
+      celda = '';
+    } else {
+      celda += c;
+    }
+  }
+  fila.push(celda);
+  filas.push(fila);
+
+  return filas.filter(f => f.some(valor => valor.trim() !== ''));
+}
+
+/**
+ * Nombre de columna comparable: sin tildes, minúsculas y sin espacios
+ */
+function normalizarColumna(nombre) {
+  return nombre.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Leer un CSV de flota
+ * @param {string} texto
+ * @returns {object} - { patentes, extras, columnasExtra, separador }; extras tiene, por fila,
+ *   las demás columnas ({ columna: valor })
+ * @throws {Error} - Si no hay columna de patente o no hay filas
+ */
+function leerFlota(texto) {
+  const separador = detectarSeparador(texto.replace(/^\uFEFF/, ''));
+  const [encabezado, ...filas] = parseCsv(texto, separador);
+  if (!encabezado) throw new Error('El CSV está vacío');
+
+  const columnas = encabezado.map(nombre => nombre.trim());
+  const indice = columnas.findIndex(nombre => COLUMNAS_PATENTE.includes(normalizarColumna(nombre)));
+  if (indice === -1) throw new Error(`El CSV no tiene columna ${COLUMNAS_PATENTE.join(', ')}`);
+  if (filas.length === 0) throw new Error('El CSV no tiene filas');
+
+  const columnasExtra = columnas.filter((_, i) => i !== indice);
+  return {
+    patentes: filas.map(fila => (fila[indice] || '').trim()),
+    extras: filas.map(fila => Object.fromEntries(
+      columnas.map((nombre, i) => [nombre, fila[i] ?? '']).filter((_, i) => i !== indice)
+    )),
+    columnasExtra,
+    separador
+  };
+}
+
+/**
+ * Valor de una celda: '' para null, y un apóstrofo delante de lo que Excel
+ * tomaría como fórmula
+ */
+function valorCelda(valor) {
+  if (valor === null || valor === undefined) return '';
+  const texto = String(valor);
+  return typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto) ? `'${texto}` : texto;
+}
+
+/**
+ * Escribir un CSV
+ * @param {string[]} columnas
+ * @param {object[]} filas - { columna: valor }
+ * @param {string} [separador]
+ * @returns {string} - Con BOM y fin de línea CRLF
+ */
+function escribirCsv(columnas, filas, separador = ',') {
+  const linea = valores => valores.map(valor => {
+    const texto = valorCelda(valor);
+    return /["\r\n]/.test(texto) || texto.includes(separador) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  }).join(separador);
+
+  return BOM + [linea(columnas), ...filas.map(fila => linea(columnas.map(columna => fila[columna])))].join('\r\n') + '\r\n';
+}
+
+/**
+ * Fila aplanada de una patente
+ * @param {object} reporte - Reporte canónico (o null si no se consultó)
+ * @param {object} [multas] - Resultado de consultarMultas (o null)
+ * @returns {object} - { columna: valor } con las columnas de COLUMNAS_REPORTE
+ */
+function filaReporte(reporte, multas = null) {
+  const fila = {
+    patente: reporte && reporte.patente,
+    success: reporte ? reporte.success : null,
+    error: reporte && (reporte.error || null)
+  };
+
+  for (const columna of COLUMNAS_REPORTE.slice(3)) {
+    const [seccion, campo] = columna.split('.');
+    fila[columna] = reporte && reporte[seccion] ? reporte[seccion][campo] : null;
+  }
+
+  if (multas) {
+    for (const campo of TOTALES_MULTAS) {
+      fila[`multas.${campo}`] = multas.totales ? multas.totales[campo] : null;
+    }
+    fila['multas.error'] = multas.error || null;
+  }
+  return fila;
+}
+
+/**
+ * CSV con una fila por patente
+ * @param {object[]} items - [{ patente, extras, reporte, multas }] en el orden de la entrada
+ * @param {object} [options] - { columnasExtra, separador }
+ */
+function csvReportes(items, { columnasExtra = [], separador = ',' } = {}) {
+  const filas = items.map(({ patente, extras = {}, reporte, multas }) => ({
+    ...extras,
+    ...filaReporte(reporte, multas),
+    // La de la entrada si el reporte no la trae (búsquedas fallidas)
+    patente: (reporte && reporte.patente) || patente
+  }));
+  return escribirCsv([...columnasExtra, ...COLUMNAS_REPORTE], filas, separador);
+}
+
+/**
+ * CSV con una fila por multa (las patentes sin multas no generan filas)
+ * @param {object[]} items - [{ patente, extras, multas }]
+ * @param {object} [options] - { columnasExtra, separador }
+ */
+function csvMultas(items, { columnasExtra = [], separador = ',' } = {}) {
+  const filas = items.flatMap(({ patente, extras = {}, multas }) => (
+    (multas && multas.multas ? multas.multas : []).map(multa => ({ ...extras, ...multa, patente }))
+  ));
+  return escribirCsv([...columnasExtra, ...COLUMNAS_MULTA], filas, separador);
+}
+
+module.exports = {
+  COLUMNAS_REPORTE,
+  COLUMNAS_MULTA,
+  detectarSeparador,
+  parseCsv,
+  leerFlota,
+  escribirCsv,
+  filaReporte,
+  csvReportes,
+  csvMultas
+};
@@ -0,0 +1,199 @@
+/**
+ * Detección de cambios de layout en PatenteChile
+ * Los extractores recolectan todos los labels y encabezados de sección que
+ * ven en #tbl-results (`_layout`); normalizeReport los compara contra
+ * LAYOUT_ESPERADO y agrega `drift` al reporte. registrarDrift() deja una
+ * línea de log y cuenta los eventos para poder alertar.
+ */
+
+/**
+ * Secciones de la tabla de resultados: encabezado esperado y labels que
+ * siempre trae. `opcionales` son labels conocidos que no siempre aparecen.
+ */
+const LAYOUT_ESPERADO = {
+  propietario: {
+    encabezado: /propietario/i,
+    labels: ['RUT', 'Nombre']
+  },
+  vehiculo: {
+    encabezado: /veh[ií]culo/i,
+    labels: ['Patente', 'Tipo', 'Marca', 'Modelo', 'Año', 'Color', 'N° Motor', 'N° Chasis', 'Procedencia', 'Fabricante', 'Tipo de sello', 'Combustible']
+  },
+  multas: {
+    encabezado: /multas/i,
+    labels: ['Multas']
+  },
+  revisionTecnica: {
+    encabezado: /revisi[oó]n t[eé]cnica/i,
+    labels: ['Kilometraje', 'Comuna de revisión', 'Mes de revisión', 'Último control', 'Fecha de vencimiento'],
+    opcionales: ['Estado']
+  },
+  permisoCirculacion: {
+    encabezado: /permiso de circulaci[oó]n/i,
+    labels: ['Año de pago', 'Municipalidad', 'Fecha de pago']
+  },
+  soap: {
+    encabezado: /soap/i,
+    labels: ['Compañia', 'Fecha inicio'],
+    opcionales: ['Estado', 'Fecha de vencimiento']
+  },
+  transportePublico: {
+    encabezado: /transporte p[uú]blico/i,
+    labels: ['Transporte público'],
+    opcionales: ['Tipo transporte público']
+  },
+  restriccionVehicular: {
+    encabezado: /restricci[oó]n/i,
+    labels: ['Condición']
+  }
+};
+
+// Contadores por proceso (en un Worker, por isolate)
+const metricas = {
+  reportes: 0,
+  conDrift: 0,
+  labelsDesconocidos: 0,
+  labelsFaltantes: 0,
+  seccionesNoEncontradas: 0,
+  ultimoDrift: null
+};
+
+/**
+ * Comparar labels sin importar mayúsculas, tildes, espacios ni ":" final
+ */
+function normalizarLabel(label) {
+  return String(label)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*:\s*$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Texto plano de un fragmento HTML
+ */
+function textoPlano(html) {
+  return html.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Recolectar labels y encabezados de sección del HTML de resultados
+ * Para los extractores que trabajan sobre el HTML (extractValue); los que
+ * usan el DOM arman el mismo objeto recorriendo las filas de #tbl-results.
+ * @param {string} html - Página de /resultados
+ * @returns {object} - { tablaEncontrada, secciones, labels }
+ */
+function recolectarLayout(html) {
+  const tabla = html.match(/<table[^>]*id="tbl-results"[^>]*>([\s\S]*?)<\/table>/i);
+  const contenido = tabla ? tabla[1] : html;
+  const layout = { tablaEncontrada: Boolean(tabla), secciones: [], labels: [] };
+
+  for (const [, fila] of contenido.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const encabezado = fila.match(/<th[^>]*>([\s\S]*?)<\/th>/i);
+    if (encabezado) {
+      layout.secciones.push(textoPlano(encabezado[1]));
+      continue;
+    }
+
+    const celdas = [...fila.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)];
+    if (celdas.length >= 2) {
+      const label = textoPlano(celdas[0][1]);
+      if (label) layout.labels.push(label);
+    }
+  }
+
+  return layout;
+}
+
+/**
+ * Comparar el layout visto contra LAYOUT_ESPERADO
+ * Los labels de una sección que no se encontró no se cuentan como faltantes.
+ * @param {object} layout - { tablaEncontrada, secciones, labels }
+ * @returns {object|null} - { hayDrift, tablaEncontrada, labelsVistos,
+ *   labelsDesconocidos, labelsFaltantes, seccionesNoEncontradas, seccionesDesconocidas }
+ */
+function detectarDrift(layout) {
+  if (!layout) return null;
+
+  const vistos = new Set(layout.labels.map(normalizarLabel));
+  const conocidos = new Set();
+  const labelsFaltantes = [];
+  const seccionesNoEncontradas = [];
+
+  for (const [seccion, esperado] of Object.entries(LAYOUT_ESPERADO)) {
+    [...esperado.labels, ...(esperado.opcionales || [])].forEach(label => conocidos.add(normalizarLabel(label)));
+
+    if (!layout.secciones.some(encabezado => esperado.encabezado.test(encabezado))) {
+      seccionesNoEncontradas.push(seccion);
+      continue;
+    }
+
+    for (const label of esperado.labels) {
+      if (!vistos.has(normalizarLabel(label))) labelsFaltantes.push(`${seccion}.${label}`);
+    }
+  }
+
+  const labelsDesconocidos = [...new Set(layout.labels.filter(label => !conocidos.has(normalizarLabel(label))))];
+  const seccionesDesconocidas = layout.secciones.filter(encabezado =>
+    !Object.values(LAYOUT_ESPERADO).some(esperado => esperado.encabezado.test(encabezado))
+  );
+
+  return {
+    hayDrift: !layout.tablaEncontrada || labelsDesconocidos.length > 0 || labelsFaltantes.length > 0 ||
+      seccionesNoEncontradas.length > 0 || seccionesDesconocidas.length > 0,
+    tablaEncontrada: layout.tablaEncontrada,
+    labelsVistos: layout.labels.length,
+    labelsDesconocidos,
+    labelsFaltantes,
+    seccionesNoEncontradas,
+    seccionesDesconocidas
+  };
+}
+
+/**
+ * Registrar el drift de un reporte: una línea JSON en el log y los contadores
+ * Las motos y vehículos sin RT pueden no traer todas las secciones; el log
+ * deja la patente para revisar antes de alertar por seccionesNoEncontradas.
+ * @param {object} report - Reporte normalizado
+ */
+function registrarDrift(report) {
+  if (!report || !report.drift) return;
+
+  const { drift } = report;
+  metricas.reportes++;
+  if (!drift.hayDrift) return;
+
+  metricas.conDrift++;
+  metricas.labelsDesconocidos += drift.labelsDesconocidos.length;
+  metricas.labelsFaltantes += drift.labelsFaltantes.length;
+  metricas.seccionesNoEncontradas += drift.seccionesNoEncontradas.length;
+  metricas.ultimoDrift = report.timestamp;
+
+  console.warn(JSON.stringify({
+    evento: 'layout-drift',
+    source: report.source,
+    patente: report.patente,
+    tablaEncontrada: drift.tablaEncontrada,
+    labelsDesconocidos: drift.labelsDesconocidos,
+    labelsFaltantes: drift.labelsFaltantes,
+    seccionesNoEncontradas: drift.seccionesNoEncontradas,
+    seccionesDesconocidas: drift.seccionesDesconocidas
+  }));
+}
+
+/**
+ * Copia de los contadores de drift (para /health)
+ */
+function metricasDrift() {
+  return { ...metricas };
+}
+
+module.exports = {
+  LAYOUT_ESPERADO,
+  recolectarLayout,
+  detectarDrift,
+  registrarDrift,
+  metricasDrift
+};
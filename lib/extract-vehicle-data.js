@@ -0,0 +1,191 @@
+/**
+ * Extractor de datos del vehículo desde el HTML renderizado por Browser Rendering
+ * Se usa cuando la tabla #tbl-results no está disponible para page.evaluate
+ */
+
+const { isCaptchaPage } = require('./captcha');
+const { recolectarLayout } = require('./drift');
+
+/**
+ * Estrategias de extractValue, de la más estricta a la más laxa
+ * La confianza se informa en _provenance para cada campo extraído.
+ */
+const ESTRATEGIAS = [
+  // Tablas con <b> label
+  { estrategia: 'celda-negrita', confianza: 'alta', regex: label => new RegExp(`<td[^>]*>\\s*<b>${label}<\\/b>\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i') },
+  // Tablas sin <b>
+  { estrategia: 'celda', confianza: 'alta', regex: label => new RegExp(`<td[^>]*>${label}\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i') },
+  // Divs/spans
+  { estrategia: 'elemento', confianza: 'media', regex: label => new RegExp(`>${label}[:\\s]*<\\/[^>]+>\\s*<[^>]+>([^<]+)<`, 'i') },
+  // Id específico
+  { estrategia: 'id', confianza: 'media', regex: label => new RegExp(`id="[^"]*${label.toLowerCase().replace(/\\s+/g, '')}[^"]*"[^>]*>([^<]+)<`, 'i') },
+  // Patrones generales
+  { estrategia: 'negrita', confianza: 'media', regex: label => new RegExp(`<b>${label}<\\/b>\\s*[:\\s]*([^<]+)(?:<|$)`, 'i') },
+  { estrategia: 'texto-libre', confianza: 'baja', regex: label => new RegExp(`${label}[:\\s]+([^<\\n]+)`, 'i') },
+];
+
+/**
+ * Extraer datos del vehículo del HTML renderizado
+ */
+function extractVehicleData(pageContent, patente) {
+  const result = {
+    success: true,
+    patente: patente,
+    timestamp: new Date().toISOString(),
+    source: 'cloudflare-browser-rendering',
+    propietario: null,
+    vehiculo: null,
+    multas: null,
+    revisionTecnica: null,
+    permisoCirculacion: null,
+    soap: null,
+    _provenance: {},
+  };
+
+  try {
+    // Página intermedia de Cloudflare en vez de resultados
+    if (isCaptchaPage(pageContent)) {
+      result.success = false;
+      result.error = 'CAPTCHA detectado';
+      result.codigo = 'CAPTCHA';
+      return result;
+    }
+
+    // Patente no encontrada: mensaje del sitio y sin tabla de resultados
+    if (/no se encontr|patente no válida/i.test(pageContent) && !/tbl-results/i.test(pageContent)) {
+      result.success = false;
+      result.error = 'Patente no encontrada o error en consulta';
+      result.codigo = 'NO_ENCONTRADA';
+      return result;
+    }
+
+    // Labels y secciones vistos, para detectar cambios de layout
+    result._layout = recolectarLayout(pageContent);
+
+    // Limpiar HTML entities
+    const cleanValue = (val) => {
+      if (!val) return null;
+      let cleaned = val
+        .replace(/&nbsp;/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#\d+;/g, '')
+        .trim();
+      // Si queda vacío o solo espacios, retornar null
+      if (!cleaned || cleaned === '-' || cleaned === 'N/A' || cleaned.length > 100) {
+        return null;
+      }
+      return cleaned;
+    };
+
+    // Buscar el valor de un label probando ESTRATEGIAS de la más estricta a la más laxa
+    const extractValue = (label) => {
+      for (const { estrategia, confianza, regex } of ESTRATEGIAS) {
+        const match = pageContent.match(regex(label));
+        if (match && match[1]) {
+          const valor = cleanValue(match[1]);
+          if (valor) {
+            return { valor, label, estrategia, confianza };
+          }
+        }
+      }
+      return null;
+    };
+
+    // Primer label que tenga valor; registra de dónde salió en _provenance
+    const extraer = (campo, ...labels) => {
+      for (const label of labels) {
+        const encontrado = extractValue(label);
+        if (encontrado) {
+          const { valor, ...procedencia } = encontrado;
+          result._provenance[campo] = procedencia;
+          return valor;
+        }
+      }
+      return null;
+    };
+
+    // Propietario
+    const rut = extraer('propietario.rut', 'RUT');
+    const nombre = extraer('propietario.nombre', 'Nombre');
+    if (rut || nombre) {
+      result.propietario = { rut, nombre };
+    }
+
+    // Vehículo
+    const vehiculoData = {
+      patente: patente,
+      tipo: extraer('vehiculo.tipo', 'Tipo'),
+      marca: extraer('vehiculo.marca', 'Marca'),
+      modelo: extraer('vehiculo.modelo', 'Modelo'),
+      año: null,
+      color: extraer('vehiculo.color', 'Color'),
+      numeroMotor: extraer('vehiculo.numeroMotor', 'N° Motor', 'N° de motor', 'Motor'),
+      numeroChasis: extraer('vehiculo.numeroChasis', 'N° Chasis', 'N° de chasis', 'Chasis'),
+      procedencia: extraer('vehiculo.procedencia', 'Procedencia'),
+      fabricante: extraer('vehiculo.fabricante', 'Fabricante'),
+      tipoSello: extraer('vehiculo.tipoSello', 'Tipo de sello', 'Tipo Sello'),
+      combustible: extraer('vehiculo.combustible', 'Combustible'),
+    };
+    result._provenance['vehiculo.patente'] = { label: null, estrategia: 'consulta', confianza: 'alta' };
+
+    // Extraer año
+    const añoCelda = pageContent.match(/Año[:\s]*(?:<\/[^>]+>\s*)+<[^>]+>(\d{4})/i);
+    const añoMatch = añoCelda || pageContent.match(/Año[:\s]+(\d{4})/i);
+    if (añoMatch) {
+      vehiculoData.año = parseInt(añoMatch[1]);
+      result._provenance['vehiculo.año'] = añoCelda
+        ? { label: 'Año', estrategia: 'celda', confianza: 'alta' }
+        : { label: 'Año', estrategia: 'texto-libre', confianza: 'baja' };
+    }
+
+    if (Object.values(vehiculoData).some(v => v !== null && v !== patente)) {
+      result.vehiculo = vehiculoData;
+    }
+
+    // Multas
+    const tieneMultas = pageContent.toLowerCase().includes('tiene multas') &&
+                        !pageContent.toLowerCase().includes('no tiene multas');
+    const poseeMatch = pageContent.match(/posee\s+(\d+)\s+multa/i);
+    const cantidadMatch = poseeMatch || pageContent.match(/(\d+)\s*multa/i);
+
+    result.multas = {
+      tiene: tieneMultas || Boolean(cantidadMatch && parseInt(cantidadMatch[1]) > 0),
+      cantidad: cantidadMatch ? parseInt(cantidadMatch[1]) : 0,
+    };
+    result._provenance['multas.tiene'] = { label: 'tiene multas', estrategia: 'texto-libre', confianza: 'media' };
+    if (cantidadMatch) {
+      result._provenance['multas.cantidad'] = poseeMatch
+        ? { label: 'posee N multas', estrategia: 'texto-libre', confianza: 'alta' }
+        : { label: 'N multas', estrategia: 'texto-libre', confianza: 'baja' };
+    }
+
+    // Revisión técnica
+    result.revisionTecnica = {
+      kilometraje: extraer('revisionTecnica.kilometraje', 'Kilometraje'),
+      ultimoControl: extraer('revisionTecnica.ultimoControl', 'Último Control'),
+      fechaVencimiento: extraer('revisionTecnica.fechaVencimiento', 'Fecha de vencimiento', 'Vencimiento'),
+    };
+
+    // Permiso de circulación
+    result.permisoCirculacion = {
+      añoPago: extraer('permisoCirculacion.añoPago', 'Año de pago', 'Año Pago'),
+      municipalidad: extraer('permisoCirculacion.municipalidad', 'Municipalidad'),
+    };
+
+    // SOAP
+    result.soap = {
+      compania: extraer('soap.compania', 'Compañía', 'Compañia', 'SOAP'),
+      fechaInicio: extraer('soap.fechaInicio', 'Fecha Inicio'),
+    };
+
+  } catch (error) {
+    result.success = false;
+    result.error = `Error parsing: ${error.message}`;
+  }
+
+  return result;
+}
+
+module.exports = { extractVehicleData };
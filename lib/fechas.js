@@ -0,0 +1,135 @@
+/**
+ * Fechas del reporte: parseo de los formatos de PatenteChile a ISO-8601
+ * (YYYY-MM-DD) y cálculo de vigencia con la fecha de Chile continental.
+ */
+
+const ZONA_HORARIA = 'America/Santiago';
+
+const MESES = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7,
+  agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+/**
+ * Último día de un mes (mes 1-12)
+ */
+function ultimoDiaDelMes(año, mes) {
+  return new Date(Date.UTC(año, mes, 0)).getUTCDate();
+}
+
+/**
+ * Armar YYYY-MM-DD validando que la fecha exista
+ */
+function construirFecha(año, mes, dia) {
+  if (mes < 1 || mes > 12 || dia < 1 || dia > ultimoDiaDelMes(año, mes)) return null;
+  return `${año}-${pad(mes)}-${pad(dia)}`;
+}
+
+/**
+ * Parsear una fecha tal como la muestra el sitio
+ * Acepta "31/03/2025", "31-03-2025", "2025-03-31", "31 de marzo de 2025",
+ * y fechas sin día como "MARZO 2025" o "03/2025".
+ * @param {string} texto - Fecha cruda
+ * @param {object} options - { finDeMes: true } para completar fechas sin día con el último día
+ * @returns {string|null} - Fecha ISO (YYYY-MM-DD) o null si no se reconoce
+ */
+function parseFecha(texto, options = {}) {
+  if (texto === undefined || texto === null) return null;
+  const valor = String(texto).trim().toLowerCase();
+  if (!valor) return null;
+
+  let match = valor.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return construirFecha(+match[1], +match[2], +match[3]);
+
+  match = valor.match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4})$/);
+  if (match) return construirFecha(+match[3], +match[2], +match[1]);
+
+  match = valor.match(/^(\d{1,2})\s+de\s+([a-zñ]+)\s+(?:de|del)?\s*(\d{4})$/);
+  if (match && MESES[match[2]]) return construirFecha(+match[3], MESES[match[2]], +match[1]);
+
+  // Sin día: se completa con el primero o el último día del mes
+  let año = null;
+  let mes = null;
+
+  match = valor.match(/^(\d{1,2})[/\-](\d{4})$/);
+  if (match) {
+    mes = +match[1];
+    año = +match[2];
+  }
+
+  match = valor.match(/^([a-zñ]+)\s+(?:de\s+|del\s+)?(\d{4})$/);
+  if (match && MESES[match[1]]) {
+    mes = MESES[match[1]];
+    año = +match[2];
+  }
+
+  if (año && mes >= 1 && mes <= 12) {
+    return construirFecha(año, mes, options.finDeMes ? ultimoDiaDelMes(año, mes) : 1);
+  }
+
+  return null;
+}
+
+/**
+ * Fecha de hoy en Chile continental
+ * @param {Date} [ahora] - Instante de referencia
+ * @returns {string} - YYYY-MM-DD
+ */
+function hoySantiago(ahora = new Date()) {
+  // en-CA formatea como YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: ZONA_HORARIA,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(ahora);
+}
+
+/**
+ * Días calendario entre dos fechas ISO (negativo si `hasta` es anterior)
+ */
+function diasEntre(desde, hasta) {
+  const [a1, m1, d1] = desde.split('-').map(Number);
+  const [a2, m2, d2] = hasta.split('-').map(Number);
+  return Math.round((Date.UTC(a2, m2 - 1, d2) - Date.UTC(a1, m1 - 1, d1)) / 86400000);
+}
+
+/**
+ * Sumar años y días a una fecha ISO
+ */
+function sumarFecha(fecha, { años = 0, dias = 0 }) {
+  const [a, m, d] = fecha.split('-').map(Number);
+  const resultado = new Date(Date.UTC(a + años, m - 1, d + dias));
+  return resultado.toISOString().slice(0, 10);
+}
+
+/**
+ * Vigencia de un documento según su fecha de vencimiento
+ * El documento es válido hasta el día de vencimiento inclusive.
+ * @param {string|null} fechaVencimiento - YYYY-MM-DD
+ * @param {string} hoy - YYYY-MM-DD (ver hoySantiago)
+ * @returns {object} - { vigente, diasRestantes, venceEn } (venceEn = YYYY-MM)
+ */
+function calcularVigencia(fechaVencimiento, hoy) {
+  if (!fechaVencimiento) {
+    return { vigente: null, diasRestantes: null, venceEn: null };
+  }
+
+  const diasRestantes = diasEntre(hoy, fechaVencimiento);
+  return {
+    vigente: diasRestantes >= 0,
+    diasRestantes,
+    venceEn: fechaVencimiento.slice(0, 7)
+  };
+}
+
+module.exports = {
+  ZONA_HORARIA,
+  parseFecha,
+  hoySantiago,
+  diasEntre,
+  sumarFecha,
+  calcularVigencia
+};
@@ -0,0 +1,92 @@
+/**
+ * Fusión campo por campo de los reportes de varias fuentes
+ * Cuando más de un proveedor entrega la misma sección, cada campo se toma del
+ * primero que lo trae con valor, en el orden de precedencia del campo (o el de
+ * la sección). En los campos de CAMPOS_CONFLICTO se comparan además los
+ * valores de todas las fuentes: si no coinciden el campo queda con el de mayor
+ * precedencia y `conflictos` muestra lo que dijo cada una. Un número de chasis
+ * o de motor distinto entre fuentes es justo lo que hay que ver en una
+ * revisión de fraude.
+ *
+ * Los campos derivados (vigencia) siguen a fechaVencimiento para no mezclar
+ * una fecha de una fuente con la vigencia calculada por otra.
+ */
+
+const { SECCIONES } = require('./schema');
+
+// Campos que identifican al vehículo y a su dueño; en el resto no se reportan diferencias
+const CAMPOS_CONFLICTO = [
+  'propietario.rut',
+  'propietario.nombre',
+  'vehiculo.tipo',
+  'vehiculo.marca',
+  'vehiculo.modelo',
+  'vehiculo.año',
+  'vehiculo.color',
+  'vehiculo.numeroMotor',
+  'vehiculo.numeroChasis'
+];
+
+/**
+ * Forma de un valor para compararlo entre fuentes: sin tildes, mayúsculas ni espacios de más
+ */
+function comparable(valor, tipo) {
+  const texto = tipo === 'rut' && typeof valor === 'object' ? valor.valor : String(valor);
+  return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Fusionar una sección de varios reportes
+ * @param {string} seccion - Clave de SECCIONES
+ * @param {object[]} entradas - [{ fuente: nombre del proveedor, reporte }] exitosos, en el orden de
+ *   precedencia de la sección
+ * @param {object} [precedencia] - { 'seccion.campo': [nombres de proveedores] }: el campo se toma
+ *   solo de esos proveedores y en ese orden; los demás igual cuentan para los conflictos
+ * @returns {object} - { valor: la sección fusionada o null, origenes: { campo: entrada de la que
+ *   salió }, conflictos: [{ campo, elegido, valores: [{ fuente, valor }] }] }
+ */
+function fusionarSeccion(seccion, entradas, precedencia = {}) {
+  const conSeccion = entradas.filter(entrada => entrada.reporte[seccion]);
+  if (conSeccion.length === 0) return { valor: null, origenes: {}, conflictos: [] };
+
+  const campos = Object.entries(SECCIONES[seccion]);
+  const valor = {};
+  const origenes = {};
+  const conflictos = [];
+  const de = (entrada, campo) => entrada.reporte[seccion][campo];
+
+  for (const [campo, tipo] of campos) {
+    if (tipo === 'derivado') continue;
+    const ruta = `${seccion}.${campo}`;
+    const conValor = conSeccion.filter(entrada => de(entrada, campo) !== null && de(entrada, campo) !== undefined);
+    const candidatas = precedencia[ruta]
+      ? precedencia[ruta].map(nombre => conValor.find(entrada => entrada.fuente === nombre)).filter(Boolean)
+      : conValor;
+
+    const elegida = candidatas[0];
+    valor[campo] = elegida ? de(elegida, campo) : null;
+    if (elegida) origenes[campo] = elegida;
+
+    if (CAMPOS_CONFLICTO.includes(ruta) && new Set(conValor.map(entrada => comparable(de(entrada, campo), tipo))).size > 1) {
+      conflictos.push({
+        campo: ruta,
+        elegido: elegida ? elegida.fuente : null,
+        valores: conValor.map(entrada => ({ fuente: entrada.fuente, valor: de(entrada, campo) }))
+      });
+    }
+  }
+
+  const vencimiento = origenes.fechaVencimiento || conSeccion[0];
+  for (const [campo, tipo] of campos) {
+    if (tipo !== 'derivado') continue;
+    valor[campo] = de(vencimiento, campo);
+    origenes[campo] = vencimiento;
+  }
+
+  return { valor, origenes, conflictos };
+}
+
+module.exports = {
+  CAMPOS_CONFLICTO,
+  fusionarSeccion
+};
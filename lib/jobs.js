@@ -0,0 +1,267 @@
+/**
+ * Cola de jobs de consultas masivas para la API local
+ * POST /v1/jobs crea un job con una lista de patentes y responde al tiro;
+ * la cola las consulta de a una en segundo plano y guarda el avance en un
+ * archivo JSON, así que un reinicio retoma los jobs pendientes desde la
+ * patente en que iban. Se procesa un job a la vez, en orden de llegada.
+ * Si la cola misma falla (no se puede escribir el archivo) el job queda
+ * 'fallido' con el `error` y la cola sigue con el siguiente.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ESTADOS_JOB = ['pendiente', 'en_proceso', 'completado', 'cancelado', 'fallido'];
+const ESTADOS_PATENTE = ['pendiente', 'en_proceso', 'ok', 'error', 'cancelada'];
+
+// Los jobs terminados se borran del archivo después de una semana
+const RETENCION_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * Crear la cola
+ * @param {object} options - { procesar(patente, job, item) => Promise<reporte> } consulta una patente
+ *   (puede dejar datos extra en item, p.ej. las multas),
+ *   { archivo } JSON donde persistir los jobs (sin archivo quedan en memoria),
+ *   { alTerminar(job) } se llama cuando un job se completa, se cancela o falla,
+ *   { retencion } ms que se guardan los jobs terminados, { ahora } reloj para tests
+ * @returns {object} - { crear, obtener, cancelar, iniciar, esperar }
+ */
+function crearColaJobs({ procesar, archivo = null, alTerminar = () => {}, retencion = RETENCION_MS, ahora = Date.now }) {
+  const jobs = new Map();
+  let corriendo = null;
+  let enCurso = null;
+
+  if (archivo && fs.existsSync(archivo)) {
+    for (const job of JSON.parse(fs.readFileSync(archivo, 'utf8'))) {
+      // La patente que se estaba consultando al caer el proceso se repite
+      for (const item of job.resultados) {
+        if (item.estado === 'en_proceso') item.estado = 'pendiente';
+      }
+      jobs.set(job.id, job);
+    }
+  }
+
+  const fecha = () => new Date(ahora()).toISOString();
+
+  /**
+   * Escribir el archivo (y de paso olvidar los jobs terminados hace más de `retencion`)
+   */
+  function persistir() {
+    for (const [id, job] of jobs) {
+      if (job.terminado && ahora() - Date.parse(job.terminado) > retencion) jobs.delete(id);
+    }
+    if (!archivo) return;
+
+    // Escribir y renombrar para no dejar el archivo a medias si el proceso cae
+    const temporal = `${archivo}.${process.pid}.tmp`;
+    fs.writeFileSync(temporal, JSON.stringify([...jobs.values()], null, 2));
+    fs.renameSync(temporal, archivo);
+  }
+
+  /**
+   * Siguiente job por procesar: el más antiguo sin terminar
+   */
+  function siguiente() {
+    for (const job of jobs.values()) {
+      if (job.estado === 'pendiente' || job.estado === 'en_proceso') return job;
+    }
+    return null;
+  }
+
+  async function procesarJob(job) {
+    job.estado = 'en_proceso';
+    job.iniciado = job.iniciado || fecha();
+    persistir();
+
+    for (const item of job.resultados) {
+      if (job.estado === 'cancelado') break;
+      if (item.estado !== 'pendiente') continue;
+
+      item.estado = 'en_proceso';
+      try {
+        const reporte = await procesar(item.patente, job, item);
+        item.resultado = reporte;
+        item.error = reporte && reporte.success === false ? reporte.error || 'Error de consulta' : null;
+      } catch (error) {
+        item.resultado = null;
+        item.error = error.message;
+      }
+      item.estado = item.error ? 'error' : 'ok';
+      persistir();
+    }
+
+    // Si se canceló con una patente en curso, se avisa recién cuando esa terminó
+    if (job.estado !== 'cancelado') {
+      job.estado = 'completado';
+      job.terminado = fecha();
+    }
+    persistir();
+    avisar(job);
+  }
+
+  /**
+   * Llamar a alTerminar; si lanza (p.ej. el webhook) se registra y el job
+   * queda como estaba
+   */
+  function avisar(job) {
+    try {
+      alTerminar(job);
+    } catch (error) {
+      console.error(`[Jobs] Error al avisar el fin del job ${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marcar como fallido un job cuyo procesamiento lanzó (p.ej. no se pudo
+   * escribir el archivo) e intentar guardarlo así. Las patentes que faltaban
+   * quedan pendientes.
+   */
+  function fallar(job, error) {
+    console.error(`[Jobs] Job ${job.id} falló: ${error.message}`);
+    job.estado = 'fallido';
+    job.error = error.message;
+    job.terminado = fecha();
+    for (const item of job.resultados) {
+      if (item.estado !== 'en_proceso') continue;
+      item.estado = 'error';
+      item.resultado = null;
+      item.error = error.message;
+    }
+
+    try {
+      persistir();
+    } catch (otro) {
+      console.error(`[Jobs] No se pudo guardar el fallo del job ${job.id}: ${otro.message}`);
+    }
+    avisar(job);
+  }
+
+  /**
+   * Procesar mientras haya jobs pendientes; no hace nada si ya está corriendo
+   * La promesa nunca se rechaza: quien llama no necesita esperarla.
+   */
+  function iniciar() {
+    if (!corriendo) {
+      corriendo = (async () => {
+        let job;
+        while ((job = siguiente())) {
+          enCurso = job;
+          await procesarJob(job).catch(error => fallar(job, error));
+        }
+      })().finally(() => {
+        corriendo = null;
+        enCurso = null;
+      });
+    }
+    return corriendo;
+  }
+
+  /**
+   * Encolar un job
+   * @param {object} datos - { patentes } ya validadas, { tipo }, { cliente } label de la
+   *   API key dueña (o null), { opciones } que recibe procesar en job.opciones
+   * @returns {object} - Job creado
+   * @throws {Error} - Si no se puede guardar el archivo; el job no queda encolado
+   */
+  function crear({ patentes, tipo = 'vehiculo', cliente = null, opciones = {} }) {
+    const job = {
+      id: crypto.randomUUID(),
+      estado: 'pendiente',
+      tipo,
+      cliente,
+      opciones,
+      creado: fecha(),
+      iniciado: null,
+      terminado: null,
+      resultados: patentes.map(patente => ({ patente, estado: 'pendiente', resultado: null, error: null }))
+    };
+    jobs.set(job.id, job);
+    try {
+      persistir();
+    } catch (error) {
+      // Un job que no está en el archivo se perdería en un reinicio
+      jobs.delete(job.id);
+      throw error;
+    }
+    iniciar();
+    return job;
+  }
+
+  /**
+   * Buscar un job; con `cliente` solo se encuentra si es de esa key
+   * @returns {object|null}
+   */
+  function obtener(id, cliente = null) {
+    const job = jobs.get(id);
+    if (!job || (cliente && job.cliente !== cliente)) return null;
+    return job;
+  }
+
+  /**
+   * Cancelar un job sin terminar; la patente en curso termina, las
+   * pendientes quedan 'cancelada'
+   * @returns {object|null} - Job, o null si no existe (un job terminado se devuelve sin cambios)
+   * @throws {Error} - Si no se puede guardar el archivo; el job sigue como estaba
+   */
+  function cancelar(id, cliente = null) {
+    const job = obtener(id, cliente);
+    if (!job || job.terminado) return job;
+
+    const { estado } = job;
+    const canceladas = job.resultados.filter(item => item.estado === 'pendiente');
+    job.estado = 'cancelado';
+    job.terminado = fecha();
+    for (const item of canceladas) item.estado = 'cancelada';
+    try {
+      persistir();
+    } catch (error) {
+      // Si no, un reinicio lo retomaría aunque se respondió cancelado
+      job.estado = estado;
+      job.terminado = null;
+      for (const item of canceladas) item.estado = 'pendiente';
+      throw error;
+    }
+    if (job !== enCurso) avisar(job);
+    return job;
+  }
+
+  /**
+   * Promesa que se resuelve cuando la cola queda sin trabajo (para tests y apagado)
+   */
+  function esperar() {
+    return corriendo || Promise.resolve();
+  }
+
+  return { crear, obtener, cancelar, iniciar, esperar };
+}
+
+/**
+ * Vista pública de un job: sin la key dueña y con el avance resumido
+ */
+function vistaJob(job) {
+  const contar = (...estados) => job.resultados.filter(item => estados.includes(item.estado)).length;
+  return {
+    id: job.id,
+    estado: job.estado,
+    tipo: job.tipo,
+    creado: job.creado,
+    iniciado: job.iniciado,
+    terminado: job.terminado,
+    ...(job.error && { error: job.error }),
+    progreso: {
+      total: job.resultados.length,
+      procesadas: contar('ok', 'error'),
+      ok: contar('ok'),
+      errores: contar('error'),
+      canceladas: contar('cancelada')
+    },
+    resultados: job.resultados
+  };
+}
+
+module.exports = {
+  ESTADOS_JOB,
+  ESTADOS_PATENTE,
+  crearColaJobs,
+  vistaJob
+};
@@ -0,0 +1,112 @@
+/**
+ * Validador mínimo de JSON Schema para los esquemas del spec OpenAPI
+ * Cubre solo lo que usa lib/openapi.js: type (también en arreglo), enum,
+ * properties, required, additionalProperties, items, oneOf, anyOf, pattern,
+ * minimum y $ref locales (#/components/schemas/...).
+ */
+
+/**
+ * Tipo JSON de un valor ('integer' solo para enteros)
+ */
+function tipoDe(valor) {
+  if (valor === null) return 'null';
+  if (Array.isArray(valor)) return 'array';
+  if (Number.isInteger(valor)) return 'integer';
+  return typeof valor;
+}
+
+/**
+ * ¿El valor calza con el tipo declarado? Un entero también es 'number'.
+ */
+function calzaTipo(valor, tipo) {
+  const actual = tipoDe(valor);
+  return actual === tipo || (tipo === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolver un $ref local contra el documento raíz
+ */
+function resolverRef(ref, raiz) {
+  if (!ref.startsWith('#/')) throw new Error(`$ref no soportado: ${ref}`);
+  const destino = ref.slice(2).split('/').reduce((nodo, parte) => (nodo ? nodo[parte] : undefined), raiz);
+  if (!destino) throw new Error(`$ref no encontrado: ${ref}`);
+  return destino;
+}
+
+/**
+ * Validar un valor contra un esquema
+ * @param {object} schema - JSON Schema (subconjunto)
+ * @param {*} valor - Valor a validar
+ * @param {object} options - { raiz } documento para resolver $ref, { ruta } prefijo de los errores
+ * @returns {string[]} - Errores encontrados ("ruta: motivo"); vacío si es válido
+ */
+function validarEsquema(schema, valor, options = {}) {
+  const raiz = options.raiz || schema;
+  const ruta = options.ruta || '$';
+  const errores = [];
+
+  if (schema.$ref) {
+    return validarEsquema(resolverRef(schema.$ref, raiz), valor, { raiz, ruta });
+  }
+
+  if (schema.type) {
+    const tipos = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!tipos.some(tipo => calzaTipo(valor, tipo))) {
+      return [`${ruta}: se esperaba ${tipos.join(' | ')}, llegó ${tipoDe(valor)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(valor)) {
+    errores.push(`${ruta}: ${JSON.stringify(valor)} no está en ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (schema.oneOf) {
+    const validos = schema.oneOf.filter(opcion => validarEsquema(opcion, valor, { raiz, ruta }).length === 0);
+    if (validos.length !== 1) {
+      errores.push(`${ruta}: calza con ${validos.length} opciones de oneOf (se esperaba 1)`);
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(opcion => validarEsquema(opcion, valor, { raiz, ruta }).length === 0)) {
+    errores.push(`${ruta}: no calza con ninguna opción de anyOf`);
+  }
+
+  if (typeof valor === 'string' && schema.pattern && !new RegExp(schema.pattern).test(valor)) {
+    errores.push(`${ruta}: "${valor}" no calza con /${schema.pattern}/`);
+  }
+
+  if (typeof valor === 'number' && schema.minimum !== undefined && valor < schema.minimum) {
+    errores.push(`${ruta}: ${valor} es menor que ${schema.minimum}`);
+  }
+
+  if (tipoDe(valor) === 'object') {
+    const propiedades = schema.properties || {};
+
+    for (const campo of schema.required || []) {
+      if (!(campo in valor)) errores.push(`${ruta}.${campo}: campo requerido`);
+    }
+
+    for (const [campo, subvalor] of Object.entries(valor)) {
+      const subruta = `${ruta}.${campo}`;
+      if (propiedades[campo]) {
+        errores.push(...validarEsquema(propiedades[campo], subvalor, { raiz, ruta: subruta }));
+      } else if (schema.additionalProperties === false) {
+        errores.push(`${subruta}: campo no documentado`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errores.push(...validarEsquema(schema.additionalProperties, subvalor, { raiz, ruta: subruta }));
+      }
+    }
+  }
+
+  if (Array.isArray(valor) && schema.items) {
+    valor.forEach((item, i) => {
+      errores.push(...validarEsquema(schema.items, item, { raiz, ruta: `${ruta}[${i}]` }));
+    });
+  }
+
+  return errores;
+}
+
+module.exports = {
+  validarEsquema
+};
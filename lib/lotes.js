@@ -0,0 +1,140 @@
+/**
+ * Consultas de varias patentes con concurrencia acotada
+ * Corren hasta `concurrencia` patentes a la vez y cada carril espera `pausa`
+ * ms antes de su siguiente patente (no después de la última). Una patente
+ * que pasa `timeoutPatente` se aborta y queda con codigo TIMEOUT sin frenar
+ * a las demás. Las repetidas se consultan una sola vez y los resultados
+ * vuelven en el orden de la entrada, con un resumen.
+ */
+
+const { createErrorReport } = require('./schema');
+
+const CONCURRENCIA = 2;
+const TIMEOUT_PATENTE_MS = 180_000;
+const PAUSA_MS = 2000;
+
+/**
+ * Configuración de los lotes desde las variables de entorno
+ * Un valor vacío o que no es número deja el default (un 0 explícito sí cuenta).
+ * @param {object} [env] - process.env: MULTIPLES_CONCURRENCIA, MULTIPLES_TIMEOUT_MS (0 sin límite)
+ *   y MULTIPLES_PAUSA_MS
+ * @returns {object} - { concurrencia, timeoutPatente, pausa } para consultarLote
+ */
+function leerLotes(env = {}) {
+  const numero = (valor, defecto) => (valor === undefined || String(valor).trim() === '' || !Number.isFinite(Number(valor)) ? defecto : Number(valor));
+  return {
+    concurrencia: Math.max(1, numero(env.MULTIPLES_CONCURRENCIA, CONCURRENCIA)),
+    timeoutPatente: numero(env.MULTIPLES_TIMEOUT_MS, TIMEOUT_PATENTE_MS),
+    pausa: numero(env.MULTIPLES_PAUSA_MS, PAUSA_MS)
+  };
+}
+
+/**
+ * Resumen de un lote; un resultado que falta (null) cuenta como omitido
+ * @param {string[]} patentes
+ * @param {object[]} resultados - En el orden de `patentes`
+ * @returns {object} - { total, unicas, ok, errores, omitidas }
+ */
+function resumirLote(patentes, resultados) {
+  const contar = condicion => resultados.filter(condicion).length;
+  return {
+    total: patentes.length,
+    unicas: new Set(patentes.map(patente => String(patente).trim().toUpperCase())).size,
+    ok: contar(r => r && r.success),
+    errores: contar(r => r && !r.success && r.codigo !== 'OMITIDA'),
+    omitidas: contar(r => !r || r.codigo === 'OMITIDA')
+  };
+}
+
+/**
+ * Consultar una patente con tiempo máximo: al cumplirse se aborta la señal
+ * y se devuelve un reporte fallido con codigo TIMEOUT
+ * @param {Function} consultar - (patente, signal) => Promise<reporte>
+ * @param {number} timeout - ms (0 sin límite)
+ */
+async function consultarConTimeout(consultar, patente, timeout, source) {
+  const controlador = new AbortController();
+  if (!timeout) return consultar(patente, controlador.signal);
+
+  let timer;
+  const limite = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controlador.abort();
+      resolve(createErrorReport(patente, source, `Sin respuesta en ${timeout} ms`, null, 'TIMEOUT'));
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([consultar(patente, controlador.signal), limite]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Consultar un lote de patentes
+ * @param {string[]} patentes
+ * @param {Function} consultar - (patente, signal) => Promise<reporte>; debería dejar de
+ *   trabajar cuando se aborta la señal
+ * @param {object} [options] - { concurrencia }, { timeoutPatente } ms, { pausa } ms, { source } de
+ *   los reportes fallidos y { alObtener(resultado, indice) } que se llama apenas está cada
+ *   resultado, con su índice en `patentes`; si devuelve false no se consultan las que faltan,
+ *   que quedan con codigo OMITIDA
+ * @returns {Promise<object>} - { resultados, resumen }: un reporte por patente en el orden de la
+ *   entrada y { total, unicas, ok, errores, omitidas }
+ */
+async function consultarLote(patentes, consultar, {
+  concurrencia = CONCURRENCIA,
+  timeoutPatente = TIMEOUT_PATENTE_MS,
+  pausa = PAUSA_MS,
+  source = null,
+  alObtener = () => {}
+} = {}) {
+  // Índices de la entrada de cada patente distinta
+  const indicesPorPatente = new Map();
+  for (const [indice, patente] of patentes.entries()) {
+    const clave = String(patente).trim().toUpperCase();
+    if (!indicesPorPatente.has(clave)) indicesPorPatente.set(clave, []);
+    indicesPorPatente.get(clave).push(indice);
+  }
+
+  const pendientes = [...indicesPorPatente.values()];
+  const resultados = patentes.map(() => null);
+  let detenido = false;
+
+  async function carril() {
+    while (!detenido && pendientes.length > 0) {
+      const indices = pendientes.shift();
+      const resultado = await consultarConTimeout(consultar, patentes[indices[0]], timeoutPatente, source);
+
+      for (const [n, indice] of indices.entries()) {
+        resultados[indice] = n === 0 ? resultado : structuredClone(resultado);
+        if (!detenido && (await alObtener(resultados[indice], indice)) === false) detenido = true;
+      }
+
+      if (pausa > 0 && !detenido && pendientes.length > 0) {
+        await new Promise(r => setTimeout(r, pausa));
+      }
+    }
+  }
+
+  const carriles = Math.max(1, Math.min(concurrencia, pendientes.length));
+  await Promise.all(Array.from({ length: carriles }, carril));
+
+  for (const [indice, patente] of patentes.entries()) {
+    if (!resultados[indice]) {
+      resultados[indice] = createErrorReport(patente, source, 'Consulta omitida', 'La consulta se interrumpió antes de esta patente', 'OMITIDA');
+    }
+  }
+
+  return { resultados, resumen: resumirLote(patentes, resultados) };
+}
+
+module.exports = {
+  CONCURRENCIA,
+  TIMEOUT_PATENTE_MS,
+  PAUSA_MS,
+  leerLotes,
+  resumirLote,
+  consultarLote
+};
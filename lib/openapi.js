@@ -0,0 +1,1042 @@
+/**
+ * Documento OpenAPI 3.1 de la API local y de cada Worker
+ * Los esquemas del reporte se derivan de SECCIONES (lib/schema.js), así que
+ * un cambio en el esquema canónico se refleja aquí sin editar a mano.
+ * validarRespuesta() compara una respuesta real contra el spec; la API local
+ * la usa con VALIDAR_RESPUESTAS=1 y los tests la usan con los fixtures.
+ */
+
+const { SCHEMA_VERSION, CONFIANZAS, CODIGOS_ERROR, SECCIONES } = require('./schema');
+const { EPISODIOS } = require('./restriccion');
+const { ESTADOS_JOB, ESTADOS_PATENTE } = require('./jobs');
+const { TIPOS: TIPOS_STREAM } = require('./stream');
+const { validarEsquema } = require('./json-schema');
+
+const ref = nombre => ({ $ref: `#/components/schemas/${nombre}` });
+const nullable = schema => ({ oneOf: [schema, { type: 'null' }] });
+
+// Campos que calcula el normalizador (tipo 'derivado' en SECCIONES)
+const DERIVADOS = {
+  vigente: { type: ['boolean', 'null'] },
+  diasRestantes: { type: ['integer', 'null'] },
+  venceEn: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}$' }
+};
+
+const FECHA = { type: ['string', 'null'], format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+
+const CACHED_AT = {
+  type: ['string', 'null'],
+  format: 'date-time',
+  description: 'Solo API local: cuándo se guardó el dato en el cache (null si no se guardó, p.ej. un error)'
+};
+
+/**
+ * JSON Schema de un campo según su tipo en SECCIONES
+ */
+function esquemaCampo(campo, tipo) {
+  switch (tipo) {
+    case 'rut':
+      return nullable(ref('Rut'));
+    case 'fecha':
+    case 'fecha-vencimiento':
+      return FECHA;
+    case 'derivado':
+      return DERIVADOS[campo];
+    default:
+      return { type: [tipo, 'null'] };
+  }
+}
+
+/**
+ * Esquemas de cada sección del reporte: objeto con todos los campos o null
+ */
+function esquemasSecciones() {
+  const schemas = {};
+  for (const [nombre, campos] of Object.entries(SECCIONES)) {
+    const properties = {};
+    for (const [campo, tipo] of Object.entries(campos)) {
+      properties[campo] = esquemaCampo(campo, tipo);
+    }
+    schemas[nombre] = nullable({
+      type: 'object',
+      properties,
+      required: Object.keys(campos),
+      additionalProperties: false
+    });
+  }
+  return schemas;
+}
+
+const COMPONENTES = {
+  Rut: {
+    type: 'object',
+    properties: {
+      valor: { type: 'string' },
+      cuerpo: { type: ['string', 'null'] },
+      dv: { type: ['string', 'null'] },
+      valido: { type: 'boolean' }
+    },
+    required: ['valor', 'cuerpo', 'dv', 'valido'],
+    additionalProperties: false
+  },
+  Advertencia: {
+    type: 'object',
+    properties: {
+      campo: { type: 'string' },
+      mensaje: { type: 'string' }
+    },
+    required: ['campo', 'mensaje'],
+    additionalProperties: false
+  },
+  Multa: {
+    type: 'object',
+    properties: {
+      rol: { type: ['string', 'null'] },
+      juzgado: { type: ['string', 'null'] },
+      comuna: { type: ['string', 'null'] },
+      fecha: FECHA,
+      año: { type: ['integer', 'null'] },
+      tipo: { type: ['string', 'null'] },
+      descripcion: { type: ['string', 'null'] },
+      monto: { type: ['integer', 'null'], minimum: 0 },
+      estado: { type: ['string', 'null'] }
+    },
+    required: ['rol', 'juzgado', 'comuna', 'fecha', 'año', 'tipo', 'descripcion', 'monto', 'estado'],
+    additionalProperties: false
+  },
+  TotalesMultas: {
+    type: 'object',
+    properties: {
+      cantidad: { type: 'integer', minimum: 0 },
+      cantidadPendientes: { type: 'integer', minimum: 0 },
+      montoTotal: { type: 'integer', minimum: 0 },
+      montoPendiente: { type: 'integer', minimum: 0 },
+      sinMonto: { type: 'integer', minimum: 0 },
+      porEstado: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            cantidad: { type: 'integer', minimum: 0 },
+            monto: { type: 'integer', minimum: 0 }
+          },
+          required: ['cantidad', 'monto'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['cantidad', 'cantidadPendientes', 'montoTotal', 'montoPendiente', 'sinMonto', 'porEstado'],
+    additionalProperties: false
+  },
+  ResultadoMultas: {
+    type: 'object',
+    description: 'Salida de parseMultasFromHtml (Worker de multas)',
+    properties: {
+      patente: { type: 'string' },
+      tieneMultas: { type: 'boolean' },
+      cantidadMultas: { type: 'integer', minimum: 0 },
+      mensaje: { type: 'string' },
+      informacionVehiculo: {
+        type: 'object',
+        properties: {
+          nombre: { type: 'string' },
+          vehiculo: { type: 'string' },
+          año: { type: 'integer' },
+          color: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      multas: { type: 'array', items: ref('Multa') },
+      totales: ref('TotalesMultas'),
+      timestamp: { type: 'string' },
+      source: { type: 'string' },
+      error: { type: 'string' },
+      cachedAt: CACHED_AT
+    },
+    required: ['patente', 'tieneMultas', 'cantidadMultas', 'mensaje', 'informacionVehiculo', 'multas', 'totales', 'timestamp', 'source'],
+    additionalProperties: false
+  },
+  ErrorMultas: {
+    type: 'object',
+    description: 'La API local no pudo contactar al Worker de multas',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      patente: { type: 'string' },
+      error: { type: 'string' },
+      timestamp: { type: 'string' },
+      codigo: { type: 'string', enum: CODIGOS_ERROR },
+      cachedAt: CACHED_AT
+    },
+    required: ['success', 'patente', 'error', 'timestamp'],
+    additionalProperties: false
+  },
+  Restriccion: {
+    type: 'object',
+    properties: {
+      fecha: { type: 'string', format: 'date' },
+      diaSemana: { type: 'string' },
+      episodio: { type: 'string', enum: EPISODIOS },
+      categoria: { type: ['string', 'null'] },
+      ultimoDigito: { type: ['integer', 'null'] },
+      digitosRestringidos: { type: 'array', items: { type: 'integer' } },
+      restringido: { type: ['boolean', 'null'] },
+      horario: nullable({
+        type: 'object',
+        properties: { desde: { type: 'string' }, hasta: { type: 'string' } },
+        required: ['desde', 'hasta']
+      }),
+      zona: { type: ['string', 'null'] },
+      motivo: { type: 'string' }
+    },
+    required: ['fecha', 'diaSemana', 'episodio', 'categoria', 'ultimoDigito', 'digitosRestringidos', 'restringido', 'horario', 'zona', 'motivo'],
+    additionalProperties: false
+  },
+  Drift: {
+    type: 'object',
+    description: 'Diferencias entre el layout visto en la fuente y el esperado (lib/drift.js)',
+    properties: {
+      hayDrift: { type: 'boolean' },
+      tablaEncontrada: { type: 'boolean' },
+      labelsVistos: { type: 'integer', minimum: 0 },
+      labelsDesconocidos: { type: 'array', items: { type: 'string' } },
+      labelsFaltantes: { type: 'array', items: { type: 'string' } },
+      seccionesNoEncontradas: { type: 'array', items: { type: 'string' } },
+      seccionesDesconocidas: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['hayDrift', 'tablaEncontrada', 'labelsVistos', 'labelsDesconocidos', 'labelsFaltantes', 'seccionesNoEncontradas', 'seccionesDesconocidas'],
+    additionalProperties: false
+  },
+  Procedencia: {
+    type: 'object',
+    description: 'De dónde salió un campo del reporte',
+    properties: {
+      fuente: { type: ['string', 'null'] },
+      label: { type: ['string', 'null'] },
+      estrategia: { type: ['string', 'null'] },
+      confianza: { type: 'string', enum: CONFIANZAS }
+    },
+    required: ['fuente', 'label', 'estrategia', 'confianza'],
+    additionalProperties: false
+  },
+  Conflicto: {
+    type: 'object',
+    description: 'Campo en que las fuentes no coinciden (lib/fusion.js)',
+    properties: {
+      campo: { type: 'string', description: "'seccion.campo'" },
+      elegido: { type: ['string', 'null'], description: 'Proveedor cuyo valor quedó en el reporte' },
+      valores: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            fuente: { type: 'string' },
+            valor: { description: 'Con el tipo del campo en el reporte' }
+          },
+          required: ['fuente', 'valor'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['campo', 'elegido', 'valores'],
+    additionalProperties: false
+  },
+  Cuota: {
+    type: 'object',
+    description: 'Uso de una API key; cuota null es ilimitada. Días y meses de Chile continental.',
+    properties: {
+      label: { type: 'string' },
+      dia: { type: 'string', format: 'date' },
+      usadoDia: { type: 'integer', minimum: 0 },
+      mes: { type: 'string', pattern: '^\\d{4}-\\d{2}$' },
+      usadoMes: { type: 'integer', minimum: 0 },
+      cuotaDiaria: { type: ['integer', 'null'] },
+      cuotaMensual: { type: ['integer', 'null'] },
+      secciones: { type: 'array', items: { type: 'string', enum: Object.keys(SECCIONES) } }
+    },
+    required: ['label', 'dia', 'usadoDia', 'mes', 'usadoMes', 'cuotaDiaria', 'cuotaMensual', 'secciones'],
+    additionalProperties: false
+  },
+  Error: {
+    type: 'object',
+    description: 'Error genérico; algunos endpoints agregan campos de contexto',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      message: { type: 'string' },
+      mensaje: { type: ['string', 'null'] },
+      patente: { type: ['string', 'null'] }
+    },
+    required: ['error']
+  },
+  EstadoBreaker: {
+    type: 'object',
+    description: 'Circuit breaker de un upstream (lib/circuit-breaker.js)',
+    properties: {
+      nombre: { type: 'string' },
+      estado: { type: 'string', enum: ['cerrado', 'abierto', 'semiabierto'] },
+      fallasSeguidas: { type: 'integer' },
+      ultimoMotivo: { type: ['string', 'null'], enum: ['CAPTCHA', 'LIMITE_TASA', 'TIMEOUT', 'CIRCUITO_ABIERTO', null] },
+      abiertoHasta: { type: ['string', 'null'], description: 'Mientras está abierto: cuándo deja pasar una consulta de prueba' },
+      aperturas: { type: 'integer' },
+      rechazadas: { type: 'integer', description: 'Consultas rechazadas sin tocar el upstream' },
+      historial: {
+        type: 'array',
+        description: 'Últimas aperturas',
+        items: {
+          type: 'object',
+          properties: {
+            abierto: { type: 'string' },
+            motivo: { type: 'string' },
+            fallas: { type: 'integer' },
+            cerrado: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Componentes compartidos por todos los documentos
+ */
+function componentes() {
+  const secciones = esquemasSecciones();
+  const properties = {
+    schemaVersion: { type: 'string', enum: [SCHEMA_VERSION] },
+    success: { type: 'boolean' },
+    patente: { type: ['string', 'null'] },
+    timestamp: { type: 'string' },
+    source: { type: ['string', 'null'] },
+    error: { type: 'string' },
+    mensaje: { type: ['string', 'null'] },
+    codigo: { type: 'string', enum: CODIGOS_ERROR, description: 'Solo en reportes fallidos' },
+    ...secciones,
+    advertencias: { type: 'array', items: ref('Advertencia') },
+    drift: nullable(ref('Drift')),
+    _provenance: {
+      type: 'object',
+      description: "Opcional (?provenance=1): procedencia por campo, con clave 'seccion.campo'",
+      additionalProperties: ref('Procedencia')
+    },
+    fuentes: {
+      type: 'object',
+      description: "Proveedor que respondió cada sección (lib/orquestador.js), con '+' entre los nombres si se fusionó; null si todos los que la cubren fallaron",
+      properties: Object.fromEntries(Object.keys(SECCIONES).map(seccion => [seccion, { type: ['string', 'null'] }])),
+      additionalProperties: false
+    },
+    conflictos: {
+      type: 'array',
+      description: 'Solo con fusión (FUSIONAR): campos en que las fuentes no coinciden',
+      items: ref('Conflicto')
+    },
+    cachedAt: CACHED_AT
+  };
+
+  return {
+    schemas: {
+      ...COMPONENTES,
+      Reporte: {
+        type: 'object',
+        description: `Reporte canónico (schemaVersion ${SCHEMA_VERSION})`,
+        properties,
+        required: ['schemaVersion', 'success', 'patente', 'timestamp', 'source', ...Object.keys(SECCIONES), 'advertencias', 'drift'],
+        additionalProperties: false
+      },
+      ReporteConRestriccion: {
+        type: 'object',
+        description: 'Reporte canónico con la sección opcional restriccionCalculada',
+        properties: { ...properties, restriccionCalculada: ref('Restriccion') },
+        required: ['schemaVersion', 'success', 'patente', 'timestamp', 'source', ...Object.keys(SECCIONES), 'advertencias', 'drift'],
+        additionalProperties: false
+      },
+      RespuestaPropietario: {
+        type: 'object',
+        description: 'Reporte recortado a la sección propietario (seleccionarSeccion)',
+        properties: {
+          schemaVersion: properties.schemaVersion,
+          success: properties.success,
+          patente: properties.patente,
+          timestamp: properties.timestamp,
+          source: properties.source,
+          error: properties.error,
+          mensaje: properties.mensaje,
+          codigo: properties.codigo,
+          propietario: secciones.propietario,
+          advertencias: properties.advertencias,
+          _provenance: properties._provenance,
+          fuentes: properties.fuentes,
+          conflictos: properties.conflictos,
+          cachedAt: CACHED_AT
+        },
+        required: ['schemaVersion', 'success', 'patente', 'timestamp', 'source', 'propietario', 'advertencias'],
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+/**
+ * Respuesta JSON con un esquema
+ */
+const json = (descripcion, schema) => ({
+  description: descripcion,
+  content: { 'application/json': { schema } }
+});
+
+const paramPatente = { name: 'patente', in: 'query', required: true, schema: { type: 'string' }, example: 'HVCY94' };
+const paramPatenteRuta = { ...paramPatente, in: 'path' };
+const query = (name, descripcion, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description: descripcion, schema });
+
+const ERRORES_ACCESO = {
+  401: json('Falta la API key o no existe (solo si la API tiene keys configuradas)', ref('Error')),
+  429: json('Límite de tasa o cuota agotada (ver Retry-After y X-RateLimit-*)', ref('Error'))
+};
+
+const ERRORES_COMUNES = {
+  400: json('Parámetros inválidos (patente, fecha o JSON)', ref('Error')),
+  ...ERRORES_ACCESO,
+  403: json('La API key no tiene acceso a la sección pedida', ref('Error')),
+  405: json('Método no permitido', ref('Error')),
+  500: json('Error interno o de la fuente', ref('Error'))
+};
+
+// API keys de la API local (lib/api-keys.js)
+const SEGURIDAD = {
+  apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+  bearer: { type: 'http', scheme: 'bearer', description: 'La misma API key en Authorization: Bearer' }
+};
+
+const PARAM_PROVENANCE = query('provenance', 'Incluir _provenance por campo (1 o true)');
+
+const PARAMS_RESTRICCION = [
+  query('restriccion', 'Agregar restriccionCalculada al reporte (1 o true)'),
+  query('fecha', 'Fecha para la restricción (YYYY-MM-DD)'),
+  query('episodio', 'Episodio ambiental', { type: 'string', enum: EPISODIOS })
+];
+
+const PARAM_ID = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+const PARAMS_VEHICULO_RESTRICCION = [
+  query('fecha', 'YYYY-MM-DD (por defecto hoy en Chile)'),
+  query('episodio', 'Episodio ambiental', { type: 'string', enum: EPISODIOS }),
+  query('tipoSello', 'Sello del vehículo; si se omite se consulta con el scraper'),
+  query('anio', 'Año del vehículo'),
+  query('combustible', 'Combustible del vehículo')
+];
+
+/**
+ * Rutas de cada servicio
+ */
+const SERVICIOS = {
+  'api-server': {
+    titulo: 'Patente Scraper API (local)',
+    servidor: 'http://localhost:3000',
+    seguridad: true,
+    paths: {
+      '/health': {
+        get: {
+          summary: 'Estado del servicio',
+          security: [],
+          responses: {
+            200: json('Servicio disponible', {
+              type: 'object',
+              properties: {
+                status: { type: 'string' },
+                service: { type: 'string' },
+                timestamp: { type: 'string' },
+                drift: {
+                  type: 'object',
+                  description: 'Contadores de cambios de layout desde que arrancó el proceso',
+                  properties: {
+                    reportes: { type: 'integer' },
+                    conDrift: { type: 'integer' },
+                    labelsDesconocidos: { type: 'integer' },
+                    labelsFaltantes: { type: 'integer' },
+                    seccionesNoEncontradas: { type: 'integer' },
+                    ultimoDrift: { type: ['string', 'null'] }
+                  }
+                },
+                navegadores: {
+                  type: 'object',
+                  description: 'Pool de navegadores de Playwright (lib/browser-pool.js)',
+                  properties: {
+                    abiertos: { type: 'integer' },
+                    maxNavegadores: { type: 'integer' },
+                    enUso: { type: 'integer', description: 'Contextos en uso' },
+                    concurrencia: { type: 'integer' },
+                    enCola: { type: 'integer', description: 'Consultas esperando turno' },
+                    maxUsos: { type: 'integer' },
+                    lanzados: { type: 'integer' },
+                    reciclados: { type: 'integer' },
+                    caidos: { type: 'integer' },
+                    contextos: { type: 'integer' },
+                    rechazadas: { type: 'integer', description: 'Consultas que agotaron la espera en cola' },
+                    navegadores: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          id: { type: 'integer' },
+                          activos: { type: 'integer' },
+                          usos: { type: 'integer' },
+                          retirado: { type: 'boolean' }
+                        }
+                      }
+                    }
+                  }
+                },
+                proveedores: {
+                  type: 'object',
+                  description: 'Orden de los proveedores por sección (lib/orquestador.js)',
+                  additionalProperties: { type: 'array', items: { type: 'string' } }
+                },
+                breakers: { type: 'array', items: ref('EstadoBreaker') },
+                endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+              },
+              required: ['status', 'service', 'timestamp']
+            })
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'Este documento (o el de un Worker con ?servicio=)',
+          parameters: [query('servicio', 'Servicio del documento', { type: 'string' })],
+          responses: {
+            200: json('Documento OpenAPI', { type: 'object', required: ['openapi', 'info', 'paths'] }),
+            ...ERRORES_ACCESO,
+            404: json('Servicio desconocido', ref('Error'))
+          }
+        }
+      },
+      '/v1/cuota': {
+        get: {
+          summary: 'Uso y cuotas de la API key (no descuenta de la cuota)',
+          responses: {
+            200: json('Uso del día y del mes', ref('Cuota')),
+            ...ERRORES_ACCESO,
+            404: json('La API no tiene keys configuradas', ref('Error'))
+          }
+        }
+      },
+      '/v1/vehiculos/{patente}': {
+        get: {
+          summary: 'Reporte completo del vehículo (Playwright)',
+          parameters: [paramPatenteRuta, query('tipo', 'vehiculo o moto'), PARAM_PROVENANCE, ...PARAMS_RESTRICCION],
+          responses: { 200: json('Reporte canónico', ref('ReporteConRestriccion')), ...ERRORES_COMUNES }
+        }
+      },
+      '/v1/vehiculos/{patente}/multas': {
+        get: {
+          summary: 'Multas del vehículo (vía Worker de multas)',
+          parameters: [paramPatenteRuta],
+          responses: {
+            200: json('Multas', { oneOf: [ref('ResultadoMultas'), ref('ErrorMultas')] }),
+            ...ERRORES_COMUNES
+          }
+        }
+      },
+      '/v1/vehiculos/{patente}/propietario': {
+        get: {
+          summary: 'Datos del propietario (Playwright)',
+          parameters: [paramPatenteRuta, PARAM_PROVENANCE],
+          responses: { 200: json('Sección propietario', ref('RespuestaPropietario')), ...ERRORES_COMUNES }
+        }
+      },
+      '/v1/vehiculos/{patente}/restriccion': {
+        get: {
+          summary: 'Restricción vehicular calculada para una fecha',
+          parameters: [paramPatenteRuta, ...PARAMS_VEHICULO_RESTRICCION],
+          responses: {
+            200: json('Restricción', ref('RespuestaRestriccion')),
+            502: json('No se pudieron obtener los datos del vehículo', ref('Error')),
+            ...ERRORES_COMUNES
+          }
+        }
+      },
+      '/v1/consultas': {
+        post: {
+          summary: 'Consulta con body { patente, tipo, provenance, restriccion, fecha, episodio } o { patentes: [], tipo } (máximo 10); con callbackUrl el resultado llega por webhook',
+          responses: {
+            200: json('Reporte canónico, o reportes en el orden pedido', {
+              oneOf: [ref('ReporteConRestriccion'), ref('RespuestaMultiple')]
+            }),
+            202: json('Con callbackUrl: consulta aceptada, o job si se pidieron varias patentes', {
+              oneOf: [ref('ConsultaAceptada'), ref('Job')]
+            }),
+            ...ERRORES_COMUNES
+          }
+        }
+      },
+      '/v1/jobs': {
+        post: {
+          summary: 'Encolar una consulta masiva con body { patentes: [], tipo, provenance, multas, callbackUrl } (máximo 1000)',
+          responses: {
+            202: json('Job creado; el header Location apunta a /v1/jobs/{id}', ref('Job')),
+            ...ERRORES_COMUNES,
+            503: json('No se pudo guardar el job (JOBS_FILE); no quedó encolado', ref('Error'))
+          }
+        }
+      },
+      '/v1/jobs/{id}': {
+        get: {
+          summary: 'Avance y resultados por patente de un job (no descuenta de la cuota)',
+          parameters: [PARAM_ID],
+          responses: {
+            200: json('Job', ref('Job')),
+            ...ERRORES_ACCESO,
+            404: json('El job no existe o es de otra API key', ref('Error'))
+          }
+        },
+        delete: {
+          summary: 'Cancelar las patentes pendientes de un job (un job terminado se devuelve sin cambios)',
+          parameters: [PARAM_ID],
+          responses: {
+            200: json('Job cancelado', ref('Job')),
+            ...ERRORES_ACCESO,
+            404: json('El job no existe o es de otra API key', ref('Error')),
+            503: json('No se pudo guardar la cancelación (JOBS_FILE); el job sigue', ref('Error'))
+          }
+        }
+      },
+      '/v1/webhooks/fallidas': {
+        get: {
+          summary: 'Entregas de webhooks que agotaron sus intentos (no descuenta de la cuota)',
+          responses: {
+            200: json('Entregas fallidas de la API key', {
+              type: 'object',
+              properties: {
+                total: { type: 'integer', minimum: 0 },
+                entregas: { type: 'array', items: ref('Entrega') }
+              },
+              required: ['total', 'entregas'],
+              additionalProperties: false
+            }),
+            ...ERRORES_ACCESO,
+            404: json('Webhooks desactivados (falta WEBHOOK_SECRET)', ref('Error'))
+          }
+        }
+      },
+      '/v1/webhooks/{id}/reenviar': {
+        post: {
+          summary: 'Reenviar una entrega fallida, con todos sus intentos (no descuenta de la cuota)',
+          parameters: [PARAM_ID],
+          responses: {
+            202: json('Entrega encolada', ref('Entrega')),
+            ...ERRORES_ACCESO,
+            404: json('No hay una entrega fallida con ese id, o los webhooks están desactivados', ref('Error'))
+          }
+        }
+      },
+      '/consultar': {
+        get: {
+          summary: 'Reporte completo del vehículo (Playwright)',
+          parameters: [paramPatente, query('tipo', 'vehiculo, moto, rut o vin'), PARAM_PROVENANCE, ...PARAMS_RESTRICCION],
+          responses: { 200: json('Reporte canónico', ref('ReporteConRestriccion')), ...ERRORES_COMUNES }
+        },
+        post: {
+          summary: 'Reporte completo del vehículo con body { patente, tipo, provenance, restriccion, fecha, episodio }',
+          responses: { 200: json('Reporte canónico', ref('ReporteConRestriccion')), ...ERRORES_COMUNES }
+        }
+      },
+      '/multas': {
+        get: {
+          summary: 'Multas del vehículo (vía Worker de multas)',
+          parameters: [paramPatente],
+          responses: {
+            200: json('Multas', { oneOf: [ref('ResultadoMultas'), ref('ErrorMultas')] }),
+            ...ERRORES_COMUNES
+          }
+        },
+        post: {
+          summary: 'Multas con body { patente }',
+          responses: {
+            200: json('Multas', { oneOf: [ref('ResultadoMultas'), ref('ErrorMultas')] }),
+            ...ERRORES_COMUNES
+          }
+        }
+      },
+      '/consultar-multiple': {
+        post: {
+          summary: 'Varias patentes con body { patentes: [], tipo }',
+          responses: {
+            200: json('Reportes en el orden pedido', ref('RespuestaMultiple')),
+            ...ERRORES_COMUNES
+          }
+        }
+      },
+      '/restriccion': {
+        get: {
+          summary: 'Restricción vehicular calculada para una fecha',
+          parameters: [paramPatente, ...PARAMS_VEHICULO_RESTRICCION],
+          responses: {
+            200: json('Restricción', ref('RespuestaRestriccion')),
+            502: json('No se pudieron obtener los datos del vehículo', ref('Error')),
+            ...ERRORES_COMUNES
+          }
+        },
+        post: {
+          summary: 'Restricción con body { patente, fecha, episodio, vehiculo }',
+          responses: {
+            200: json('Restricción', ref('RespuestaRestriccion')),
+            502: json('No se pudieron obtener los datos del vehículo', ref('Error')),
+            ...ERRORES_COMUNES
+          }
+        }
+      }
+    }
+  },
+  'cloudflare-worker': {
+    titulo: 'Worker de multas',
+    servidor: 'https://patente-scraper-worker.t4ngible.workers.dev',
+    paths: {
+      '/': {
+        get: {
+          summary: 'Proxy de HTML de patentechile.com',
+          parameters: [{ name: 'url', in: 'query', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'HTML de la página', content: { 'text/html': { schema: { type: 'string' } } } },
+            400: json('Falta url', ref('Error')),
+            403: json('Dominio no permitido o CAPTCHA', ref('Error')),
+            500: json('Error interno', ref('Error'))
+          }
+        }
+      },
+      '/consultar-patente': {
+        get: {
+          summary: 'Multas del vehículo',
+          parameters: [paramPatente],
+          responses: {
+            200: json('Multas', ref('ResultadoMultas')),
+            400: json('Patente faltante o inválida', ref('Error')),
+            403: json('CAPTCHA', ref('Error')),
+            500: json('Error de consulta', ref('Error'))
+          }
+        }
+      },
+      '/consultar': {
+        get: {
+          summary: 'Reporte completo del vehículo (fetch)',
+          parameters: [paramPatente, PARAM_PROVENANCE],
+          responses: {
+            200: json('Reporte canónico', ref('Reporte')),
+            400: json('Patente faltante o inválida (reporte fallido)', ref('Reporte')),
+            403: json('CAPTCHA (reporte fallido)', ref('Reporte')),
+            500: json('Error de consulta (reporte fallido)', ref('Reporte'))
+          }
+        }
+      },
+      '/scrape-patente': {
+        get: {
+          summary: 'HTML del formulario de consulta',
+          parameters: [paramPatente],
+          responses: {
+            200: json('Formulario', {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                patente: { type: 'string' },
+                formHtml: { type: 'string' },
+                message: { type: 'string' },
+                timestamp: { type: 'string' }
+              },
+              required: ['success', 'patente', 'formHtml', 'message', 'timestamp'],
+              additionalProperties: false
+            }),
+            400: json('Patente faltante o inválida', ref('Error')),
+            403: json('CAPTCHA', ref('Error')),
+            500: json('Error de consulta', ref('Error'))
+          }
+        }
+      }
+    }
+  },
+  'cloudflare-worker-vehiculo': {
+    titulo: 'Worker de vehículo (fetch, deprecated)',
+    servidor: 'https://patente-consulta-vehiculo.t4ngible.workers.dev',
+    paths: {
+      '/': {
+        get: {
+          summary: 'Reporte completo del vehículo',
+          parameters: [paramPatente, PARAM_PROVENANCE],
+          responses: {
+            200: json('Reporte canónico', ref('Reporte')),
+            400: json('Patente faltante o inválida (reporte fallido)', ref('Reporte')),
+            500: json('Ningún endpoint devolvió datos (reporte fallido)', ref('Reporte')),
+            503: json('Circuito abierto en todos los endpoints de PatenteChile (reporte fallido; ver Retry-After)', ref('Reporte'))
+          }
+        }
+      },
+      '/health': {
+        get: {
+          summary: 'Circuit breakers de los endpoints de PatenteChile en esta instancia',
+          responses: {
+            200: json('Servicio disponible', {
+              type: 'object',
+              properties: {
+                status: { type: 'string' },
+                service: { type: 'string' },
+                timestamp: { type: 'string' },
+                breakers: { type: 'array', items: ref('EstadoBreaker') }
+              },
+              required: ['status', 'service', 'timestamp', 'breakers']
+            })
+          }
+        }
+      }
+    }
+  },
+  'cloudflare-worker-vehiculo-browser': {
+    titulo: 'Worker de vehículo con Browser Rendering',
+    servidor: 'https://patente-vehiculo-browser.t4ngible.workers.dev',
+    paths: {
+      '/': {
+        get: {
+          summary: 'Reporte completo del vehículo',
+          parameters: [paramPatente, PARAM_PROVENANCE],
+          responses: {
+            200: json('Reporte canónico', ref('Reporte')),
+            400: json('Patente faltante o inválida (reporte fallido)', ref('Reporte')),
+            403: json('CAPTCHA (reporte fallido)', ref('Reporte')),
+            500: json('Error de consulta (reporte fallido)', ref('Reporte'))
+          }
+        }
+      }
+    }
+  }
+};
+
+// La raíz responde lo mismo que /health
+SERVICIOS['api-server'].paths['/'] = SERVICIOS['api-server'].paths['/health'];
+
+// Los Workers limitan la tasa por IP en todas sus rutas
+for (const [servicio, definicion] of Object.entries(SERVICIOS)) {
+  if (servicio === 'api-server') continue;
+  for (const operaciones of Object.values(definicion.paths)) {
+    for (const operacion of Object.values(operaciones)) {
+      operacion.responses[429] = json('Límite de tasa por IP (ver Retry-After y X-RateLimit-*)', ref('Error'));
+    }
+  }
+}
+
+// Rutas anteriores a /v1: siguen respondiendo, con el header Deprecation
+for (const ruta of ['/consultar', '/multas', '/consultar-multiple', '/restriccion']) {
+  for (const operacion of Object.values(SERVICIOS['api-server'].paths[ruta])) {
+    operacion.deprecated = true;
+  }
+}
+
+// Varias patentes en streaming según el header Accept (lib/stream.js)
+for (const ruta of ['/v1/consultas', '/consultar-multiple']) {
+  const respuesta = SERVICIOS['api-server'].paths[ruta].post.responses[200];
+  respuesta.description += '. Con varias patentes y Accept: text/event-stream (un evento SSE por mensaje) o ' +
+    'application/x-ndjson (una línea JSON por mensaje, con el nombre en `evento`) se transmiten los eventos ' +
+    'resultado { indice, patente, resultado }, progreso { procesadas, total } y resumen { success, total, procesadas, ok, errores }';
+  for (const tipo of Object.values(TIPOS_STREAM)) {
+    respuesta.content[tipo] = { schema: { type: 'string' } };
+  }
+}
+
+// Flotas en CSV (lib/csv.js): body text/csv con columna patente y respuesta text/csv
+const PARAM_TABLA = query('tabla', 'Con respuesta CSV: patentes (una fila por patente) o multas (una fila por multa)', {
+  type: 'string', enum: ['patentes', 'multas']
+});
+const CUERPO_CSV = {
+  description: 'Columna patente (o ppu, placa) y columnas extra que se devuelven en cada fila; separador , o ;',
+  required: false,
+  content: { 'text/csv': { schema: { type: 'string' } } }
+};
+for (const [ruta, metodo] of [['/v1/consultas', 'post'], ['/consultar-multiple', 'post'], ['/v1/jobs', 'post'], ['/v1/jobs/{id}', 'get']]) {
+  const operacion = SERVICIOS['api-server'].paths[ruta][metodo];
+  operacion.parameters = [...(operacion.parameters || []), PARAM_TABLA];
+  if (metodo === 'post') {
+    operacion.requestBody = CUERPO_CSV;
+    operacion.summary += '. También acepta un body text/csv (opciones en el query string)';
+  }
+  if (ruta === '/v1/jobs') continue;
+
+  const respuesta = operacion.responses[200];
+  respuesta.description += '. Con un body CSV o Accept: text/csv responde una tabla CSV con columnas estables ' +
+    '(vehiculo.*, revisionTecnica.*, soap.*, permisoCirculacion.*, multas.*) después de las columnas extra de la entrada';
+  respuesta.content['text/csv'] = { schema: { type: 'string' } };
+}
+
+// Respuesta de /v1/consultas con varias patentes (y /consultar-multiple)
+COMPONENTES.RespuestaMultiple = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    total: { type: 'integer' },
+    resumen: {
+      type: 'object',
+      description: 'Patentes distintas, con reporte exitoso, con error y omitidas (lib/lotes.js)',
+      properties: {
+        total: { type: 'integer', minimum: 0 },
+        unicas: { type: 'integer', minimum: 0 },
+        ok: { type: 'integer', minimum: 0 },
+        errores: { type: 'integer', minimum: 0 },
+        omitidas: { type: 'integer', minimum: 0 }
+      },
+      required: ['total', 'unicas', 'ok', 'errores', 'omitidas'],
+      additionalProperties: false
+    },
+    resultados: { type: 'array', items: ref('Reporte') }
+  },
+  required: ['success', 'total', 'resumen', 'resultados'],
+  additionalProperties: false
+};
+
+// Job de /v1/jobs (lib/jobs.js)
+const FECHA_HORA = { type: ['string', 'null'], format: 'date-time' };
+COMPONENTES.Job = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    estado: { type: 'string', enum: ESTADOS_JOB },
+    tipo: { type: 'string' },
+    creado: { type: 'string', format: 'date-time' },
+    iniciado: FECHA_HORA,
+    terminado: FECHA_HORA,
+    error: { type: 'string', description: 'Solo en jobs fallidos: por qué se detuvo la cola' },
+    progreso: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer', minimum: 0 },
+        procesadas: { type: 'integer', minimum: 0 },
+        ok: { type: 'integer', minimum: 0 },
+        errores: { type: 'integer', minimum: 0 },
+        canceladas: { type: 'integer', minimum: 0 }
+      },
+      required: ['total', 'procesadas', 'ok', 'errores', 'canceladas'],
+      additionalProperties: false
+    },
+    resultados: {
+      type: 'array',
+      description: 'Una entrada por patente, en el orden pedido',
+      items: {
+        type: 'object',
+        properties: {
+          patente: { type: 'string' },
+          estado: { type: 'string', enum: ESTADOS_PATENTE },
+          resultado: nullable(ref('Reporte')),
+          error: { type: ['string', 'null'] },
+          multas: {
+            description: 'Solo en jobs creados con multas: true o con un CSV',
+            oneOf: [ref('ResultadoMultas'), ref('ErrorMultas')]
+          }
+        },
+        required: ['patente', 'estado', 'resultado', 'error'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['id', 'estado', 'tipo', 'creado', 'iniciado', 'terminado', 'progreso', 'resultados'],
+  additionalProperties: false
+};
+
+// Entrega de un webhook (lib/webhooks.js)
+COMPONENTES.Entrega = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'También va en el header X-Webhook-Id y en el cuerpo' },
+    url: { type: 'string' },
+    evento: { type: 'string', enum: ['consulta.completada', 'job.completado', 'job.cancelado', 'job.fallido'] },
+    estado: { type: 'string', enum: ['pendiente', 'entregada', 'fallida'] },
+    intentos: { type: 'integer', minimum: 0 },
+    creada: { type: 'string', format: 'date-time' },
+    ultimoIntento: FECHA_HORA,
+    proximoIntento: FECHA_HORA,
+    ultimoError: { type: ['string', 'null'] }
+  },
+  required: ['id', 'url', 'evento', 'estado', 'intentos', 'creada', 'ultimoIntento', 'proximoIntento', 'ultimoError'],
+  additionalProperties: false
+};
+
+// Respuesta 202 de /v1/consultas con callbackUrl y una patente
+COMPONENTES.ConsultaAceptada = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    patente: { type: 'string' },
+    callbackUrl: { type: 'string' }
+  },
+  required: ['success', 'patente', 'callbackUrl'],
+  additionalProperties: false
+};
+
+// Respuesta de /restriccion: la restricción más success y patente
+COMPONENTES.RespuestaRestriccion = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    patente: { type: 'string' },
+    ...COMPONENTES.Restriccion.properties
+  },
+  required: ['success', 'patente', ...COMPONENTES.Restriccion.required],
+  additionalProperties: false
+};
+
+/**
+ * Construir el documento OpenAPI de un servicio
+ * @param {string} [servicio] - Clave de SERVICIOS (por defecto la API local)
+ * @returns {object|null} - Documento OpenAPI 3.1, o null si el servicio no existe
+ */
+function buildOpenApi(servicio = 'api-server') {
+  const definicion = SERVICIOS[servicio];
+  if (!definicion) return null;
+
+  const documento = {
+    openapi: '3.1.0',
+    info: {
+      title: definicion.titulo,
+      version: SCHEMA_VERSION,
+      description: `Servicios: ${Object.keys(SERVICIOS).join(', ')}. Ver /openapi.json?servicio=<nombre>.`
+    },
+    servers: [{ url: definicion.servidor }],
+    paths: definicion.paths,
+    components: componentes()
+  };
+
+  if (definicion.seguridad) {
+    documento.security = Object.keys(SEGURIDAD).map(esquema => ({ [esquema]: [] }));
+    documento.components.securitySchemes = SEGURIDAD;
+  }
+
+  return documento;
+}
+
+/**
+ * Buscar la operación de una ruta; acepta plantillas como /v1/vehiculos/{patente}
+ */
+function buscarOperacion(documento, metodo, ruta) {
+  for (const [plantilla, operaciones] of Object.entries(documento.paths)) {
+    const regex = new RegExp('^' + plantilla.replace(/\{[^}]+\}/g, '[^/]+') + '$');
+    if (regex.test(ruta)) return operaciones[metodo.toLowerCase()] || null;
+  }
+  return null;
+}
+
+/**
+ * Validar una respuesta contra el documento
+ * @param {object} documento - Documento de buildOpenApi()
+ * @param {object} respuesta - { metodo, ruta, status, cuerpo }
+ * @returns {string[]} - Errores; vacío si la respuesta cumple el spec
+ */
+function validarRespuesta(documento, { metodo, ruta, status, cuerpo }) {
+  const operacion = buscarOperacion(documento, metodo, ruta);
+  if (!operacion) return [`${metodo} ${ruta}: ruta no documentada`];
+
+  const respuesta = operacion.responses[status];
+  if (!respuesta) return [`${metodo} ${ruta}: status ${status} no documentado`];
+
+  const contenido = respuesta.content && respuesta.content['application/json'];
+  if (!contenido) return [];
+
+  return validarEsquema(contenido.schema, cuerpo, { raiz: documento });
+}
+
+module.exports = {
+  SERVICIOS,
+  buildOpenApi,
+  validarRespuesta
+};
@@ -0,0 +1,217 @@
+/**
+ * Orquestador de proveedores
+ * Un proveedor es una fuente que entrega el reporte canónico de una patente
+ * (el scraper de Playwright, los Workers...). Para cada sección el
+ * orquestador prueba los proveedores que la cubren en orden de prioridad y se
+ * queda con el primero que la trae; si uno falla (CAPTCHA, timeout, rate
+ * limit) o responde sin esa sección, la sección pasa al siguiente. Cada
+ * proveedor se consulta a lo más una vez por patente, y `fuentes` indica
+ * quién respondió cada sección.
+ * Con circuit breakers (lib/circuit-breaker.js) un proveedor con el circuito
+ * abierto no se consulta y la sección pasa directo al siguiente.
+ * En las secciones con fusión se consultan todos los proveedores que las
+ * cubren y la sección se arma campo por campo (lib/fusion.js), con
+ * `conflictos` cuando las fuentes no coinciden.
+ *
+ * Proveedor: { nombre, secciones: claves de SECCIONES que cubre, tipos de
+ * búsqueda (default ['vehiculo', 'moto']), prioridad (menor primero; refleja
+ * el costo), fetch(patente, { tipo, signal }) => Promise<reporte> }
+ */
+
+const { SECCIONES, createErrorReport } = require('./schema');
+const { motivoDeFalla } = require('./circuit-breaker');
+const { fusionarSeccion } = require('./fusion');
+
+const TIPOS = ['vehiculo', 'moto'];
+
+/**
+ * Leer las prioridades por sección, p.ej. de la variable PRIORIDADES
+ * @param {string} [texto] - JSON { seccion: [nombres de proveedores] }; '*' aplica a las demás y
+ *   'seccion.campo' fija la precedencia de un campo en las secciones con fusión
+ * @returns {object}
+ */
+function leerPrioridades(texto) {
+  return texto ? JSON.parse(texto) : {};
+}
+
+/**
+ * Leer las secciones con fusión, p.ej. de la variable FUSIONAR
+ * @param {string} [texto] - Secciones separadas por coma, o '*' para todas
+ * @returns {string[]}
+ */
+function leerFusion(texto) {
+  if (!texto || !texto.trim()) return [];
+  if (texto.trim() === '*') return Object.keys(SECCIONES);
+  return texto.split(',').map(seccion => seccion.trim()).filter(Boolean);
+}
+
+/**
+ * Crear un orquestador
+ * @param {object} options - { proveedores }, { prioridades } de leerPrioridades: una sección
+ *   configurada usa exactamente esa lista; las demás, los proveedores que la cubren por prioridad;
+ *   { breakers } de crearRegistroBreakers, uno por proveedor; { fusionar } de leerFusion: secciones
+ *   que se arman con todos los proveedores que responden
+ * @returns {object} - { consultar, orden, describir }
+ * @throws {Error} - Si un proveedor está mal definido o las prioridades o la fusión nombran un
+ *   proveedor, sección o campo que no existe
+ */
+function crearOrquestador({ proveedores, prioridades = {}, breakers = null, fusionar = [] }) {
+  const porNombre = new Map();
+  for (const proveedor of proveedores) {
+    if (!proveedor.nombre || typeof proveedor.fetch !== 'function' || !Array.isArray(proveedor.secciones)) {
+      throw new Error(`Proveedor mal definido: ${proveedor.nombre || '(sin nombre)'}`);
+    }
+    if (porNombre.has(proveedor.nombre)) throw new Error(`Proveedor repetido: ${proveedor.nombre}`);
+    porNombre.set(proveedor.nombre, { ...proveedor, tipos: proveedor.tipos || TIPOS, prioridad: proveedor.prioridad ?? 100 });
+    // Crear su breaker desde ya para que aparezca en /health
+    breakers?.de(proveedor.nombre);
+  }
+
+  for (const [clave, nombres] of Object.entries(prioridades)) {
+    const [seccion, campo] = clave.split('.');
+    if (clave !== '*' && (!SECCIONES[seccion] || (campo !== undefined && SECCIONES[seccion][campo] === undefined))) {
+      throw new Error(`${campo === undefined ? 'Sección desconocida' : 'Campo desconocido'} en las prioridades: ${clave}`);
+    }
+    for (const nombre of nombres) {
+      if (!porNombre.has(nombre)) throw new Error(`Proveedor desconocido en las prioridades de ${clave}: ${nombre}`);
+    }
+  }
+
+  for (const seccion of fusionar) {
+    if (!SECCIONES[seccion]) throw new Error(`Sección desconocida en la fusión: ${seccion}`);
+  }
+
+  /**
+   * Proveedores a probar para una sección y un tipo de búsqueda, en orden
+   */
+  function orden(seccion, tipo = 'vehiculo') {
+    const configurados = prioridades[seccion] || prioridades['*'];
+    const candidatos = configurados
+      ? configurados.map(nombre => porNombre.get(nombre))
+      : [...porNombre.values()].sort((a, b) => a.prioridad - b.prioridad);
+    return candidatos.filter(p => p.secciones.includes(seccion) && p.tipos.includes(tipo));
+  }
+
+  async function llamar(proveedor, patente, tipo, signal) {
+    const breaker = breakers?.de(proveedor.nombre);
+    if (breaker && !breaker.permitir()) {
+      return createErrorReport(patente, proveedor.nombre, breaker.mensaje(), null, 'CIRCUITO_ABIERTO');
+    }
+
+    let reporte;
+    try {
+      reporte = await proveedor.fetch(patente, { tipo, signal });
+    } catch (error) {
+      reporte = createErrorReport(patente, proveedor.nombre, error.message, null, error.codigo);
+    }
+    breaker?.registrar(motivoDeFalla(reporte));
+    return reporte;
+  }
+
+  /**
+   * Reporte de una patente armado con los proveedores
+   * Si ninguno responde se devuelve el error del primero que se probó.
+   * @param {object} [options] - { tipo }, { signal } para dejar de probar proveedores
+   * @returns {Promise<object>} - Reporte canónico con `fuentes`: { seccion: nombre del proveedor (los
+   *   nombres unidos con '+' si la sección se fusionó), o null si todos los que la cubren fallaron };
+   *   con fusión, además `conflictos` (lib/fusion.js)
+   */
+  async function consultar(patente, { tipo = 'vehiculo', signal } = {}) {
+    const respuestas = new Map();
+    const obtener = proveedor => {
+      if (!respuestas.has(proveedor.nombre)) respuestas.set(proveedor.nombre, llamar(proveedor, patente, tipo, signal));
+      return respuestas.get(proveedor.nombre);
+    };
+    const conFusion = fusionar.length > 0 ? { conflictos: [] } : {};
+
+    const elegidos = await Promise.all(Object.keys(SECCIONES).map(async seccion => {
+      const candidatos = orden(seccion, tipo);
+      const cubierta = candidatos.length > 0;
+
+      // Con fusión se consultan todos a la vez y la sección usa a todos los que respondieron
+      if (fusionar.includes(seccion)) {
+        const reportes = signal?.aborted ? [] : await Promise.all(candidatos.map(obtener));
+        const entradas = candidatos
+          .map((proveedor, i) => ({ fuente: proveedor.nombre, reporte: reportes[i] }))
+          .filter(entrada => entrada.reporte?.success);
+        return { seccion, entradas, cubierta };
+      }
+
+      // Si todos los que respondieron la traen en null, queda null con la fuente del primero
+      let sinSeccion = null;
+      for (const proveedor of candidatos) {
+        if (signal?.aborted) break;
+        const reporte = await obtener(proveedor);
+        if (!reporte.success) continue;
+        const entrada = { fuente: proveedor.nombre, reporte };
+        if (reporte[seccion]) return { seccion, entradas: [entrada], cubierta };
+        sinSeccion = sinSeccion || entrada;
+      }
+      return { seccion, entradas: sinSeccion ? [sinSeccion] : [], cubierta };
+    }));
+
+    // null: todos los proveedores de la sección fallaron; sin clave: ninguno la cubre
+    const fusionadas = elegidos.map(e => ({ ...e, ...fusionarSeccion(e.seccion, e.entradas, prioridades) }));
+    const fuentes = Object.fromEntries(fusionadas
+      .filter(f => f.cubierta)
+      .map(({ seccion, entradas, origenes }) => {
+        const aportaron = entradas.filter(entrada => Object.values(origenes).includes(entrada));
+        const nombres = (aportaron.length > 0 ? aportaron : entradas.slice(0, 1)).map(entrada => entrada.fuente);
+        return [seccion, nombres.length > 0 ? nombres.join('+') : null];
+      }));
+    // En el orden en que se llamaron, que sigue las prioridades
+    const llamados = [...respuestas.keys()];
+    const respondidos = [...new Set(elegidos
+      .flatMap(e => e.entradas)
+      .sort((x, y) => llamados.indexOf(x.fuente) - llamados.indexOf(y.fuente))
+      .map(entrada => entrada.reporte))];
+
+    if (respondidos.length === 0) {
+      const [primero] = respuestas.values();
+      const fallido = primero
+        ? await primero
+        : createErrorReport(patente, null, `Ningún proveedor para búsquedas de tipo ${tipo}`);
+      return { ...fallido, fuentes, ...conFusion };
+    }
+
+    // Metadatos del primero que respondió; cada campo con las advertencias y _provenance de su
+    // fuente (los campos sin valor, con los de la primera fuente de la sección)
+    const reporte = { ...respondidos[0] };
+    reporte.source = [...new Set(respondidos.map(r => r.source))].join('+');
+    const delMismo = (origen, ruta) => {
+      const [seccion, campo] = ruta.split('.');
+      const fusionada = fusionadas.find(f => f.seccion === seccion);
+      const entrada = fusionada && (fusionada.origenes[campo] || fusionada.entradas[0]);
+      return Boolean(entrada) && entrada.reporte === origen;
+    };
+
+    for (const { seccion, valor } of fusionadas) {
+      reporte[seccion] = valor;
+    }
+    reporte.advertencias = respondidos.flatMap(r => r.advertencias.filter(a => delMismo(r, a.campo)));
+    reporte.drift = respondidos.map(r => r.drift).find(Boolean) || null;
+    if (respondidos.some(r => r._provenance)) {
+      reporte._provenance = Object.fromEntries(respondidos.flatMap(r =>
+        Object.entries(r._provenance || {}).filter(([ruta]) => delMismo(r, ruta))
+      ));
+    }
+    reporte.fuentes = fuentes;
+    if (conFusion.conflictos) reporte.conflictos = fusionadas.flatMap(f => f.conflictos);
+    return reporte;
+  }
+
+  /**
+   * Orden efectivo por sección para búsquedas de vehículo, para /health
+   */
+  function describir() {
+    return Object.fromEntries(Object.keys(SECCIONES).map(seccion => [seccion, orden(seccion).map(p => p.nombre)]));
+  }
+
+  return { consultar, orden, describir };
+}
+
+module.exports = {
+  leerPrioridades,
+  leerFusion,
+  crearOrquestador
+};
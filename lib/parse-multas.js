@@ -0,0 +1,299 @@
+/**
+ * Parser del HTML de /resultado-multas de PatenteChile
+ */
+
+const { isCaptchaPage } = require('./captcha');
+const { parseFecha } = require('./fechas');
+
+/**
+ * Columnas de la tabla de multas: campo → patrón del encabezado (o del label
+ * "Campo: valor" dentro de la celda). Se prueban en orden, gana el primero:
+ * tipo va al final porque "infracción" aparece también en "Monto infracción"
+ * o "Descripción de la infracción".
+ */
+const COLUMNAS = [
+  ['juzgado', /juzgado|tribunal|\bjpl\b/i],
+  ['comuna', /comuna|municipalidad/i],
+  ['rol', /\brol\b|\bcausa\b/i],
+  ['fecha', /fecha/i],
+  ['año', /^año/i],
+  ['monto', /monto|valor|total|\$/i],
+  ['descripcion', /descripci|detalle|glosa/i],
+  ['estado', /estado|situaci/i],
+  ['tipo', /infracci|tipo|motivo/i]
+];
+
+// Estados que ya no requieren pago, como palabra completa ("IMPAGADA" no cuenta)
+const ESTADOS_CERRADOS = /(^|[^a-záéíóúñ])(pagad|cancelad|prescrit|anulad|archivad)[ao]s?($|[^a-záéíóúñ])/i;
+// Negaciones que dejan la multa pendiente: "NO PAGADA", "SIN PAGAR"
+const NEGACIONES = /(^|[^a-záéíóúñ])(no|sin)\s/i;
+
+/**
+ * ¿La multa ya no requiere pago?
+ */
+function estaCerrada(estado) {
+  return ESTADOS_CERRADOS.test(estado) && !NEGACIONES.test(estado);
+}
+
+/**
+ * Texto plano de una celda HTML
+ */
+function textoCelda(html) {
+  return html
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Identificar a qué campo corresponde un encabezado o label
+ */
+function campoDeColumna(texto) {
+  const columna = COLUMNAS.find(([, patron]) => patron.test(texto));
+  return columna ? columna[0] : null;
+}
+
+/**
+ * Monto en pesos como número: "$142.500" → 142500
+ */
+function parseMonto(texto) {
+  if (!texto) return null;
+  const match = String(texto).match(/\d[\d.]*/);
+  if (!match) return null;
+  const monto = parseInt(match[0].replace(/\./g, ''), 10);
+  return Number.isFinite(monto) ? monto : null;
+}
+
+/**
+ * Armar una multa con todos sus campos (null si el sitio no los entrega)
+ */
+function construirMulta(campos) {
+  const rolMatch = String(campos.rol || '').match(/\d[\d-]*/);
+  const fecha = parseFecha(campos.fecha);
+  const añoMatch = String(campos.año || '').match(/\d{4}/);
+
+  return {
+    rol: rolMatch ? rolMatch[0] : null,
+    juzgado: campos.juzgado || null,
+    comuna: campos.comuna || null,
+    fecha,
+    año: fecha ? parseInt(fecha.slice(0, 4), 10) : (añoMatch ? parseInt(añoMatch[0], 10) : null),
+    tipo: campos.tipo || null,
+    descripcion: campos.descripcion || campos.tipo || null,
+    monto: parseMonto(campos.monto),
+    estado: campos.estado ? campos.estado.toUpperCase() : null
+  };
+}
+
+/**
+ * Extraer las multas de las tablas que tengan una columna ROL/CAUSA
+ * Soporta tablas con encabezados (<th>) y celdas "Label: valor" sin encabezado.
+ */
+function parseTablaMultas(html) {
+  const multas = [];
+  const vistas = new Set();
+  const tablas = html.match(/<table[\s\S]*?<\/table>/gi) || [];
+
+  for (const tabla of tablas) {
+    const encabezados = (tabla.match(/<th[^>]*>[\s\S]*?<\/th>/gi) || [])
+      .map(th => campoDeColumna(textoCelda(th)));
+
+    const filas = tabla.match(/<tr[^>]*>[\s\S]*?<\/tr>/gi) || [];
+    for (const fila of filas) {
+      const celdas = (fila.match(/<td[^>]*>[\s\S]*?<\/td>/gi) || []).map(textoCelda);
+      if (celdas.length === 0) continue;
+
+      const campos = {};
+      celdas.forEach((celda, i) => {
+        // "ROL/CAUSA: 123456" → label dentro de la celda
+        const labelMatch = celda.match(/^([^:]{2,30}):\s*(.+)$/);
+        const campoLabel = labelMatch ? campoDeColumna(labelMatch[1]) : null;
+        const campo = encabezados[i] || campoLabel;
+        if (!campo || campos[campo]) return;
+        campos[campo] = campoLabel === campo ? labelMatch[2].trim() : celda;
+      });
+
+      if (!campos.rol || !/\d/.test(campos.rol)) continue;
+
+      const multa = construirMulta(campos);
+      const clave = `${multa.rol}|${multa.juzgado || ''}`;
+      if (vistas.has(clave)) continue;
+      vistas.add(clave);
+      multas.push(multa);
+    }
+  }
+
+  return multas;
+}
+
+/**
+ * Totales agregados de una lista de multas
+ * Las multas sin estado se cuentan como pendientes.
+ * @param {object[]} multas - Multas con detalle
+ * @param {number} [cantidad] - Cantidad que informa el sitio; las que faltan en la lista se suman
+ *   como pendientes, sin estado ni monto, para que los totales cuadren con cantidadMultas
+ */
+function calcularTotales(multas, cantidad = multas.length) {
+  const sinDetalle = Math.max(0, cantidad - multas.length);
+  const totales = {
+    cantidad: multas.length + sinDetalle,
+    cantidadPendientes: 0,
+    montoTotal: 0,
+    montoPendiente: 0,
+    sinMonto: 0,
+    porEstado: {}
+  };
+
+  for (const multa of multas) {
+    const estado = multa.estado || 'DESCONOCIDO';
+    const pendiente = !estaCerrada(estado);
+    const monto = multa.monto || 0;
+
+    totales.porEstado[estado] = totales.porEstado[estado] || { cantidad: 0, monto: 0 };
+    totales.porEstado[estado].cantidad++;
+    totales.porEstado[estado].monto += monto;
+
+    totales.montoTotal += monto;
+    if (multa.monto === null) totales.sinMonto++;
+    if (pendiente) {
+      totales.cantidadPendientes++;
+      totales.montoPendiente += monto;
+    }
+  }
+
+  if (sinDetalle > 0) {
+    totales.porEstado.DESCONOCIDO = totales.porEstado.DESCONOCIDO || { cantidad: 0, monto: 0 };
+    totales.porEstado.DESCONOCIDO.cantidad += sinDetalle;
+    totales.cantidadPendientes += sinDetalle;
+    totales.sinMonto += sinDetalle;
+  }
+
+  return totales;
+}
+
+/**
+ * Parsear HTML para extraer información de multas y vehículo
+ * Cada multa trae juzgado, comuna, fecha, tipo de infracción, monto (CLP) y
+ * estado; `totales` agrega cantidades y montos.
+ */
+function parseMultasFromHtml(html, patente) {
+  const result = {
+    patente: patente,
+    tieneMultas: false,
+    cantidadMultas: 0,
+    mensaje: 'No se encontraron multas',
+    informacionVehiculo: {},
+    multas: [],
+    totales: calcularTotales([]),
+    timestamp: new Date().toISOString(),
+    source: 'cloudflare-worker'
+  };
+
+  try {
+    // Página intermedia de Cloudflare en vez de resultados
+    if (isCaptchaPage(html)) {
+      result.mensaje = 'CAPTCHA detectado';
+      result.error = 'CAPTCHA detectado';
+      return result;
+    }
+
+    // Buscar indicadores de sin multas
+    const indicadoresSinMultas = [
+      'no se encontraron multas',
+      'sin multas',
+      'no tiene multas',
+      'no hay multas',
+      'sin infracciones',
+      'no hay infracciones'
+    ];
+
+    const hasNoMultas = indicadoresSinMultas.some(indicator =>
+      html.toLowerCase().includes(indicator.toLowerCase())
+    );
+
+    if (hasNoMultas) {
+      result.mensaje = 'No se encontraron multas';
+      return result;
+    }
+
+    // Extraer información del vehículo
+    const nombreMatch = html.match(/Nombre[:\s]+([A-ZÁÉÍÓÚÑÜ\s]+?)(?:<|Vehiculo|RUT|Año)/i);
+    if (nombreMatch) {
+      result.informacionVehiculo.nombre = nombreMatch[1].trim();
+    }
+
+    const vehiculoMatch = html.match(/Vehiculo[:\s]+([^<]+?)(?=<|Año|Color|$)/i);
+    if (vehiculoMatch) {
+      result.informacionVehiculo.vehiculo = vehiculoMatch[1].trim();
+    }
+
+    const añoMatch = html.match(/Año[:\s]+(\d{4})/i);
+    if (añoMatch) {
+      result.informacionVehiculo.año = parseInt(añoMatch[1]);
+    }
+
+    const colorMatch = html.match(/Color[:\s]+([A-ZÁÉÍÓÚÑÜ]+)/i);
+    if (colorMatch) {
+      result.informacionVehiculo.color = colorMatch[1].trim();
+    }
+
+    // Filas de la tabla de multas con todos sus campos
+    const multasConDetalles = parseTablaMultas(html);
+
+    // Buscar multas por ROL/CAUSA sueltas en el HTML (sin tabla)
+    const multasRegex = /ROL\/CAUSA[:\s]+(\d+)|rol[:\s]*["'](\d+)["']|causa[:\s]*["'](\d+)["']/gi;
+    const rolesEncontrados = new Set(); // Usar Set para evitar duplicados
+    let match;
+
+    while ((match = multasRegex.exec(html)) !== null) {
+      const rol = match[1] || match[2] || match[3];
+      if (rol) {
+        rolesEncontrados.add(rol);
+      }
+    }
+
+    // Si encontramos multas con detalles, usarlas
+    if (multasConDetalles.length > 0) {
+      result.multas = multasConDetalles;
+    }
+    // Si no, usar los roles encontrados sin detalles
+    else if (rolesEncontrados.size > 0) {
+      result.multas = Array.from(rolesEncontrados).map(rol => construirMulta({ rol }));
+    }
+
+    if (result.multas.length > 0) {
+      result.cantidadMultas = result.multas.length;
+      result.tieneMultas = true;
+      result.mensaje = `Se encontraron ${result.multas.length} multa(s)`;
+    }
+    result.totales = calcularTotales(result.multas);
+
+    // Buscar indicadores explícitos de cantidad de multas
+    const cantidadMatch = html.match(/multas encontradas[:\s]*(\d+)/i) ||
+                         html.match(/tiene[:\s]*(\d+)[:\s]*multa/i) ||
+                         html.match(/infracciones encontradas[:\s]*(\d+)/i);
+
+    if (cantidadMatch) {
+      const cantidad = parseInt(cantidadMatch[1]);
+      if (cantidad > result.cantidadMultas) {
+        result.cantidadMultas = cantidad;
+        result.tieneMultas = cantidad > 0;
+        result.mensaje = cantidad > 0 ?
+          `Se encontraron ${cantidad} multa(s)` :
+          'No se encontraron multas';
+        result.totales = calcularTotales(result.multas, cantidad);
+      }
+    }
+
+  } catch (error) {
+    result.mensaje = `Error al parsear HTML: ${error.message}`;
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+module.exports = { parseMultasFromHtml };
@@ -0,0 +1,257 @@
+/**
+ * Parser del HTML de /resultados de PatenteChile
+ * Compartido por cloudflare-worker.js y cloudflare-worker-vehiculo.js
+ */
+
+const { isCaptchaPage } = require('./captcha');
+const { recolectarLayout } = require('./drift');
+
+/**
+ * Estrategias de extractValue, de la más estricta a la más laxa
+ * La confianza se informa en _provenance para cada campo extraído.
+ */
+const ESTRATEGIAS = [
+  {
+    estrategia: 'celda-negrita',
+    confianza: 'alta',
+    regex: label => new RegExp(`<td[^>]*>\\s*<b>${label}<\\/b>\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i')
+  },
+  {
+    estrategia: 'celda',
+    confianza: 'alta',
+    regex: label => new RegExp(`<td[^>]*>${label}\\s*<\\/td>\\s*<td[^>]*>([^<]+)<\\/td>`, 'i')
+  },
+  {
+    estrategia: 'negrita',
+    confianza: 'media',
+    regex: label => new RegExp(`<b>${label}<\\/b>\\s*[:\\s]*([^<]+)(?:<|$)`, 'i')
+  },
+  {
+    estrategia: 'texto-libre',
+    confianza: 'baja',
+    regex: label => new RegExp(`${label}[:\\s]+([^<\\n]+)`, 'i')
+  }
+];
+
+/**
+ * Parsear HTML de /resultados para extraer toda la información del vehículo
+ * Estructura esperada: tabla con celdas <td><b>Label</b></td><td>Valor</td>
+ */
+function parseResultadosHtml(html, patente) {
+  const result = {
+    success: true,
+    patente: patente,
+    timestamp: new Date().toISOString(),
+    source: 'cloudflare-worker',
+    propietario: null,
+    vehiculo: null,
+    multas: null,
+    revisionTecnica: null,
+    gases: null,
+    permisoCirculacion: null,
+    soap: null,
+    transportePublico: null,
+    restriccionVehicular: null,
+    _provenance: {}
+  };
+
+  try {
+    // Página intermedia de Cloudflare en vez de resultados
+    if (isCaptchaPage(html)) {
+      result.success = false;
+      result.error = 'CAPTCHA detectado';
+      result.codigo = 'CAPTCHA';
+      return result;
+    }
+
+    // Verificar si hay error o patente no encontrada
+    const noEncontradaPatterns = [
+      'no se encontr',
+      'patente no válida',
+      'sin resultados'
+    ];
+
+    const htmlLower = html.toLowerCase();
+    const noEncontrada = noEncontradaPatterns.some(pattern => htmlLower.includes(pattern));
+    const hasError = noEncontrada || htmlLower.includes('error al consultar');
+
+    if (hasError && !htmlLower.includes('multas')) {
+      result.success = false;
+      result.error = 'Patente no encontrada o error en consulta';
+      // Un error del sitio puede ser pasajero; una patente que no tiene, no
+      result.codigo = noEncontrada ? 'NO_ENCONTRADA' : 'ERROR';
+      return result;
+    }
+
+    // Labels y secciones vistos, para detectar cambios de layout
+    result._layout = recolectarLayout(html);
+
+    // Buscar el valor de un label probando ESTRATEGIAS de la más estricta a la más laxa
+    const extractValue = (label) => {
+      for (const { estrategia, confianza, regex } of ESTRATEGIAS) {
+        const match = html.match(regex(label));
+        if (match && match[1]) {
+          const valor = match[1].trim();
+          if (valor && valor !== '-' && valor !== 'N/A') {
+            return { valor, label, estrategia, confianza };
+          }
+        }
+      }
+      return null;
+    };
+
+    // Primer label que tenga valor; registra de dónde salió en _provenance
+    const extraer = (campo, ...labels) => {
+      for (const label of labels) {
+        const encontrado = extractValue(label);
+        if (encontrado) {
+          const { valor, ...procedencia } = encontrado;
+          result._provenance[campo] = procedencia;
+          return valor;
+        }
+      }
+      return null;
+    };
+
+    // Extraer datos del propietario
+    const rut = extraer('propietario.rut', 'RUT');
+    const nombre = extraer('propietario.nombre', 'Nombre');
+
+    if (rut || nombre) {
+      result.propietario = {
+        rut: rut,
+        nombre: nombre
+      };
+    }
+
+    // Extraer datos del vehículo
+    const vehiculoData = {
+      patente: extraer('vehiculo.patente', 'Patente') || patente,
+      tipo: extraer('vehiculo.tipo', 'Tipo'),
+      marca: extraer('vehiculo.marca', 'Marca'),
+      modelo: extraer('vehiculo.modelo', 'Modelo'),
+      año: null,
+      color: extraer('vehiculo.color', 'Color'),
+      numeroMotor: extraer('vehiculo.numeroMotor', 'N° Motor', 'N° de motor', 'Numero Motor', 'Motor'),
+      numeroChasis: extraer('vehiculo.numeroChasis', 'N° Chasis', 'N° de chasis', 'Numero Chasis', 'Chasis'),
+      procedencia: extraer('vehiculo.procedencia', 'Procedencia'),
+      fabricante: extraer('vehiculo.fabricante', 'Fabricante'),
+      tipoSello: extraer('vehiculo.tipoSello', 'Tipo de sello', 'Tipo Sello', 'Sello'),
+      combustible: extraer('vehiculo.combustible', 'Combustible')
+    };
+    if (!result._provenance['vehiculo.patente']) {
+      result._provenance['vehiculo.patente'] = { label: null, estrategia: 'consulta', confianza: 'alta' };
+    }
+
+    // Extraer año (puede ser número)
+    const añoCelda = html.match(/Año[:\s]*(?:<\/b>\s*)?<\/td>\s*<td[^>]*>(\d{4})/i);
+    const añoMatch = añoCelda || html.match(/Año[:\s]+(\d{4})/i);
+    if (añoMatch) {
+      vehiculoData.año = parseInt(añoMatch[1]);
+      result._provenance['vehiculo.año'] = añoCelda
+        ? { label: 'Año', estrategia: 'celda', confianza: 'alta' }
+        : { label: 'Año', estrategia: 'texto-libre', confianza: 'baja' };
+    }
+
+    // Solo agregar si tiene datos
+    if (Object.values(vehiculoData).some(v => v !== null && v !== patente)) {
+      result.vehiculo = vehiculoData;
+    }
+
+    // Extraer multas
+    const tieneMultasMatch = html.match(/tiene multas[:\s]*(sí|si|no)/i) ||
+                             html.match(/(no tiene multas|sin multas)/i) ||
+                             html.match(/multas[:\s]*(sí|si|no)/i);
+
+    const poseeMatch = html.match(/posee\s+(\d+)\s+multa/i);
+    const cantidadMultasMatch = poseeMatch ||
+                                 html.match(/cantidad[:\s]*(\d+)/i) ||
+                                 html.match(/(\d+)\s*multa/i);
+    const cantidadMultas = cantidadMultasMatch ? parseInt(cantidadMultasMatch[1]) : 0;
+
+    result.multas = {
+      tiene: tieneMultasMatch ? !/\bno\b|sin/i.test(tieneMultasMatch[0]) : cantidadMultas > 0,
+      cantidad: cantidadMultas,
+      mensaje: extraer('multas.mensaje', 'Multas') || 'Sin información'
+    };
+    result._provenance['multas.tiene'] = tieneMultasMatch
+      ? { label: 'tiene multas', estrategia: 'texto-libre', confianza: 'media' }
+      : { label: 'posee N multas', estrategia: 'derivado', confianza: cantidadMultasMatch ? 'media' : 'baja' };
+    if (cantidadMultasMatch) {
+      result._provenance['multas.cantidad'] = poseeMatch
+        ? { label: 'posee N multas', estrategia: 'texto-libre', confianza: 'alta' }
+        : { label: 'N multas', estrategia: 'texto-libre', confianza: 'baja' };
+    }
+
+    // Extraer revisión técnica
+    const rtData = {
+      kilometraje: extraer('revisionTecnica.kilometraje', 'Kilometraje'),
+      comuna: extraer('revisionTecnica.comuna', 'Comuna de revisión', 'Comuna'),
+      mes: extraer('revisionTecnica.mes', 'Mes de revisión', 'Mes'),
+      ultimoControl: extraer('revisionTecnica.ultimoControl', 'Último Control', 'Ultimo Control'),
+      fechaVencimiento: extraer('revisionTecnica.fechaVencimiento', 'Fecha de Vencimiento', 'Vencimiento')
+    };
+
+    if (Object.values(rtData).some(v => v !== null)) {
+      result.revisionTecnica = rtData;
+    }
+
+    // Extraer gases
+    const gasesData = {
+      ultimoControl: extraer('gases.ultimoControl', 'Gases', 'Control Gases'),
+      fechaVencimiento: extraer('gases.fechaVencimiento', 'Vencimiento Gases')
+    };
+
+    if (Object.values(gasesData).some(v => v !== null)) {
+      result.gases = gasesData;
+    }
+
+    // Extraer permiso de circulación
+    const permisoData = {
+      añoPago: extraer('permisoCirculacion.añoPago', 'Año de pago', 'Año Pago', 'Permiso'),
+      municipalidad: extraer('permisoCirculacion.municipalidad', 'Municipalidad'),
+      fechaPago: extraer('permisoCirculacion.fechaPago', 'Fecha de Pago', 'Fecha Pago')
+    };
+
+    if (Object.values(permisoData).some(v => v !== null)) {
+      result.permisoCirculacion = permisoData;
+    }
+
+    // Extraer SOAP
+    const soapData = {
+      compania: extraer('soap.compania', 'Compañía', 'Compañia', 'Compania', 'SOAP'),
+      fechaInicio: extraer('soap.fechaInicio', 'Fecha Inicio', 'Inicio SOAP')
+    };
+
+    if (Object.values(soapData).some(v => v !== null)) {
+      result.soap = soapData;
+    }
+
+    // Extraer transporte público
+    const esTransporte = extraer('transportePublico.es', 'Es Transporte Público', 'Transporte público', 'Transporte');
+    const tipoTransporte = extraer('transportePublico.tipo', 'Tipo transporte público', 'Tipo Transporte');
+
+    if (esTransporte || tipoTransporte) {
+      result.transportePublico = {
+        es: esTransporte,
+        tipo: tipoTransporte
+      };
+    }
+
+    // Extraer restricción vehicular
+    const restriccion = extraer('restriccionVehicular.condicion', 'Condición', 'Restricción', 'Restriccion Vehicular');
+    if (restriccion) {
+      result.restriccionVehicular = {
+        condicion: restriccion
+      };
+    }
+
+  } catch (error) {
+    result.success = false;
+    result.error = `Error al parsear HTML: ${error.message}`;
+  }
+
+  return result;
+}
+
+module.exports = { parseResultadosHtml };
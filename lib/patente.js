@@ -0,0 +1,146 @@
+/**
+ * Validación y normalización de patentes (PPU) chilenas
+ * Se ejecuta en cada punto de entrada antes de lanzar un navegador o
+ * consultar PatenteChile, para rechazar entradas inválidas con un 400.
+ */
+
+const { createErrorReport } = require('./schema');
+
+// Consonantes permitidas en las patentes actuales (sin vocales, M, N, Ñ ni Q)
+const CONSONANTES = 'BCDFGHJKLPRSTVWXYZ';
+
+/**
+ * Formatos reconocidos. `grupos` indica cómo se escribe con separadores.
+ */
+const FORMATOS = [
+  { id: 'auto-nuevo', descripcion: 'Auto LLLL·NN', regex: new RegExp(`^[${CONSONANTES}]{4}\\d{2}$`), grupos: [2, 2, 2] },
+  { id: 'auto-antiguo', descripcion: 'Auto LL·NNNN', regex: /^[A-Z]{2}[1-9]\d{3}$/, grupos: [2, 2, 2] },
+  { id: 'moto-nueva', descripcion: 'Moto LLL·NN', regex: new RegExp(`^[${CONSONANTES}]{3}\\d{2}$`), grupos: [3, 2] },
+  { id: 'moto-antigua', descripcion: 'Moto LL·NNN', regex: /^[A-Z]{2}\d{3}$/, grupos: [2, 3] }
+];
+
+// Conversión letra → dígito para el cálculo del dígito verificador
+const VALOR_LETRA = {
+  A: 1, B: 1, C: 2, D: 3, E: 5, F: 4, G: 5, H: 6, I: 9, J: 7, K: 8, L: 9, M: 3,
+  N: 4, O: 5, P: 0, Q: 7, R: 2, S: 3, T: 4, U: 1, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+/**
+ * Normalizar una patente: mayúsculas, sin espacios, guiones ni puntos
+ * @param {string} input - Patente tal como la escribió el usuario (ej: "hv-cy 94")
+ * @returns {string} - Patente compacta (ej: "HVCY94")
+ */
+function normalizePatente(input) {
+  if (typeof input !== 'string') return '';
+  return input.toUpperCase().replace(/[\s\-·.•_]/g, '');
+}
+
+/**
+ * Calcular el dígito verificador de una patente ya normalizada
+ * Las letras se convierten a dígitos con VALOR_LETRA y se aplica módulo 11
+ * (factores 2..7 de derecha a izquierda), igual que en el RUT.
+ * Las motos antiguas (LL·NNN) se completan a 6 caracteres con un 0.
+ * @param {string} patente - Patente normalizada (ej: "HVCY94")
+ * @returns {string} - Dígito verificador ("0"-"9" o "K")
+ */
+function digitoVerificador(patente) {
+  let ppu = patente;
+  if (/^[A-Z]{2}\d{3}$/.test(ppu)) {
+    ppu = ppu.slice(0, 2) + '0' + ppu.slice(2);
+  }
+
+  const digitos = ppu.split('').map(c => (/\d/.test(c) ? parseInt(c, 10) : VALOR_LETRA[c]));
+
+  let suma = 0;
+  let factor = 2;
+  for (let i = digitos.length - 1; i >= 0; i--) {
+    suma += digitos[i] * factor;
+    factor = factor === 7 ? 2 : factor + 1;
+  }
+
+  const resto = 11 - (suma % 11);
+  if (resto === 11) return '0';
+  if (resto === 10) return 'K';
+  return String(resto);
+}
+
+/**
+ * Validar una patente
+ * @param {string} input - Patente tal como llegó en la consulta
+ * @returns {object} - { valida, patente, formato, formateada, digitoVerificador, error }
+ */
+function validarPatente(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return { valida: false, patente: null, error: 'Patente es requerida' };
+  }
+
+  const patente = normalizePatente(input);
+
+  if (!/^[A-Z0-9]+$/.test(patente)) {
+    return { valida: false, patente, error: 'La patente contiene caracteres inválidos' };
+  }
+
+  const formato = FORMATOS.find(f => f.regex.test(patente));
+  if (!formato) {
+    return {
+      valida: false,
+      patente,
+      error: `Formato de patente no reconocido. Formatos válidos: ${FORMATOS.map(f => f.descripcion).join(', ')}`
+    };
+  }
+
+  // Escribir con separadores: HV·CY·94, AB·12·34, BCD·12, AB·123
+  const partes = [];
+  let inicio = 0;
+  for (const largo of formato.grupos) {
+    partes.push(patente.slice(inicio, inicio + largo));
+    inicio += largo;
+  }
+
+  return {
+    valida: true,
+    patente,
+    formato: formato.id,
+    formateada: partes.join('·'),
+    digitoVerificador: digitoVerificador(patente),
+    error: null
+  };
+}
+
+/**
+ * Cuerpo del 400 para una patente inválida, igual en la API local y en los Workers:
+ * un reporte fallido (lib/schema.js) con el motivo en `error`
+ * @param {string} input - Patente tal como llegó en la consulta
+ * @param {object} validacion - Resultado de validarPatente
+ * @returns {object} - Reporte de createErrorReport
+ */
+function errorPatenteInvalida(input, validacion) {
+  return createErrorReport(input || null, null, validacion.error);
+}
+
+/**
+ * Validar la patente de una petición a un Worker
+ * @param {string} input - Patente tal como llegó en la consulta
+ * @param {object} [headers] - Headers de la respuesta (CORS)
+ * @returns {object} - { patente } normalizada, o { respuesta } con el 400 listo para devolver
+ */
+function validarPatenteWorker(input, headers = {}) {
+  const validacion = validarPatente(input);
+  if (validacion.valida) return { patente: validacion.patente };
+
+  return {
+    respuesta: new Response(JSON.stringify(errorPatenteInvalida(input, validacion)), {
+      status: 400,
+      headers: { ...headers, 'Content-Type': 'application/json' }
+    })
+  };
+}
+
+module.exports = {
+  FORMATOS,
+  normalizePatente,
+  digitoVerificador,
+  validarPatente,
+  errorPatenteInvalida,
+  validarPatenteWorker
+};
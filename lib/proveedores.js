@@ -0,0 +1,112 @@
+/**
+ * Proveedores HTTP para el orquestador (lib/orquestador.js)
+ * Los Workers de Cloudflare ya entregan el reporte canónico, que igual se
+ * vuelve a normalizar por si el Worker desplegado es de otra versión del
+ * esquema; el de multas entrega su propio formato y se traduce a la sección
+ * `multas`. Una
+ * respuesta que no es 200 o que trae error se convierte en reporte fallido.
+ * Los timeouts, errores de red y 5xx se reintentan (lib/reintentos.js).
+ */
+
+const { SECCIONES, normalizeReport, createErrorReport } = require('./schema');
+const { esReintentable, conReintentos } = require('./reintentos');
+
+const URL_WORKER_MULTAS = 'https://patente-scraper-worker.t4ngible.workers.dev';
+
+/**
+ * GET a un Worker con reintentos
+ * @param {object} [options] - { signal } y opciones de conReintentos ({ maxReintentos, timeout, plazo })
+ * @returns {Promise<object>} - { status, datos }
+ * @throws {Error} - Con codigo 'TIMEOUT' si se agota el tiempo o se aborta la señal
+ */
+async function pedirJson(url, { signal, ...reintentos } = {}) {
+  try {
+    return await conReintentos(async senal => {
+      const respuesta = await fetch(url, { signal: senal, headers: { Accept: 'application/json' } });
+      let datos = null;
+      try {
+        datos = await respuesta.json();
+      } catch (e) {
+        // Respuesta sin JSON (página de error del proxy, etc.)
+      }
+      return { status: respuesta.status, datos };
+    }, {
+      ...reintentos,
+      signal,
+      // Un 5xx del Worker que ya trae codigo (CAPTCHA, circuito abierto) no se reintenta
+      reintentarSi: ({ status, datos }) => status >= 500 && esReintentable({ status, codigo: datos?.codigo })
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      const agotado = new Error(`Sin respuesta de ${new URL(url).host} (${error.message})`);
+      agotado.codigo = 'TIMEOUT';
+      throw agotado;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reporte fallido a partir de la respuesta de error de un Worker
+ */
+function reporteFallido(patente, nombre, status, datos) {
+  const error = datos?.error || `HTTP ${status}`;
+  const codigo = status === 404 ? 'NO_ENCONTRADA'
+    : status === 429 ? 'LIMITE_TASA'
+    : /captcha/i.test(error) ? 'CAPTCHA'
+    : datos?.codigo;
+  return createErrorReport(patente, nombre, error, datos?.mensaje || datos?.message || null, codigo);
+}
+
+/**
+ * Proveedor para un Worker que entrega el reporte canónico
+ * (cloudflare-worker-vehiculo.js y cloudflare-worker-vehiculo-browser.js)
+ * @param {object} options - { nombre }, { url } base, { ruta } del endpoint, { prioridad },
+ *   y { maxReintentos, timeout, plazo } de leerReintentos
+ */
+function proveedorWorkerReporte({ nombre, url, ruta = '/', prioridad, ...reintentos }) {
+  return {
+    nombre,
+    secciones: Object.keys(SECCIONES),
+    prioridad,
+    async fetch(patente, { signal } = {}) {
+      const destino = new URL(ruta, url);
+      destino.searchParams.set('patente', patente);
+      destino.searchParams.set('provenance', '1');
+
+      const { status, datos } = await pedirJson(destino, { signal, ...reintentos });
+      if (status !== 200 || !datos || datos.success === false) return reporteFallido(patente, nombre, status, datos);
+      return normalizeReport(datos, { patente, source: datos.source || nombre, provenance: Boolean(datos._provenance) });
+    }
+  };
+}
+
+/**
+ * Proveedor de la sección multas con el Worker de multas (cloudflare-worker.js)
+ * @param {object} options - { url } base, { prioridad }, y { maxReintentos, timeout, plazo } de leerReintentos
+ */
+function proveedorWorkerMultas({ url = URL_WORKER_MULTAS, prioridad, ...reintentos } = {}) {
+  const nombre = 'cloudflare-worker-multas';
+  return {
+    nombre,
+    secciones: ['multas'],
+    prioridad,
+    async fetch(patente, { signal } = {}) {
+      const destino = new URL('/consultar-patente', url);
+      destino.searchParams.set('patente', patente);
+
+      const { status, datos } = await pedirJson(destino, { signal, ...reintentos });
+      if (status !== 200 || !datos || datos.error) return reporteFallido(patente, nombre, status, datos);
+      return normalizeReport({
+        timestamp: datos.timestamp,
+        multas: { tiene: datos.tieneMultas, cantidad: datos.cantidadMultas, mensaje: datos.mensaje }
+      }, { patente, source: nombre });
+    }
+  };
+}
+
+module.exports = {
+  URL_WORKER_MULTAS,
+  proveedorWorkerReporte,
+  proveedorWorkerMultas
+};
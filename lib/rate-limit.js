@@ -0,0 +1,294 @@
+/**
+ * Límites de tasa (token bucket) para la API local y los Workers
+ * Cada cliente (IP o API key) tiene un balde por grupo de rutas que se llena
+ * a razón de `capacidad` fichas cada `periodo` segundos; cada petición
+ * consume una ficha. El estado vive en un almacén intercambiable: memoria
+ * (API local, tests o un isolate de Worker) o Workers KV (compartido entre
+ * isolates, con consistencia eventual).
+ */
+
+/**
+ * Límites por defecto. Las rutas que abren un navegador (Playwright o
+ * Browser Rendering) comparten el perfil 'navegador', mucho más estricto.
+ */
+const PERFILES = {
+  normal: {
+    ip: { capacidad: 30, periodo: 60 },
+    key: { capacidad: 60, periodo: 60 }
+  },
+  navegador: {
+    ip: { capacidad: 3, periodo: 60 },
+    key: { capacidad: 6, periodo: 60 }
+  }
+};
+
+// Workers KV no acepta expiraciones menores a 60 segundos
+const TTL_MINIMO_KV = 60;
+
+/**
+ * Almacén en memoria; las entradas vencidas se descartan al leerlas y en
+ * una limpieza periódica
+ * @returns {object} - { leer(clave), guardar(clave, valor, ttlSegundos) }
+ */
+function crearAlmacenMemoria() {
+  const datos = new Map();
+  let escrituras = 0;
+
+  return {
+    async leer(clave) {
+      const entrada = datos.get(clave);
+      if (!entrada) return null;
+      if (entrada.expira <= Date.now()) {
+        datos.delete(clave);
+        return null;
+      }
+      return entrada.valor;
+    },
+
+    async guardar(clave, valor, ttl) {
+      datos.set(clave, { valor, expira: Date.now() + ttl * 1000 });
+
+      if (++escrituras % 1000 === 0) {
+        const ahora = Date.now();
+        for (const [k, entrada] of datos) {
+          if (entrada.expira <= ahora) datos.delete(k);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Almacén sobre un namespace de Workers KV
+ * @param {object} kv - Binding de KV (env.RATE_LIMIT_KV)
+ */
+function crearAlmacenKV(kv) {
+  return {
+    leer: clave => kv.get(clave, { type: 'json' }),
+    guardar: (clave, valor, ttl) => kv.put(clave, JSON.stringify(valor), {
+      expirationTtl: Math.max(TTL_MINIMO_KV, Math.ceil(ttl))
+    })
+  };
+}
+
+const esObjeto = valor => Boolean(valor) && typeof valor === 'object' && !Array.isArray(valor);
+
+/**
+ * Leer la configuración de límites (RATE_LIMITS)
+ * Claves: nombre de perfil o ruta ('/v1/consultas', '/consultar-patente');
+ * valores: { ip, key } con { capacidad, periodo } o null para desactivar.
+ * @param {string} [texto] - JSON
+ * @returns {object} - Configuración ({} si no hay)
+ * @throws {Error} - Si no es JSON o un límite está mal escrito: un límite sin capacidad o periodo
+ *   positivos dejaría el balde rechazando todo para siempre
+ */
+function leerLimites(texto) {
+  if (!texto) return {};
+
+  let config;
+  try {
+    config = JSON.parse(texto);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS no es JSON válido: ${error.message}`);
+  }
+  if (!esObjeto(config)) throw new Error('RATE_LIMITS debe ser un objeto { perfil o ruta: { ip, key } }');
+
+  for (const [grupo, limites] of Object.entries(config)) {
+    if (!PERFILES[grupo] && !grupo.startsWith('/')) {
+      throw new Error(`RATE_LIMITS: "${grupo}" no es un perfil (${Object.keys(PERFILES).join(', ')}) ni una ruta`);
+    }
+    if (limites === null) continue;
+    if (!esObjeto(limites)) throw new Error(`RATE_LIMITS: ${grupo} debe ser { ip, key } o null`);
+
+    for (const [tipo, limite] of Object.entries(limites)) {
+      if (tipo !== 'ip' && tipo !== 'key') throw new Error(`RATE_LIMITS: ${grupo}.${tipo} desconocido (se acepta ip o key)`);
+      if (limite === null) continue;
+      const valido = esObjeto(limite) && Object.keys(limite).length === 2 &&
+        ['capacidad', 'periodo'].every(campo => typeof limite[campo] === 'number' && Number.isFinite(limite[campo]) && limite[campo] > 0);
+      if (!valido) {
+        throw new Error(`RATE_LIMITS: ${grupo}.${tipo} debe ser { capacidad, periodo } con números positivos, o null`);
+      }
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Límites que aplican a una ruta
+ * Una ruta configurada por nombre tiene su propio balde; si no, comparte el
+ * del perfil.
+ * @param {object} config - De leerLimites()
+ * @param {string|null} ruta - Plantilla o pathname de la ruta; null para usar solo el perfil
+ * @param {string} perfil - Clave de PERFILES
+ * @returns {object} - { grupo, ip, key }
+ */
+function limitesDeRuta(config, ruta, perfil) {
+  return {
+    grupo: ruta && config[ruta] ? ruta : perfil,
+    ...PERFILES[perfil],
+    ...config[perfil],
+    ...(ruta && config[ruta])
+  };
+}
+
+/**
+ * Crear un limitador sobre un almacén
+ * @param {object} options - { almacen, ahora } (ahora: () => milisegundos, para tests)
+ * @returns {object} - { consumir(clave, limite, costo) }
+ */
+function crearLimitador({ almacen, ahora = Date.now }) {
+  return {
+    /**
+     * Consumir fichas del balde de una clave
+     * @param {string} clave - Cliente y grupo
+     * @param {object} limite - { capacidad, periodo }
+     * @param {number} [costo]
+     * @returns {Promise<object>} - { permitido, limite, restantes, reset, reintentarEn } (segundos)
+     */
+    async consumir(clave, limite, costo = 1) {
+      const t = ahora();
+      const porMs = limite.capacidad / (limite.periodo * 1000);
+      const estado = await almacen.leer(clave);
+
+      let fichas = estado
+        ? Math.min(limite.capacidad, estado.fichas + (t - estado.actualizado) * porMs)
+        : limite.capacidad;
+      const permitido = fichas >= costo;
+      if (permitido) fichas -= costo;
+
+      // Un balde vacío se llena en `periodo`; después ya no hace falta guardarlo
+      await almacen.guardar(clave, { fichas, actualizado: t }, limite.periodo);
+
+      return {
+        permitido,
+        limite: limite.capacidad,
+        restantes: Math.floor(fichas),
+        reset: Math.ceil((limite.capacidad - fichas) / porMs / 1000),
+        reintentarEn: permitido ? 0 : Math.ceil((costo - fichas) / porMs / 1000)
+      };
+    }
+  };
+}
+
+/**
+ * Aplicar los límites de una ruta a los clientes de una petición
+ * Se revisa primero la IP y después la key; si una rechaza, la siguiente no
+ * se descuenta.
+ * @param {object} limitador - De crearLimitador()
+ * @param {object} limites - De limitesDeRuta()
+ * @param {object} clientes - { ip, key } (key: label de la API key, si hay)
+ * @returns {Promise<object|null>} - Resultado del último balde revisado, o null si ningún límite aplica
+ */
+async function limitarPeticion(limitador, limites, clientes) {
+  let resultado = null;
+
+  for (const tipo of ['ip', 'key']) {
+    if (!limites[tipo] || !clientes[tipo]) continue;
+    resultado = await limitador.consumir(`${tipo}:${clientes[tipo]}:${limites.grupo}`, limites[tipo]);
+    if (!resultado.permitido) break;
+  }
+
+  return resultado;
+}
+
+/**
+ * Headers X-RateLimit-* (y Retry-After si se rechazó) de un resultado
+ */
+function encabezadosLimite(resultado) {
+  const headers = {
+    'X-RateLimit-Limit': String(resultado.limite),
+    'X-RateLimit-Remaining': String(resultado.restantes),
+    'X-RateLimit-Reset': String(resultado.reset)
+  };
+  if (!resultado.permitido) headers['Retry-After'] = String(resultado.reintentarEn);
+  return headers;
+}
+
+/**
+ * Envolver el handler de un Worker con el límite por IP
+ * Usa env.RATE_LIMIT_KV si existe; si no, memoria del isolate. Los límites
+ * se pueden ajustar con la variable RATE_LIMITS (ver leerLimites), que se lee
+ * una sola vez; si está mal escrita todas las peticiones responden 500 con el
+ * motivo.
+ * @param {object} worker - { fetch(request, env, ctx) }
+ * @param {object} options - { perfil } de PERFILES, o (request) => perfil según el trabajo que hará
+ *   la petición (p.ej. 'normal' si la patente es inválida y no se abre el navegador)
+ * @returns {object} - Worker con el mismo fetch, limitado
+ */
+function conLimiteDeTasa(worker, { perfil }) {
+  let memoria = null;
+  let configuracion = null;
+
+  function configuracionDe(texto) {
+    if (!configuracion || configuracion.texto !== texto) {
+      try {
+        configuracion = { texto, limites: leerLimites(texto) };
+      } catch (error) {
+        console.error(`[rate-limit] ${error.message}`);
+        configuracion = { texto, error };
+      }
+    }
+    return configuracion;
+  }
+
+  return {
+    ...worker,
+    async fetch(request, env = {}, ctx) {
+      if (request.method === 'OPTIONS') return worker.fetch(request, env, ctx);
+
+      const { limites: config, error } = configuracionDe(env.RATE_LIMITS);
+      if (error) {
+        return new Response(JSON.stringify({ error: 'Configuración inválida', message: error.message }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        });
+      }
+
+      const almacen = env.RATE_LIMIT_KV
+        ? crearAlmacenKV(env.RATE_LIMIT_KV)
+        : (memoria = memoria || crearAlmacenMemoria());
+      const perfilPeticion = typeof perfil === 'function' ? perfil(request) : perfil;
+      const limites = limitesDeRuta(config, new URL(request.url).pathname, perfilPeticion);
+      const resultado = await limitarPeticion(crearLimitador({ almacen }), limites, {
+        ip: request.headers.get('CF-Connecting-IP') || 'desconocida'
+      });
+
+      if (resultado && !resultado.permitido) {
+        return new Response(JSON.stringify({
+          error: 'Demasiadas peticiones',
+          message: `Reintentar en ${resultado.reintentarEn} s`
+        }), {
+          status: 429,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            ...encabezadosLimite(resultado)
+          }
+        });
+      }
+
+      const response = await worker.fetch(request, env, ctx);
+      if (!resultado) return response;
+
+      // Las respuestas de fetch() son inmutables; se copian para agregar headers
+      const limitada = new Response(response.body, response);
+      for (const [nombre, valor] of Object.entries(encabezadosLimite(resultado))) {
+        limitada.headers.set(nombre, valor);
+      }
+      return limitada;
+    }
+  };
+}
+
+module.exports = {
+  PERFILES,
+  crearAlmacenMemoria,
+  crearAlmacenKV,
+  leerLimites,
+  limitesDeRuta,
+  crearLimitador,
+  limitarPeticion,
+  encabezadosLimite,
+  conLimiteDeTasa
+};
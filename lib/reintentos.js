@@ -0,0 +1,173 @@
+/**
+ * Reintentos con backoff exponencial y jitter para las consultas a las fuentes
+ * Solo se reintentan las fallas transitorias: timeouts, respuestas 5xx y
+ * errores de red o de navegación. Una patente no encontrada, un CAPTCHA o un
+ * 429 no se reintentan (insistir no cambia la respuesta o empeora el
+ * bloqueo). Cada intento tiene su tiempo máximo y todos juntos un plazo: si
+ * la próxima espera no cabe en el plazo se entrega la última falla.
+ *
+ * Se configura con MAX_RETRIES, TIMEOUT_MS y DEADLINE_MS (process.env en la
+ * API local, env en los Workers). Sin dependencias de Node.
+ */
+
+// Reintentos después del primer intento
+const MAX_REINTENTOS = 3;
+// Tiempo máximo de cada intento
+const TIMEOUT_MS = 30_000;
+
+// Backoff: la espera base se duplica en cada reintento hasta el tope; el jitter
+// elige al azar entre la mitad y el total para no reintentar todos a la vez
+const BASE_MS = 500;
+const TOPE_MS = 8_000;
+
+// Códigos (CODIGOS_ERROR de lib/schema.js) que nunca se reintentan
+const NO_REINTENTABLES = ['NO_ENCONTRADA', 'CAPTCHA', 'LIMITE_TASA', 'CIRCUITO_ABIERTO', 'POOL_OCUPADO', 'OMITIDA'];
+
+// Errores de red de fetch/undici y de navegación de Playwright y Puppeteer
+const ERRORES_TRANSITORIOS = /net::ERR_|NS_ERROR_(NET|CONNECTION|UNKNOWN_HOST)|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE|socket hang up|fetch failed|network connection lost|navigation failed|frame was detached/i;
+
+/**
+ * Configuración de reintentos desde las variables de entorno
+ * @param {object} [env] - process.env o el env del Worker: MAX_RETRIES, TIMEOUT_MS (por intento; 0 sin
+ *   límite) y DEADLINE_MS (todos los intentos; default el doble de TIMEOUT_MS, 0 sin límite)
+ * @returns {object} - { maxReintentos, timeout, plazo } para conReintentos
+ */
+function leerReintentos(env = {}) {
+  const numero = (valor, defecto) => (valor === undefined || valor === '' || !Number.isFinite(Number(valor)) ? defecto : Number(valor));
+  const timeout = numero(env.TIMEOUT_MS, TIMEOUT_MS);
+  return {
+    maxReintentos: numero(env.MAX_RETRIES, MAX_REINTENTOS),
+    timeout,
+    plazo: numero(env.DEADLINE_MS, 2 * timeout)
+  };
+}
+
+/**
+ * ¿La falla es transitoria?
+ * @param {object} falla - Error lanzado, o { status, codigo } de una respuesta
+ * @returns {boolean}
+ */
+function esReintentable(falla) {
+  if (!falla) return false;
+  if (NO_REINTENTABLES.includes(falla.codigo) || falla.status === 404) return false;
+  if (falla.codigo === 'TIMEOUT' || falla.name === 'TimeoutError') return true;
+  if (falla.status >= 500) return true;
+  return ERRORES_TRANSITORIOS.test(`${falla.message || ''} ${falla.cause?.code || ''} ${falla.cause?.message || ''}`);
+}
+
+/**
+ * Espera antes del reintento número `numero` (1 el primero)
+ */
+function espera(numero, { base = BASE_MS, tope = TOPE_MS, aleatorio = Math.random } = {}) {
+  const techo = Math.min(tope, base * 2 ** (numero - 1));
+  return Math.round(techo / 2 + aleatorio() * techo / 2);
+}
+
+const errorTimeout = (ms, causa) => Object.assign(new Error(`Sin respuesta en ${ms} ms`), { name: 'TimeoutError', codigo: 'TIMEOUT', cause: causa });
+
+function dormir(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortar = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abortar);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', abortar, { once: true });
+  });
+}
+
+/**
+ * Ejecutar una consulta con reintentos
+ * @param {Function} intento - (signal, numero) => Promise<resultado>; signal se aborta al agotarse el
+ *   tiempo del intento o el plazo, o con la señal externa
+ * @param {object} [options] - { maxReintentos, timeout, plazo } de leerReintentos, { signal } externa
+ *   (abortarla no se reintenta), { reintentable } (error) => boolean (default esReintentable),
+ *   { reintentarSi } (resultado) => boolean para resultados que fallan sin lanzar (p.ej. HTTP 5xx),
+ *   { alReintentar } (falla, numero, espera) para el log, { base }, { tope } y { aleatorio } del backoff
+ * @returns {Promise<*>} - El primer resultado bueno; si se agotan los intentos, el último resultado
+ * @throws {Error} - El último error, con `intentos`; un intento que se pasa de tiempo falla con
+ *   name 'TimeoutError' y codigo 'TIMEOUT'
+ */
+async function conReintentos(intento, {
+  maxReintentos = MAX_REINTENTOS,
+  timeout = TIMEOUT_MS,
+  plazo = 2 * timeout,
+  signal,
+  reintentable = esReintentable,
+  reintentarSi = () => false,
+  alReintentar,
+  ...backoff
+} = {}) {
+  const fin = plazo ? Date.now() + plazo : Infinity;
+
+  for (let numero = 1; ; numero++) {
+    signal?.throwIfAborted();
+    const limite = Math.min(timeout || Infinity, fin - Date.now());
+    if (limite <= 0) throw Object.assign(errorTimeout(plazo), { intentos: numero - 1 });
+
+    const controlador = new AbortController();
+    const senal = signal ? AbortSignal.any([controlador.signal, signal]) : controlador.signal;
+    let timer;
+    const agotado = limite === Infinity ? null : new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = errorTimeout(limite);
+        controlador.abort(error);
+        reject(error);
+      }, limite);
+    });
+
+    let falla;
+    let resultado;
+    try {
+      resultado = await (agotado ? Promise.race([intento(senal, numero), agotado]) : intento(senal, numero));
+      if (!reintentarSi(resultado)) return resultado;
+      falla = null;
+    } catch (error) {
+      // Lo que lance la fuente después de abortar por tiempo cuenta como timeout
+      falla = controlador.signal.aborted && error.codigo !== 'TIMEOUT' ? errorTimeout(limite, error) : error;
+      if (signal?.aborted || !reintentable(falla)) throw Object.assign(falla, { intentos: numero });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const ms = espera(numero, backoff);
+    if (numero > maxReintentos || Date.now() + ms >= fin) {
+      if (!falla) return resultado;
+      throw Object.assign(falla, { intentos: numero });
+    }
+    alReintentar?.(falla || resultado, numero, ms);
+    await dormir(ms, signal);
+  }
+}
+
+/**
+ * fetch con reintentos: timeouts, errores de red y respuestas 5xx
+ * @param {string|URL} url
+ * @param {object} [init] - Opciones de fetch (sin signal; el body no puede ser un stream)
+ * @param {object} [options] - Opciones de conReintentos
+ * @returns {Promise<Response>} - La última respuesta si todas fueron 5xx
+ */
+function fetchConReintentos(url, init = {}, options = {}) {
+  return conReintentos(signal => fetch(url, { ...init, signal }), {
+    ...options,
+    reintentarSi: respuesta => respuesta.status >= 500,
+    alReintentar: (falla, numero, ms) => {
+      // Descartar el cuerpo del 5xx para liberar la conexión antes del siguiente intento
+      if (!(falla instanceof Error)) falla.body?.cancel().catch(() => {});
+      options.alReintentar?.(falla, numero, ms);
+    }
+  });
+}
+
+module.exports = {
+  MAX_REINTENTOS,
+  TIMEOUT_MS,
+  leerReintentos,
+  esReintentable,
+  espera,
+  conReintentos,
+  fetchConReintentos
+};
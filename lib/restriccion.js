@@ -0,0 +1,150 @@
+/**
+ * Cálculo local de restricción vehicular para una fecha
+ * `restriccionVehicular.condicion` solo repite el texto del sitio; este
+ * módulo decide si la patente tiene restricción un día dado a partir del
+ * sello, el año y el combustible del vehículo. Los calendarios viven en
+ * data/restriccion-vehicular.json (o en RESTRICCION_CALENDARIO).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hoySantiago } = require('./fechas');
+
+const RUTA_CALENDARIO = process.env.RESTRICCION_CALENDARIO ||
+  path.join(__dirname, '..', 'data', 'restriccion-vehicular.json');
+
+const EPISODIOS = ['normal', 'preemergencia', 'emergencia'];
+
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+/**
+ * Leer el archivo de calendarios
+ * Se lee en cada llamada para que los cambios al archivo apliquen sin reiniciar.
+ * @param {string} [ruta] - Ruta al JSON de calendarios
+ * @returns {object} - Calendario parseado
+ */
+function cargarCalendario(ruta = RUTA_CALENDARIO) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+/**
+ * Pasar a mayúsculas y sin tildes para comparar textos del sitio
+ */
+function normalizarTexto(valor) {
+  if (valor === undefined || valor === null) return '';
+  return String(valor).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().trim();
+}
+
+/**
+ * Categoría del vehículo en el calendario
+ * @param {object} vehiculo - { tipoSello, año, combustible } (sección canónica)
+ * @param {object} calendario - Calendario cargado
+ * @returns {object} - { categoria, motivo }; categoria null si faltan datos
+ */
+function categoriaVehiculo(vehiculo, calendario) {
+  const combustible = normalizarTexto(vehiculo && vehiculo.combustible);
+  const exento = (calendario.combustiblesExentos || []).find(c => combustible.includes(normalizarTexto(c)));
+  if (exento) {
+    return { categoria: 'exento', motivo: `Combustible ${combustible} exento de restricción` };
+  }
+
+  const sello = normalizarTexto(vehiculo && vehiculo.tipoSello);
+  if (!sello) {
+    return { categoria: null, motivo: 'Sin información del sello del vehículo' };
+  }
+
+  if (!sello.includes('VERDE')) {
+    return { categoria: 'sin-sello-verde', motivo: `Vehículo con sello ${sello}` };
+  }
+
+  const año = vehiculo.año ? parseInt(vehiculo.año, 10) : null;
+  if (!año) {
+    return { categoria: null, motivo: 'Sello verde sin año del vehículo; no se puede determinar la categoría' };
+  }
+
+  if (año <= calendario.selloVerdeAntiguoHasta) {
+    return { categoria: 'sello-verde-antiguo', motivo: `Sello verde, año ${año}` };
+  }
+  return { categoria: 'sello-verde', motivo: `Sello verde, año ${año}` };
+}
+
+/**
+ * ¿La fecha (MM-DD) cae dentro de un periodo { desde, hasta }?
+ */
+function dentroDePeriodo(fecha, periodo) {
+  const mesDia = fecha.slice(5);
+  return mesDia >= periodo.desde && mesDia <= periodo.hasta;
+}
+
+/**
+ * Calcular si una patente tiene restricción en una fecha
+ * @param {object} consulta - { patente, vehiculo: { tipoSello, año, combustible } }
+ * @param {object} options - { fecha: 'YYYY-MM-DD' (hoy en Chile por defecto),
+ *   episodio: 'normal' | 'preemergencia' | 'emergencia' (por defecto el
+ *   declarado en el calendario para esa fecha), calendario }
+ * @returns {object} - { fecha, diaSemana, episodio, categoria, ultimoDigito,
+ *   digitosRestringidos, restringido, horario, zona, motivo }
+ */
+function calcularRestriccion({ patente, vehiculo }, options = {}) {
+  const calendario = options.calendario || cargarCalendario();
+  const fecha = options.fecha || hoySantiago();
+  const [año, mes, dia] = fecha.split('-').map(Number);
+  const diaSemana = DIAS_SEMANA[new Date(Date.UTC(año, mes - 1, dia)).getUTCDay()];
+  const episodio = options.episodio || (calendario.episodios || {})[fecha] || 'normal';
+
+  const digito = String(patente || '').match(/(\d)\D*$/);
+  const { categoria, motivo } = categoriaVehiculo(vehiculo, calendario);
+
+  const resultado = {
+    fecha,
+    diaSemana,
+    episodio,
+    categoria,
+    ultimoDigito: digito ? parseInt(digito[1], 10) : null,
+    digitosRestringidos: [],
+    restringido: false,
+    horario: calendario.horario || null,
+    zona: calendario.zona || null,
+    motivo
+  };
+
+  if (diaSemana === 'sabado' || diaSemana === 'domingo') {
+    resultado.motivo = 'Sin restricción los fines de semana';
+    return resultado;
+  }
+
+  if ((calendario.feriados || []).includes(fecha)) {
+    resultado.motivo = 'Sin restricción en feriados';
+    return resultado;
+  }
+
+  if (categoria === 'exento') return resultado;
+
+  if (categoria === null || resultado.ultimoDigito === null) {
+    resultado.restringido = null;
+    if (resultado.ultimoDigito === null) resultado.motivo = 'La patente no termina en dígito';
+    return resultado;
+  }
+
+  const definicion = calendario.categorias[categoria];
+  if (episodio === 'normal' && definicion.periodoNormal && !dentroDePeriodo(fecha, definicion.periodoNormal)) {
+    resultado.motivo = `${motivo}: restricción solo entre ${definicion.periodoNormal.desde} y ${definicion.periodoNormal.hasta}`;
+    return resultado;
+  }
+
+  resultado.digitosRestringidos = (definicion.calendarios[episodio] || {})[diaSemana] || [];
+  resultado.restringido = resultado.digitosRestringidos.includes(resultado.ultimoDigito);
+  resultado.motivo = resultado.restringido
+    ? `${motivo}: dígito ${resultado.ultimoDigito} restringido el ${diaSemana} en episodio ${episodio}`
+    : `${motivo}: dígito ${resultado.ultimoDigito} sin restricción el ${diaSemana} en episodio ${episodio}`;
+
+  return resultado;
+}
+
+module.exports = {
+  RUTA_CALENDARIO,
+  EPISODIOS,
+  cargarCalendario,
+  categoriaVehiculo,
+  calcularRestriccion
+};
@@ -0,0 +1,98 @@
+/**
+ * Tabla de rutas de la API local
+ * Cada ruta declara su plantilla ('/v1/vehiculos/:patente') y un handler por
+ * método. resolver() distingue una ruta inexistente (404) de un método no
+ * permitido (405, con los métodos para el header Allow).
+ */
+
+/**
+ * Escapar un segmento literal para usarlo en una expresión regular
+ */
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Decodificar un parámetro de ruta; si el %-encoding está mal formado se
+ * devuelve tal cual y la validación del handler lo rechaza
+ */
+function decodificar(segmento) {
+  try {
+    return decodeURIComponent(segmento);
+  } catch (e) {
+    return segmento;
+  }
+}
+
+/**
+ * Compilar una plantilla con parámetros ':nombre'
+ * @param {string} plantilla - p.ej. '/v1/vehiculos/:patente/multas'
+ * @returns {object} - { regex, params } con los nombres de los parámetros en orden
+ */
+function compilarRuta(plantilla) {
+  const params = [];
+  const fuente = plantilla.split('/').map(segmento => {
+    if (!segmento.startsWith(':')) return escaparRegex(segmento);
+    params.push(segmento.slice(1));
+    return '([^/]+)';
+  }).join('/');
+
+  return { regex: new RegExp(`^${fuente}$`), params };
+}
+
+/**
+ * Crear un router a partir de la tabla de rutas
+ * @param {object[]} rutas - [{ ruta, metodos: { GET: handler, POST: handler } }];
+ *   cualquier otra propiedad de la ruta se devuelve en `definicion`
+ * @returns {object} - { rutas, resolver(metodo, path) }
+ */
+function crearRouter(rutas) {
+  const compiladas = rutas.map(ruta => ({ ...ruta, ...compilarRuta(ruta.ruta) }));
+
+  /**
+   * Buscar la ruta de una petición
+   * @returns {object|null} - { ruta, definicion, handler, params, allow }; handler es null si
+   *   el método no está permitido. null si ninguna ruta calza con el path.
+   */
+  function resolver(metodo, path) {
+    for (const ruta of compiladas) {
+      const match = path.match(ruta.regex);
+      if (!match) continue;
+
+      const params = {};
+      ruta.params.forEach((nombre, i) => {
+        params[nombre] = decodificar(match[i + 1]);
+      });
+
+      return {
+        ruta: ruta.ruta,
+        definicion: ruta,
+        handler: ruta.metodos[metodo] || null,
+        params,
+        allow: Object.keys(ruta.metodos)
+      };
+    }
+    return null;
+  }
+
+  return { rutas: compiladas, resolver };
+}
+
+/**
+ * Parsear el query string de una URL (application/x-www-form-urlencoded)
+ * Decodifica '+' como espacio y respeta los '=' dentro del valor. Si una
+ * clave se repite gana el último valor.
+ * @param {string} url - URL de la petición (req.url)
+ * @returns {object} - { clave: valor }
+ */
+function parseQuery(url) {
+  const inicio = url.indexOf('?');
+  if (inicio === -1) return {};
+  return Object.fromEntries(new URLSearchParams(url.slice(inicio + 1)));
+}
+
+module.exports = {
+  compilarRuta,
+  crearRouter,
+  parseQuery
+};
@@ -0,0 +1,88 @@
+/**
+ * Parseo, validación (módulo 11) y formato de RUT chilenos
+ */
+
+// Cuerpo con o sin puntos, guion opcional y dígito verificador
+const RUT_REGEX = /(?<![\d.])(\d{1,2}(?:\.\d{3}){2}|\d{7,8})\s*-?\s*([\dkK])(?![\dkK])/;
+
+/**
+ * Calcular el dígito verificador de un cuerpo de RUT
+ * @param {string|number} cuerpo - Cuerpo sin puntos (ej: "12345678")
+ * @returns {string} - Dígito verificador ("0"-"9" o "K")
+ */
+function calcularDv(cuerpo) {
+  let suma = 0;
+  let factor = 2;
+  const digitos = String(cuerpo).split('').reverse();
+
+  for (const digito of digitos) {
+    suma += parseInt(digito, 10) * factor;
+    factor = factor === 7 ? 2 : factor + 1;
+  }
+
+  const resto = 11 - (suma % 11);
+  if (resto === 11) return '0';
+  if (resto === 10) return 'K';
+  return String(resto);
+}
+
+/**
+ * Separar un RUT en cuerpo y dígito verificador
+ * Acepta "12.345.678-5", "12345678-5", "123456785" o texto que contenga un RUT.
+ * @param {string} input - Texto con el RUT
+ * @returns {object|null} - { cuerpo, dv } o null si no se reconoce un RUT
+ */
+function parseRut(input) {
+  if (input === undefined || input === null) return null;
+  const texto = String(input).trim();
+
+  const match = texto.match(RUT_REGEX);
+  if (!match) return null;
+
+  return {
+    cuerpo: match[1].replace(/\./g, '').replace(/^0+/, ''),
+    dv: match[2].toUpperCase()
+  };
+}
+
+/**
+ * Formatear un RUT
+ * @param {object} rut - { cuerpo, dv }
+ * @param {object} options - { puntos: true } para "12.345.678-5"
+ * @returns {string} - "12345678-5" por defecto
+ */
+function formatRut({ cuerpo, dv }, options = {}) {
+  const numero = options.puntos ? cuerpo.replace(/\B(?=(\d{3})+(?!\d))/g, '.') : cuerpo;
+  return `${numero}-${dv}`;
+}
+
+/**
+ * Validar un RUT y llevarlo al formato canónico del reporte
+ * @param {string} input - RUT tal como vino de la fuente
+ * @returns {object|null} - { valor, cuerpo, dv, valido } o null si no hay valor
+ */
+function normalizeRut(input) {
+  if (input === undefined || input === null) return null;
+  const texto = String(input).replace(/\s+/g, ' ').trim();
+  if (!texto) return null;
+
+  const rut = parseRut(texto);
+  if (!rut) {
+    // No parece un RUT (p.ej. el regex del label tomó otra celda)
+    return { valor: texto, cuerpo: null, dv: null, valido: false };
+  }
+
+  return {
+    valor: formatRut(rut),
+    cuerpo: rut.cuerpo,
+    dv: rut.dv,
+    valido: calcularDv(rut.cuerpo) === rut.dv
+  };
+}
+
+module.exports = {
+  calcularDv,
+  parseRut,
+  formatRut,
+  normalizeRut
+};
@@ -0,0 +1,358 @@
+/**
+ * Esquema canónico del reporte vehicular
+ * Todas las fuentes (Playwright, Workers fetch y Browser Rendering) pasan su
+ * salida cruda por normalizeReport() para que los consumidores reciban
+ * siempre la misma forma.
+ *
+ * Módulo CommonJS: Node lo carga con require() y Wrangler (esbuild) lo
+ * empaqueta cuando los Workers lo importan con `import`.
+ */
+
+const { normalizeRut } = require('./rut');
+const { parseFecha, hoySantiago, sumarFecha, calcularVigencia } = require('./fechas');
+const { detectarDrift } = require('./drift');
+
+/**
+ * Versión del esquema. Subir el major ante cambios incompatibles.
+ * 2.0.0: propietario.rut pasa de string a { valor, cuerpo, dv, valido }
+ * 3.0.0: fechas en ISO-8601 y campos de vigencia en RT, SOAP y permiso
+ * 3.1.0: mapa opcional _provenance (fuente, estrategia y confianza por campo)
+ * 3.2.0: campo drift con los cambios de layout detectados en la fuente
+ * 3.3.0: codigo de error en los reportes fallidos
+ * 3.4.0: mapa opcional fuentes (proveedor de cada sección, lib/orquestador.js)
+ * 3.5.0: códigos de error CAPTCHA, LIMITE_TASA y CIRCUITO_ABIERTO
+ * 3.6.0: lista opcional conflictos (valores distintos entre fuentes, lib/fusion.js)
+ */
+const SCHEMA_VERSION = '3.6.0';
+
+/**
+ * Códigos de error de un reporte fallido
+ * NO_ENCONTRADA: la fuente no tiene la patente. TIMEOUT: se agotó el tiempo
+ * de la consulta. POOL_OCUPADO: no hubo navegador libre a tiempo. OMITIDA:
+ * no se alcanzó a consultar (consulta de varias patentes interrumpida).
+ * CAPTCHA: la fuente pidió resolver un CAPTCHA. LIMITE_TASA: la fuente
+ * respondió 429. CIRCUITO_ABIERTO: no se consultó porque el circuit breaker
+ * de la fuente está abierto (lib/circuit-breaker.js). ERROR: cualquier otro.
+ */
+const CODIGOS_ERROR = ['NO_ENCONTRADA', 'TIMEOUT', 'POOL_OCUPADO', 'OMITIDA', 'CAPTCHA', 'LIMITE_TASA', 'CIRCUITO_ABIERTO', 'ERROR'];
+
+// Niveles de confianza de _provenance, de menor a mayor
+const CONFIANZAS = ['baja', 'media', 'alta'];
+
+/**
+ * Definición de secciones: campo → tipo
+ * Tipos: 'string' | 'integer' | 'boolean' | 'rut' | 'fecha' (YYYY-MM-DD) |
+ * 'fecha-vencimiento' (sin día → último del mes) | 'derivado' (lo calcula el normalizador)
+ * Una sección sin ningún valor se entrega como null, nunca como {}.
+ */
+const SECCIONES = {
+  propietario: {
+    rut: 'rut',
+    nombre: 'string'
+  },
+  vehiculo: {
+    patente: 'string',
+    tipo: 'string',
+    marca: 'string',
+    modelo: 'string',
+    año: 'integer',
+    color: 'string',
+    numeroMotor: 'string',
+    numeroChasis: 'string',
+    procedencia: 'string',
+    fabricante: 'string',
+    tipoSello: 'string',
+    combustible: 'string'
+  },
+  multas: {
+    tiene: 'boolean',
+    cantidad: 'integer',
+    mensaje: 'string'
+  },
+  revisionTecnica: {
+    kilometraje: 'string',
+    comuna: 'string',
+    mes: 'string',
+    ultimoControl: 'fecha',
+    fechaVencimiento: 'fecha-vencimiento',
+    estado: 'string',
+    vigente: 'derivado',
+    diasRestantes: 'derivado',
+    venceEn: 'derivado'
+  },
+  gases: {
+    ultimoControl: 'fecha',
+    fechaVencimiento: 'fecha-vencimiento'
+  },
+  permisoCirculacion: {
+    añoPago: 'integer',
+    municipalidad: 'string',
+    fechaPago: 'fecha',
+    fechaVencimiento: 'fecha-vencimiento',
+    vigente: 'derivado',
+    diasRestantes: 'derivado',
+    venceEn: 'derivado'
+  },
+  soap: {
+    compania: 'string',
+    fechaInicio: 'fecha',
+    fechaVencimiento: 'fecha-vencimiento',
+    estado: 'string',
+    vigente: 'derivado',
+    diasRestantes: 'derivado',
+    venceEn: 'derivado'
+  },
+  transportePublico: {
+    es: 'string',
+    tipo: 'string'
+  },
+  restriccionVehicular: {
+    condicion: 'string'
+  }
+};
+
+// Campos que no cuentan como dato al decidir si una sección está vacía
+const CAMPOS_IDENTIFICADORES = {
+  vehiculo: ['patente']
+};
+
+/**
+ * Fecha de vencimiento de cada documento con vigencia
+ * Si el sitio no la entrega se infiere: el SOAP dura un año desde su inicio
+ * y el permiso de circulación vence el 31 de marzo del año siguiente al pago.
+ */
+const VENCIMIENTOS = {
+  revisionTecnica: section => section.fechaVencimiento,
+  soap: section => section.fechaVencimiento ||
+    (section.fechaInicio ? sumarFecha(section.fechaInicio, { años: 1, dias: -1 }) : null),
+  permisoCirculacion: section => {
+    if (section.fechaVencimiento) return section.fechaVencimiento;
+    const año = section.añoPago || (section.fechaPago ? parseInt(section.fechaPago.slice(0, 4), 10) : null);
+    return año ? `${año + 1}-03-31` : null;
+  }
+};
+
+// Valores que el sitio usa para indicar "sin dato"
+const VALORES_VACIOS = ['', '-', 'N/A'];
+
+/**
+ * Convertir un valor crudo al tipo declarado en el esquema
+ */
+function coerceValue(value, tipo) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'string') {
+    value = value.replace(/\s+/g, ' ').trim();
+    if (VALORES_VACIOS.includes(value)) return null;
+  }
+
+  // Un RUT ya normalizado se vuelve a validar desde su valor
+  if (tipo === 'rut') {
+    return normalizeRut(typeof value === 'object' ? value.valor : value);
+  }
+
+  switch (tipo) {
+    case 'derivado':
+      return null;
+    case 'fecha':
+      return parseFecha(value);
+    case 'fecha-vencimiento':
+      return parseFecha(value, { finDeMes: true });
+    case 'integer': {
+      const num = typeof value === 'number' ? value : parseInt(String(value).replace(/\./g, ''), 10);
+      return Number.isFinite(num) ? Math.trunc(num) : null;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string') return /^(s[ií]|true|1)$/i.test(value);
+      return Boolean(value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Normalizar una sección: todos los campos presentes, null si no hay datos
+ * @param {string} nombre - Nombre de la sección en SECCIONES
+ * @param {object} raw - Sección cruda
+ * @param {object} contexto - { hoy, advertencias }; los valores que no se
+ *   pudieron convertir se agregan a `advertencias`
+ */
+function normalizeSection(nombre, raw, contexto) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const identificadores = CAMPOS_IDENTIFICADORES[nombre] || [];
+  const section = {};
+  let tieneDatos = false;
+
+  for (const [campo, tipo] of Object.entries(SECCIONES[nombre])) {
+    section[campo] = coerceValue(raw[campo], tipo);
+    if (section[campo] !== null && !identificadores.includes(campo)) tieneDatos = true;
+
+    const esFecha = tipo === 'fecha' || tipo === 'fecha-vencimiento';
+    const crudo = typeof raw[campo] === 'string' ? raw[campo].trim() : raw[campo];
+    if (esFecha && section[campo] === null && crudo && !VALORES_VACIOS.includes(crudo)) {
+      contexto.advertencias.push({
+        campo: `${nombre}.${campo}`,
+        mensaje: `Fecha no reconocida: "${crudo}"`
+      });
+    }
+  }
+
+  if (!tieneDatos) return null;
+
+  // Vigencia calculada con la fecha de hoy en Chile
+  if (VENCIMIENTOS[nombre]) {
+    section.fechaVencimiento = VENCIMIENTOS[nombre](section);
+    Object.assign(section, calcularVigencia(section.fechaVencimiento, contexto.hoy));
+  }
+
+  return section;
+}
+
+/**
+ * Procedencia de los campos que quedaron con valor en el reporte
+ * Un campo con advertencia baja a confianza 'baja' aunque el patrón fuera estricto.
+ * @param {object} raw - _provenance del parser: { 'seccion.campo': { label, estrategia, confianza } }
+ * @param {object} report - Reporte ya normalizado
+ * @returns {object} - { 'seccion.campo': { fuente, label, estrategia, confianza } }
+ */
+function normalizeProvenance(raw, report) {
+  const provenance = {};
+  const conAdvertencia = new Set(report.advertencias.map(a => a.campo));
+
+  for (const [ruta, origen] of Object.entries(raw || {})) {
+    const [seccion, campo] = ruta.split('.');
+    if (!report[seccion] || report[seccion][campo] === null || report[seccion][campo] === undefined) continue;
+
+    provenance[ruta] = {
+      fuente: origen.fuente || report.source,
+      label: origen.label === undefined ? null : origen.label,
+      estrategia: origen.estrategia || null,
+      confianza: conAdvertencia.has(ruta) || !CONFIANZAS.includes(origen.confianza) ? 'baja' : origen.confianza
+    };
+  }
+
+  return provenance;
+}
+
+/**
+ * Normalizar la salida cruda de cualquier fuente al esquema canónico
+ * @param {object} raw - Resultado crudo del parser o scraper
+ * @param {object} options - { source, patente } para completar metadatos,
+ *   { hoy: 'YYYY-MM-DD' } para calcular vigencias contra otra fecha y
+ *   { provenance: true } para incluir el mapa _provenance
+ * @returns {object} - Reporte con la forma canónica
+ */
+function normalizeReport(raw, options = {}) {
+  raw = raw || {};
+  const patente = coerceValue(options.patente || raw.patente, 'string');
+
+  const report = {
+    schemaVersion: SCHEMA_VERSION,
+    success: raw.success !== false,
+    patente: patente ? patente.toUpperCase() : null,
+    timestamp: raw.timestamp || new Date().toISOString(),
+    source: options.source || raw.source || null
+  };
+
+  if (!report.success) {
+    report.error = raw.error || 'Error desconocido';
+    report.mensaje = raw.mensaje || raw.message || null;
+    report.codigo = CODIGOS_ERROR.includes(raw.codigo) ? raw.codigo : 'ERROR';
+  }
+
+  // Datos presentes pero no confiables; el consumidor decide si los usa
+  const contexto = { hoy: options.hoy || hoySantiago(), advertencias: [] };
+
+  for (const nombre of Object.keys(SECCIONES)) {
+    report[nombre] = report.success ? normalizeSection(nombre, raw[nombre], contexto) : null;
+  }
+
+  // La patente del vehículo siempre coincide con la consultada
+  if (report.vehiculo && !report.vehiculo.patente) {
+    report.vehiculo.patente = report.patente;
+  }
+
+  report.advertencias = contexto.advertencias;
+  if (report.propietario && report.propietario.rut && !report.propietario.rut.valido) {
+    report.advertencias.push({
+      campo: 'propietario.rut',
+      mensaje: `RUT inválido o mal formado: "${report.propietario.rut.valor}"`
+    });
+  }
+
+  // Cambios de layout; null si la fuente no informó lo que vio
+  report.drift = report.success ? (raw._layout ? detectarDrift(raw._layout) : raw.drift || null) : null;
+
+  if (options.provenance) {
+    report._provenance = normalizeProvenance(raw._provenance, report);
+  }
+
+  return report;
+}
+
+/**
+ * Construir un reporte fallido con la forma canónica
+ * @param {string} patente - Patente consultada
+ * @param {string} source - Fuente que falló
+ * @param {string} error - Descripción corta del error
+ * @param {string} [mensaje] - Detalle adicional
+ * @param {string} [codigo] - Uno de CODIGOS_ERROR (default 'ERROR')
+ */
+function createErrorReport(patente, source, error, mensaje, codigo) {
+  return normalizeReport({ success: false, error, mensaje, codigo }, { patente, source });
+}
+
+/**
+ * Recortar un reporte a una sola sección (p.ej. /v1/vehiculos/:patente/propietario)
+ * Conserva los metadatos y las advertencias, _provenance, fuentes y conflictos de esa sección.
+ * @param {object} report - Reporte normalizado
+ * @param {string} seccion - Clave de SECCIONES
+ * @returns {object} - { schemaVersion, success, patente, timestamp, source, [error, mensaje, codigo], <seccion>, advertencias, [_provenance], [fuentes], [conflictos] }
+ */
+function seleccionarSeccion(report, seccion) {
+  const prefijo = `${seccion}.`;
+  const recorte = {
+    schemaVersion: report.schemaVersion,
+    success: report.success,
+    patente: report.patente,
+    timestamp: report.timestamp,
+    source: report.source
+  };
+
+  if (!report.success) {
+    recorte.error = report.error;
+    recorte.mensaje = report.mensaje;
+    recorte.codigo = report.codigo;
+  }
+
+  recorte[seccion] = report[seccion];
+  recorte.advertencias = report.advertencias.filter(a => a.campo.startsWith(prefijo));
+
+  if (report._provenance) {
+    recorte._provenance = Object.fromEntries(
+      Object.entries(report._provenance).filter(([ruta]) => ruta.startsWith(prefijo))
+    );
+  }
+
+  if (report.fuentes && seccion in report.fuentes) {
+    recorte.fuentes = { [seccion]: report.fuentes[seccion] };
+  }
+
+  if (report.conflictos) {
+    recorte.conflictos = report.conflictos.filter(c => c.campo.startsWith(prefijo));
+  }
+
+  return recorte;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  CONFIANZAS,
+  CODIGOS_ERROR,
+  SECCIONES,
+  normalizeReport,
+  createErrorReport,
+  seleccionarSeccion
+};
@@ -0,0 +1,91 @@
+/**
+ * Respuestas en streaming para las consultas de varias patentes
+ * Con Accept: text/event-stream se envía un evento SSE por mensaje; con
+ * Accept: application/x-ndjson, una línea JSON por mensaje con el nombre
+ * del evento en `evento`. Los eventos son 'resultado' (uno por patente,
+ * apenas está listo), 'progreso' y 'resumen' al final.
+ */
+
+const TIPOS = {
+  sse: 'text/event-stream',
+  ndjson: 'application/x-ndjson'
+};
+
+// Comentario SSE periódico para que los proxies no corten la conexión mientras se scrapea
+const LATIDO_MS = 15_000;
+
+/**
+ * Formato de streaming pedido en el header Accept
+ * @returns {string|null} - 'sse', 'ndjson', o null para JSON normal
+ */
+function formatoStream(accept) {
+  if (!accept) return null;
+  for (const [formato, tipo] of Object.entries(TIPOS)) {
+    if (accept.includes(tipo)) return formato;
+  }
+  return null;
+}
+
+/**
+ * Serializar un evento
+ * @param {string} formato - 'sse' o 'ndjson'
+ * @param {string} evento - 'resultado', 'progreso', 'resumen' o 'error'
+ * @param {object} datos
+ * @param {number|string} [id] - Id SSE (el índice de la patente en 'resultado')
+ * @returns {string}
+ */
+function serializarEvento(formato, evento, datos, id) {
+  if (formato === 'ndjson') {
+    return JSON.stringify({ evento, ...datos }) + '\n';
+  }
+  const lineas = [`event: ${evento}`];
+  if (id !== undefined) lineas.push(`id: ${id}`);
+  lineas.push(`data: ${JSON.stringify(datos)}`);
+  return lineas.join('\n') + '\n\n';
+}
+
+/**
+ * Abrir un stream sobre una respuesta HTTP
+ * @param {object} res - http.ServerResponse
+ * @param {string} formato - 'sse' o 'ndjson'
+ * @param {object} headers - Headers extra (CORS, X-Secciones-Omitidas)
+ * @param {object} [options] - { latido } ms entre comentarios SSE (0 para desactivar)
+ * @returns {object} - { enviar(evento, datos, id), terminar(), cerrado() }
+ */
+function abrirStream(res, formato, headers, { latido = LATIDO_MS } = {}) {
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': `${TIPOS[formato]}; charset=utf-8`,
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // nginx y otros proxies guardan la respuesta completa si no se les pide lo contrario
+    'X-Accel-Buffering': 'no'
+  });
+
+  let cerrado = false;
+  res.on('close', () => {
+    cerrado = true;
+  });
+
+  const timer = formato === 'sse' && latido > 0
+    ? setInterval(() => !cerrado && res.write(': latido\n\n'), latido)
+    : null;
+
+  return {
+    enviar(evento, datos, id) {
+      if (!cerrado) res.write(serializarEvento(formato, evento, datos, id));
+    },
+    terminar() {
+      if (timer) clearInterval(timer);
+      if (!cerrado) res.end();
+    },
+    cerrado: () => cerrado
+  };
+}
+
+module.exports = {
+  TIPOS,
+  formatoStream,
+  serializarEvento,
+  abrirStream
+};
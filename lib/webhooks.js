@@ -0,0 +1,363 @@
+/**
+ * Webhooks de la API local: entrega firmada de resultados a un callbackUrl
+ * Cada entrega es un POST con el cuerpo JSON { id, evento, timestamp, datos }
+ * firmado con HMAC-SHA256 sobre `${timestamp}.${cuerpo}`; el receptor
+ * verifica la firma y descarta timestamps viejos para evitar repeticiones.
+ * Si el receptor no responde 2xx se reintenta con backoff; las entregas que
+ * agotan los intentos quedan como fallidas hasta que se reenvían. Las
+ * pendientes y las fallidas se guardan en un archivo JSON para sobrevivir a
+ * un reinicio.
+ * Cualquier API key puede dar un callbackUrl, así que no se entrega a
+ * direcciones locales, privadas ni link-local (la metadata de la nube en
+ * 169.254.169.254, servicios internos): se revisa al recibir la URL y otra vez
+ * al resolver el nombre en cada intento. Los hosts de `permitidos` se
+ * exceptúan.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+
+// Espera antes de cada intento: el primero al tiro, el último a la media hora
+const BACKOFF_MS = [0, 10_000, 60_000, 5 * 60_000, 30 * 60_000];
+
+// Tiempo máximo de respuesta del receptor en cada intento
+const TIMEOUT_MS = 10_000;
+
+// Antigüedad máxima del timestamp que acepta verificarFirma
+const TOLERANCIA_S = 300;
+
+// Las entregas fallidas se borran del archivo después de una semana
+const RETENCION_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * Firma de un cuerpo: HMAC-SHA256 en hex de `${timestamp}.${cuerpo}`
+ * @param {string} secreto - WEBHOOK_SECRET
+ * @param {number} timestamp - Segundos Unix del intento
+ * @param {string} cuerpo - Cuerpo exacto del POST
+ */
+function firmar(secreto, timestamp, cuerpo) {
+  return crypto.createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+}
+
+/**
+ * Headers de un intento de entrega
+ */
+function encabezadosFirma(secreto, entrega, timestamp) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'patente-scraper-api-webhooks',
+    'X-Webhook-Id': entrega.id,
+    'X-Webhook-Evento': entrega.evento,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Firma': `sha256=${firmar(secreto, timestamp, entrega.cuerpo)}`
+  };
+}
+
+/**
+ * Verificar un webhook recibido (para el backend que recibe las entregas)
+ * @param {string} secreto - El mismo WEBHOOK_SECRET de la API
+ * @param {object} headers - Headers recibidos (nombres en minúsculas, como req.headers)
+ * @param {string} cuerpo - Cuerpo crudo, sin parsear
+ * @param {object} [options] - { tolerancia } segundos, { ahora } reloj para tests
+ * @returns {boolean}
+ */
+function verificarFirma(secreto, headers, cuerpo, { tolerancia = TOLERANCIA_S, ahora = Date.now } = {}) {
+  const timestamp = Number(headers['x-webhook-timestamp']);
+  const firma = String(headers['x-webhook-firma'] || '').replace(/^sha256=/, '');
+  if (!Number.isInteger(timestamp) || Math.abs(ahora() / 1000 - timestamp) > tolerancia) return false;
+
+  const esperada = Buffer.from(firmar(secreto, timestamp, cuerpo), 'hex');
+  const recibida = Buffer.from(firma, 'hex');
+  return recibida.length === esperada.length && crypto.timingSafeEqual(recibida, esperada);
+}
+
+/**
+ * ¿Es una IP de loopback, privada, link-local o sin especificar?
+ * Incluye 100.64.0.0/10 (CGNAT), fc00::/7 y las IPv4 mapeadas en IPv6.
+ */
+function esIpInterna(ip) {
+  if (net.isIPv6(ip)) {
+    const texto = ip.toLowerCase();
+    const mapeada = texto.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapeada) {
+      if (mapeada[1]) return esIpInterna(mapeada[1]);
+      const [alto, bajo] = [parseInt(mapeada[2], 16), parseInt(mapeada[3], 16)];
+      return esIpInterna([alto >> 8, alto & 255, bajo >> 8, bajo & 255].join('.'));
+    }
+    return texto === '::' || texto === '::1' || /^f[cd]/.test(texto) || /^fe[89ab]/.test(texto);
+  }
+
+  const [a, b] = ip.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127);
+}
+
+/**
+ * Host de una URL sin corchetes (IPv6) y en minúsculas
+ */
+function hostDe(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Leer los hosts a los que se puede entregar aunque sean internos, p.ej. de WEBHOOK_HOSTS_PERMITIDOS
+ * @param {string} [texto] - Hosts o IPs separados por coma
+ * @returns {string[]}
+ */
+function leerHostsPermitidos(texto) {
+  return (texto || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Validar un callbackUrl
+ * @param {object} [options] - { permitidos } de leerHostsPermitidos
+ * @returns {string|null} - Mensaje de error, o null si es una URL http(s) a un host público
+ */
+function validarCallbackUrl(valor, { permitidos = [] } = {}) {
+  let url;
+  try {
+    url = new URL(valor);
+  } catch (e) {
+    return 'callbackUrl debe ser una URL absoluta';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'callbackUrl debe ser http o https';
+
+  const host = hostDe(url);
+  if (permitidos.includes(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && esIpInterna(host))) {
+    return 'callbackUrl no puede apuntar a una dirección local, privada o link-local';
+  }
+  return null;
+}
+
+/**
+ * Resolver el host de una entrega y rechazarlo si apunta a una dirección interna;
+ * un nombre público puede resolver a 127.0.0.1 o cambiar entre la validación y el envío
+ * @throws {Error} - Si la URL no es válida o alguna dirección del host es interna
+ */
+async function comprobarDestino(valor, { permitidos, resolver }) {
+  const error = validarCallbackUrl(valor, { permitidos });
+  if (error) throw new Error(error);
+
+  const host = hostDe(new URL(valor));
+  if (permitidos.includes(host) || net.isIP(host)) return;
+
+  const direcciones = await resolver(host);
+  const interna = direcciones.find(({ address }) => esIpInterna(address));
+  if (interna) throw new Error(`${host} resuelve a una dirección interna (${interna.address})`);
+}
+
+/**
+ * Crear el despachador de webhooks
+ * @param {object} options - { secreto } para firmar, { archivo } JSON donde persistir las entregas
+ *   pendientes y fallidas, { backoff } ms antes de cada intento, { permitidos } de
+ *   leerHostsPermitidos, { fetch }, { resolver } (host) => Promise<[{ address }]> y { ahora } para tests
+ * @returns {object} - { enviar, fallidas, reenviar, esperar, detener }
+ */
+function crearDespachador({
+  secreto,
+  archivo = null,
+  backoff = BACKOFF_MS,
+  permitidos = [],
+  fetch = globalThis.fetch,
+  resolver = host => dns.promises.lookup(host, { all: true }),
+  ahora = Date.now
+}) {
+  const entregas = new Map();
+  const enVuelo = new Set();
+  const timers = new Map();
+
+  const fecha = () => new Date(ahora()).toISOString();
+
+  /**
+   * Escribir el archivo con las entregas sin completar; las entregadas y las
+   * fallidas viejas se olvidan
+   */
+  function persistir() {
+    for (const [id, entrega] of entregas) {
+      if (entrega.estado === 'entregada' ||
+        (entrega.estado === 'fallida' && ahora() - Date.parse(entrega.ultimoIntento) > RETENCION_MS)) {
+        entregas.delete(id);
+      }
+    }
+    if (!archivo) return;
+
+    const temporal = `${archivo}.${process.pid}.tmp`;
+    fs.writeFileSync(temporal, JSON.stringify([...entregas.values()], null, 2));
+    fs.renameSync(temporal, archivo);
+  }
+
+  /**
+   * persistir() sin lanzar: se llama desde timers y después de responder, donde
+   * nadie atrapa el error. La entrega sigue en memoria; solo un reinicio la perdería.
+   */
+  function guardar() {
+    try {
+      persistir();
+    } catch (error) {
+      console.error(`[Webhooks] No se pudo guardar ${archivo}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Un intento de entrega; si falla programa el siguiente o la deja fallida
+   */
+  async function intentar(entrega) {
+    const timestamp = Math.floor(ahora() / 1000);
+    entrega.intentos++;
+    entrega.ultimoIntento = fecha();
+
+    try {
+      await comprobarDestino(entrega.url, { permitidos, resolver });
+      const response = await fetch(entrega.url, {
+        method: 'POST',
+        headers: encabezadosFirma(secreto, entrega, timestamp),
+        body: entrega.cuerpo,
+        // Una redirección podría llevar a una dirección interna: cuenta como falla
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      // El cuerpo no se usa; descartarlo libera la conexión
+      response.body?.cancel().catch(() => {});
+      entrega.ultimoError = response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      entrega.ultimoError = error.message;
+    }
+
+    if (!entrega.ultimoError) {
+      entrega.estado = 'entregada';
+    } else if (entrega.intentos >= backoff.length) {
+      entrega.estado = 'fallida';
+      console.error(`[Webhooks] Entrega ${entrega.id} a ${entrega.url} fallida tras ${entrega.intentos} intentos: ${entrega.ultimoError}`);
+    } else {
+      programar(entrega);
+    }
+    guardar();
+  }
+
+  /**
+   * Programar el siguiente intento según el backoff
+   */
+  function programar(entrega) {
+    const espera = backoff[Math.min(entrega.intentos, backoff.length - 1)];
+    entrega.proximoIntento = new Date(ahora() + espera).toISOString();
+
+    const promesa = new Promise(resolve => {
+      timers.set(entrega.id, { timer: setTimeout(resolve, espera), resolve });
+    }).then(() => {
+      // Si detener() vació la lista, la espera se resuelve sin intentar
+      if (!timers.delete(entrega.id)) return null;
+      return intentar(entrega);
+    }).catch(error => {
+      console.error(`[Webhooks] Error en la entrega ${entrega.id}: ${error.message}`);
+    }).finally(() => enVuelo.delete(promesa));
+    enVuelo.add(promesa);
+  }
+
+  /**
+   * Encolar una entrega
+   * @param {string} url - callbackUrl
+   * @param {string} evento - p.ej. 'consulta.completada', 'job.completado'
+   * @param {object} datos - Resultado a enviar
+   * @param {object} [options] - { cliente } label de la API key dueña
+   * @returns {object} - Entrega
+   */
+  function enviar(url, evento, datos, { cliente = null } = {}) {
+    const id = crypto.randomUUID();
+    const entrega = {
+      id,
+      url,
+      evento,
+      cliente,
+      cuerpo: JSON.stringify({ id, evento, timestamp: fecha(), datos }),
+      estado: 'pendiente',
+      intentos: 0,
+      creada: fecha(),
+      ultimoIntento: null,
+      proximoIntento: null,
+      ultimoError: null
+    };
+    entregas.set(id, entrega);
+    programar(entrega);
+    guardar();
+    return entrega;
+  }
+
+  /**
+   * Entregas fallidas; con `cliente` solo las de esa key
+   */
+  function fallidas(cliente = null) {
+    return [...entregas.values()].filter(entrega => (
+      entrega.estado === 'fallida' && (!cliente || entrega.cliente === cliente)
+    ));
+  }
+
+  /**
+   * Volver a intentar una entrega fallida con todos sus intentos
+   * @returns {object|null} - Entrega, o null si no existe, no es de la key o no está fallida
+   */
+  function reenviar(id, cliente = null) {
+    const entrega = entregas.get(id);
+    if (!entrega || entrega.estado !== 'fallida' || (cliente && entrega.cliente !== cliente)) return null;
+
+    entrega.estado = 'pendiente';
+    entrega.intentos = 0;
+    programar(entrega);
+    guardar();
+    return entrega;
+  }
+
+  /**
+   * Promesa que se resuelve cuando no quedan intentos en curso ni programados (para tests)
+   */
+  async function esperar() {
+    while (enVuelo.size > 0) {
+      await Promise.all([...enVuelo]);
+    }
+  }
+
+  /**
+   * Cancelar los intentos programados; quedan pendientes en el archivo para el próximo arranque
+   */
+  function detener() {
+    for (const { timer, resolve } of timers.values()) {
+      clearTimeout(timer);
+      resolve();
+    }
+    timers.clear();
+  }
+
+  // Retomar las entregas que quedaron pendientes antes del reinicio
+  if (archivo && fs.existsSync(archivo)) {
+    for (const entrega of JSON.parse(fs.readFileSync(archivo, 'utf8'))) {
+      entregas.set(entrega.id, entrega);
+      if (entrega.estado === 'pendiente') programar(entrega);
+    }
+  }
+
+  return { enviar, fallidas, reenviar, esperar, detener };
+}
+
+/**
+ * Vista pública de una entrega: sin la key dueña ni el cuerpo
+ */
+function vistaEntrega(entrega) {
+  const { cliente, cuerpo, ...vista } = entrega;
+  return vista;
+}
+
+module.exports = {
+  BACKOFF_MS,
+  firmar,
+  verificarFirma,
+  esIpInterna,
+  leerHostsPermitidos,
+  validarCallbackUrl,
+  crearDespachador,
+  vistaEntrega
+};
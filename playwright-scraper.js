@@ -4,40 +4,123 @@
  * revisión técnica, SOAP, permisos, multas, etc.
  */
 
+const fs = require('fs');
 const { firefox } = require('playwright');
+const { SECCIONES, normalizeReport, createErrorReport } = require('./lib/schema');
+const { validarPatente } = require('./lib/patente');
+const { registrarDrift } = require('./lib/drift');
+const { leerFlota, csvReportes, csvMultas } = require('./lib/csv');
+const { crearPoolNavegadores } = require('./lib/browser-pool');
+const { leerLotes, consultarLote } = require('./lib/lotes');
+const { URL_WORKER_MULTAS } = require('./lib/proveedores');
+const { isCaptchaPage } = require('./lib/captcha');
+const { leerReintentos, conReintentos, fetchConReintentos } = require('./lib/reintentos');
+
+const SOURCE = 'playwright-scraper';
+
+// Reintentos y tiempos máximos de PatenteChile y del Worker de multas (MAX_RETRIES, TIMEOUT_MS, DEADLINE_MS)
+const REINTENTOS = leerReintentos(process.env);
+
+// consultarMultiples: patentes simultáneas, tiempo máximo por patente y pausa entre patentes de un carril
+const MULTIPLES = leerLotes(process.env);
+
+// Pool de navegadores (lib/browser-pool.js); se crea en la primera consulta
+let pool = null;
+
+function navegadores() {
+  if (!pool) {
+    pool = crearPoolNavegadores({
+      lanzar: () => firefox.launch({
+        headless: true,
+        timeout: 60000
+      }),
+      opcionesContexto: {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        viewport: { width: 1920, height: 1080 },
+        locale: 'es-CL'
+      },
+      navegadores: Number(process.env.POOL_NAVEGADORES) || 1,
+      concurrencia: Number(process.env.POOL_CONCURRENCIA) || 2,
+      maxUsos: Number(process.env.POOL_MAX_USOS) || 50,
+      maxEspera: process.env.POOL_MAX_ESPERA_MS !== undefined ? Number(process.env.POOL_MAX_ESPERA_MS) : undefined
+    });
+  }
+  return pool;
+}
+
+/**
+ * Estado del pool de navegadores (abiertos, en uso, en cola, reciclados...)
+ */
+function estadisticasNavegadores() {
+  return navegadores().estadisticas();
+}
+
+/**
+ * Cerrar los navegadores del pool (al terminar la CLI o el servidor)
+ */
+async function cerrarNavegadores() {
+  if (pool) await pool.cerrar();
+}
 
 /**
  * Consultar información completa de un vehículo por patente
  * @param {string} patente - La patente del vehículo (ej: "JCLJ38")
  * @param {string} tipo - Tipo de búsqueda: "vehiculo", "moto", "rut", "vin"
- * @returns {Promise<object>} - Información completa del vehículo
+ * @param {object} options - { provenance: true } para incluir _provenance en el reporte
+ * @returns {Promise<object>} - Reporte con la forma canónica de lib/schema.js
  */
-async function consultarVehiculo(patente, tipo = 'vehiculo') {
-  const browser = await firefox.launch({
-    headless: true,
-    timeout: 60000
-  });
+async function consultarVehiculo(patente, tipo = 'vehiculo', options = {}) {
+  let sesion = null;
+  const { signal } = options;
+  const abortar = () => sesion.context.close().catch(() => {});
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-    viewport: { width: 1920, height: 1080 },
-    locale: 'es-CL'
-  });
+  try {
+    // Contexto nuevo en un navegador del pool; espera turno si está lleno
+    sesion = await navegadores().adquirir();
+    if (signal) {
+      // Cerrar el contexto hace fallar al tiro lo que esté esperando la página
+      signal.throwIfAborted();
+      signal.addEventListener('abort', abortar, { once: true });
+    }
+
+    console.log(`Consultando patente: ${patente} (tipo: ${tipo})`);
+
+    // Cada intento en una página nueva; cada paso de la página tiene TIMEOUT_MS y
+    // todos los intentos juntos DEADLINE_MS (lib/reintentos.js)
+    return await conReintentos(intento => scrapear(sesion.context, patente, tipo, options, intento), {
+      ...REINTENTOS,
+      timeout: 0,
+      signal,
+      alReintentar: (error, numero, espera) => console.log(`Intento ${numero} falló (${error.message}); reintentando en ${espera} ms`)
+    });
+  } catch (error) {
+    console.error('Error en scraping:', error.message);
+    return createErrorReport(patente, SOURCE, error.message, error.cause?.message || null, codigoDeError(error, signal));
+  } finally {
+    if (signal) signal.removeEventListener('abort', abortar);
+    if (sesion) await sesion.liberar();
+  }
+}
 
+/**
+ * Un intento de consultarVehiculo en una página nueva del contexto
+ * @param {AbortSignal} signal - Del intento: al abortarse se cierra la página
+ * @returns {Promise<object>} - Reporte, o reporte fallido si la patente no existe
+ * @throws {Error} - Timeouts y errores de navegación (se reintentan) o CAPTCHA (no)
+ */
+async function scrapear(context, patente, tipo, options, signal) {
   const page = await context.newPage();
+  const cerrar = () => page.close().catch(() => {});
+  signal.addEventListener('abort', cerrar, { once: true });
+  page.setDefaultTimeout(REINTENTOS.timeout);
 
   try {
-    console.log(`Consultando patente: ${patente} (tipo: ${tipo})`);
-
     // Ir a la página principal
-    await page.goto('https://www.patentechile.com/', {
-      waitUntil: 'domcontentloaded',
-      timeout: 60000
-    });
+    await page.goto('https://www.patentechile.com/', { waitUntil: 'domcontentloaded' });
 
     // Esperar a que cargue el formulario
     console.log('Esperando formulario...');
-    await page.waitForSelector('#inputTerm', { timeout: 30000 });
+    await page.waitForSelector('#inputTerm');
     console.log('Formulario encontrado');
 
     // Seleccionar el tipo de búsqueda si no es vehiculo
@@ -62,7 +145,7 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
     console.log('Esperando redirección a resultados...');
 
     // Esperar a que se procese y redirija a resultados
-    await page.waitForURL('**/resultados**', { timeout: 60000 });
+    await page.waitForURL('**/resultados**');
 
     // Esperar a que cargue la tabla de resultados
     console.log('Esperando tabla de resultados...');
@@ -73,6 +156,7 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
     // Verificar qué hay en la página
     const pageContent = await page.content();
     console.log('URL actual:', page.url());
+    if (isCaptchaPage(pageContent)) throw errorCaptcha();
 
     // Buscar la tabla con diferentes selectores
     let tableFound = false;
@@ -97,12 +181,13 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
     const noResults = await page.$('.no-results');
     if (noResults) {
       const mensaje = await noResults.textContent();
-      return {
-        success: false,
-        patente: patente.toUpperCase(),
-        error: 'No se encontraron resultados',
-        mensaje: mensaje?.trim() || 'Patente no encontrada'
-      };
+      return createErrorReport(
+        patente,
+        SOURCE,
+        'No se encontraron resultados',
+        mensaje?.trim() || 'Patente no encontrada',
+        'NO_ENCONTRADA'
+      );
     }
 
     // Extraer toda la información del HTML
@@ -117,16 +202,41 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
         permisoCirculacion: {},
         soap: {},
         transportePublico: {},
-        restriccionVehicular: {}
+        restriccionVehicular: {},
+        _provenance: {}
       };
 
+      // Labels y secciones vistos, para detectar cambios de layout
+      const tabla = document.querySelector('#tbl-results');
+      data._layout = { tablaEncontrada: Boolean(tabla), secciones: [], labels: [] };
+      (tabla || document).querySelectorAll('tr').forEach(row => {
+        const encabezado = row.querySelector('th');
+        const cells = row.querySelectorAll('td');
+        if (encabezado) {
+          data._layout.secciones.push(encabezado.textContent.trim().replace(/\s+/g, ' '));
+        } else if (cells.length >= 2) {
+          const label = cells[0].textContent.trim().replace(/\s+/g, ' ');
+          if (label) data._layout.labels.push(label);
+        }
+      });
+
       // Función helper para extraer valor de tabla
-      const getValue = (label) => {
+      // Con `campo` registra en _provenance si el label calzó exacto o parcial
+      const getValue = (label, campo) => {
         const cells = document.querySelectorAll('td');
         for (let i = 0; i < cells.length; i++) {
           if (cells[i].textContent.includes(label)) {
             const nextCell = cells[i + 1];
             if (nextCell) {
+              if (campo) {
+                const texto = cells[i].textContent.trim().replace(/\s+/g, ' ').replace(/:$/, '');
+                const exacto = texto === label;
+                data._provenance[campo] = {
+                  label: texto,
+                  estrategia: exacto ? 'celda-siguiente' : 'celda-siguiente-parcial',
+                  confianza: exacto ? 'alta' : 'media'
+                };
+              }
               return nextCell.textContent.trim();
             }
           }
@@ -135,23 +245,23 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
       };
 
       // Propietario
-      data.propietario.rut = getValue('RUT');
-      data.propietario.nombre = getValue('Nombre');
+      data.propietario.rut = getValue('RUT', 'propietario.rut');
+      data.propietario.nombre = getValue('Nombre', 'propietario.nombre');
 
       // Vehículo
-      data.vehiculo.patente = getValue('Patente');
-      data.vehiculo.tipo = getValue('Tipo');
-      data.vehiculo.marca = getValue('Marca');
-      data.vehiculo.modelo = getValue('Modelo');
-      const año = getValue('Año');
+      data.vehiculo.patente = getValue('Patente', 'vehiculo.patente');
+      data.vehiculo.tipo = getValue('Tipo', 'vehiculo.tipo');
+      data.vehiculo.marca = getValue('Marca', 'vehiculo.marca');
+      data.vehiculo.modelo = getValue('Modelo', 'vehiculo.modelo');
+      const año = getValue('Año', 'vehiculo.año');
       data.vehiculo.año = año ? parseInt(año) : null;
-      data.vehiculo.color = getValue('Color');
-      data.vehiculo.numeroMotor = getValue('N° Motor');
-      data.vehiculo.numeroChasis = getValue('N° Chasis');
-      data.vehiculo.procedencia = getValue('Procedencia');
-      data.vehiculo.fabricante = getValue('Fabricante');
-      data.vehiculo.tipoSello = getValue('Tipo de sello');
-      data.vehiculo.combustible = getValue('Combustible');
+      data.vehiculo.color = getValue('Color', 'vehiculo.color');
+      data.vehiculo.numeroMotor = getValue('N° Motor', 'vehiculo.numeroMotor');
+      data.vehiculo.numeroChasis = getValue('N° Chasis', 'vehiculo.numeroChasis');
+      data.vehiculo.procedencia = getValue('Procedencia', 'vehiculo.procedencia');
+      data.vehiculo.fabricante = getValue('Fabricante', 'vehiculo.fabricante');
+      data.vehiculo.tipoSello = getValue('Tipo de sello', 'vehiculo.tipoSello');
+      data.vehiculo.combustible = getValue('Combustible', 'vehiculo.combustible');
 
       // Multas
       const multasText = document.body.textContent;
@@ -159,6 +269,7 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
       if (multasMatch) {
         data.multas.tiene = true;
         data.multas.cantidad = parseInt(multasMatch[1]);
+        data._provenance['multas.cantidad'] = { label: 'posee N multas', estrategia: 'texto-libre', confianza: 'alta' };
         data.multas.mensaje = `Posee ${multasMatch[1]} multa(s)`;
       } else if (multasText.toLowerCase().includes('no posee multas') ||
                  multasText.toLowerCase().includes('sin multas')) {
@@ -166,27 +277,27 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
       }
 
       // Revisión Técnica
-      data.revisionTecnica.kilometraje = getValue('Kilometraje');
-      data.revisionTecnica.comuna = getValue('Comuna de revisión');
-      data.revisionTecnica.mes = getValue('Mes de revisión');
-      data.revisionTecnica.ultimoControl = getValue('Último control');
-      data.revisionTecnica.fechaVencimiento = getValue('Fecha de vencimiento');
+      data.revisionTecnica.kilometraje = getValue('Kilometraje', 'revisionTecnica.kilometraje');
+      data.revisionTecnica.comuna = getValue('Comuna de revisión', 'revisionTecnica.comuna');
+      data.revisionTecnica.mes = getValue('Mes de revisión', 'revisionTecnica.mes');
+      data.revisionTecnica.ultimoControl = getValue('Último control', 'revisionTecnica.ultimoControl');
+      data.revisionTecnica.fechaVencimiento = getValue('Fecha de vencimiento', 'revisionTecnica.fechaVencimiento');
 
       // Permiso Circulación
-      data.permisoCirculacion.añoPago = getValue('Año de pago');
-      data.permisoCirculacion.municipalidad = getValue('Municipalidad');
-      data.permisoCirculacion.fechaPago = getValue('Fecha de pago');
+      data.permisoCirculacion.añoPago = getValue('Año de pago', 'permisoCirculacion.añoPago');
+      data.permisoCirculacion.municipalidad = getValue('Municipalidad', 'permisoCirculacion.municipalidad');
+      data.permisoCirculacion.fechaPago = getValue('Fecha de pago', 'permisoCirculacion.fechaPago');
 
       // SOAP
-      data.soap.compania = getValue('Compañia');
-      data.soap.fechaInicio = getValue('Fecha inicio');
+      data.soap.compania = getValue('Compañia', 'soap.compania');
+      data.soap.fechaInicio = getValue('Fecha inicio', 'soap.fechaInicio');
 
       // Transporte Público
-      data.transportePublico.es = getValue('Transporte público');
-      data.transportePublico.tipo = getValue('Tipo transporte público');
+      data.transportePublico.es = getValue('Transporte público', 'transportePublico.es');
+      data.transportePublico.tipo = getValue('Tipo transporte público', 'transportePublico.tipo');
 
       // Restricción Vehicular
-      data.restriccionVehicular.condicion = getValue('Condición');
+      data.restriccionVehicular.condicion = getValue('Condición', 'restriccionVehicular.condicion');
 
       // Buscar estados (Vigente/Vencido) en secciones específicas
       const secciones = document.querySelectorAll('tr');
@@ -209,47 +320,160 @@ async function consultarVehiculo(patente, tipo = 'vehiculo') {
       return data;
     });
 
-    resultado.patente = patente.toUpperCase();
-    resultado.timestamp = new Date().toISOString();
-    resultado.source = 'playwright-scraper';
-
-    return resultado;
+    const reporte = normalizeReport(resultado, { patente, source: SOURCE, provenance: options.provenance });
+    registrarDrift(reporte);
+    return reporte;
 
   } catch (error) {
-    console.error('Error en scraping:', error.message);
-    return {
-      success: false,
-      patente: patente.toUpperCase(),
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
+    // Un timeout esperando el formulario o los resultados suele ser el challenge de Cloudflare
+    if (error.name === 'TimeoutError' && !signal.aborted && await muestraCaptcha(page)) {
+      throw Object.assign(errorCaptcha(), { cause: error });
+    }
+    throw error;
   } finally {
-    await browser.close();
+    signal.removeEventListener('abort', cerrar);
+    await cerrar();
   }
 }
 
+const errorCaptcha = () => Object.assign(new Error('CAPTCHA detectado en PatenteChile'), { codigo: 'CAPTCHA' });
+
+/**
+ * ¿La página quedó en el challenge de Cloudflare?
+ */
+async function muestraCaptcha(page) {
+  try {
+    return isCaptchaPage(await page.content());
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Código de error (CODIGOS_ERROR de lib/schema.js) de una excepción del scraping
+ */
+function codigoDeError(error, signal) {
+  if (signal && signal.aborted) return 'TIMEOUT';
+  if (error.codigo) return error.codigo;
+  return error.name === 'TimeoutError' ? 'TIMEOUT' : 'ERROR';
+}
+
+/**
+ * consultarVehiculo como proveedor del orquestador (lib/orquestador.js):
+ * cubre todas las secciones y todos los tipos de búsqueda
+ */
+const proveedorPlaywright = {
+  nombre: SOURCE,
+  secciones: Object.keys(SECCIONES),
+  tipos: ['vehiculo', 'moto', 'rut', 'vin'],
+  prioridad: 10,
+  fetch: (patente, { tipo, signal } = {}) => consultarVehiculo(patente, tipo, { provenance: true, signal })
+};
+
 /**
- * Consultar múltiples patentes
+ * Consultar múltiples patentes (lib/lotes.js)
+ * Corren hasta `concurrencia` a la vez; el pool de navegadores limita además
+ * el total del proceso.
  * @param {string[]} patentes - Array de patentes
  * @param {string} tipo - Tipo de búsqueda
- * @returns {Promise<object[]>} - Array de resultados
+ * @param {object} options - Opciones de consultarVehiculo para cada patente, más
+ *   { concurrencia }, { timeoutPatente } ms y { pausa } ms (por defecto MULTIPLES_* del entorno),
+ *   { consultar(patente, tipo, options) } en vez de consultarVehiculo (p.ej. el orquestador), y
+ *   { alObtener(resultado, indice) } que se llama apenas está cada resultado, con su índice en
+ *   `patentes`; si devuelve false no se consultan las que faltan, que quedan con codigo OMITIDA
+ * @returns {Promise<object>} - { resultados, resumen }: un reporte por patente en el orden de
+ *   entrada y { total, unicas, ok, errores, omitidas }
  */
-async function consultarMultiples(patentes, tipo = 'vehiculo') {
-  const resultados = [];
-  for (const patente of patentes) {
-    const resultado = await consultarVehiculo(patente, tipo);
-    resultados.push(resultado);
-    // Pequeña pausa entre consultas
-    await new Promise(r => setTimeout(r, 2000));
+async function consultarMultiples(patentes, tipo = 'vehiculo', options = {}) {
+  const { alObtener, concurrencia, timeoutPatente, pausa, consultar = consultarVehiculo, ...opcionesConsulta } = options;
+  return consultarLote(
+    patentes,
+    (patente, signal) => consultar(patente, tipo, { ...opcionesConsulta, signal }),
+    {
+      concurrencia: concurrencia ?? MULTIPLES.concurrencia,
+      timeoutPatente: timeoutPatente ?? MULTIPLES.timeoutPatente,
+      pausa: pausa ?? MULTIPLES.pausa,
+      source: SOURCE,
+      alObtener
+    }
+  );
+}
+
+/**
+ * Consultar una flota desde un CSV con columna patente y escribir el
+ * resultado en CSV (lib/csv.js), una fila por patente con las columnas
+ * extra de la entrada
+ * @param {string} archivo - CSV de entrada
+ * @param {object} options - { tipo }, { salida } CSV de resultados, { multas } CSV opcional con una fila por multa
+ */
+async function consultarCsv(archivo, { tipo = 'vehiculo', salida, multas = null }) {
+  const flota = leerFlota(fs.readFileSync(archivo, 'utf8'));
+  const porPatente = tipo === 'vehiculo' || tipo === 'moto';
+
+  let patentes = flota.patentes;
+  if (porPatente) {
+    const validaciones = patentes.map(p => validarPatente(p));
+    const invalidas = patentes.filter((_, i) => !validaciones[i].valida);
+    if (invalidas.length > 0) {
+      throw new Error(`Patentes inválidas en ${archivo}: ${invalidas.map(p => `"${p}"`).join(', ')}`);
+    }
+    patentes = validaciones.map(v => v.patente);
+  }
+
+  const items = patentes.map((patente, indice) => ({ patente, extras: flota.extras[indice], reporte: null, multas: null }));
+  const { resumen } = await consultarMultiples(patentes, tipo, {
+    alObtener: async (reporte, indice) => {
+      items[indice].reporte = reporte;
+      if (porPatente) items[indice].multas = await consultarMultas(patentes[indice]);
+      console.log(`[${indice + 1}/${patentes.length}] ${patentes[indice]}: ${reporte.success ? 'ok' : reporte.error}`);
+    }
+  });
+
+  const opciones = { columnasExtra: flota.columnasExtra, separador: flota.separador };
+  fs.writeFileSync(salida, csvReportes(items, opciones));
+  console.log(`\n${resumen.ok} ok, ${resumen.errores} con error de ${resumen.total} (${resumen.unicas} distintas)`);
+  console.log(`Resultados en ${salida}`);
+  if (multas) {
+    fs.writeFileSync(multas, csvMultas(items, opciones));
+    console.log(`Multas en ${multas}`);
   }
-  return resultados;
 }
 
 // Si se ejecuta directamente desde la línea de comandos
-if (require.main === module) {
-  const patente = process.argv[2] || 'JCLJ38';
+if (require.main === module && process.argv[2] === '--csv') {
+  // node playwright-scraper.js --csv flota.csv [--salida resultado.csv] [--multas multas.csv] [--tipo vehiculo]
+  const [archivo, ...argumentos] = process.argv.slice(3);
+  const opcion = (nombre, porDefecto) => {
+    const i = argumentos.indexOf(nombre);
+    return i === -1 ? porDefecto : argumentos[i + 1];
+  };
+
+  if (!archivo) {
+    console.error('Uso: node playwright-scraper.js --csv flota.csv [--salida resultado.csv] [--multas multas.csv] [--tipo vehiculo]');
+    process.exit(1);
+  }
+
+  consultarCsv(archivo, {
+    tipo: opcion('--tipo', 'vehiculo'),
+    salida: opcion('--salida', archivo.replace(/(\.csv)?$/i, '-resultado.csv')),
+    multas: opcion('--multas', null)
+  }).catch(error => {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  }).finally(cerrarNavegadores);
+} else if (require.main === module) {
+  let patente = process.argv[2] || 'JCLJ38';
   const tipo = process.argv[3] || 'vehiculo';
 
+  if (tipo === 'vehiculo' || tipo === 'moto') {
+    const validacion = validarPatente(patente);
+    if (!validacion.valida) {
+      console.error(`Patente inválida "${patente}": ${validacion.error}`);
+      process.exit(1);
+    }
+    patente = validacion.patente;
+  }
+
   console.log(`\nIniciando consulta de patente: ${patente}\n`);
 
   consultarVehiculo(patente, tipo)
@@ -259,34 +483,41 @@ if (require.main === module) {
     })
     .catch(error => {
       console.error('Error:', error);
-      process.exit(1);
-    });
+      process.exitCode = 1;
+    })
+    .finally(cerrarNavegadores);
 }
 
 /**
  * Consultar multas usando el Cloudflare Worker
  * @param {string} patente - La patente del vehículo
- * @returns {Promise<object>} - Información de multas
+ * @returns {Promise<object>} - Información de multas, o { success: false, error, codigo } si el
+ *   Worker no respondió (TIMEOUT), pidió CAPTCHA o respondió 429 (LIMITE_TASA)
  */
 async function consultarMultas(patente) {
-  const WORKER_URL = 'https://patente-scraper-worker.t4ngible.workers.dev';
+  const WORKER_URL = process.env.WORKER_MULTAS_URL || URL_WORKER_MULTAS;
+  const fallo = (error, codigo) => ({
+    success: false,
+    patente: patente.toUpperCase(),
+    error,
+    codigo,
+    timestamp: new Date().toISOString()
+  });
 
   try {
     console.log(`Consultando multas para patente: ${patente}`);
 
-    const response = await fetch(`${WORKER_URL}/consultar-patente?patente=${patente.toUpperCase()}`);
+    const response = await fetchConReintentos(`${WORKER_URL}/consultar-patente?patente=${patente.toUpperCase()}`, {}, REINTENTOS);
+    if (response.status === 429) return fallo('Límite de tasa del Worker de multas', 'LIMITE_TASA');
     const data = await response.json();
+    if (/captcha/i.test(data?.error)) return fallo(data.error, 'CAPTCHA');
 
     return data;
   } catch (error) {
     console.error('Error consultando multas:', error.message);
-    return {
-      success: false,
-      patente: patente.toUpperCase(),
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
+    if (error.name === 'TimeoutError') return fallo(`Sin respuesta del Worker de multas (${error.message})`, 'TIMEOUT');
+    return fallo(error.message, 'ERROR');
   }
 }
 
-module.exports = { consultarVehiculo, consultarMultiples, consultarMultas };
+module.exports = { consultarVehiculo, consultarMultiples, consultarMultas, proveedorPlaywright, estadisticasNavegadores, cerrarNavegadores };
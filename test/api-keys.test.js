@@ -0,0 +1,210 @@
+/**
+ * Tests de API keys: autenticación, cuotas y secciones permitidas
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { hashKey, leerConfiguracion, keyDeHeaders, crearAutenticador } = require('../lib/api-keys');
+const { normalizeReport } = require('../lib/schema');
+const { crearOrquestador } = require('../lib/orquestador');
+
+const CONFIG = [
+  { key: 'clave-cobranza', label: 'cobranza', cuotaDiaria: 2, cuotaMensual: 3, secciones: ['vehiculo', 'multas'] },
+  { sha256: hashKey('clave-riesgo'), label: 'riesgo' }
+];
+
+// 2025-06-12 10:00 en Santiago (UTC-4)
+const reloj = fecha => () => new Date(fecha);
+const JUEVES = reloj('2025-06-12T14:00:00Z');
+
+describe('configuración', () => {
+  test('API_KEYS como arreglo o como { keys }', () => {
+    assert.deepEqual(leerConfiguracion({ API_KEYS: JSON.stringify(CONFIG) }), CONFIG);
+    assert.deepEqual(leerConfiguracion({ API_KEYS: JSON.stringify({ keys: CONFIG }) }), CONFIG);
+    assert.equal(leerConfiguracion({}), null);
+  });
+
+  test('API_KEYS_FILE tiene prioridad sobre API_KEYS', () => {
+    const archivo = path.join(os.tmpdir(), `api-keys-${process.pid}.json`);
+    fs.writeFileSync(archivo, JSON.stringify({ keys: CONFIG.slice(0, 1) }));
+    try {
+      assert.equal(leerConfiguracion({ API_KEYS_FILE: archivo, API_KEYS: '[]' }).length, 1);
+    } finally {
+      fs.unlinkSync(archivo);
+    }
+  });
+
+  test('rechaza entradas incompletas o secciones desconocidas', () => {
+    assert.throws(() => crearAutenticador([{ key: 'x' }]), /falta label/);
+    assert.throws(() => crearAutenticador([{ label: 'a' }]), /falta key o sha256/);
+    assert.throws(() => crearAutenticador([{ key: 'x', label: 'a' }, { key: 'y', label: 'a' }]), /label repetido/);
+    assert.throws(() => crearAutenticador([{ key: 'x', label: 'a', secciones: ['dueño'] }]), /secciones desconocidas: dueño/);
+  });
+
+  test('sin keys la autenticación queda desactivada', () => {
+    const auth = crearAutenticador(null);
+    assert.equal(auth.habilitado, false);
+    assert.equal(auth.puedeVer(null, 'propietario'), true);
+  });
+});
+
+describe('autenticar', () => {
+  const auth = crearAutenticador(CONFIG);
+
+  test('X-API-Key o Authorization: Bearer', () => {
+    assert.equal(auth.autenticar({ 'x-api-key': 'clave-cobranza' }).label, 'cobranza');
+    assert.equal(auth.autenticar({ authorization: 'Bearer clave-riesgo' }).label, 'riesgo');
+  });
+
+  test('key inexistente o ausente', () => {
+    assert.equal(auth.autenticar({ 'x-api-key': 'otra' }), null);
+    assert.equal(auth.autenticar({ authorization: 'Basic abc' }), null);
+    assert.equal(auth.autenticar({}), null);
+    assert.equal(keyDeHeaders({ authorization: 'Basic abc' }), null);
+  });
+});
+
+describe('cuotas', () => {
+  test('cuota diaria y reinicio al día siguiente', () => {
+    let ahora = JUEVES;
+    const auth = crearAutenticador(CONFIG, { ahora: () => ahora() });
+    const cliente = auth.autenticar({ 'x-api-key': 'clave-cobranza' });
+
+    assert.equal(auth.consumir(cliente).permitido, true);
+    assert.equal(auth.consumir(cliente).permitido, true);
+
+    const rechazo = auth.consumir(cliente);
+    assert.equal(rechazo.permitido, false);
+    assert.equal(rechazo.cuota, 'diaria');
+    assert.equal(rechazo.reintentarEn, 14 * 3600);
+
+    ahora = reloj('2025-06-13T14:00:00Z');
+    assert.equal(auth.consumir(cliente).permitido, true);
+    assert.deepEqual(
+      { usadoDia: auth.uso(cliente).usadoDia, usadoMes: auth.uso(cliente).usadoMes },
+      { usadoDia: 1, usadoMes: 3 }
+    );
+
+    ahora = reloj('2025-06-14T14:00:00Z');
+    const mensual = auth.consumir(cliente);
+    assert.equal(mensual.cuota, 'mensual');
+    assert.equal(mensual.reintentarEn, 16 * 86400 + 14 * 3600);
+  });
+
+  test('no descuenta si el costo no cabe en la cuota', () => {
+    const auth = crearAutenticador(CONFIG, { ahora: JUEVES });
+    const cliente = auth.autenticar({ 'x-api-key': 'clave-cobranza' });
+
+    assert.equal(auth.consumir(cliente, 3).permitido, false);
+    assert.equal(auth.uso(cliente).usadoDia, 0);
+  });
+
+  test('sin cuota es ilimitado', () => {
+    const auth = crearAutenticador(CONFIG, { ahora: JUEVES });
+    const cliente = auth.autenticar({ 'x-api-key': 'clave-riesgo' });
+    assert.equal(auth.consumir(cliente, 1000).permitido, true);
+  });
+
+  test('devolver resta lo descontado sin bajar de cero', () => {
+    const auth = crearAutenticador(CONFIG, { ahora: JUEVES });
+    const cliente = auth.autenticar({ 'x-api-key': 'clave-cobranza' });
+
+    auth.consumir(cliente, 2);
+    auth.devolver(cliente, 2);
+    assert.equal(auth.uso(cliente).usadoDia, 0);
+    assert.equal(auth.uso(cliente).usadoMes, 0);
+    assert.equal(auth.consumir(cliente, 2).permitido, true);
+
+    auth.devolver(cliente, 5);
+    assert.equal(auth.uso(cliente).usadoDia, 0);
+  });
+
+  test('el uso persiste en archivoUso', () => {
+    const archivoUso = path.join(os.tmpdir(), `api-keys-uso-${process.pid}.json`);
+    try {
+      const primero = crearAutenticador(CONFIG, { ahora: JUEVES, archivoUso });
+      primero.consumir(primero.autenticar({ 'x-api-key': 'clave-cobranza' }), 2);
+
+      const segundo = crearAutenticador(CONFIG, { ahora: JUEVES, archivoUso });
+      const cliente = segundo.autenticar({ 'x-api-key': 'clave-cobranza' });
+      assert.equal(segundo.uso(cliente).usadoDia, 2);
+      assert.equal(segundo.consumir(cliente).permitido, false);
+    } finally {
+      fs.rmSync(archivoUso, { force: true });
+    }
+  });
+});
+
+describe('secciones', () => {
+  const auth = crearAutenticador(CONFIG);
+  const cobranza = auth.autenticar({ 'x-api-key': 'clave-cobranza' });
+  const riesgo = auth.autenticar({ 'x-api-key': 'clave-riesgo' });
+
+  test('puedeVer según la lista de la key; sin lista ve todo', () => {
+    assert.equal(auth.puedeVer(cobranza, 'multas'), true);
+    assert.equal(auth.puedeVer(cobranza, 'propietario'), false);
+    assert.equal(auth.puedeVer(riesgo, 'propietario'), true);
+  });
+
+  test('redactar deja en null las secciones ocultas con sus advertencias y _provenance', () => {
+    const reporte = normalizeReport({
+      propietario: { rut: '12.345.678-9', nombre: 'JUAN' },
+      vehiculo: { marca: 'KIA' },
+      _provenance: {
+        'propietario.nombre': { label: 'Nombre', estrategia: 'celda', confianza: 'alta' },
+        'vehiculo.marca': { label: 'Marca', estrategia: 'celda', confianza: 'alta' }
+      }
+    }, { patente: 'AB1234', source: 'test', provenance: true });
+
+    const omitidas = auth.redactar(reporte, cobranza);
+
+    assert.ok(omitidas.includes('propietario'));
+    assert.equal(reporte.propietario, null);
+    assert.equal(reporte.vehiculo.marca, 'KIA');
+    assert.deepEqual(reporte.advertencias.filter(a => a.campo.startsWith('propietario.')), []);
+    assert.deepEqual(Object.keys(reporte._provenance), ['vehiculo.marca']);
+    assert.deepEqual(auth.redactar(reporte, riesgo), []);
+  });
+
+  test('redactar quita las fuentes de las secciones ocultas y restriccionCalculada sin vehiculo', () => {
+    const soloMultas = crearAutenticador([{ key: 'clave-multas', label: 'multas', secciones: ['multas'] }]);
+    const cliente = soloMultas.autenticar({ 'x-api-key': 'clave-multas' });
+    const reporte = {
+      ...normalizeReport({ propietario: { nombre: 'JUAN' }, vehiculo: { marca: 'KIA' } }, { patente: 'AB1234', source: 'test' }),
+      fuentes: { propietario: 'playwright-scraper', vehiculo: 'boostr', multas: 'cloudflare-worker-multas' },
+      restriccionCalculada: { restringido: true }
+    };
+
+    soloMultas.redactar(reporte, cliente);
+
+    assert.deepEqual(reporte.fuentes, { multas: 'cloudflare-worker-multas' });
+    assert.equal('restriccionCalculada' in reporte, false);
+  });
+
+  test('redactar quita los conflictos de las secciones ocultas', async () => {
+    const fuente = (nombre, rut, chasis) => ({
+      nombre,
+      secciones: ['propietario', 'vehiculo'],
+      fetch: async patente => normalizeReport({
+        propietario: { rut, nombre: `DUEÑO ${nombre}` },
+        vehiculo: { marca: 'KIA', numeroChasis: chasis }
+      }, { patente, source: nombre })
+    });
+    const orquestador = crearOrquestador({
+      proveedores: [fuente('a', '12.345.678-5', 'KNADN512AB6123456'), fuente('b', '11.111.111-1', 'KNADN512AB6999999')],
+      fusionar: ['propietario', 'vehiculo']
+    });
+    const reporte = await orquestador.consultar('HVCY94');
+    assert.deepEqual(reporte.conflictos.map(c => c.campo), ['propietario.rut', 'propietario.nombre', 'vehiculo.numeroChasis']);
+
+    auth.redactar(reporte, cobranza);
+
+    assert.equal(reporte.propietario, null);
+    assert.deepEqual(reporte.conflictos.map(c => c.campo), ['vehiculo.numeroChasis']);
+    assert.equal(JSON.stringify(reporte).includes('11111111-1'), false);
+  });
+});
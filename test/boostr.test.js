@@ -0,0 +1,164 @@
+/**
+ * Tests del cliente de Boostr contra el servidor simulado (lib/boostr-mock.js)
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearVentana, crearClienteBoostr, reporteBoostr, tagBoostr, proveedorBoostr } = require('../lib/boostr');
+const { API_KEY, VEHICULOS, crearMockBoostr } = require('../lib/boostr-mock');
+const { crearOrquestador } = require('../lib/orquestador');
+const { createErrorReport } = require('../lib/schema');
+
+// Límite reducido para que los tests no esperen 10 s
+const LIMITE = { peticiones: 2, ventanaMs: 150 };
+
+let servidor;
+let url;
+
+before(async () => {
+  servidor = crearMockBoostr(LIMITE);
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => {
+  servidor.closeAllConnections();
+  servidor.close();
+});
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('crearVentana', () => {
+  test('despacha como máximo `peticiones` por ventana, en orden', async () => {
+    const ventana = crearVentana({ peticiones: 2, ventanaMs: 100 });
+    const inicio = Date.now();
+    const tiempos = await Promise.all([1, 2, 3, 4, 5].map(() => ventana.turno().then(liberar => {
+      liberar();
+      return Date.now() - inicio;
+    })));
+
+    assert.ok(tiempos[1] < 50, `segunda en ${tiempos[1]} ms`);
+    assert.ok(tiempos[2] >= 95 && tiempos[3] >= 95, `tercera y cuarta en ${tiempos[2]} y ${tiempos[3]} ms`);
+    assert.ok(tiempos[4] >= 195, `quinta en ${tiempos[4]} ms`);
+    assert.deepEqual([...tiempos].sort((a, b) => a - b), tiempos);
+  });
+
+  test('una espera abortada sale de la cola', async () => {
+    const ventana = crearVentana({ peticiones: 1, ventanaMs: 100 });
+    await ventana.turno();
+    const controlador = new AbortController();
+    const espera = ventana.turno(controlador.signal);
+    assert.equal(ventana.estado().enCola, 1);
+
+    controlador.abort();
+    await assert.rejects(espera, { name: 'AbortError' });
+    assert.equal(ventana.estado().enCola, 0);
+  });
+
+  test('una petición en curso ocupa su lugar hasta ventanaMs después de terminar', async () => {
+    const ventana = crearVentana({ peticiones: 1, ventanaMs: 50 });
+    const liberar = await ventana.turno();
+    let segunda = false;
+    const espera = ventana.turno().then(() => { segunda = true; });
+
+    await esperar(80);
+    assert.equal(segunda, false);
+    liberar();
+    await esperar(20);
+    assert.equal(segunda, false);
+    await espera;
+  });
+});
+
+describe('crearClienteBoostr', () => {
+  test('exige la API key', () => {
+    assert.throws(() => crearClienteBoostr({}), /API key de Boostr/);
+  });
+
+  test('vehículo y TAG', async () => {
+    const cliente = crearClienteBoostr({ apiKey: API_KEY, url, ...LIMITE });
+
+    assert.deepEqual(await cliente.vehiculo('hvcy94'), VEHICULOS.HVCY94);
+    assert.deepEqual(tagBoostr(await cliente.tag('12345678-5'), '12345678-5'), {
+      rut: '12345678-5',
+      tags: [{ patente: 'HVCY94', concesionaria: 'AUTOPISTA CENTRAL', estado: 'ACTIVO', deuda: 12500 }]
+    });
+  });
+
+  test('errores con status y codigo', async () => {
+    await esperar(LIMITE.ventanaMs);
+    const cliente = crearClienteBoostr({ apiKey: API_KEY, url, ...LIMITE });
+    await assert.rejects(cliente.vehiculo('ZZZZ99'), { codigo: 'NO_ENCONTRADA', status: 404 });
+
+    const sinKey = crearClienteBoostr({ apiKey: 'otra', url, ...LIMITE });
+    await assert.rejects(sinKey.vehiculo('HVCY94'), { codigo: 'ERROR', status: 401, message: 'Boostr: Invalid API key' });
+  });
+
+  test('encola para no pasarse del límite del servidor', async () => {
+    await esperar(LIMITE.ventanaMs);
+    const cliente = crearClienteBoostr({ apiKey: API_KEY, url, ...LIMITE });
+    const desde = servidor.peticiones.length;
+
+    const resultados = await Promise.allSettled([1, 2, 3, 4, 5].map(() => cliente.vehiculo('HVCY94')));
+    assert.deepEqual(resultados.map(r => r.status), Array(5).fill('fulfilled'));
+
+    const tiempos = servidor.peticiones.slice(desde);
+    assert.equal(tiempos.length, 5);
+    assert.ok(tiempos[4] - tiempos[0] >= 2 * LIMITE.ventanaMs - 10, `${tiempos[4] - tiempos[0]} ms`);
+  });
+});
+
+describe('reporteBoostr', () => {
+  test('traduce la respuesta al reporte canónico', () => {
+    const reporte = reporteBoostr(VEHICULOS.HVCY94, 'HVCY94', { provenance: true });
+
+    assert.equal(reporte.source, 'boostr');
+    assert.deepEqual(reporte.propietario, {
+      rut: { valor: '12345678-5', cuerpo: '12345678', dv: '5', valido: true },
+      nombre: 'JUAN PÉREZ SOTO'
+    });
+    assert.equal(reporte.vehiculo.marca, 'KIA');
+    assert.equal(reporte.vehiculo.año, 2016);
+    assert.equal(reporte.vehiculo.numeroChasis, 'KNABX512BGT123456');
+    assert.equal(reporte.revisionTecnica.fechaVencimiento, '2025-05-31');
+    assert.equal(reporte.soap.compania, 'HDI SEGUROS');
+    assert.equal(reporte.multas, null);
+    assert.deepEqual(reporte._provenance['vehiculo.marca'], { fuente: 'boostr', label: 'make', estrategia: 'api', confianza: 'alta' });
+  });
+
+  test('secciones ausentes quedan en null', () => {
+    const reporte = reporteBoostr(VEHICULOS.GKSB78, 'GKSB78');
+    assert.equal(reporte.propietario, null);
+    assert.equal(reporte.soap, null);
+    assert.equal(reporte.vehiculo.modelo, 'HILUX');
+  });
+});
+
+describe('proveedorBoostr', () => {
+  test('completa las secciones cuando el primer proveedor falla', async () => {
+    await esperar(LIMITE.ventanaMs);
+    const cliente = crearClienteBoostr({ apiKey: API_KEY, url, ...LIMITE });
+    const orquestador = crearOrquestador({
+      proveedores: [
+        { nombre: 'playwright-scraper', secciones: ['propietario', 'vehiculo', 'multas'], prioridad: 10, fetch: async patente => createErrorReport(patente, 'playwright-scraper', 'CAPTCHA detectado') },
+        proveedorBoostr({ cliente, prioridad: 15 })
+      ]
+    });
+    const reporte = await orquestador.consultar('HVCY94');
+
+    assert.equal(reporte.success, true);
+    assert.equal(reporte.vehiculo.marca, 'KIA');
+    assert.deepEqual(reporte.fuentes, { propietario: 'boostr', vehiculo: 'boostr', multas: null, revisionTecnica: 'boostr', soap: 'boostr' });
+  });
+
+  test('patente que Boostr no tiene: reporte fallido NO_ENCONTRADA', async () => {
+    await esperar(LIMITE.ventanaMs);
+    const cliente = crearClienteBoostr({ apiKey: API_KEY, url, ...LIMITE });
+    const reporte = await crearOrquestador({ proveedores: [proveedorBoostr({ cliente })] }).consultar('ZZZZ99');
+
+    assert.equal(reporte.success, false);
+    assert.equal(reporte.codigo, 'NO_ENCONTRADA');
+    assert.equal(reporte.source, 'boostr');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests del pool de navegadores: concurrencia, cola, reciclaje y caídas
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { crearPoolNavegadores } = require('../lib/browser-pool');
+
+/**
+ * lanzar() de prueba: navegadores que cuentan sus contextos abiertos y se pueden "caer"
+ */
+function lanzadorFalso() {
+  const lanzados = [];
+  const lanzar = async () => {
+    const navegador = new EventEmitter();
+    navegador.conectado = true;
+    navegador.abiertos = 0;
+    navegador.isConnected = () => navegador.conectado;
+    navegador.newContext = async opciones => {
+      if (!navegador.conectado) throw new Error('Target closed');
+      navegador.abiertos++;
+      return { opciones, close: async () => { navegador.abiertos--; } };
+    };
+    navegador.close = async () => {
+      navegador.conectado = false;
+      navegador.emit('disconnected');
+    };
+    navegador.caer = () => {
+      navegador.conectado = false;
+      navegador.emit('disconnected');
+    };
+    lanzados.push(navegador);
+    return navegador;
+  };
+  lanzar.lanzados = lanzados;
+  return lanzar;
+}
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('crearPoolNavegadores', () => {
+  test('contexto nuevo por consulta, en navegadores reutilizados', async () => {
+    const lanzar = lanzadorFalso();
+    const pool = crearPoolNavegadores({ lanzar, opcionesContexto: { locale: 'es-CL' } });
+
+    for (let i = 0; i < 3; i++) {
+      const sesion = await pool.adquirir();
+      assert.deepEqual(sesion.context.opciones, { locale: 'es-CL' });
+      await sesion.liberar();
+    }
+
+    assert.equal(lanzar.lanzados.length, 1);
+    assert.equal(lanzar.lanzados[0].abiertos, 0);
+    const estado = pool.estadisticas();
+    assert.equal(estado.contextos, 3);
+    assert.equal(estado.enUso, 0);
+    assert.deepEqual(estado.navegadores, [{ id: 1, activos: 0, usos: 3, retirado: false }]);
+  });
+
+  test('reparte entre navegadores y deja en cola lo que excede la concurrencia', async () => {
+    const lanzar = lanzadorFalso();
+    const pool = crearPoolNavegadores({ lanzar, navegadores: 2, concurrencia: 2 });
+
+    const a = await pool.adquirir();
+    const b = await pool.adquirir();
+    assert.equal(lanzar.lanzados.length, 2);
+
+    let tercera = null;
+    const enCola = pool.adquirir().then(sesion => { tercera = sesion; });
+    await esperar(5);
+    assert.equal(tercera, null);
+    assert.equal(pool.estadisticas().enCola, 1);
+
+    await a.liberar();
+    await enCola;
+    assert.ok(tercera);
+    assert.equal(pool.estadisticas().enUso, 2);
+
+    await b.liberar();
+    await tercera.liberar();
+    assert.equal(pool.estadisticas().enUso, 0);
+  });
+
+  test('rechaza lo que espera más de maxEspera', async () => {
+    const pool = crearPoolNavegadores({ lanzar: lanzadorFalso(), concurrencia: 1, maxEspera: 10 });
+    const sesion = await pool.adquirir();
+
+    await assert.rejects(pool.adquirir(), /Pool de navegadores ocupado/);
+    assert.equal(pool.estadisticas().rechazadas, 1);
+    assert.equal(pool.estadisticas().enCola, 0);
+
+    await sesion.liberar();
+    await (await pool.adquirir()).liberar();
+  });
+
+  test('recicla un navegador después de maxUsos contextos, cuando se desocupa', async () => {
+    const lanzar = lanzadorFalso();
+    const pool = crearPoolNavegadores({ lanzar, maxUsos: 2 });
+
+    await (await pool.adquirir()).liberar();
+    const segunda = await pool.adquirir();
+    const tercera = await pool.adquirir();
+    assert.equal(lanzar.lanzados.length, 2);
+    assert.equal(lanzar.lanzados[0].conectado, true);
+
+    await segunda.liberar();
+    assert.equal(lanzar.lanzados[0].conectado, false);
+    await tercera.liberar();
+
+    const estado = pool.estadisticas();
+    assert.equal(estado.reciclados, 1);
+    assert.equal(estado.caidos, 0);
+    assert.equal(estado.abiertos, 1);
+  });
+
+  test('un navegador caído se reemplaza en la siguiente consulta', async () => {
+    const lanzar = lanzadorFalso();
+    const pool = crearPoolNavegadores({ lanzar });
+
+    const sesion = await pool.adquirir();
+    lanzar.lanzados[0].caer();
+    await sesion.liberar();
+
+    await (await pool.adquirir()).liberar();
+    assert.equal(lanzar.lanzados.length, 2);
+    assert.equal(pool.estadisticas().caidos, 1);
+    assert.equal(pool.estadisticas().abiertos, 1);
+  });
+
+  test('si el navegador no se puede lanzar, el turno se libera', async () => {
+    let intentos = 0;
+    const lanzar = lanzadorFalso();
+    const pool = crearPoolNavegadores({
+      lanzar: async () => {
+        if (++intentos === 1) throw new Error('Executable doesn\'t exist');
+        return lanzar();
+      },
+      concurrencia: 1
+    });
+
+    await assert.rejects(pool.adquirir(), /Executable/);
+    const sesion = await pool.adquirir();
+    await sesion.liberar();
+    assert.equal(pool.estadisticas().enUso, 0);
+  });
+
+  test('cerrar cierra los navegadores y rechaza la cola', async () => {
+    const lanzar = lanzadorFalso();
+    const pool = crearPoolNavegadores({ lanzar, concurrencia: 1 });
+    await pool.adquirir();
+    const enCola = pool.adquirir();
+
+    await pool.cerrar();
+    await assert.rejects(enCola, /cerrado/);
+    assert.equal(lanzar.lanzados[0].conectado, false);
+    assert.equal(pool.estadisticas().caidos, 0);
+  });
+});
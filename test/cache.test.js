@@ -0,0 +1,182 @@
+/**
+ * Tests del cache de consultas: almacenes, TTL por sección y ETags
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  TTL_SECCIONES,
+  TTL_FALLIDA,
+  crearAlmacenLRU,
+  crearAlmacenDisco,
+  crearCacheConsultas,
+  coincideETag,
+  pideSinCache
+} = require('../lib/cache');
+
+const T0 = Date.parse('2025-06-12T14:00:00Z');
+
+/**
+ * Cache con reloj manual y una consulta que cuenta cuántas veces se llamó
+ */
+function cacheDePrueba(ttls) {
+  const reloj = { t: T0 };
+  const cache = crearCacheConsultas({ almacen: crearAlmacenLRU(), ttls, ahora: () => reloj.t });
+  const consulta = { llamadas: 0 };
+  consulta.fn = async () => {
+    consulta.llamadas++;
+    return { success: true, patente: 'HVCY94', vehiculo: { marca: 'KIA' }, llamada: consulta.llamadas };
+  };
+  return { reloj, cache, consulta };
+}
+
+describe('almacenes', () => {
+  test('LRU descarta la entrada menos usada', async () => {
+    const almacen = crearAlmacenLRU({ maxEntradas: 2 });
+    await almacen.guardar('a', 1, 60);
+    await almacen.guardar('b', 2, 60);
+    await almacen.leer('a');
+    await almacen.guardar('c', 3, 60);
+
+    assert.equal(await almacen.leer('a'), 1);
+    assert.equal(await almacen.leer('b'), null);
+    assert.equal(await almacen.leer('c'), 3);
+  });
+
+  test('LRU respeta la expiración', async () => {
+    const almacen = crearAlmacenLRU();
+    await almacen.guardar('a', 1, 0);
+    assert.equal(await almacen.leer('a'), null);
+  });
+
+  test('disco persiste entre instancias', async () => {
+    const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    try {
+      await crearAlmacenDisco({ directorio }).guardar('vehiculo:vehiculo:HVCY94', { marca: 'KIA' }, 60);
+
+      const otro = crearAlmacenDisco({ directorio });
+      assert.deepEqual(await otro.leer('vehiculo:vehiculo:HVCY94'), { marca: 'KIA' });
+      assert.equal(await otro.leer('otra'), null);
+
+      await otro.borrar('vehiculo:vehiculo:HVCY94');
+      assert.equal(await otro.leer('vehiculo:vehiculo:HVCY94'), null);
+    } finally {
+      fs.rmSync(directorio, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('crearCacheConsultas', () => {
+  test('la segunda consulta sale del cache con cachedAt y maxAge', async () => {
+    const { reloj, cache, consulta } = cacheDePrueba();
+
+    const primera = await cache.obtener('k', ['vehiculo'], consulta.fn);
+    assert.equal(primera.desdeCache, false);
+    assert.equal(primera.cachedAt, '2025-06-12T14:00:00.000Z');
+
+    reloj.t += 60_000;
+    const segunda = await cache.obtener('k', ['vehiculo'], consulta.fn);
+    assert.equal(segunda.desdeCache, true);
+    assert.equal(segunda.cachedAt, primera.cachedAt);
+    assert.equal(segunda.maxAge, TTL_SECCIONES.vehiculo - 60);
+    assert.equal(consulta.llamadas, 1);
+  });
+
+  test('el TTL depende de las secciones que entrega la ruta', async () => {
+    const { reloj, cache, consulta } = cacheDePrueba();
+    await cache.obtener('k', ['vehiculo'], consulta.fn);
+
+    reloj.t += (TTL_SECCIONES.multas + 1) * 1000;
+    assert.equal((await cache.obtener('k', ['vehiculo'], consulta.fn)).desdeCache, true);
+    assert.equal((await cache.obtener('k', ['vehiculo', 'multas'], consulta.fn)).desdeCache, false);
+    assert.equal(consulta.llamadas, 2);
+  });
+
+  test('ttls ajusta una sección', async () => {
+    const { cache } = cacheDePrueba({ multas: 60 });
+    assert.equal(cache.ttl(['vehiculo', 'multas']), 60);
+  });
+
+  test('forzar vuelve a consultar y reemplaza lo guardado', async () => {
+    const { cache, consulta } = cacheDePrueba();
+    await cache.obtener('k', ['vehiculo'], consulta.fn);
+
+    const forzada = await cache.obtener('k', ['vehiculo'], consulta.fn, { forzar: true });
+    assert.equal(forzada.valor.llamada, 2);
+    assert.equal((await cache.obtener('k', ['vehiculo'], consulta.fn)).valor.llamada, 2);
+  });
+
+  test('los errores no se guardan', async () => {
+    const { cache } = cacheDePrueba();
+    let llamadas = 0;
+    const falla = async () => ({ success: false, error: 'CAPTCHA detectado', llamada: ++llamadas });
+
+    const resultado = await cache.obtener('k', ['vehiculo'], falla);
+    assert.equal(resultado.cachedAt, null);
+    assert.equal(resultado.maxAge, 0);
+    await cache.obtener('k', ['vehiculo'], falla);
+    assert.equal(llamadas, 2);
+  });
+
+  test('un reporte parcial se guarda y sus secciones fallidas vencen en TTL_FALLIDA', async () => {
+    const { reloj, cache } = cacheDePrueba();
+    let llamadas = 0;
+    const parcial = async () => ({
+      success: true,
+      vehiculo: { marca: 'KIA' },
+      multas: null,
+      fuentes: { vehiculo: 'playwright-scraper', multas: null },
+      llamada: ++llamadas
+    });
+
+    const primera = await cache.obtener('k', ['vehiculo', 'multas'], parcial);
+    assert.equal(primera.maxAge, TTL_FALLIDA);
+
+    reloj.t += 60_000;
+    assert.equal((await cache.obtener('k', ['vehiculo', 'multas'], parcial)).desdeCache, true);
+    reloj.t += TTL_FALLIDA * 1000;
+    assert.equal((await cache.obtener('k', ['vehiculo'], parcial)).desdeCache, true);
+    assert.equal((await cache.obtener('k', ['vehiculo', 'multas'], parcial)).desdeCache, false);
+    assert.equal(llamadas, 2);
+  });
+
+  test('consultas simultáneas de la misma clave consultan una vez', async () => {
+    const { cache, consulta } = cacheDePrueba();
+    const [a, b] = await Promise.all([
+      cache.obtener('k', ['vehiculo'], consulta.fn),
+      cache.obtener('k', ['propietario'], consulta.fn)
+    ]);
+    assert.equal(consulta.llamadas, 1);
+    assert.equal(a.maxAge, TTL_SECCIONES.vehiculo);
+    assert.equal(b.maxAge, TTL_SECCIONES.propietario);
+  });
+
+  test('entrega copias: modificar la respuesta no cambia lo guardado', async () => {
+    const { cache, consulta } = cacheDePrueba();
+    const primera = await cache.obtener('k', ['vehiculo'], consulta.fn);
+    primera.valor.vehiculo = null;
+    assert.equal((await cache.obtener('k', ['vehiculo'], consulta.fn)).valor.vehiculo.marca, 'KIA');
+  });
+});
+
+describe('headers', () => {
+  test('coincideETag', () => {
+    assert.equal(coincideETag('"abc"', '"abc"'), true);
+    assert.equal(coincideETag('"x", W/"abc"', '"abc"'), true);
+    assert.equal(coincideETag('*', '"abc"'), true);
+    assert.equal(coincideETag('"abcd"', '"abc"'), false);
+    assert.equal(coincideETag(undefined, '"abc"'), false);
+  });
+
+  test('pideSinCache', () => {
+    assert.equal(pideSinCache({ 'cache-control': 'no-cache' }), true);
+    assert.equal(pideSinCache({ 'cache-control': 'max-age=0, no-cache' }), true);
+    assert.equal(pideSinCache({ pragma: 'no-cache' }), true);
+    assert.equal(pideSinCache({ 'cache-control': 'max-age=60' }), false);
+    assert.equal(pideSinCache({}), false);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests de los circuit breakers: apertura, semiabierto, historial y clasificación de fallas
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { motivoDeFalla, crearBreaker, crearRegistroBreakers } = require('../lib/circuit-breaker');
+const { normalizeReport, createErrorReport } = require('../lib/schema');
+
+/**
+ * Breaker con reloj manual
+ */
+function breakerDePrueba(options = {}) {
+  const reloj = { t: Date.parse('2025-03-10T12:00:00Z') };
+  const breaker = crearBreaker({ nombre: 'w', umbral: 2, esperaMs: 1000, ahora: () => reloj.t, ...options });
+  return { breaker, reloj };
+}
+
+describe('motivoDeFalla', () => {
+  test('CAPTCHA, 429 y timeout cuentan; el resto no', () => {
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'CAPTCHA detectado en respuesta')), 'CAPTCHA');
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'Bloqueado', null, 'CAPTCHA')), 'CAPTCHA');
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'HTTP 429', null, 'LIMITE_TASA')), 'LIMITE_TASA');
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'Sin respuesta', null, 'TIMEOUT')), 'TIMEOUT');
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'Circuito abierto', null, 'CIRCUITO_ABIERTO')), 'CIRCUITO_ABIERTO');
+    assert.equal(motivoDeFalla(null, Object.assign(new Error('Too many requests'), { status: 429 })), 'LIMITE_TASA');
+    assert.equal(motivoDeFalla(null, new DOMException('The operation timed out', 'TimeoutError')), 'TIMEOUT');
+
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'No se encontraron resultados', null, 'NO_ENCONTRADA')), null);
+    assert.equal(motivoDeFalla(createErrorReport('X', 'w', 'fetch failed')), null);
+    assert.equal(motivoDeFalla(normalizeReport({ vehiculo: { marca: 'KIA' } }, { patente: 'X', source: 'w' })), null);
+    assert.equal(motivoDeFalla({ patente: 'X', tieneMultas: false }), null);
+  });
+});
+
+describe('crearBreaker', () => {
+  test('se abre después de `umbral` fallas seguidas y rechaza sin consultar', () => {
+    const { breaker } = breakerDePrueba();
+    assert.equal(breaker.permitir(), true);
+    breaker.registrar('TIMEOUT');
+    assert.equal(breaker.estado().estado, 'cerrado');
+    assert.equal(breaker.permitir(), true);
+    breaker.registrar('CAPTCHA');
+
+    assert.equal(breaker.estado().estado, 'abierto');
+    assert.equal(breaker.permitir(), false);
+    assert.equal(breaker.mensaje(), 'Circuito abierto para w después de 2 fallas seguidas (CAPTCHA); se reintenta en 1 s');
+    assert.equal(breaker.estado().rechazadas, 1);
+    assert.equal(breaker.estado().abiertoHasta, '2025-03-10T12:00:01.000Z');
+  });
+
+  test('una respuesta buena reinicia la cuenta', () => {
+    const { breaker } = breakerDePrueba();
+    breaker.registrar('TIMEOUT');
+    breaker.registrar(null);
+    breaker.registrar('TIMEOUT');
+    assert.equal(breaker.estado().estado, 'cerrado');
+    assert.equal(breaker.estado().fallasSeguidas, 1);
+  });
+
+  test('semiabierto: una sola consulta de prueba; si responde se cierra', () => {
+    const { breaker, reloj } = breakerDePrueba();
+    breaker.registrar('LIMITE_TASA');
+    breaker.registrar('LIMITE_TASA');
+
+    reloj.t += 1000;
+    assert.equal(breaker.estado().estado, 'semiabierto');
+    assert.equal(breaker.permitir(), true);
+    assert.equal(breaker.permitir(), false);
+    assert.match(breaker.mensaje(), /consulta de prueba en curso/);
+
+    breaker.registrar(null);
+    assert.equal(breaker.estado().estado, 'cerrado');
+    assert.equal(breaker.permitir(), true);
+    assert.deepEqual(breaker.estado().historial, [
+      { abierto: '2025-03-10T12:00:00.000Z', motivo: 'LIMITE_TASA', fallas: 2, cerrado: '2025-03-10T12:00:01.000Z' }
+    ]);
+  });
+
+  test('semiabierto: si la prueba falla se vuelve a abrir', () => {
+    const { breaker, reloj } = breakerDePrueba();
+    breaker.registrar('TIMEOUT');
+    breaker.registrar('TIMEOUT');
+    reloj.t += 1000;
+    assert.equal(breaker.permitir(), true);
+    breaker.registrar('CAPTCHA');
+
+    const estado = breaker.estado();
+    assert.equal(estado.estado, 'abierto');
+    assert.equal(estado.aperturas, 2);
+    assert.equal(estado.abiertoHasta, '2025-03-10T12:00:02.000Z');
+    assert.deepEqual(estado.historial.map(a => [a.motivo, a.fallas, a.cerrado]), [['TIMEOUT', 2, null], ['CAPTCHA', 3, null]]);
+  });
+
+  test('el historial guarda las últimas 20 aperturas', () => {
+    const { breaker, reloj } = breakerDePrueba({ umbral: 1 });
+    for (let i = 0; i < 25; i++) {
+      reloj.t += 1000;
+      breaker.permitir();
+      breaker.registrar('TIMEOUT');
+    }
+    assert.equal(breaker.estado().aperturas, 25);
+    assert.equal(breaker.estado().historial.length, 20);
+  });
+});
+
+describe('crearRegistroBreakers', () => {
+  test('un breaker por nombre con la misma configuración', () => {
+    const breakers = crearRegistroBreakers({ umbral: 1 });
+    assert.equal(breakers.de('a'), breakers.de('a'));
+    breakers.de('a').registrar('TIMEOUT');
+    breakers.de('b');
+
+    assert.deepEqual(breakers.estados().map(e => [e.nombre, e.estado]), [['a', 'abierto'], ['b', 'cerrado']]);
+  });
+});
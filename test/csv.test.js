@@ -0,0 +1,114 @@
+/**
+ * Tests de importación y exportación CSV de flotas
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { COLUMNAS_REPORTE, parseCsv, leerFlota, escribirCsv, filaReporte, csvReportes, csvMultas } = require('../lib/csv');
+const { normalizeReport } = require('../lib/schema');
+
+const EXPECTED = path.join(__dirname, 'fixtures', 'expected');
+const REPORTE = normalizeReport(require(path.join(EXPECTED, 'parse-resultados', 'resultados-con-multas.json')));
+const MULTAS = require(path.join(EXPECTED, 'parse-multas', 'multas-varias.json'));
+
+describe('parseCsv', () => {
+  test('comillas, comillas escapadas y saltos de línea dentro de una celda', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","di ""hola""\nchao"\r\n'), [
+      ['a', 'b'],
+      ['x, y', 'di "hola"\nchao']
+    ]);
+  });
+
+  test('detecta ; (Excel en español), quita el BOM y descarta filas vacías', () => {
+    assert.deepEqual(parseCsv('\uFEFFpatente;conductor\nHVCY94;Pérez, Juan\n;\n\n'), [
+      ['patente', 'conductor'],
+      ['HVCY94', 'Pérez, Juan']
+    ]);
+  });
+});
+
+describe('leerFlota', () => {
+  test('patentes y columnas extra por fila', () => {
+    const flota = leerFlota('Centro de costo;PPU;Conductor\nVentas;hvcy94;Ana\nBodega;GKSB78;\n');
+    assert.deepEqual(flota.patentes, ['hvcy94', 'GKSB78']);
+    assert.deepEqual(flota.columnasExtra, ['Centro de costo', 'Conductor']);
+    assert.deepEqual(flota.extras, [
+      { 'Centro de costo': 'Ventas', Conductor: 'Ana' },
+      { 'Centro de costo': 'Bodega', Conductor: '' }
+    ]);
+    assert.equal(flota.separador, ';');
+  });
+
+  test('errores sin columna patente o sin filas', () => {
+    assert.throws(() => leerFlota('placa_x,conductor\nHVCY94,Ana'), /no tiene columna patente/);
+    assert.throws(() => leerFlota('Patente\n'), /no tiene filas/);
+    assert.throws(() => leerFlota(''), /vacío/);
+  });
+});
+
+describe('escribirCsv', () => {
+  test('BOM, CRLF y comillas donde hacen falta', () => {
+    const texto = escribirCsv(['a', 'b'], [{ a: 'x;y', b: null }, { a: 1, b: true }], ';');
+    assert.equal(texto, '\uFEFFa;b\r\n"x;y";\r\n1;true\r\n');
+  });
+
+  test('neutraliza celdas que Excel tomaría como fórmula', () => {
+    const [, fila] = parseCsv(escribirCsv(['a', 'b', 'c'], [{ a: '=HYPERLINK("x")', b: '@SUM(1)', c: -5 }]));
+    assert.deepEqual(fila, ['\'=HYPERLINK("x")', '\'@SUM(1)', '-5']);
+  });
+});
+
+describe('filaReporte', () => {
+  test('columnas estables de vehículo, RT, SOAP, permiso y multas', () => {
+    const fila = filaReporte(REPORTE, MULTAS);
+    assert.deepEqual(Object.keys(fila), COLUMNAS_REPORTE);
+    assert.equal(fila.patente, 'GKSB78');
+    assert.equal(fila['vehiculo.marca'], 'TOYOTA');
+    assert.equal(fila['revisionTecnica.fechaVencimiento'], REPORTE.revisionTecnica.fechaVencimiento);
+    assert.equal(fila['soap.compania'], 'HDI SEGUROS');
+    assert.equal(fila['permisoCirculacion.municipalidad'], 'PUENTE ALTO');
+    assert.equal(fila['multas.cantidad'], 3);
+    assert.equal(fila['multas.montoPendiente'], MULTAS.totales.montoPendiente);
+    assert.equal(fila['multas.error'], null);
+  });
+
+  test('sin datos del propietario', () => {
+    assert.ok(!COLUMNAS_REPORTE.some(columna => columna.startsWith('propietario.')));
+  });
+
+  test('secciones redactadas y búsquedas fallidas quedan vacías', () => {
+    const fila = filaReporte({ ...REPORTE, soap: null }, { success: false, error: 'Worker caído' });
+    assert.equal(fila['soap.compania'], null);
+    assert.equal(fila['multas.montoTotal'], null);
+    assert.equal(fila['multas.error'], 'Worker caído');
+  });
+});
+
+describe('csvReportes y csvMultas', () => {
+  const items = [
+    { patente: 'GKSB78', extras: { Conductor: 'Ana' }, reporte: REPORTE, multas: MULTAS },
+    { patente: 'HVCY94', extras: { Conductor: 'Luis' }, reporte: { success: false, error: 'Timeout' }, multas: null }
+  ];
+
+  test('una fila por patente en el orden de la entrada, con las columnas extra primero', () => {
+    const [encabezado, ...resto] = parseCsv(csvReportes(items, { columnasExtra: ['Conductor'], separador: ';' }));
+    assert.deepEqual(encabezado, ['Conductor', ...COLUMNAS_REPORTE]);
+    assert.deepEqual(resto.map(fila => fila.slice(0, 4)), [
+      ['Ana', 'GKSB78', 'true', ''],
+      ['Luis', 'HVCY94', 'false', 'Timeout']
+    ]);
+  });
+
+  test('una fila por multa', () => {
+    const [encabezado, ...resto] = parseCsv(csvMultas(items, { columnasExtra: ['Conductor'] }));
+    assert.deepEqual(encabezado, ['Conductor', 'patente', 'rol', 'juzgado', 'comuna', 'fecha', 'año', 'tipo', 'descripcion', 'monto', 'estado']);
+    assert.equal(resto.length, 3);
+    assert.deepEqual(resto.map(fila => [fila[0], fila[1], fila[2], fila[10]]), [
+      ['Ana', 'GKSB78', '123456', 'PENDIENTE'],
+      ['Ana', 'GKSB78', '654321', 'PENDIENTE'],
+      ['Ana', 'GKSB78', '987001', 'PAGADA']
+    ]);
+  });
+});
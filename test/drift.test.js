@@ -0,0 +1,60 @@
+/**
+ * Tests de detección de cambios de layout
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { recolectarLayout, detectarDrift } = require('../lib/drift');
+const { normalizeReport } = require('../lib/schema');
+const { parseResultadosHtml } = require('../lib/parse-resultados');
+
+const leerFixture = nombre => fs.readFileSync(path.join(__dirname, 'fixtures', 'html', `${nombre}.html`), 'utf8');
+
+describe('recolectarLayout', () => {
+  test('lee labels y encabezados de #tbl-results', () => {
+    const layout = recolectarLayout(leerFixture('resultados-sin-multas'));
+    assert.equal(layout.tablaEncontrada, true);
+    assert.ok(layout.labels.includes('N° Motor'));
+    assert.ok(layout.secciones.includes('Revisión Técnica'));
+  });
+});
+
+describe('detectarDrift', () => {
+  test('sin drift en la página conocida', () => {
+    const drift = detectarDrift(recolectarLayout(leerFixture('resultados-sin-multas')));
+    assert.equal(drift.hayDrift, false);
+    assert.equal(drift.labelsVistos, 27);
+  });
+
+  test('labels renombrados y secciones movidas', () => {
+    const drift = detectarDrift(recolectarLayout(leerFixture('resultados-layout-cambiado')));
+    assert.equal(drift.hayDrift, true);
+    assert.deepEqual(drift.labelsDesconocidos, ['Sello ambiental', 'Tipo de combustible']);
+    assert.deepEqual(drift.labelsFaltantes, ['vehiculo.Tipo de sello', 'vehiculo.Combustible']);
+    assert.deepEqual(drift.seccionesNoEncontradas, ['soap', 'restriccionVehicular']);
+    assert.deepEqual(drift.seccionesDesconocidas, ['Seguro Obligatorio']);
+  });
+
+  test('ignora mayúsculas, tildes y ":" al comparar labels', () => {
+    const drift = detectarDrift({ tablaEncontrada: true, secciones: ['Datos del Propietario'], labels: ['rut:', 'NOMBRE'] });
+    assert.deepEqual(drift.labelsFaltantes, []);
+    assert.deepEqual(drift.labelsDesconocidos, []);
+  });
+
+  test('sin tabla de resultados es drift', () => {
+    assert.equal(detectarDrift({ tablaEncontrada: false, secciones: [], labels: [] }).hayDrift, true);
+  });
+});
+
+describe('drift en el reporte', () => {
+  test('normalizeReport agrega drift y lo deja en null si la consulta falló', () => {
+    const report = normalizeReport(parseResultadosHtml(leerFixture('resultados-layout-cambiado'), 'HVCY94'));
+    assert.equal(report.drift.hayDrift, true);
+
+    const fallido = normalizeReport(parseResultadosHtml(leerFixture('captcha'), 'HVCY94'));
+    assert.equal(fallido.drift, null);
+  });
+});
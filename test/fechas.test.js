@@ -0,0 +1,80 @@
+/**
+ * Tests de parseo de fechas y cálculo de vigencia
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseFecha, hoySantiago, diasEntre, sumarFecha, calcularVigencia } = require('../lib/fechas');
+
+describe('parseFecha', () => {
+  test('formatos numéricos', () => {
+    assert.equal(parseFecha('31/03/2025'), '2025-03-31');
+    assert.equal(parseFecha('1-4-2024'), '2024-04-01');
+    assert.equal(parseFecha('2024-04-01'), '2024-04-01');
+    assert.equal(parseFecha('2024-04-01T10:00:00Z'), '2024-04-01');
+  });
+
+  test('fechas en palabras', () => {
+    assert.equal(parseFecha('31 de marzo de 2025'), '2025-03-31');
+    assert.equal(parseFecha('1 de Septiembre del 2024'), '2024-09-01');
+  });
+
+  test('fechas sin día usan el primero o el último del mes', () => {
+    assert.equal(parseFecha('MARZO 2025'), '2025-03-01');
+    assert.equal(parseFecha('MARZO 2025', { finDeMes: true }), '2025-03-31');
+    assert.equal(parseFecha('02/2024', { finDeMes: true }), '2024-02-29');
+  });
+
+  test('null para fechas inexistentes o texto', () => {
+    assert.equal(parseFecha('31/02/2025'), null);
+    assert.equal(parseFecha('VIGENTE'), null);
+    assert.equal(parseFecha(''), null);
+    assert.equal(parseFecha(null), null);
+  });
+});
+
+describe('hoySantiago', () => {
+  test('usa la fecha de Chile y no la de UTC', () => {
+    // 02:00 UTC del 1 de enero es aún 31 de diciembre en Santiago (UTC-3 en verano)
+    assert.equal(hoySantiago(new Date('2025-01-01T02:00:00Z')), '2024-12-31');
+    assert.equal(hoySantiago(new Date('2025-01-01T12:00:00Z')), '2025-01-01');
+  });
+});
+
+describe('diasEntre y sumarFecha', () => {
+  test('cuenta días calendario', () => {
+    assert.equal(diasEntre('2024-12-31', '2025-01-01'), 1);
+    assert.equal(diasEntre('2025-03-31', '2025-03-01'), -30);
+  });
+
+  test('suma años y días', () => {
+    assert.equal(sumarFecha('2024-04-01', { años: 1, dias: -1 }), '2025-03-31');
+  });
+});
+
+describe('calcularVigencia', () => {
+  test('vigente hasta el día de vencimiento inclusive', () => {
+    assert.deepEqual(calcularVigencia('2025-03-31', '2025-03-31'), {
+      vigente: true,
+      diasRestantes: 0,
+      venceEn: '2025-03'
+    });
+  });
+
+  test('vencido con días negativos', () => {
+    assert.deepEqual(calcularVigencia('2025-03-31', '2025-04-02'), {
+      vigente: false,
+      diasRestantes: -2,
+      venceEn: '2025-03'
+    });
+  });
+
+  test('sin fecha no hay vigencia', () => {
+    assert.deepEqual(calcularVigencia(null, '2025-01-01'), {
+      vigente: null,
+      diasRestantes: null,
+      venceEn: null
+    });
+  });
+});
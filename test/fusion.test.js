@@ -0,0 +1,98 @@
+/**
+ * Tests de la fusión de fuentes: precedencia por campo, conflictos y vigencia
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fusionarSeccion } = require('../lib/fusion');
+const { normalizeReport } = require('../lib/schema');
+
+const HOY = '2025-03-10';
+
+const entrada = (fuente, raw) => ({ fuente, reporte: normalizeReport(raw, { patente: 'HVCY94', source: fuente, hoy: HOY }) });
+
+describe('fusionarSeccion', () => {
+  test('cada campo sale de la primera fuente que lo trae', () => {
+    const a = entrada('a', { vehiculo: { marca: 'KIA', modelo: null } });
+    const b = entrada('b', { vehiculo: { marca: 'KIA', modelo: 'RIO 5', numeroChasis: 'KNADN512AB6123456' } });
+    const { valor, origenes, conflictos } = fusionarSeccion('vehiculo', [a, b]);
+
+    assert.equal(valor.marca, 'KIA');
+    assert.equal(valor.modelo, 'RIO 5');
+    assert.equal(valor.numeroChasis, 'KNADN512AB6123456');
+    assert.equal(valor.patente, 'HVCY94');
+    assert.equal(origenes.marca, a);
+    assert.equal(origenes.modelo, b);
+    assert.equal(origenes.color, undefined);
+    assert.deepEqual(conflictos, []);
+  });
+
+  test('valores distintos en campos de identidad: conflicto con el valor de cada fuente', () => {
+    const a = entrada('a', { vehiculo: { marca: 'Kia  Motors', año: 2011, numeroMotor: 'G4FA123', numeroChasis: 'KNADN512AB6123456' } });
+    const b = entrada('b', { vehiculo: { marca: 'KIA MOTORS', año: 2012, numeroMotor: 'G4FA123', numeroChasis: 'KNADN512AB6999999' } });
+    const { valor, conflictos } = fusionarSeccion('vehiculo', [a, b]);
+
+    assert.equal(valor.año, 2011);
+    assert.equal(valor.numeroChasis, 'KNADN512AB6123456');
+    assert.deepEqual(conflictos, [
+      { campo: 'vehiculo.año', elegido: 'a', valores: [{ fuente: 'a', valor: 2011 }, { fuente: 'b', valor: 2012 }] },
+      {
+        campo: 'vehiculo.numeroChasis',
+        elegido: 'a',
+        valores: [{ fuente: 'a', valor: 'KNADN512AB6123456' }, { fuente: 'b', valor: 'KNADN512AB6999999' }]
+      }
+    ]);
+  });
+
+  test('RUT del propietario: se compara el valor canónico', () => {
+    const a = entrada('a', { propietario: { rut: '12.345.678-5', nombre: 'JOSÉ PÉREZ' } });
+    const b = entrada('b', { propietario: { rut: '12345678-5', nombre: 'Jose Perez' } });
+    const c = entrada('c', { propietario: { rut: '11.111.111-1' } });
+
+    assert.deepEqual(fusionarSeccion('propietario', [a, b]).conflictos, []);
+    const [conflicto] = fusionarSeccion('propietario', [a, b, c]).conflictos;
+    assert.equal(conflicto.campo, 'propietario.rut');
+    assert.deepEqual(conflicto.valores.map(v => [v.fuente, v.valor.valor]), [['a', '12345678-5'], ['b', '12345678-5'], ['c', '11111111-1']]);
+  });
+
+  test('los campos fuera de CAMPOS_CONFLICTO no se comparan', () => {
+    const a = entrada('a', { multas: { tiene: false, cantidad: 0, mensaje: 'Sin multas' } });
+    const b = entrada('b', { multas: { tiene: false, cantidad: 0, mensaje: 'No registra multas' } });
+    const { valor, conflictos } = fusionarSeccion('multas', [a, b]);
+    assert.equal(valor.mensaje, 'Sin multas');
+    assert.deepEqual(conflictos, []);
+  });
+
+  test('precedencia por campo: solo esos proveedores y en ese orden', () => {
+    const a = entrada('a', { vehiculo: { marca: 'KIA', numeroChasis: 'KNADN512AB6123456', color: 'ROJO' } });
+    const b = entrada('b', { vehiculo: { marca: 'KIA', numeroChasis: 'KNADN512AB6999999' } });
+    const { valor, origenes, conflictos } = fusionarSeccion('vehiculo', [a, b], {
+      'vehiculo.numeroChasis': ['b', 'a'],
+      'vehiculo.color': ['b']
+    });
+
+    assert.equal(valor.numeroChasis, 'KNADN512AB6999999');
+    assert.equal(origenes.numeroChasis, b);
+    assert.equal(valor.color, null);
+    assert.deepEqual(conflictos.map(c => [c.campo, c.elegido]), [['vehiculo.numeroChasis', 'b']]);
+  });
+
+  test('la vigencia sigue a la fuente de fechaVencimiento', () => {
+    const a = entrada('a', { soap: { compania: 'HDI' } });
+    const b = entrada('b', { soap: { compania: 'MAPFRE', fechaInicio: '2025-01-01' } });
+    const { valor, origenes } = fusionarSeccion('soap', [a, b]);
+
+    assert.equal(valor.compania, 'HDI');
+    assert.equal(valor.fechaVencimiento, '2025-12-31');
+    assert.equal(valor.vigente, true);
+    assert.equal(valor.diasRestantes, b.reporte.soap.diasRestantes);
+    assert.equal(origenes.vigente, b);
+  });
+
+  test('sin la sección en ninguna fuente: null', () => {
+    const a = entrada('a', { vehiculo: { marca: 'KIA' } });
+    assert.deepEqual(fusionarSeccion('soap', [a]), { valor: null, origenes: {}, conflictos: [] });
+    assert.deepEqual(fusionarSeccion('soap', []), { valor: null, origenes: {}, conflictos: [] });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests de la cola de jobs: avance, errores, cancelación y persistencia
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { crearColaJobs, vistaJob } = require('../lib/jobs');
+
+/**
+ * procesar() de prueba: 'ERROR' devuelve un reporte fallido y 'LANZA' lanza
+ */
+async function procesarFalso(patente, job) {
+  if (patente === 'LANZA') throw new Error('Navegador caído');
+  if (patente === 'ERROR') return { success: false, patente, error: 'Timeout' };
+  return { success: true, patente, tipo: job.tipo };
+}
+
+/**
+ * Archivo temporal para la cola; se borra al terminar el test
+ */
+function conArchivo(fn) {
+  const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+  return Promise.resolve(fn(path.join(directorio, 'jobs.json')))
+    .finally(() => fs.rmSync(directorio, { recursive: true, force: true }));
+}
+
+describe('crearColaJobs', () => {
+  test('procesa las patentes en orden y resume el avance', async () => {
+    const cola = crearColaJobs({ procesar: procesarFalso });
+    const job = cola.crear({ patentes: ['HVCY94', 'ERROR', 'LANZA', 'GKSB78'], tipo: 'moto' });
+
+    await cola.esperar();
+    const vista = vistaJob(cola.obtener(job.id));
+
+    assert.equal(vista.estado, 'completado');
+    assert.ok(vista.terminado);
+    assert.deepEqual(vista.progreso, { total: 4, procesadas: 4, ok: 2, errores: 2, canceladas: 0 });
+    assert.deepEqual(vista.resultados.map(item => [item.patente, item.estado, item.error]), [
+      ['HVCY94', 'ok', null],
+      ['ERROR', 'error', 'Timeout'],
+      ['LANZA', 'error', 'Navegador caído'],
+      ['GKSB78', 'ok', null]
+    ]);
+    assert.equal(vista.resultados[0].resultado.tipo, 'moto');
+    assert.equal(vista.cliente, undefined);
+  });
+
+  test('los jobs se procesan de a uno, en orden de llegada', async () => {
+    const orden = [];
+    const cola = crearColaJobs({ procesar: async patente => orden.push(patente) && { success: true } });
+    cola.crear({ patentes: ['A1', 'A2'] });
+    cola.crear({ patentes: ['B1'] });
+    await cola.esperar();
+    assert.deepEqual(orden, ['A1', 'A2', 'B1']);
+  });
+
+  test('cancelar deja las pendientes como canceladas y termina la en curso', async () => {
+    let liberar;
+    const bloqueo = new Promise(resolve => { liberar = resolve; });
+    const cola = crearColaJobs({
+      procesar: async patente => {
+        await bloqueo;
+        return { success: true, patente };
+      }
+    });
+
+    const job = cola.crear({ patentes: ['HVCY94', 'GKSB78', 'JCLJ38'] });
+    await new Promise(setImmediate);
+    cola.cancelar(job.id);
+    liberar();
+    await cola.esperar();
+
+    const vista = vistaJob(job);
+    assert.equal(vista.estado, 'cancelado');
+    assert.deepEqual(vista.resultados.map(item => item.estado), ['ok', 'cancelada', 'cancelada']);
+    assert.deepEqual(vista.progreso, { total: 3, procesadas: 1, ok: 1, errores: 0, canceladas: 2 });
+  });
+
+  test('cancelar un job terminado lo devuelve sin cambios', async () => {
+    const cola = crearColaJobs({ procesar: procesarFalso });
+    const job = cola.crear({ patentes: ['HVCY94'] });
+    await cola.esperar();
+    assert.equal(cola.cancelar(job.id).estado, 'completado');
+    assert.equal(cola.cancelar('no-existe'), null);
+  });
+
+  test('alTerminar avisa una vez al completar o cancelar', async () => {
+    const avisos = [];
+    const cola = crearColaJobs({ procesar: procesarFalso, alTerminar: job => avisos.push([job.resultados[0].patente, job.estado]) });
+
+    cola.crear({ patentes: ['HVCY94'] });
+    const encolado = cola.crear({ patentes: ['GKSB78'] });
+    cola.cancelar(encolado.id);
+    await cola.esperar();
+
+    assert.deepEqual(avisos, [['GKSB78', 'cancelado'], ['HVCY94', 'completado']]);
+  });
+
+  test('cancelar con la última patente en curso no lo marca completado', async () => {
+    let liberar;
+    const bloqueo = new Promise(resolve => { liberar = resolve; });
+    const avisos = [];
+    const cola = crearColaJobs({
+      procesar: async () => {
+        await bloqueo;
+        return { success: true };
+      },
+      alTerminar: job => avisos.push(job.estado)
+    });
+
+    const job = cola.crear({ patentes: ['HVCY94'] });
+    await new Promise(setImmediate);
+    cola.cancelar(job.id);
+    assert.deepEqual(avisos, []);
+
+    liberar();
+    await cola.esperar();
+    assert.equal(job.estado, 'cancelado');
+    assert.deepEqual(avisos, ['cancelado']);
+  });
+
+  test('si alTerminar lanza el job queda como estaba y la cola sigue', async () => {
+    const cola = crearColaJobs({
+      procesar: procesarFalso,
+      alTerminar: () => { throw new Error('Webhook inválido'); }
+    });
+
+    const primero = cola.crear({ patentes: ['HVCY94'] });
+    const segundo = cola.crear({ patentes: ['GKSB78'] });
+    await cola.esperar();
+
+    assert.equal(primero.estado, 'completado');
+    assert.equal(segundo.estado, 'completado');
+    assert.equal(primero.error, undefined);
+  });
+
+  test('un job solo se ve con la key que lo creó', () => {
+    const cola = crearColaJobs({ procesar: procesarFalso });
+    const job = cola.crear({ patentes: ['HVCY94'], cliente: 'cobranza' });
+    assert.equal(cola.obtener(job.id, 'cobranza'), job);
+    assert.equal(cola.obtener(job.id, 'riesgo'), null);
+    assert.equal(cola.cancelar(job.id, 'riesgo'), null);
+  });
+});
+
+describe('persistencia', () => {
+  test('un reinicio retoma el job desde la patente en curso', () => conArchivo(async archivo => {
+    let liberar;
+    const bloqueo = new Promise(resolve => { liberar = resolve; });
+    const procesadas = [];
+    const primera = crearColaJobs({
+      archivo,
+      procesar: async patente => {
+        procesadas.push(patente);
+        if (patente === 'GKSB78') await bloqueo;
+        return { success: true, patente };
+      }
+    });
+    const { id } = primera.crear({ patentes: ['HVCY94', 'GKSB78', 'JCLJ38'], opciones: { provenance: true } });
+    while (procesadas.length < 2) await new Promise(setImmediate);
+
+    // El proceso "cae" con GKSB78 en curso: otra cola lee el archivo
+    const segunda = crearColaJobs({ archivo, procesar: procesarFalso });
+    const retomado = segunda.obtener(id);
+    assert.deepEqual(retomado.opciones, { provenance: true });
+    assert.deepEqual(retomado.resultados.map(item => item.estado), ['ok', 'pendiente', 'pendiente']);
+
+    segunda.iniciar();
+    await segunda.esperar();
+    assert.equal(segunda.obtener(id).estado, 'completado');
+
+    liberar();
+    await primera.esperar();
+  }));
+
+  test('si no se puede guardar el avance el job queda fallido', () => conArchivo(async archivo => {
+    const avisos = [];
+    const cola = crearColaJobs({
+      archivo,
+      // Sin el directorio, el próximo persistir() falla
+      procesar: async patente => {
+        fs.rmSync(path.dirname(archivo), { recursive: true, force: true });
+        return { success: true, patente };
+      },
+      alTerminar: job => avisos.push(job.estado)
+    });
+
+    const job = cola.crear({ patentes: ['HVCY94', 'GKSB78'] });
+    await cola.esperar();
+
+    assert.equal(job.estado, 'fallido');
+    assert.match(job.error, /ENOENT/);
+    assert.ok(job.terminado);
+    assert.deepEqual(job.resultados.map(item => item.estado), ['ok', 'pendiente']);
+    assert.equal(vistaJob(job).error, job.error);
+    assert.deepEqual(avisos, ['fallido']);
+  }));
+
+  test('si no se puede guardar, crear no encola y cancelar no cancela', () => conArchivo(async archivo => {
+    let liberar;
+    const bloqueo = new Promise(resolve => { liberar = resolve; });
+    const cola = crearColaJobs({
+      archivo,
+      procesar: async patente => {
+        await bloqueo;
+        return { success: true, patente };
+      }
+    });
+    const job = cola.crear({ patentes: ['HVCY94', 'GKSB78'] });
+    await new Promise(setImmediate);
+
+    const directorio = path.dirname(archivo);
+    fs.rmSync(directorio, { recursive: true, force: true });
+    assert.throws(() => cola.crear({ patentes: ['JCLJ38'] }), /ENOENT/);
+    assert.throws(() => cola.cancelar(job.id), /ENOENT/);
+    assert.equal(job.estado, 'en_proceso');
+    assert.equal(job.terminado, null);
+    assert.deepEqual(job.resultados.map(item => item.estado), ['en_proceso', 'pendiente']);
+
+    fs.mkdirSync(directorio);
+    liberar();
+    await cola.esperar();
+    assert.equal(job.estado, 'completado');
+    assert.equal(JSON.parse(fs.readFileSync(archivo, 'utf8')).length, 1);
+  }));
+
+  test('los jobs terminados se olvidan después de la retención', () => conArchivo(async archivo => {
+    const reloj = { t: Date.parse('2025-06-12T14:00:00Z') };
+    const cola = crearColaJobs({ archivo, procesar: procesarFalso, retencion: 3600_000, ahora: () => reloj.t });
+    const viejo = cola.crear({ patentes: ['HVCY94'] });
+    await cola.esperar();
+
+    reloj.t += 3600_001;
+    cola.crear({ patentes: ['GKSB78'] });
+    await cola.esperar();
+
+    assert.equal(cola.obtener(viejo.id), null);
+    assert.equal(JSON.parse(fs.readFileSync(archivo, 'utf8')).length, 1);
+  }));
+});
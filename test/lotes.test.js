@@ -0,0 +1,118 @@
+/**
+ * Tests de consultas por lote: concurrencia, timeout por patente, repetidas y resultados parciales
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { consultarLote, leerLotes, resumirLote, TIMEOUT_PATENTE_MS } = require('../lib/lotes');
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * consultar() de prueba: demora `demoras[patente]` ms (10 por defecto), falla las de `fallan`
+ * y anota cuántas corren a la vez
+ */
+function consultaFalsa({ demoras = {}, fallan = [] } = {}) {
+  const consultar = async (patente, signal) => {
+    consultar.llamadas.push(patente);
+    consultar.activas++;
+    consultar.maxActivas = Math.max(consultar.maxActivas, consultar.activas);
+    try {
+      await esperar(demoras[patente] ?? 10);
+      if (signal.aborted) consultar.abortadas.push(patente);
+      if (fallan.includes(patente.toUpperCase())) return { success: false, patente, error: 'No encontrada', codigo: 'NO_ENCONTRADA' };
+      return { success: true, patente, vehiculo: { patente } };
+    } finally {
+      consultar.activas--;
+    }
+  };
+  Object.assign(consultar, { llamadas: [], abortadas: [], activas: 0, maxActivas: 0 });
+  return consultar;
+}
+
+describe('consultarLote', () => {
+  test('respeta la concurrencia y devuelve los resultados en el orden de la entrada', async () => {
+    const consultar = consultaFalsa({ demoras: { AAAA11: 40, BBBB22: 5 } });
+    const { resultados, resumen } = await consultarLote(['AAAA11', 'BBBB22', 'CCCC33', 'DDDD44'], consultar, { concurrencia: 2, pausa: 0 });
+
+    assert.equal(consultar.maxActivas, 2);
+    assert.deepEqual(resultados.map(r => r.patente), ['AAAA11', 'BBBB22', 'CCCC33', 'DDDD44']);
+    assert.deepEqual(resumen, { total: 4, unicas: 4, ok: 4, errores: 0, omitidas: 0 });
+  });
+
+  test('una patente lenta queda con TIMEOUT y se aborta sin frenar a las demás', async () => {
+    const consultar = consultaFalsa({ demoras: { LENTA1: 200 } });
+    const { resultados, resumen } = await consultarLote(['LENTA1', 'BBBB22', 'CCCC33'], consultar, {
+      concurrencia: 2, pausa: 0, timeoutPatente: 50, source: 'prueba'
+    });
+
+    assert.equal(resultados[0].success, false);
+    assert.equal(resultados[0].codigo, 'TIMEOUT');
+    assert.equal(resultados[0].source, 'prueba');
+    assert.ok(resultados[1].success && resultados[2].success);
+    assert.deepEqual(resumen, { total: 3, unicas: 3, ok: 2, errores: 1, omitidas: 0 });
+
+    await esperar(200);
+    assert.deepEqual(consultar.abortadas, ['LENTA1']);
+  });
+
+  test('las repetidas se consultan una vez y cada posición recibe su copia', async () => {
+    const consultar = consultaFalsa({ fallan: ['BBBB22'] });
+    const recibidos = [];
+    const { resultados, resumen } = await consultarLote(['AAAA11', 'bbbb22', 'aaaa11', 'BBBB22'], consultar, {
+      pausa: 0,
+      alObtener: (resultado, indice) => { recibidos.push(indice); }
+    });
+
+    assert.deepEqual(consultar.llamadas.sort(), ['AAAA11', 'bbbb22']);
+    assert.deepEqual(recibidos.sort(), [0, 1, 2, 3]);
+    assert.deepEqual(resultados[0], resultados[2]);
+    assert.notEqual(resultados[0], resultados[2]);
+    assert.equal(resultados[3].codigo, 'NO_ENCONTRADA');
+    assert.deepEqual(resumen, { total: 4, unicas: 2, ok: 2, errores: 2, omitidas: 0 });
+  });
+
+  test('si alObtener devuelve false, las que faltan quedan OMITIDA', async () => {
+    const consultar = consultaFalsa();
+    const { resultados, resumen } = await consultarLote(['AAAA11', 'BBBB22', 'CCCC33', 'DDDD44'], consultar, {
+      concurrencia: 1,
+      pausa: 0,
+      alObtener: () => false
+    });
+
+    assert.deepEqual(consultar.llamadas, ['AAAA11']);
+    assert.deepEqual(resultados.slice(1).map(r => r.codigo), ['OMITIDA', 'OMITIDA', 'OMITIDA']);
+    assert.deepEqual(resumen, { total: 4, unicas: 4, ok: 1, errores: 0, omitidas: 3 });
+  });
+
+  test('pausa entre patentes de un carril, no después de la última', async () => {
+    const consultar = consultaFalsa({ demoras: { AAAA11: 0, BBBB22: 0 } });
+    const inicio = Date.now();
+    await consultarLote(['AAAA11', 'BBBB22'], consultar, { concurrencia: 1, pausa: 60 });
+    const duracion = Date.now() - inicio;
+
+    assert.ok(duracion >= 55 && duracion < 500, `duró ${duracion} ms`);
+  });
+});
+
+describe('leerLotes', () => {
+  test('vacío o no numérico deja el default; 0 explícito cuenta', () => {
+    assert.deepEqual(leerLotes({}), { concurrencia: 2, timeoutPatente: TIMEOUT_PATENTE_MS, pausa: 2000 });
+    assert.equal(leerLotes({ MULTIPLES_TIMEOUT_MS: '' }).timeoutPatente, TIMEOUT_PATENTE_MS);
+    assert.equal(leerLotes({ MULTIPLES_TIMEOUT_MS: 'abc' }).timeoutPatente, TIMEOUT_PATENTE_MS);
+    assert.equal(leerLotes({ MULTIPLES_TIMEOUT_MS: '0' }).timeoutPatente, 0);
+    assert.equal(leerLotes({ MULTIPLES_PAUSA_MS: ' ' }).pausa, 2000);
+    assert.equal(leerLotes({ MULTIPLES_CONCURRENCIA: '0' }).concurrencia, 1);
+  });
+});
+
+describe('resumirLote', () => {
+  test('los resultados que faltan cuentan como omitidos', () => {
+    const ok = { success: true };
+    const error = { success: false, codigo: 'TIMEOUT' };
+    assert.deepEqual(resumirLote(['AB1234', 'ab1234', 'CD5678', 'EF9012'], [ok, ok, error, null]), {
+      total: 4, unicas: 3, ok: 2, errores: 1, omitidas: 1
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests del spec OpenAPI: las salidas reales de los parsers y del
+ * normalizador deben cumplir los esquemas documentados
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SERVICIOS, buildOpenApi, validarRespuesta } = require('../lib/openapi');
+const { normalizeReport, createErrorReport, seleccionarSeccion } = require('../lib/schema');
+const { parseResultadosHtml } = require('../lib/parse-resultados');
+const { parseMultasFromHtml } = require('../lib/parse-multas');
+const { extractVehicleData } = require('../lib/extract-vehicle-data');
+const { calcularRestriccion } = require('../lib/restriccion');
+const { crearColaJobs, vistaJob } = require('../lib/jobs');
+const { crearOrquestador } = require('../lib/orquestador');
+const { crearRegistroBreakers } = require('../lib/circuit-breaker');
+
+const HTML_DIR = path.join(__dirname, 'fixtures', 'html');
+const leerFixture = nombre => fs.readFileSync(path.join(HTML_DIR, `${nombre}.html`), 'utf8');
+const serializar = valor => JSON.parse(JSON.stringify(valor));
+
+/**
+ * Todos los $ref del documento apuntan a un esquema existente
+ */
+function refsRotos(nodo, documento, rotos = []) {
+  if (Array.isArray(nodo)) {
+    nodo.forEach(item => refsRotos(item, documento, rotos));
+  } else if (nodo && typeof nodo === 'object') {
+    if (nodo.$ref) {
+      const nombre = nodo.$ref.replace('#/components/schemas/', '');
+      if (!documento.components.schemas[nombre]) rotos.push(nodo.$ref);
+    }
+    Object.values(nodo).forEach(valor => refsRotos(valor, documento, rotos));
+  }
+  return rotos;
+}
+
+describe('buildOpenApi', () => {
+  for (const servicio of Object.keys(SERVICIOS)) {
+    test(`${servicio}: documento 3.1 sin $ref rotos`, () => {
+      const documento = buildOpenApi(servicio);
+      assert.equal(documento.openapi, '3.1.0');
+      assert.ok(Object.keys(documento.paths).length > 0);
+      assert.deepEqual(refsRotos(documento, documento), []);
+    });
+  }
+
+  test('servicio desconocido', () => {
+    assert.equal(buildOpenApi('no-existe'), null);
+  });
+});
+
+describe('respuestas de los Workers contra el spec', () => {
+  const worker = buildOpenApi('cloudflare-worker');
+  const browser = buildOpenApi('cloudflare-worker-vehiculo-browser');
+  const fixturesResultados = [
+    'resultados-sin-multas',
+    'resultados-con-multas',
+    'resultados-no-encontrada',
+    'resultados-moto',
+    'resultados-secciones-faltantes',
+    'resultados-layout-cambiado',
+    'captcha'
+  ];
+
+  for (const fixture of fixturesResultados) {
+    test(`/consultar con ${fixture}`, () => {
+      const reporte = normalizeReport(parseResultadosHtml(leerFixture(fixture), 'HVCY94'), { provenance: true });
+      const errores = validarRespuesta(worker, { metodo: 'GET', ruta: '/consultar', status: 200, cuerpo: serializar(reporte) });
+      assert.deepEqual(errores, []);
+    });
+
+    test(`browser worker con ${fixture}`, () => {
+      const reporte = normalizeReport(extractVehicleData(leerFixture(fixture), 'HVCY94'));
+      const errores = validarRespuesta(browser, { metodo: 'GET', ruta: '/', status: 200, cuerpo: serializar(reporte) });
+      assert.deepEqual(errores, []);
+    });
+  }
+
+  for (const fixture of ['multas-sin-multas', 'multas-varias', 'multas-sin-encabezados', 'captcha']) {
+    test(`/consultar-patente con ${fixture}`, () => {
+      const resultado = parseMultasFromHtml(leerFixture(fixture), 'GKSB78');
+      const errores = validarRespuesta(worker, { metodo: 'GET', ruta: '/consultar-patente', status: 200, cuerpo: serializar(resultado) });
+      assert.deepEqual(errores, []);
+    });
+  }
+});
+
+describe('respuestas de la API local contra el spec', () => {
+  const api = buildOpenApi();
+
+  test('reporte fallido', () => {
+    const reporte = createErrorReport('HVCY94', 'playwright-scraper', 'Timeout');
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/consultar', status: 200, cuerpo: serializar(reporte) }), []);
+  });
+
+  test('/v1/vehiculos/{patente} y /v1/consultas', () => {
+    const reporte = serializar(normalizeReport(parseResultadosHtml(leerFixture('resultados-con-multas'), 'HVCY94')));
+    const multiple = { success: true, total: 1, resumen: { total: 1, unicas: 1, ok: 1, errores: 0, omitidas: 0 }, resultados: [reporte] };
+
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94', status: 200, cuerpo: reporte }), []);
+    assert.deepEqual(validarRespuesta(api, { metodo: 'POST', ruta: '/v1/consultas', status: 200, cuerpo: reporte }), []);
+    assert.deepEqual(validarRespuesta(api, { metodo: 'POST', ruta: '/v1/consultas', status: 200, cuerpo: multiple }), []);
+  });
+
+  test('reporte del orquestador con fuentes', async () => {
+    const orquestador = crearOrquestador({
+      proveedores: [
+        { nombre: 'a', secciones: ['propietario'], prioridad: 1, fetch: async patente => createErrorReport(patente, 'a', 'CAPTCHA detectado') },
+        { nombre: 'b', secciones: ['vehiculo', 'multas'], fetch: async patente => normalizeReport(parseResultadosHtml(leerFixture('resultados-con-multas'), patente), { source: 'b', provenance: true }) }
+      ]
+    });
+    const reporte = await orquestador.consultar('HVCY94');
+    assert.deepEqual(reporte.fuentes, { propietario: null, vehiculo: 'b', multas: 'b' });
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94', status: 200, cuerpo: serializar(reporte) }), []);
+
+    const cuerpo = serializar(seleccionarSeccion(reporte, 'propietario'));
+    assert.deepEqual(cuerpo.fuentes, { propietario: null });
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94/propietario', status: 200, cuerpo }), []);
+  });
+
+  test('reporte fusionado con conflictos', async () => {
+    const fuente = (nombre, chasis) => ({
+      nombre,
+      secciones: ['vehiculo'],
+      fetch: async patente => normalizeReport({ vehiculo: { marca: 'KIA', numeroChasis: chasis } }, { patente, source: nombre })
+    });
+    const orquestador = crearOrquestador({ proveedores: [fuente('a', 'KNADN512AB6123456'), fuente('b', 'KNADN512AB6999999')], fusionar: ['vehiculo'] });
+    const reporte = serializar(await orquestador.consultar('HVCY94'));
+    assert.equal(reporte.conflictos.length, 1);
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94', status: 200, cuerpo: reporte }), []);
+
+    const cuerpo = serializar(seleccionarSeccion(reporte, 'propietario'));
+    assert.deepEqual(cuerpo.conflictos, []);
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94/propietario', status: 200, cuerpo }), []);
+  });
+
+  test('/health y /v1/vehiculos/{patente}/multas con circuit breakers', () => {
+    const breakers = crearRegistroBreakers({ umbral: 1 });
+    breakers.de('cloudflare-worker-multas').registrar('CAPTCHA');
+    breakers.de('playwright-scraper');
+    const health = { status: 'ok', service: 'patente-scraper-api', timestamp: new Date().toISOString(), breakers: breakers.estados() };
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/health', status: 200, cuerpo: serializar(health) }), []);
+
+    const worker = buildOpenApi('cloudflare-worker-vehiculo');
+    assert.deepEqual(validarRespuesta(worker, { metodo: 'GET', ruta: '/health', status: 200, cuerpo: serializar(health) }), []);
+
+    const multas = { success: false, patente: 'HVCY94', error: breakers.de('cloudflare-worker-multas').mensaje(), codigo: 'CIRCUITO_ABIERTO', timestamp: health.timestamp };
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94/multas', status: 200, cuerpo: multas }), []);
+  });
+
+  test('/v1/vehiculos/{patente}/propietario', () => {
+    const reporte = normalizeReport(parseResultadosHtml(leerFixture('resultados-sin-multas'), 'HVCY94'), { provenance: true });
+    const cuerpo = serializar(seleccionarSeccion(reporte, 'propietario'));
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94/propietario', status: 200, cuerpo }), []);
+
+    const fallido = serializar(seleccionarSeccion(createErrorReport('HVCY94', 'playwright-scraper', 'Timeout'), 'propietario'));
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/v1/vehiculos/HVCY94/propietario', status: 200, cuerpo: fallido }), []);
+  });
+
+  test('/v1/jobs y /v1/jobs/{id}', async () => {
+    const reporte = normalizeReport(parseResultadosHtml(leerFixture('resultados-con-multas'), 'HVCY94'));
+    const cola = crearColaJobs({
+      procesar: async (patente, job, item) => {
+        // Jobs con multas: true (o creados con un CSV)
+        item.multas = { success: false, patente, error: 'Worker caído', timestamp: new Date().toISOString() };
+        return patente === 'HVCY94' ? reporte : createErrorReport(patente, 'playwright-scraper', 'Timeout');
+      }
+    });
+    const job = cola.crear({ patentes: ['HVCY94', 'GKSB78', 'JCLJ38'] });
+    assert.deepEqual(validarRespuesta(api, { metodo: 'POST', ruta: '/v1/jobs', status: 202, cuerpo: serializar(vistaJob(job)) }), []);
+
+    await cola.esperar();
+    const cuerpo = serializar(vistaJob(job));
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: `/v1/jobs/${job.id}`, status: 200, cuerpo }), []);
+    assert.deepEqual(validarRespuesta(api, { metodo: 'DELETE', ruta: `/v1/jobs/${job.id}`, status: 200, cuerpo }), []);
+  });
+
+  test('las rutas anteriores a /v1 están marcadas deprecated', () => {
+    for (const ruta of ['/consultar', '/multas', '/consultar-multiple', '/restriccion']) {
+      for (const operacion of Object.values(api.paths[ruta])) assert.equal(operacion.deprecated, true, ruta);
+    }
+    assert.equal(api.paths['/v1/vehiculos/{patente}'].get.deprecated, undefined);
+  });
+
+  test('/restriccion', () => {
+    const cuerpo = {
+      success: true,
+      patente: 'GKSB78',
+      ...calcularRestriccion({ patente: 'GKSB78', vehiculo: { tipoSello: 'VERDE', año: 2010 } }, { fecha: '2025-06-12' })
+    };
+    assert.deepEqual(validarRespuesta(api, { metodo: 'GET', ruta: '/restriccion', status: 200, cuerpo }), []);
+  });
+
+  test('detecta campos no documentados y tipos incorrectos', () => {
+    const reporte = serializar(normalizeReport(parseResultadosHtml(leerFixture('resultados-sin-multas'), 'HVCY94')));
+    reporte.vehiculo.año = '2016';
+    reporte.extra = true;
+
+    const errores = validarRespuesta(api, { metodo: 'GET', ruta: '/consultar', status: 200, cuerpo: reporte });
+    assert.ok(errores.some(e => e.includes('$.extra')), errores.join('\n'));
+    assert.ok(errores.some(e => e.includes('$.vehiculo')), errores.join('\n'));
+  });
+
+  test('rutas y status no documentados', () => {
+    assert.match(validarRespuesta(api, { metodo: 'GET', ruta: '/no-existe', status: 200, cuerpo: {} })[0], /ruta no documentada/);
+    assert.match(validarRespuesta(api, { metodo: 'GET', ruta: '/consultar', status: 418, cuerpo: {} })[0], /status 418/);
+  });
+});
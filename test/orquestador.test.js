@@ -0,0 +1,242 @@
+/**
+ * Tests del orquestador de proveedores: prioridad por sección, fallback y fuentes
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearOrquestador, leerPrioridades, leerFusion } = require('../lib/orquestador');
+const { crearRegistroBreakers } = require('../lib/circuit-breaker');
+const { SECCIONES, normalizeReport, createErrorReport } = require('../lib/schema');
+
+const TODAS = Object.keys(SECCIONES);
+
+/**
+ * Proveedor de prueba que cuenta sus llamadas; `falla` devuelve un reporte fallido
+ */
+function proveedorFalso(nombre, { secciones = TODAS, prioridad, falla = null, datos = {}, tipos } = {}) {
+  const proveedor = {
+    nombre,
+    secciones,
+    prioridad,
+    tipos,
+    llamadas: 0,
+    async fetch(patente) {
+      proveedor.llamadas++;
+      if (falla instanceof Error) throw falla;
+      if (falla) return createErrorReport(patente, nombre, falla, null, 'TIMEOUT');
+      return normalizeReport({
+        vehiculo: { marca: `MARCA ${nombre}` },
+        multas: { tiene: false, cantidad: 0 },
+        ...datos
+      }, { patente, source: nombre, provenance: true });
+    }
+  };
+  return proveedor;
+}
+
+describe('leerFusion', () => {
+  test('secciones separadas por coma o * para todas', () => {
+    assert.deepEqual(leerFusion(undefined), []);
+    assert.deepEqual(leerFusion(' vehiculo, propietario '), ['vehiculo', 'propietario']);
+    assert.deepEqual(leerFusion('*'), TODAS);
+  });
+});
+
+describe('crearOrquestador', () => {
+  test('un solo proveedor: su reporte, con fuentes en todas las secciones', async () => {
+    const orquestador = crearOrquestador({ proveedores: [proveedorFalso('a')] });
+    const reporte = await orquestador.consultar('HVCY94');
+
+    assert.equal(reporte.success, true);
+    assert.equal(reporte.source, 'a');
+    assert.equal(reporte.vehiculo.marca, 'MARCA a');
+    assert.deepEqual(reporte.fuentes, Object.fromEntries(TODAS.map(seccion => [seccion, 'a'])));
+    assert.equal('conflictos' in reporte, false);
+  });
+
+  test('si el primero falla cada sección pasa al siguiente que la cubre', async () => {
+    const a = proveedorFalso('a', { prioridad: 1, falla: 'CAPTCHA detectado' });
+    const b = proveedorFalso('b', { prioridad: 2, secciones: ['vehiculo'] });
+    const c = proveedorFalso('c', { prioridad: 3, secciones: ['multas'], datos: { multas: { tiene: true, cantidad: 2 } } });
+    const reporte = await crearOrquestador({ proveedores: [c, b, a] }).consultar('HVCY94');
+
+    assert.equal(reporte.success, true);
+    assert.equal(reporte.vehiculo.marca, 'MARCA b');
+    assert.equal(reporte.multas.cantidad, 2);
+    assert.equal(reporte.propietario, null);
+    assert.equal(reporte.source, 'b+c');
+    assert.equal(reporte.fuentes.vehiculo, 'b');
+    assert.equal(reporte.fuentes.multas, 'c');
+    assert.equal(reporte.fuentes.soap, null);
+    assert.deepEqual([a.llamadas, b.llamadas, c.llamadas], [1, 1, 1]);
+  });
+
+  test('si el primero responde la sección vacía pasa al siguiente', async () => {
+    const a = proveedorFalso('a', { prioridad: 1 });
+    const b = proveedorFalso('b', { prioridad: 2, datos: { soap: { compania: 'HDI' } } });
+    const reporte = await crearOrquestador({ proveedores: [a, b] }).consultar('HVCY94');
+
+    assert.equal(reporte.soap.compania, 'HDI');
+    assert.equal(reporte.fuentes.soap, 'b');
+    assert.equal(reporte.vehiculo.marca, 'MARCA a');
+    assert.equal(reporte.fuentes.vehiculo, 'a');
+    assert.deepEqual([a.llamadas, b.llamadas], [1, 1]);
+  });
+
+  test('si ninguno trae la sección queda null con la fuente del primero que respondió', async () => {
+    const a = proveedorFalso('a', { prioridad: 1, falla: 'Timeout' });
+    const b = proveedorFalso('b', { prioridad: 2 });
+    const c = proveedorFalso('c', { prioridad: 3 });
+    const reporte = await crearOrquestador({ proveedores: [a, b, c] }).consultar('HVCY94');
+
+    assert.equal(reporte.soap, null);
+    assert.equal(reporte.fuentes.soap, 'b');
+    assert.equal(reporte.fuentes.vehiculo, 'b');
+    assert.equal(reporte.source, 'b');
+    assert.equal(c.llamadas, 1);
+  });
+
+  test('prioridades por sección y * para las demás', async () => {
+    const a = proveedorFalso('a', { prioridad: 1 });
+    const b = proveedorFalso('b', { prioridad: 2, datos: { multas: { tiene: true, cantidad: 5 } } });
+    const orquestador = crearOrquestador({
+      proveedores: [a, b],
+      prioridades: leerPrioridades('{"multas": ["b", "a"], "propietario": [], "*": ["a"]}')
+    });
+    const reporte = await orquestador.consultar('HVCY94');
+
+    assert.equal(reporte.multas.cantidad, 5);
+    assert.equal(reporte.fuentes.multas, 'b');
+    assert.equal(reporte.fuentes.vehiculo, 'a');
+    assert.ok(!('propietario' in reporte.fuentes));
+    assert.equal(reporte.source, 'a+b');
+    assert.deepEqual(orquestador.describir().multas, ['b', 'a']);
+    assert.deepEqual(orquestador.describir().soap, ['a']);
+  });
+
+  test('advertencias y _provenance solo de las secciones que aportó cada proveedor', async () => {
+    const a = proveedorFalso('a', { prioridad: 1, secciones: ['propietario'], datos: { propietario: { rut: '12.345.678-0' } } });
+    const b = proveedorFalso('b', { prioridad: 2, datos: { propietario: { rut: '1-1' }, _provenance: { 'vehiculo.marca': { label: 'Marca', estrategia: 'celda', confianza: 'alta' } } } });
+    const reporte = await crearOrquestador({ proveedores: [a, b] }).consultar('HVCY94');
+
+    assert.equal(reporte.propietario.rut.valor, '12345678-0');
+    assert.deepEqual(reporte.advertencias.map(x => x.campo), ['propietario.rut']);
+    assert.deepEqual(Object.keys(reporte._provenance), ['vehiculo.marca']);
+    assert.equal(reporte._provenance['vehiculo.marca'].fuente, 'b');
+  });
+
+  test('si todos fallan, el error del primero con fuentes en null', async () => {
+    const error = Object.assign(new Error('Pool ocupado'), { codigo: 'POOL_OCUPADO' });
+    const a = proveedorFalso('a', { prioridad: 1, falla: error });
+    const b = proveedorFalso('b', { prioridad: 2, falla: 'Timeout' });
+    const reporte = await crearOrquestador({ proveedores: [a, b] }).consultar('HVCY94');
+
+    assert.equal(reporte.success, false);
+    assert.equal(reporte.error, 'Pool ocupado');
+    assert.equal(reporte.codigo, 'POOL_OCUPADO');
+    assert.equal(reporte.source, 'a');
+    assert.ok(Object.values(reporte.fuentes).every(fuente => fuente === null));
+  });
+
+  test('solo prueba los proveedores del tipo de búsqueda', async () => {
+    const a = proveedorFalso('a', { prioridad: 1, tipos: ['vehiculo', 'rut'] });
+    const b = proveedorFalso('b', { prioridad: 0 });
+    const reporte = await crearOrquestador({ proveedores: [a, b] }).consultar('12345678-5', { tipo: 'rut' });
+
+    assert.equal(reporte.source, 'a');
+    assert.equal(b.llamadas, 0);
+
+    const sinProveedor = await crearOrquestador({ proveedores: [b] }).consultar('X', { tipo: 'vin' });
+    assert.equal(sinProveedor.success, false);
+    assert.match(sinProveedor.error, /Ningún proveedor/);
+  });
+
+  test('configuración inválida', () => {
+    assert.throws(() => crearOrquestador({ proveedores: [{ nombre: 'a' }] }), /mal definido/);
+    assert.throws(() => crearOrquestador({ proveedores: [proveedorFalso('a'), proveedorFalso('a')] }), /repetido/);
+    assert.throws(() => crearOrquestador({ proveedores: [proveedorFalso('a')], prioridades: { multas: ['x'] } }), /desconocido/);
+    assert.throws(() => crearOrquestador({ proveedores: [proveedorFalso('a')], prioridades: { tag: ['a'] } }), /Sección desconocida/);
+    assert.throws(() => crearOrquestador({ proveedores: [proveedorFalso('a')], prioridades: { 'vehiculo.vin': ['a'] } }), /Campo desconocido/);
+    assert.throws(() => crearOrquestador({ proveedores: [proveedorFalso('a')], fusionar: ['tag'] }), /Sección desconocida en la fusión/);
+  });
+
+  test('con fusión consulta a todos y arma la sección campo por campo', async () => {
+    const a = proveedorFalso('a', { prioridad: 1, datos: { vehiculo: { marca: 'KIA', numeroChasis: 'KNADN512AB6123456' } } });
+    const b = proveedorFalso('b', {
+      prioridad: 2,
+      secciones: ['propietario', 'vehiculo'],
+      datos: {
+        propietario: { rut: '12.345.678-5' },
+        vehiculo: { marca: 'Kia', color: 'ROJO', numeroChasis: 'KNADN512AB6999999' },
+        _provenance: { 'vehiculo.color': { label: 'color', estrategia: 'api', confianza: 'alta' } }
+      }
+    });
+    const c = proveedorFalso('c', { prioridad: 3, secciones: ['vehiculo'], falla: 'Sin respuesta' });
+    const reporte = await crearOrquestador({ proveedores: [a, b, c], fusionar: ['vehiculo'] }).consultar('HVCY94');
+
+    assert.deepEqual([a.llamadas, b.llamadas, c.llamadas], [1, 1, 1]);
+    assert.equal(reporte.source, 'a+b');
+    assert.equal(reporte.vehiculo.marca, 'KIA');
+    assert.equal(reporte.vehiculo.color, 'ROJO');
+    assert.equal(reporte.vehiculo.numeroChasis, 'KNADN512AB6123456');
+    assert.equal(reporte._provenance['vehiculo.color'].fuente, 'b');
+    // propietario no se fusiona: a la trae vacía y se toma la de b
+    assert.equal(reporte.propietario.rut.valor, '12345678-5');
+    assert.equal(reporte.fuentes.propietario, 'b');
+    assert.equal(reporte.fuentes.vehiculo, 'a+b');
+    assert.deepEqual(reporte.conflictos, [{
+      campo: 'vehiculo.numeroChasis',
+      elegido: 'a',
+      valores: [{ fuente: 'a', valor: 'KNADN512AB6123456' }, { fuente: 'b', valor: 'KNADN512AB6999999' }]
+    }]);
+  });
+
+  test('con fusión y una sola fuente: conflictos vacío y prioridad por campo', async () => {
+    const a = proveedorFalso('a', { prioridad: 1, datos: { vehiculo: { marca: 'KIA', color: 'AZUL' } } });
+    const b = proveedorFalso('b', { prioridad: 2, secciones: ['vehiculo'], datos: { vehiculo: { marca: 'KIA', color: 'ROJO' } } });
+    const orquestador = crearOrquestador({ proveedores: [a, b], prioridades: { 'vehiculo.color': ['b'] }, fusionar: ['vehiculo'] });
+
+    const reporte = await orquestador.consultar('HVCY94');
+    assert.equal(reporte.vehiculo.color, 'ROJO');
+    assert.equal(reporte.fuentes.vehiculo, 'a+b');
+    assert.deepEqual(reporte.conflictos.map(c => [c.campo, c.elegido]), [['vehiculo.color', 'b']]);
+
+    const soloA = await crearOrquestador({ proveedores: [a], fusionar: ['vehiculo'] }).consultar('HVCY94');
+    assert.equal(soloA.fuentes.vehiculo, 'a');
+    assert.deepEqual(soloA.conflictos, []);
+  });
+
+  test('con el circuito abierto no consulta al proveedor y pasa al siguiente', async () => {
+    const breakers = crearRegistroBreakers({ umbral: 2 });
+    const a = proveedorFalso('a', { prioridad: 1, falla: 'Sin respuesta' });
+    const b = proveedorFalso('b', { prioridad: 2 });
+    const orquestador = crearOrquestador({ proveedores: [a, b], breakers });
+    assert.deepEqual(breakers.estados().map(e => [e.nombre, e.estado]), [['a', 'cerrado'], ['b', 'cerrado']]);
+
+    await orquestador.consultar('HVCY94');
+    await orquestador.consultar('HVCY94');
+    assert.equal(breakers.de('a').estado().estado, 'abierto');
+    assert.equal(breakers.de('a').estado().ultimoMotivo, 'TIMEOUT');
+
+    const reporte = await orquestador.consultar('HVCY94');
+    assert.equal(a.llamadas, 2);
+    assert.equal(reporte.source, 'b');
+    assert.equal(breakers.de('a').estado().rechazadas, 1);
+    assert.equal(breakers.de('b').estado().fallasSeguidas, 0);
+  });
+
+  test('circuito abierto en el único proveedor: error CIRCUITO_ABIERTO', async () => {
+    const breakers = crearRegistroBreakers({ umbral: 1 });
+    const orquestador = crearOrquestador({
+      proveedores: [proveedorFalso('a', { falla: Object.assign(new Error('Boostr: Too many requests'), { codigo: 'LIMITE_TASA' }) })],
+      breakers
+    });
+    assert.equal((await orquestador.consultar('HVCY94')).codigo, 'LIMITE_TASA');
+
+    const reporte = await orquestador.consultar('HVCY94');
+    assert.equal(reporte.success, false);
+    assert.equal(reporte.codigo, 'CIRCUITO_ABIERTO');
+    assert.match(reporte.error, /Circuito abierto para a después de 1 fallas seguidas \(LIMITE_TASA\)/);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests golden de los parsers de HTML de PatenteChile
+ * Cada caso parsea una página guardada en test/fixtures/html y compara el
+ * resultado contra test/fixtures/expected/<parser>/<fixture>.json.
+ *
+ * Tras un cambio intencional en un parser, regenerar los esperados con:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseResultadosHtml } = require('../lib/parse-resultados');
+const { parseMultasFromHtml } = require('../lib/parse-multas');
+const { extractVehicleData } = require('../lib/extract-vehicle-data');
+
+const HTML_DIR = path.join(__dirname, 'fixtures', 'html');
+const EXPECTED_DIR = path.join(__dirname, 'fixtures', 'expected');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// Patente consultada en cada página guardada
+const PATENTES = {
+  'resultados-sin-multas': 'HVCY94',
+  'resultados-con-multas': 'GKSB78',
+  'resultados-no-encontrada': 'ZZZZ99',
+  'resultados-moto': 'JKT47',
+  'resultados-secciones-faltantes': 'CL4521',
+  'resultados-layout-cambiado': 'HVCY94',
+  'multas-sin-multas': 'HVCY94',
+  'multas-varias': 'GKSB78',
+  'multas-sin-encabezados': 'JKT47',
+  'multas-estados': 'FKRT21',
+  'multas-encabezados-ambiguos': 'DRLZ16',
+  'captcha': 'HVCY94'
+};
+
+const FIXTURES_RESULTADOS = [
+  'resultados-sin-multas',
+  'resultados-con-multas',
+  'resultados-no-encontrada',
+  'resultados-moto',
+  'resultados-secciones-faltantes',
+  'resultados-layout-cambiado',
+  'captcha'
+];
+
+const PARSERS = {
+  'parse-resultados': { parse: parseResultadosHtml, fixtures: FIXTURES_RESULTADOS },
+  'extract-vehicle-data': { parse: extractVehicleData, fixtures: FIXTURES_RESULTADOS },
+  'parse-multas': {
+    parse: parseMultasFromHtml,
+    fixtures: ['multas-sin-multas', 'multas-varias', 'multas-sin-encabezados', 'multas-estados', 'multas-encabezados-ambiguos', 'captcha']
+  }
+};
+
+/**
+ * Llevar el resultado a lo que se serializa en la respuesta, sin los campos
+ * que cambian en cada ejecución
+ */
+function sinCamposVolatiles(resultado) {
+  const { timestamp, ...resto } = JSON.parse(JSON.stringify(resultado));
+  return resto;
+}
+
+for (const [nombreParser, { parse, fixtures }] of Object.entries(PARSERS)) {
+  describe(nombreParser, () => {
+    for (const fixture of fixtures) {
+      test(fixture, () => {
+        const html = fs.readFileSync(path.join(HTML_DIR, `${fixture}.html`), 'utf8');
+        const actual = sinCamposVolatiles(parse(html, PATENTES[fixture]));
+        const expectedPath = path.join(EXPECTED_DIR, nombreParser, `${fixture}.json`);
+
+        if (UPDATE_GOLDEN) {
+          fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+          fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+          return;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        assert.deepStrictEqual(actual, expected);
+      });
+    }
+  });
+}
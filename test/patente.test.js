@@ -0,0 +1,105 @@
+/**
+ * Tests de validación y normalización de patentes
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizePatente, digitoVerificador, validarPatente, errorPatenteInvalida, validarPatenteWorker } = require('../lib/patente');
+
+describe('normalizePatente', () => {
+  test('quita separadores y espacios y pasa a mayúsculas', () => {
+    assert.equal(normalizePatente('hv-cy 94'), 'HVCY94');
+    assert.equal(normalizePatente('HV·CY·94'), 'HVCY94');
+    assert.equal(normalizePatente(' ab.12.34 '), 'AB1234');
+  });
+
+  test('devuelve string vacío si no es string', () => {
+    assert.equal(normalizePatente(undefined), '');
+    assert.equal(normalizePatente(123456), '');
+  });
+});
+
+describe('validarPatente', () => {
+  const validas = [
+    ['hv-cy 94', 'HVCY94', 'auto-nuevo', 'HV·CY·94'],
+    ['ab1234', 'AB1234', 'auto-antiguo', 'AB·12·34'],
+    ['BCD-12', 'BCD12', 'moto-nueva', 'BCD·12'],
+    ['ab 123', 'AB123', 'moto-antigua', 'AB·123']
+  ];
+
+  for (const [input, patente, formato, formateada] of validas) {
+    test(`acepta "${input}" como ${formato}`, () => {
+      const resultado = validarPatente(input);
+      assert.equal(resultado.valida, true);
+      assert.equal(resultado.patente, patente);
+      assert.equal(resultado.formato, formato);
+      assert.equal(resultado.formateada, formateada);
+      assert.match(resultado.digitoVerificador, /^[0-9K]$/);
+    });
+  }
+
+  test('rechaza vacío y null', () => {
+    assert.equal(validarPatente('').valida, false);
+    assert.equal(validarPatente('   ').valida, false);
+    assert.equal(validarPatente(null).valida, false);
+  });
+
+  test('rechaza caracteres inválidos', () => {
+    const resultado = validarPatente('HVCY9!');
+    assert.equal(resultado.valida, false);
+    assert.match(resultado.error, /caracteres inválidos/);
+  });
+
+  test('rechaza vocales en el formato nuevo', () => {
+    assert.equal(validarPatente('AEIO12').valida, false);
+  });
+
+  test('rechaza largos que no calzan con ningún formato', () => {
+    assert.equal(validarPatente('HVCY945').valida, false);
+    assert.equal(validarPatente('H1').valida, false);
+  });
+});
+
+describe('digitoVerificador', () => {
+  // Calculados a mano: letras con VALOR_LETRA, factores 2..7 desde la derecha y 11 - (suma % 11)
+  const casos = [
+    ['HVCY94', '5'], // H6·7 + V5·6 + C2·5 + Y8·4 + 9·3 + 4·2 = 149; 149 % 11 = 6
+    ['AB1234', '1'], // A1·7 + B1·6 + 1·5 + 2·4 + 3·3 + 4·2 = 43; 43 % 11 = 10
+    ['BCD12', '9'], //  B1·6 + C2·5 + D3·4 + 1·3 + 2·2 = 35; 35 % 11 = 2
+    ['BBBB14', '0'], // 7 + 6 + 5 + 4 + 1·3 + 4·2 = 33; 33 % 11 = 0 → 11 → 0
+    ['ZZ9999', 'K'] //  Z9·7 + Z9·6 + 9·5 + 9·4 + 9·3 + 9·2 = 243; 243 % 11 = 1 → 10 → K
+  ];
+
+  for (const [patente, dv] of casos) {
+    test(`${patente} → ${dv}`, () => {
+      assert.equal(digitoVerificador(patente), dv);
+    });
+  }
+
+  test('las motos antiguas se completan con 0', () => {
+    assert.equal(digitoVerificador('AB123'), '4');
+    assert.equal(digitoVerificador('AB123'), digitoVerificador('AB0123'));
+  });
+});
+
+describe('errores de patente', () => {
+  test('la API y los Workers responden el mismo 400', async () => {
+    const { respuesta } = validarPatenteWorker('hv-cy 9!', { 'Access-Control-Allow-Origin': '*' });
+    assert.equal(respuesta.status, 400);
+    assert.equal(respuesta.headers.get('Access-Control-Allow-Origin'), '*');
+    const cuerpo = await respuesta.json();
+    assert.deepEqual({ ...cuerpo, timestamp: null }, { ...errorPatenteInvalida('hv-cy 9!', validarPatente('hv-cy 9!')), timestamp: null });
+    assert.equal(cuerpo.success, false);
+    assert.match(cuerpo.error, /caracteres inválidos/);
+    assert.equal(cuerpo.codigo, 'ERROR');
+
+    const vacia = errorPatenteInvalida('', validarPatente(''));
+    assert.equal(vacia.error, 'Patente es requerida');
+    assert.equal(vacia.patente, null);
+  });
+
+  test('una patente válida se devuelve normalizada', () => {
+    assert.deepEqual(validarPatenteWorker('hv-cy 94'), { patente: 'HVCY94' });
+  });
+});
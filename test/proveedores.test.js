@@ -0,0 +1,104 @@
+/**
+ * Tests de los proveedores HTTP contra un Worker simulado en localhost
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { proveedorWorkerReporte, proveedorWorkerMultas } = require('../lib/proveedores');
+const { normalizeReport } = require('../lib/schema');
+
+// Respuestas del Worker simulado por patente
+const RESPUESTAS = {
+  HVCY94: [200, normalizeReport({ vehiculo: { marca: 'KIA' } }, { patente: 'HVCY94', source: 'cloudflare-worker-vehiculo' })],
+  VIEJ01: [200, { success: true, patente: 'VIEJ01', vehiculo: { marca: 'KIA', año: '2016' } }],
+  CAPT01: [403, { error: 'CAPTCHA detectado en respuesta', message: 'El sitio está mostrando un CAPTCHA' }],
+  ERRO01: [500, { success: false, error: 'Error al consultar vehículo', message: 'fetch failed' }],
+  LIMI01: [429, { error: 'Demasiadas solicitudes', message: 'Límite de 10 solicitudes por minuto' }],
+  ABIE01: [503, { success: false, error: 'Circuito abierto en todos los endpoints de PatenteChile', codigo: 'CIRCUITO_ABIERTO' }],
+  MULT01: [200, { patente: 'MULT01', tieneMultas: true, cantidadMultas: 2, mensaje: 'Se encontraron 2 multas', multas: [] }]
+};
+
+let servidor;
+let url;
+const pedidas = [];
+
+before(async () => {
+  servidor = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    pedidas.push(`${pathname}?${searchParams}`);
+    const patente = searchParams.get('patente');
+    if (patente === 'LENTA1') return; // nunca responde
+    const [status, cuerpo] = RESPUESTAS[patente] || [404, { error: 'Patente no encontrada' }];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(cuerpo));
+  });
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => {
+  servidor.closeAllConnections();
+  servidor.close();
+});
+
+describe('proveedorWorkerReporte', () => {
+  test('entrega el reporte canónico del Worker', async () => {
+    const proveedor = proveedorWorkerReporte({ nombre: 'cloudflare-worker-vehiculo', url, ruta: '/consultar' });
+    const reporte = await proveedor.fetch('HVCY94');
+
+    assert.equal(reporte.success, true);
+    assert.equal(reporte.vehiculo.marca, 'KIA');
+    assert.equal(pedidas.at(-1), '/consultar?patente=HVCY94&provenance=1');
+  });
+
+  test('un reporte fuera del esquema (Worker de otra versión) se normaliza', async () => {
+    const reporte = await proveedorWorkerReporte({ nombre: 'w', url }).fetch('VIEJ01');
+
+    assert.equal(reporte.vehiculo.año, 2016);
+    assert.equal(reporte.soap, null);
+    assert.deepEqual(reporte.advertencias, []);
+    assert.equal(reporte.source, 'w');
+  });
+
+  test('CAPTCHA, error y patente no encontrada como reportes fallidos', async () => {
+    const proveedor = proveedorWorkerReporte({ nombre: 'w', url, base: 10 });
+
+    const captcha = await proveedor.fetch('CAPT01');
+    assert.equal(captcha.success, false);
+    assert.equal(captcha.error, 'CAPTCHA detectado en respuesta');
+    assert.equal(captcha.codigo, 'CAPTCHA');
+    assert.equal(captcha.source, 'w');
+
+    assert.equal((await proveedor.fetch('ERRO01')).mensaje, 'fetch failed');
+    assert.equal((await proveedor.fetch('NOEX01')).codigo, 'NO_ENCONTRADA');
+
+    // El 500 se reintentó (MAX_RETRIES por defecto: 3); el CAPTCHA y el 404 no
+    const veces = patente => pedidas.filter(p => p.includes(`patente=${patente}&`)).length;
+    assert.deepEqual([veces('CAPT01'), veces('ERRO01'), veces('NOEX01')], [1, 4, 1]);
+  });
+
+  test('429 y circuito abierto del Worker con su codigo', async () => {
+    const proveedor = proveedorWorkerReporte({ nombre: 'w', url });
+    assert.equal((await proveedor.fetch('LIMI01')).codigo, 'LIMITE_TASA');
+    assert.equal((await proveedor.fetch('ABIE01')).codigo, 'CIRCUITO_ABIERTO');
+  });
+
+  test('sin respuesta a tiempo falla con codigo TIMEOUT', async () => {
+    const proveedor = proveedorWorkerReporte({ nombre: 'w', url, timeout: 50 });
+    await assert.rejects(proveedor.fetch('LENTA1'), error => error.codigo === 'TIMEOUT');
+  });
+});
+
+describe('proveedorWorkerMultas', () => {
+  test('traduce la respuesta del Worker de multas a la sección multas', async () => {
+    const reporte = await proveedorWorkerMultas({ url }).fetch('MULT01');
+
+    assert.equal(reporte.success, true);
+    assert.equal(reporte.source, 'cloudflare-worker-multas');
+    assert.deepEqual(reporte.multas, { tiene: true, cantidad: 2, mensaje: 'Se encontraron 2 multas' });
+    assert.equal(reporte.vehiculo, null);
+    assert.equal(pedidas.at(-1), '/consultar-patente?patente=MULT01');
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Tests del limitador de tasa (token bucket) y del wrapper de los Workers
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PERFILES,
+  crearAlmacenMemoria,
+  crearAlmacenKV,
+  leerLimites,
+  limitesDeRuta,
+  crearLimitador,
+  limitarPeticion,
+  encabezadosLimite,
+  conLimiteDeTasa
+} = require('../lib/rate-limit');
+
+const LIMITE = { capacidad: 2, periodo: 60 };
+
+/**
+ * Limitador con reloj manual
+ */
+function limitadorDePrueba() {
+  const reloj = { t: 1_000_000 };
+  const limitador = crearLimitador({ almacen: crearAlmacenMemoria(), ahora: () => reloj.t });
+  return { reloj, limitador };
+}
+
+/**
+ * Namespace de KV en memoria con la interfaz de get/put que usa el almacén
+ */
+function kvFalso() {
+  const datos = new Map();
+  return {
+    datos,
+    async get(clave, { type }) {
+      assert.equal(type, 'json');
+      return datos.has(clave) ? JSON.parse(datos.get(clave).valor) : null;
+    },
+    async put(clave, valor, opciones) {
+      datos.set(clave, { valor, opciones });
+    }
+  };
+}
+
+describe('crearLimitador', () => {
+  test('consume fichas hasta vaciar el balde', async () => {
+    const { limitador } = limitadorDePrueba();
+
+    assert.deepEqual(await limitador.consumir('a', LIMITE), { permitido: true, limite: 2, restantes: 1, reset: 30, reintentarEn: 0 });
+    assert.equal((await limitador.consumir('a', LIMITE)).restantes, 0);
+
+    const rechazo = await limitador.consumir('a', LIMITE);
+    assert.equal(rechazo.permitido, false);
+    assert.equal(rechazo.reintentarEn, 30);
+    assert.equal(rechazo.reset, 60);
+  });
+
+  test('se recarga con el tiempo sin pasar la capacidad', async () => {
+    const { reloj, limitador } = limitadorDePrueba();
+    await limitador.consumir('a', LIMITE);
+    await limitador.consumir('a', LIMITE);
+
+    reloj.t += 30_000;
+    assert.equal((await limitador.consumir('a', LIMITE)).permitido, true);
+
+    reloj.t += 3_600_000;
+    assert.equal((await limitador.consumir('a', LIMITE)).restantes, 1);
+  });
+
+  test('cada clave tiene su balde', async () => {
+    const { limitador } = limitadorDePrueba();
+    await limitador.consumir('a', LIMITE);
+    await limitador.consumir('a', LIMITE);
+    assert.equal((await limitador.consumir('b', LIMITE)).permitido, true);
+  });
+});
+
+describe('configuración', () => {
+  test('perfil por defecto y balde compartido por perfil', () => {
+    assert.deepEqual(limitesDeRuta({}, '/v1/consultas', 'navegador'), { grupo: 'navegador', ...PERFILES.navegador });
+  });
+
+  test('RATE_LIMITS ajusta un perfil o una ruta, que pasa a tener su balde', () => {
+    const config = leerLimites(JSON.stringify({
+      navegador: { key: null },
+      '/v1/consultas': { ip: { capacidad: 1, periodo: 300 } }
+    }));
+
+    assert.deepEqual(limitesDeRuta(config, '/v1/vehiculos/:patente', 'navegador'), {
+      grupo: 'navegador', ip: PERFILES.navegador.ip, key: null
+    });
+    assert.deepEqual(limitesDeRuta(config, '/v1/consultas', 'navegador'), {
+      grupo: '/v1/consultas', ip: { capacidad: 1, periodo: 300 }, key: null
+    });
+    assert.deepEqual(leerLimites(undefined), {});
+  });
+
+  test('RATE_LIMITS mal escrito falla con el motivo', () => {
+    const casos = [
+      ['{navegador:', /no es JSON válido/],
+      ['[]', /debe ser un objeto/],
+      [JSON.stringify({ navegadr: { ip: null } }), /"navegadr" no es un perfil/],
+      [JSON.stringify({ navegador: { ip: { capacidad: 3, porMinuto: 60 } } }), /navegador\.ip debe ser \{ capacidad, periodo \}/],
+      [JSON.stringify({ normal: { ip: { capacidad: 0, periodo: 60 } } }), /normal\.ip/],
+      [JSON.stringify({ normal: { ip: { capacidad: '30', periodo: 60 } } }), /normal\.ip/],
+      [JSON.stringify({ '/v1/consultas': { cliente: null } }), /cliente desconocido/]
+    ];
+    for (const [texto, mensaje] of casos) {
+      assert.throws(() => leerLimites(texto), mensaje, texto);
+    }
+  });
+
+  test('ruta null: solo el perfil', () => {
+    const config = leerLimites(JSON.stringify({ '/v1/consultas': { ip: { capacidad: 1, periodo: 300 } } }));
+    assert.deepEqual(limitesDeRuta(config, null, 'normal'), { grupo: 'normal', ...PERFILES.normal });
+  });
+});
+
+describe('limitarPeticion', () => {
+  const limites = { grupo: 'g', ip: LIMITE, key: { capacidad: 1, periodo: 60 } };
+
+  test('el resultado es el del último balde revisado', async () => {
+    const { limitador } = limitadorDePrueba();
+    const resultado = await limitarPeticion(limitador, limites, { ip: '1.2.3.4', key: 'cobranza' });
+    assert.equal(resultado.limite, 1);
+    assert.equal(resultado.restantes, 0);
+  });
+
+  test('si la IP rechaza no se descuenta de la key', async () => {
+    const { limitador } = limitadorDePrueba();
+    await limitarPeticion(limitador, limites, { ip: '1.2.3.4' });
+    await limitarPeticion(limitador, limites, { ip: '1.2.3.4' });
+
+    const rechazo = await limitarPeticion(limitador, limites, { ip: '1.2.3.4', key: 'cobranza' });
+    assert.equal(rechazo.permitido, false);
+    assert.equal(rechazo.limite, 2);
+    assert.equal((await limitarPeticion(limitador, limites, { key: 'cobranza' })).permitido, true);
+  });
+
+  test('sin límites que apliquen devuelve null', async () => {
+    const { limitador } = limitadorDePrueba();
+    assert.equal(await limitarPeticion(limitador, { grupo: 'g', ip: null }, { ip: '1.2.3.4' }), null);
+  });
+
+  test('headers', () => {
+    assert.deepEqual(encabezadosLimite({ permitido: false, limite: 3, restantes: 0, reset: 60, reintentarEn: 20 }), {
+      'X-RateLimit-Limit': '3',
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': '60',
+      'Retry-After': '20'
+    });
+  });
+});
+
+describe('almacenes', () => {
+  test('memoria descarta entradas vencidas', async () => {
+    const almacen = crearAlmacenMemoria();
+    await almacen.guardar('a', { fichas: 1 }, 60);
+    await almacen.guardar('b', { fichas: 1 }, 0);
+    assert.deepEqual(await almacen.leer('a'), { fichas: 1 });
+    assert.equal(await almacen.leer('b'), null);
+  });
+
+  test('KV guarda JSON con expiración mínima de 60 s', async () => {
+    const kv = kvFalso();
+    const almacen = crearAlmacenKV(kv);
+    await almacen.guardar('a', { fichas: 1.5, actualizado: 1 }, 10);
+    assert.deepEqual(kv.datos.get('a').opciones, { expirationTtl: 60 });
+    assert.deepEqual(await almacen.leer('a'), { fichas: 1.5, actualizado: 1 });
+  });
+});
+
+describe('conLimiteDeTasa', () => {
+  const worker = conLimiteDeTasa({
+    async fetch() {
+      return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+    }
+  }, { perfil: 'navegador' });
+
+  const peticion = ip => new Request('https://worker.test/?patente=HVCY94', { headers: { 'CF-Connecting-IP': ip } });
+
+  test('agrega X-RateLimit-* y responde 429 al agotar el balde', async () => {
+    const env = { RATE_LIMIT_KV: kvFalso() };
+    const { capacidad } = PERFILES.navegador.ip;
+
+    for (let i = 0; i < capacidad; i++) {
+      const response = await worker.fetch(peticion('10.0.0.1'), env);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('X-RateLimit-Remaining'), String(capacidad - i - 1));
+    }
+
+    const rechazo = await worker.fetch(peticion('10.0.0.1'), env);
+    assert.equal(rechazo.status, 429);
+    assert.ok(Number(rechazo.headers.get('Retry-After')) > 0);
+    assert.equal((await rechazo.json()).error, 'Demasiadas peticiones');
+
+    assert.equal((await worker.fetch(peticion('10.0.0.2'), env)).status, 200);
+  });
+
+  test('RATE_LIMITS ajusta la ruta del Worker', async () => {
+    const env = { RATE_LIMITS: JSON.stringify({ '/': { ip: { capacidad: 1, periodo: 60 } } }) };
+    assert.equal((await worker.fetch(peticion('10.0.0.3'), env)).status, 200);
+    assert.equal((await worker.fetch(peticion('10.0.0.3'), env)).status, 429);
+  });
+
+  test('RATE_LIMITS inválido: 500 con el motivo, sin llamar al Worker', async () => {
+    let llamadas = 0;
+    const contado = conLimiteDeTasa({ async fetch() { llamadas++; return new Response('{}'); } }, { perfil: 'normal' });
+    const env = { RATE_LIMITS: JSON.stringify({ normal: { ip: { capacidad: 3, porMinuto: 60 } } }) };
+
+    const response = await contado.fetch(peticion('10.0.0.5'), env);
+    assert.equal(response.status, 500);
+    assert.match((await response.json()).message, /normal\.ip/);
+    assert.equal(llamadas, 0);
+  });
+
+  test('perfil según la petición', async () => {
+    const porPatente = conLimiteDeTasa({ async fetch() { return new Response('{}'); } }, {
+      perfil: request => (new URL(request.url).searchParams.get('patente') === 'HVCY94' ? 'navegador' : 'normal')
+    });
+    const env = {};
+    const invalida = new Request('https://worker.test/?patente=X', { headers: { 'CF-Connecting-IP': '10.0.0.6' } });
+
+    assert.equal((await porPatente.fetch(invalida, env)).headers.get('X-RateLimit-Limit'), String(PERFILES.normal.ip.capacidad));
+    assert.equal((await porPatente.fetch(peticion('10.0.0.6'), env)).headers.get('X-RateLimit-Limit'), String(PERFILES.navegador.ip.capacidad));
+  });
+
+  test('OPTIONS no consume', async () => {
+    const env = { RATE_LIMITS: JSON.stringify({ navegador: { ip: { capacidad: 1, periodo: 60 } } }) };
+    const preflight = new Request('https://worker.test/', { method: 'OPTIONS', headers: { 'CF-Connecting-IP': '10.0.0.4' } });
+    await worker.fetch(preflight, env);
+    assert.equal((await worker.fetch(peticion('10.0.0.4'), env)).status, 200);
+  });
+});
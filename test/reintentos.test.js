@@ -0,0 +1,168 @@
+/**
+ * Tests de los reintentos: backoff, qué se reintenta, timeouts y plazo
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { leerReintentos, esReintentable, espera, conReintentos, fetchConReintentos } = require('../lib/reintentos');
+
+// Backoff corto y sin azar para que los tests no esperen
+const RAPIDO = { base: 10, tope: 40, aleatorio: () => 1 };
+
+const esperar = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('leerReintentos', () => {
+  test('MAX_RETRIES, TIMEOUT_MS y DEADLINE_MS con sus defaults', () => {
+    assert.deepEqual(leerReintentos({}), { maxReintentos: 3, timeout: 30000, plazo: 60000 });
+    assert.deepEqual(leerReintentos({ MAX_RETRIES: '1', TIMEOUT_MS: '5000' }), { maxReintentos: 1, timeout: 5000, plazo: 10000 });
+    assert.deepEqual(leerReintentos({ MAX_RETRIES: '0', TIMEOUT_MS: 'x', DEADLINE_MS: '0' }), { maxReintentos: 0, timeout: 30000, plazo: 0 });
+  });
+});
+
+describe('esReintentable', () => {
+  test('timeouts, 5xx y errores de red o navegación', () => {
+    assert.equal(esReintentable(Object.assign(new Error('Timeout 30000ms exceeded'), { name: 'TimeoutError' })), true);
+    assert.equal(esReintentable({ codigo: 'TIMEOUT' }), true);
+    assert.equal(esReintentable({ status: 502 }), true);
+    assert.equal(esReintentable(new Error('page.goto: NS_ERROR_NET_RESET')), true);
+    assert.equal(esReintentable(new Error('net::ERR_CONNECTION_RESET at https://www.patentechile.com/')), true);
+    assert.equal(esReintentable(new TypeError('fetch failed', { cause: Object.assign(new Error('connect'), { code: 'ECONNREFUSED' }) })), true);
+  });
+
+  test('nunca una patente no encontrada, un CAPTCHA o un 429', () => {
+    assert.equal(esReintentable({ status: 404 }), false);
+    assert.equal(esReintentable({ status: 500, codigo: 'NO_ENCONTRADA' }), false);
+    assert.equal(esReintentable({ status: 503, codigo: 'CIRCUITO_ABIERTO' }), false);
+    assert.equal(esReintentable({ status: 429 }), false);
+    assert.equal(esReintentable(Object.assign(new Error('CAPTCHA detectado'), { codigo: 'CAPTCHA' })), false);
+    assert.equal(esReintentable(new Error('Cannot read properties of null')), false);
+  });
+});
+
+describe('espera', () => {
+  test('exponencial con tope y jitter entre la mitad y el total', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(n => espera(n, { aleatorio: () => 1 })), [500, 1000, 2000, 4000, 8000, 8000]);
+    assert.deepEqual([1, 2, 3].map(n => espera(n, { aleatorio: () => 0 })), [250, 500, 1000]);
+  });
+});
+
+describe('conReintentos', () => {
+  test('reintenta una falla transitoria hasta que responde', async () => {
+    const reintentos = [];
+    let llamadas = 0;
+    const resultado = await conReintentos(async () => {
+      llamadas++;
+      if (llamadas < 3) throw new Error('fetch failed');
+      return 'ok';
+    }, { ...RAPIDO, alReintentar: (falla, numero, ms) => reintentos.push([falla.message, numero, ms]) });
+
+    assert.equal(resultado, 'ok');
+    assert.deepEqual(reintentos, [['fetch failed', 1, 10], ['fetch failed', 2, 20]]);
+  });
+
+  test('no reintenta lo que no es transitorio', async () => {
+    let llamadas = 0;
+    await assert.rejects(conReintentos(async () => {
+      llamadas++;
+      throw Object.assign(new Error('No se encontraron resultados'), { codigo: 'NO_ENCONTRADA' });
+    }, RAPIDO), { codigo: 'NO_ENCONTRADA', intentos: 1 });
+    assert.equal(llamadas, 1);
+  });
+
+  test('después de MAX_RETRIES entrega el último error', async () => {
+    let llamadas = 0;
+    await assert.rejects(conReintentos(async () => {
+      llamadas++;
+      throw new Error(`ECONNRESET ${llamadas}`);
+    }, { ...RAPIDO, maxReintentos: 2 }), { message: 'ECONNRESET 3', intentos: 3 });
+    assert.equal(llamadas, 3);
+  });
+
+  test('resultados con reintentarSi: el último si todos fallan', async () => {
+    const estados = [503, 500, 502];
+    const resultado = await conReintentos(async () => ({ status: estados.shift() }), {
+      ...RAPIDO,
+      maxReintentos: 2,
+      reintentarSi: r => r.status >= 500
+    });
+    assert.deepEqual(resultado, { status: 502 });
+  });
+
+  test('un intento que se pasa de tiempo se aborta y se reintenta como timeout', async () => {
+    const senales = [];
+    const resultado = await conReintentos(async (signal, numero) => {
+      senales.push(signal);
+      if (numero === 1) await new Promise(() => {}); // nunca responde
+      return 'ok';
+    }, { ...RAPIDO, timeout: 30, plazo: 1000 });
+
+    assert.equal(resultado, 'ok');
+    assert.equal(senales[0].aborted, true);
+    assert.equal(senales[0].reason.codigo, 'TIMEOUT');
+    assert.equal(senales[1].aborted, false);
+  });
+
+  test('se rinde cuando la próxima espera no cabe en el plazo', async () => {
+    let llamadas = 0;
+    const inicio = Date.now();
+    await assert.rejects(conReintentos(async () => {
+      llamadas++;
+      throw new Error('socket hang up');
+    }, { base: 40, tope: 40, aleatorio: () => 1, maxReintentos: 10, timeout: 0, plazo: 100 }), { intentos: 3 });
+
+    assert.equal(llamadas, 3);
+    assert.ok(Date.now() - inicio < 200, `${Date.now() - inicio} ms`);
+  });
+
+  test('abortar la señal externa corta la espera sin reintentar', async () => {
+    const controlador = new AbortController();
+    let llamadas = 0;
+    const consulta = conReintentos(async () => {
+      llamadas++;
+      throw new Error('fetch failed');
+    }, { base: 1000, signal: controlador.signal });
+
+    await esperar(20);
+    controlador.abort();
+    await assert.rejects(consulta, { name: 'AbortError' });
+    assert.equal(llamadas, 1);
+  });
+});
+
+describe('fetchConReintentos', () => {
+  test('reintenta respuestas 5xx', async () => {
+    const estados = [503, 200];
+    const servidor = http.createServer((req, res) => res.writeHead(estados.shift()).end());
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    try {
+      const respuesta = await fetchConReintentos(`http://127.0.0.1:${servidor.address().port}/`, {}, RAPIDO);
+      assert.equal(respuesta.status, 200);
+      assert.equal(estados.length, 0);
+    } finally {
+      servidor.closeAllConnections();
+      servidor.close();
+    }
+  });
+
+  test('descarta el cuerpo de los 5xx que reintenta', async () => {
+    const estados = [502, 200];
+    const servidor = http.createServer((req, res) => res.writeHead(estados.shift()).end('x'.repeat(64 * 1024)));
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    const descartadas = [];
+    try {
+      const respuesta = await fetchConReintentos(`http://127.0.0.1:${servidor.address().port}/`, {}, {
+        ...RAPIDO,
+        alReintentar: falla => descartadas.push(falla)
+      });
+      assert.equal(respuesta.status, 200);
+      assert.equal(respuesta.bodyUsed, false);
+      assert.deepEqual(descartadas.map(r => [r.status, r.bodyUsed]), [[502, true]]);
+      await respuesta.arrayBuffer();
+    } finally {
+      servidor.closeAllConnections();
+      servidor.close();
+    }
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests del cálculo de restricción vehicular con el calendario del repo
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cargarCalendario, categoriaVehiculo, calcularRestriccion } = require('../lib/restriccion');
+
+const calendario = cargarCalendario();
+const SIN_SELLO = { tipoSello: 'AMARILLO', año: 1995, combustible: 'GASOLINA' };
+const VERDE_ANTIGUO = { tipoSello: 'VERDE', año: 2010, combustible: 'GASOLINA' };
+const VERDE_NUEVO = { tipoSello: 'VERDE', año: 2016, combustible: 'GASOLINA' };
+
+describe('categoriaVehiculo', () => {
+  test('clasifica por sello y año', () => {
+    assert.equal(categoriaVehiculo(SIN_SELLO, calendario).categoria, 'sin-sello-verde');
+    assert.equal(categoriaVehiculo(VERDE_ANTIGUO, calendario).categoria, 'sello-verde-antiguo');
+    assert.equal(categoriaVehiculo(VERDE_NUEVO, calendario).categoria, 'sello-verde');
+  });
+
+  test('eléctricos e híbridos quedan exentos', () => {
+    assert.equal(categoriaVehiculo({ ...SIN_SELLO, combustible: 'Eléctrico' }, calendario).categoria, 'exento');
+  });
+
+  test('sin sello no se puede clasificar', () => {
+    assert.equal(categoriaVehiculo({ año: 2016 }, calendario).categoria, null);
+    assert.equal(categoriaVehiculo({ tipoSello: 'VERDE' }, calendario).categoria, null);
+  });
+});
+
+describe('calcularRestriccion', () => {
+  test('sin sello verde según el dígito del día', () => {
+    // 2025-06-10 es martes (5-6-7-8) y 2025-06-12 jueves (3-4-5-6)
+    const martes = calcularRestriccion({ patente: 'GKSB78', vehiculo: SIN_SELLO }, { fecha: '2025-06-10', calendario });
+    assert.equal(martes.diaSemana, 'martes');
+    assert.equal(martes.ultimoDigito, 8);
+    assert.equal(martes.restringido, true);
+
+    const jueves = calcularRestriccion({ patente: 'GKSB78', vehiculo: SIN_SELLO }, { fecha: '2025-06-12', calendario });
+    assert.equal(jueves.restringido, false);
+    assert.deepEqual(jueves.digitosRestringidos, [3, 4, 5, 6]);
+  });
+
+  test('sello verde antiguo solo dentro del periodo', () => {
+    const junio = calcularRestriccion({ patente: 'GKSB78', vehiculo: VERDE_ANTIGUO }, { fecha: '2025-06-12', calendario });
+    assert.equal(junio.restringido, true);
+
+    const octubre = calcularRestriccion({ patente: 'GKSB78', vehiculo: VERDE_ANTIGUO }, { fecha: '2025-10-16', calendario });
+    assert.equal(octubre.restringido, false);
+    assert.deepEqual(octubre.digitosRestringidos, []);
+  });
+
+  test('sello verde nuevo solo en emergencia', () => {
+    const consulta = { patente: 'GKSB78', vehiculo: VERDE_NUEVO };
+    assert.equal(calcularRestriccion(consulta, { fecha: '2025-06-12', calendario }).restringido, false);
+
+    const emergencia = calcularRestriccion(consulta, { fecha: '2025-06-12', episodio: 'emergencia', calendario });
+    assert.equal(emergencia.episodio, 'emergencia');
+    assert.equal(emergencia.restringido, true);
+  });
+
+  test('usa el episodio declarado en el calendario para la fecha', () => {
+    const conEpisodio = { ...calendario, episodios: { '2025-06-12': 'preemergencia' } };
+    const resultado = calcularRestriccion({ patente: 'AB1232', vehiculo: SIN_SELLO }, { fecha: '2025-06-12', calendario: conEpisodio });
+    assert.equal(resultado.episodio, 'preemergencia');
+    assert.equal(resultado.restringido, true);
+  });
+
+  test('sin restricción en fines de semana y feriados', () => {
+    const consulta = { patente: 'GKSB78', vehiculo: SIN_SELLO };
+    assert.equal(calcularRestriccion(consulta, { fecha: '2025-06-14', calendario }).restringido, false);
+    assert.equal(calcularRestriccion(consulta, { fecha: '2025-05-21', calendario }).motivo, 'Sin restricción en feriados');
+  });
+
+  test('restringido null si faltan datos del vehículo', () => {
+    const resultado = calcularRestriccion({ patente: 'GKSB78', vehiculo: null }, { fecha: '2025-06-10', calendario });
+    assert.equal(resultado.restringido, null);
+    assert.equal(resultado.categoria, null);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests de la tabla de rutas y del parser de query string
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compilarRuta, crearRouter, parseQuery } = require('../lib/router');
+
+describe('compilarRuta', () => {
+  test('parámetros en orden y segmentos literales', () => {
+    const { regex, params } = compilarRuta('/v1/vehiculos/:patente/multas');
+    assert.deepEqual(params, ['patente']);
+    assert.equal(regex.exec('/v1/vehiculos/HVCY94/multas')[1], 'HVCY94');
+    assert.equal(regex.test('/v1/vehiculos/HVCY94'), false);
+    assert.equal(regex.test('/v1/vehiculos//multas'), false);
+  });
+
+  test('escapa caracteres especiales', () => {
+    const { regex } = compilarRuta('/openapi.json');
+    assert.equal(regex.test('/openapi.json'), true);
+    assert.equal(regex.test('/openapiXjson'), false);
+  });
+});
+
+describe('crearRouter', () => {
+  const get = () => 'get';
+  const post = () => 'post';
+  const router = crearRouter([
+    { ruta: '/v1/vehiculos/:patente', metodos: { GET: get } },
+    { ruta: '/v1/vehiculos/:patente/multas', metodos: { GET: get } },
+    { ruta: '/v1/consultas', metodos: { POST: post } }
+  ]);
+
+  test('resuelve handler y parámetros decodificados', () => {
+    const destino = router.resolver('GET', '/v1/vehiculos/AB%2012');
+    assert.equal(destino.handler, get);
+    assert.equal(destino.ruta, '/v1/vehiculos/:patente');
+    assert.deepEqual(destino.params, { patente: 'AB 12' });
+  });
+
+  test('%-encoding mal formado se entrega sin decodificar', () => {
+    assert.deepEqual(router.resolver('GET', '/v1/vehiculos/AB%E0').params, { patente: 'AB%E0' });
+  });
+
+  test('método no permitido: sin handler y con Allow', () => {
+    const destino = router.resolver('GET', '/v1/consultas');
+    assert.equal(destino.handler, null);
+    assert.deepEqual(destino.allow, ['POST']);
+  });
+
+  test('ruta inexistente', () => {
+    assert.equal(router.resolver('GET', '/v2/vehiculos/HVCY94'), null);
+    assert.equal(router.resolver('GET', '/v1/vehiculos/HVCY94/otra'), null);
+  });
+});
+
+describe('parseQuery', () => {
+  test('decodifica + como espacio y %-encoding', () => {
+    assert.deepEqual(parseQuery('/consultar?patente=HV+CY94&tipo=veh%C3%ADculo'), { patente: 'HV CY94', tipo: 'vehículo' });
+  });
+
+  test('valores que contienen =', () => {
+    assert.deepEqual(parseQuery('/x?filtro=a=b&vacio=&solo'), { filtro: 'a=b', vacio: '', solo: '' });
+  });
+
+  test('sin query string', () => {
+    assert.deepEqual(parseQuery('/health'), {});
+    assert.deepEqual(parseQuery('/health?'), {});
+  });
+
+  test('si una clave se repite gana el último valor', () => {
+    assert.deepEqual(parseQuery('/x?a=1&a=2'), { a: '2' });
+  });
+});
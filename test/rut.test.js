@@ -0,0 +1,78 @@
+/**
+ * Tests de parseo y validación de RUT
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calcularDv, parseRut, formatRut, normalizeRut } = require('../lib/rut');
+
+describe('calcularDv', () => {
+  test('calcula el dígito con módulo 11', () => {
+    assert.equal(calcularDv('12345678'), '5');
+    assert.equal(calcularDv('7654321'), '6');
+    assert.equal(calcularDv(9876543), '3');
+  });
+
+  test('entrega 0 y K en los casos borde', () => {
+    assert.equal(calcularDv('6000000'), 'K');
+    assert.equal(calcularDv('10000004'), '0');
+  });
+});
+
+describe('parseRut', () => {
+  test('acepta formatos con y sin puntos ni guion', () => {
+    assert.deepEqual(parseRut('12.345.678-5'), { cuerpo: '12345678', dv: '5' });
+    assert.deepEqual(parseRut('12345678-5'), { cuerpo: '12345678', dv: '5' });
+    assert.deepEqual(parseRut('123456785'), { cuerpo: '12345678', dv: '5' });
+    assert.deepEqual(parseRut('6.000.000-k'), { cuerpo: '6000000', dv: 'K' });
+  });
+
+  test('encuentra el RUT dentro de texto', () => {
+    assert.deepEqual(parseRut('RUT: 9.876.543-3 Nombre'), { cuerpo: '9876543', dv: '3' });
+  });
+
+  test('devuelve null si no hay RUT', () => {
+    assert.equal(parseRut('JUAN PEREZ'), null);
+    assert.equal(parseRut('1234567890'), null);
+    assert.equal(parseRut(null), null);
+  });
+});
+
+describe('formatRut', () => {
+  test('formato canónico sin puntos y opcional con puntos', () => {
+    assert.equal(formatRut({ cuerpo: '12345678', dv: '5' }), '12345678-5');
+    assert.equal(formatRut({ cuerpo: '7654321', dv: '6' }, { puntos: true }), '7.654.321-6');
+  });
+});
+
+describe('normalizeRut', () => {
+  test('marca como válido un RUT correcto', () => {
+    assert.deepEqual(normalizeRut('12.345.678-5'), {
+      valor: '12345678-5',
+      cuerpo: '12345678',
+      dv: '5',
+      valido: true
+    });
+  });
+
+  test('marca como inválido un dígito verificador incorrecto', () => {
+    const rut = normalizeRut('12.345.678-K');
+    assert.equal(rut.valor, '12345678-K');
+    assert.equal(rut.valido, false);
+  });
+
+  test('conserva el texto original cuando no parece RUT', () => {
+    assert.deepEqual(normalizeRut('JUAN PEREZ'), {
+      valor: 'JUAN PEREZ',
+      cuerpo: null,
+      dv: null,
+      valido: false
+    });
+  });
+
+  test('null para valores vacíos', () => {
+    assert.equal(normalizeRut(''), null);
+    assert.equal(normalizeRut(undefined), null);
+  });
+});
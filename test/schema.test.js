@@ -0,0 +1,187 @@
+/**
+ * Tests del normalizador al esquema canónico
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCHEMA_VERSION, SECCIONES, normalizeReport, createErrorReport, seleccionarSeccion } = require('../lib/schema');
+
+describe('normalizeReport', () => {
+  test('todas las secciones presentes y vacías como null', () => {
+    const report = normalizeReport({ success: true, gases: {}, soap: { compania: '' } }, {
+      patente: 'hvcy94',
+      source: 'test'
+    });
+
+    assert.equal(report.schemaVersion, SCHEMA_VERSION);
+    assert.equal(report.patente, 'HVCY94');
+    assert.equal(report.source, 'test');
+    for (const seccion of Object.keys(SECCIONES)) {
+      assert.equal(report[seccion], null, seccion);
+    }
+    assert.deepEqual(report.advertencias, []);
+  });
+
+  test('completa campos faltantes y convierte tipos', () => {
+    const report = normalizeReport({
+      vehiculo: { marca: ' SUZUKI ', año: '2016', color: '-' },
+      multas: { tiene: 'Sí', cantidad: '2' }
+    }, { patente: 'HVCY94' });
+
+    assert.equal(report.vehiculo.marca, 'SUZUKI');
+    assert.equal(report.vehiculo.año, 2016);
+    assert.equal(report.vehiculo.color, null);
+    assert.equal(report.vehiculo.patente, 'HVCY94');
+    assert.deepEqual(report.multas, { tiene: true, cantidad: 2, mensaje: null });
+  });
+
+  test('vehículo con solo la patente se considera vacío', () => {
+    const report = normalizeReport({ vehiculo: { patente: 'HVCY94' } });
+    assert.equal(report.vehiculo, null);
+  });
+
+  test('normaliza el RUT del propietario', () => {
+    const report = normalizeReport({ propietario: { rut: '12.345.678-5', nombre: 'JUAN' } });
+    assert.deepEqual(report.propietario.rut, {
+      valor: '12345678-5',
+      cuerpo: '12345678',
+      dv: '5',
+      valido: true
+    });
+    assert.deepEqual(report.advertencias, []);
+  });
+
+  test('advierte cuando el RUT no es válido', () => {
+    const report = normalizeReport({ propietario: { rut: 'Nombre del propietario', nombre: 'JUAN' } });
+    assert.equal(report.propietario.rut.valido, false);
+    assert.equal(report.advertencias.length, 1);
+    assert.equal(report.advertencias[0].campo, 'propietario.rut');
+  });
+
+  test('un RUT de relleno ("-", "N/A") es null, sin advertencia', () => {
+    for (const rut of ['-', 'N/A', '  ']) {
+      const report = normalizeReport({ propietario: { rut, nombre: '-' } });
+      assert.equal(report.propietario, null);
+      assert.deepEqual(report.advertencias, []);
+    }
+    assert.equal(normalizeReport({ propietario: { rut: 'N/A', nombre: 'JUAN' } }).propietario.rut, null);
+  });
+
+  test('convierte fechas a ISO y calcula vigencia', () => {
+    const report = normalizeReport({
+      revisionTecnica: { ultimoControl: '14/03/2024', fechaVencimiento: '31/03/2025' },
+      soap: { compania: 'BCI SEGUROS', fechaInicio: '01/04/2024' },
+      permisoCirculacion: { añoPago: '2024', fechaPago: '28/03/2024' }
+    }, { hoy: '2025-04-01' });
+
+    assert.equal(report.revisionTecnica.ultimoControl, '2024-03-14');
+    assert.equal(report.revisionTecnica.vigente, false);
+    assert.equal(report.revisionTecnica.diasRestantes, -1);
+    assert.equal(report.soap.fechaVencimiento, '2025-03-31');
+    assert.equal(report.soap.venceEn, '2025-03');
+    assert.equal(report.permisoCirculacion.fechaVencimiento, '2025-03-31');
+    assert.equal(report.permisoCirculacion.vigente, false);
+  });
+
+  test('advierte fechas que no se pudieron interpretar', () => {
+    const report = normalizeReport({ soap: { compania: 'HDI', fechaInicio: 'pronto' } });
+    assert.equal(report.soap.fechaInicio, null);
+    assert.equal(report.soap.vigente, null);
+    assert.deepEqual(report.advertencias, [
+      { campo: 'soap.fechaInicio', mensaje: 'Fecha no reconocida: "pronto"' }
+    ]);
+  });
+
+  test('es idempotente', () => {
+    const once = normalizeReport({ propietario: { rut: '12.345.678-5' }, vehiculo: { marca: 'KIA' } });
+    const twice = normalizeReport(once);
+    assert.deepEqual(twice, once);
+  });
+});
+
+describe('_provenance', () => {
+  const raw = {
+    propietario: { rut: '12.345.678-9', nombre: 'JUAN' },
+    vehiculo: { marca: 'KIA', color: '-' },
+    _provenance: {
+      'propietario.rut': { label: 'RUT', estrategia: 'celda-negrita', confianza: 'alta' },
+      'propietario.nombre': { label: 'Nombre', estrategia: 'texto-libre', confianza: 'baja' },
+      'vehiculo.marca': { label: 'Marca', estrategia: 'celda', confianza: 'alta' },
+      'vehiculo.color': { label: 'Color', estrategia: 'celda', confianza: 'alta' }
+    }
+  };
+
+  test('solo se incluye si se pide', () => {
+    assert.equal('_provenance' in normalizeReport(raw, { source: 'test' }), false);
+  });
+
+  test('agrega la fuente y omite campos sin valor', () => {
+    const report = normalizeReport(raw, { source: 'test', provenance: true });
+    assert.deepEqual(report._provenance['vehiculo.marca'], {
+      fuente: 'test',
+      label: 'Marca',
+      estrategia: 'celda',
+      confianza: 'alta'
+    });
+    assert.equal(report._provenance['propietario.nombre'].confianza, 'baja');
+    assert.equal('vehiculo.color' in report._provenance, false);
+  });
+
+  test('un campo con advertencia baja a confianza baja', () => {
+    const report = normalizeReport(raw, { source: 'test', provenance: true });
+    assert.equal(report.propietario.rut.valido, false);
+    assert.equal(report._provenance['propietario.rut'].confianza, 'baja');
+  });
+});
+
+describe('createErrorReport', () => {
+  test('reporte fallido con todas las secciones en null', () => {
+    const report = createErrorReport('ab1234', 'test', 'Timeout', 'detalle');
+    assert.equal(report.success, false);
+    assert.equal(report.patente, 'AB1234');
+    assert.equal(report.error, 'Timeout');
+    assert.equal(report.mensaje, 'detalle');
+    for (const seccion of Object.keys(SECCIONES)) {
+      assert.equal(report[seccion], null, seccion);
+    }
+    assert.equal(report.codigo, 'ERROR');
+  });
+
+  test('codigo de error conocido o ERROR', () => {
+    assert.equal(createErrorReport('AB1234', 'test', 'Sin resultados', null, 'NO_ENCONTRADA').codigo, 'NO_ENCONTRADA');
+    assert.equal(createErrorReport('AB1234', 'test', 'Raro', null, 'INVENTADO').codigo, 'ERROR');
+    assert.equal(normalizeReport({ patente: 'AB1234', vehiculo: { marca: 'KIA' } }).codigo, undefined);
+  });
+});
+
+describe('seleccionarSeccion', () => {
+  const raw = {
+    patente: 'AB1234',
+    propietario: { rut: '12.345.678-9', nombre: 'JUAN' },
+    vehiculo: { marca: 'KIA', año: 'sin dato' },
+    _provenance: {
+      'propietario.nombre': { label: 'Nombre', estrategia: 'celda', confianza: 'alta' },
+      'vehiculo.marca': { label: 'Marca', estrategia: 'celda', confianza: 'alta' }
+    }
+  };
+
+  test('solo la sección pedida con sus advertencias y procedencia', () => {
+    const report = normalizeReport(raw, { source: 'test', provenance: true });
+    const recorte = seleccionarSeccion(report, 'propietario');
+
+    assert.deepEqual(Object.keys(recorte), ['schemaVersion', 'success', 'patente', 'timestamp', 'source', 'propietario', 'advertencias', '_provenance']);
+    assert.equal(recorte.propietario.nombre, 'JUAN');
+    assert.ok(recorte.advertencias.length > 0);
+    assert.ok(recorte.advertencias.every(a => a.campo.startsWith('propietario.')));
+    assert.deepEqual(Object.keys(recorte._provenance), ['propietario.nombre']);
+  });
+
+  test('un reporte fallido conserva error y mensaje', () => {
+    const recorte = seleccionarSeccion(createErrorReport('AB1234', 'test', 'CAPTCHA detectado'), 'propietario');
+    assert.equal(recorte.success, false);
+    assert.equal(recorte.error, 'CAPTCHA detectado');
+    assert.equal(recorte.propietario, null);
+    assert.equal('_provenance' in recorte, false);
+  });
+});
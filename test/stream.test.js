@@ -0,0 +1,101 @@
+/**
+ * Tests del streaming de resultados (SSE y NDJSON)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { formatoStream, serializarEvento, abrirStream } = require('../lib/stream');
+
+/**
+ * Respuesta HTTP de prueba que acumula lo escrito
+ */
+function respuestaFalsa() {
+  const res = new EventEmitter();
+  res.escrito = '';
+  res.terminada = false;
+  res.writeHead = (status, headers) => {
+    res.status = status;
+    res.headers = headers;
+  };
+  res.write = texto => {
+    res.escrito += texto;
+  };
+  res.end = () => {
+    res.terminada = true;
+  };
+  return res;
+}
+
+describe('formatoStream', () => {
+  test('según el header Accept', () => {
+    assert.equal(formatoStream('text/event-stream'), 'sse');
+    assert.equal(formatoStream('application/x-ndjson, application/json;q=0.5'), 'ndjson');
+    assert.equal(formatoStream('application/json'), null);
+    assert.equal(formatoStream('*/*'), null);
+    assert.equal(formatoStream(undefined), null);
+  });
+});
+
+describe('serializarEvento', () => {
+  const datos = { indice: 0, patente: 'HVCY94', resultado: { success: true } };
+
+  test('SSE con nombre, id y data en una línea', () => {
+    assert.equal(
+      serializarEvento('sse', 'resultado', datos, 0),
+      'event: resultado\nid: 0\ndata: {"indice":0,"patente":"HVCY94","resultado":{"success":true}}\n\n'
+    );
+    assert.equal(serializarEvento('sse', 'progreso', { procesadas: 1, total: 2 }), 'event: progreso\ndata: {"procesadas":1,"total":2}\n\n');
+  });
+
+  test('NDJSON con el evento en la misma línea', () => {
+    const linea = serializarEvento('ndjson', 'resultado', datos, 0);
+    assert.ok(linea.endsWith('\n'));
+    assert.equal(linea.split('\n').length, 2);
+    assert.deepEqual(JSON.parse(linea), { evento: 'resultado', ...datos });
+  });
+});
+
+describe('abrirStream', () => {
+  test('headers y eventos en orden', () => {
+    const res = respuestaFalsa();
+    const stream = abrirStream(res, 'ndjson', { 'Access-Control-Allow-Origin': '*' }, { latido: 0 });
+
+    stream.enviar('progreso', { procesadas: 1, total: 1 });
+    stream.enviar('resumen', { success: true, total: 1 });
+    stream.terminar();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+    assert.equal(res.headers['Access-Control-Allow-Origin'], '*');
+    assert.equal(res.headers['X-Accel-Buffering'], 'no');
+    assert.deepEqual(res.escrito.trim().split('\n').map(linea => JSON.parse(linea).evento), ['progreso', 'resumen']);
+    assert.equal(res.terminada, true);
+  });
+
+  test('si el cliente cierra no se escribe más', () => {
+    const res = respuestaFalsa();
+    const stream = abrirStream(res, 'sse', {}, { latido: 0 });
+
+    res.emit('close');
+    stream.enviar('resultado', { indice: 0 }, 0);
+    stream.terminar();
+
+    assert.equal(stream.cerrado(), true);
+    assert.equal(res.escrito, '');
+    assert.equal(res.terminada, false);
+  });
+
+  test('SSE envía latidos mientras espera', async () => {
+    const res = respuestaFalsa();
+    const stream = abrirStream(res, 'sse', {}, { latido: 5 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    stream.terminar();
+
+    assert.match(res.escrito, /^: latido\n\n/);
+    const escrito = res.escrito;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(res.escrito, escrito);
+  });
+});
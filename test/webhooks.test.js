@@ -0,0 +1,216 @@
+/**
+ * Tests de webhooks: firma, reintentos, entregas fallidas y persistencia
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { firmar, verificarFirma, esIpInterna, leerHostsPermitidos, validarCallbackUrl, crearDespachador, vistaEntrega } = require('../lib/webhooks');
+
+const SECRETO = 'secreto-de-prueba';
+const URL_CALLBACK = 'https://backend.test/webhooks/patentes';
+
+// DNS de prueba: backend.test es público; interno.test apunta a la red local
+const resolver = async host => [{ address: host === 'interno.test' ? '10.0.0.8' : '203.0.113.10', family: 4 }];
+
+/**
+ * fetch de prueba que responde los status dados en orden (o lanza con un Error)
+ * y guarda cada petición con los headers en minúsculas
+ */
+function fetchFalso(...respuestas) {
+  const peticiones = [];
+  const fn = async (url, opciones) => {
+    peticiones.push({
+      url,
+      headers: Object.fromEntries(Object.entries(opciones.headers).map(([k, v]) => [k.toLowerCase(), v])),
+      body: opciones.body
+    });
+    const respuesta = respuestas.length > 1 ? respuestas.shift() : respuestas[0];
+    if (respuesta instanceof Error) throw respuesta;
+    return { ok: respuesta >= 200 && respuesta < 300, status: respuesta };
+  };
+  fn.peticiones = peticiones;
+  return fn;
+}
+
+describe('firma', () => {
+  const cuerpo = JSON.stringify({ id: 'x', evento: 'consulta.completada', datos: { patente: 'HVCY94' } });
+  const ahora = () => 1_750_000_000_000;
+  const headers = {
+    'x-webhook-timestamp': '1750000000',
+    'x-webhook-firma': `sha256=${firmar(SECRETO, 1750000000, cuerpo)}`
+  };
+
+  test('verificarFirma acepta la firma del mismo cuerpo y timestamp', () => {
+    assert.equal(verificarFirma(SECRETO, headers, cuerpo, { ahora }), true);
+  });
+
+  test('rechaza cuerpo alterado, otro secreto o firma mal formada', () => {
+    assert.equal(verificarFirma(SECRETO, headers, cuerpo.replace('HVCY94', 'GKSB78'), { ahora }), false);
+    assert.equal(verificarFirma('otro', headers, cuerpo, { ahora }), false);
+    assert.equal(verificarFirma(SECRETO, { ...headers, 'x-webhook-firma': 'sha256=zz' }, cuerpo, { ahora }), false);
+    assert.equal(verificarFirma(SECRETO, {}, cuerpo, { ahora }), false);
+  });
+
+  test('rechaza timestamps fuera de la tolerancia (repeticiones)', () => {
+    const despues = () => 1_750_000_000_000 + 301_000;
+    assert.equal(verificarFirma(SECRETO, headers, cuerpo, { ahora: despues }), false);
+    assert.equal(verificarFirma(SECRETO, headers, cuerpo, { ahora: despues, tolerancia: 600 }), true);
+  });
+
+  test('validarCallbackUrl', () => {
+    assert.equal(validarCallbackUrl(URL_CALLBACK), null);
+    assert.match(validarCallbackUrl('/webhooks'), /URL absoluta/);
+    assert.match(validarCallbackUrl('ftp://backend.test/'), /http o https/);
+  });
+
+  test('validarCallbackUrl rechaza direcciones locales, privadas y link-local', () => {
+    const internas = [
+      'http://localhost:3000/',
+      'http://api.localhost/',
+      'http://127.0.0.1/',
+      'http://2130706433/',
+      'http://10.1.2.3/',
+      'http://172.20.0.1/',
+      'http://192.168.1.10/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://0.0.0.0/',
+      'http://[::1]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/',
+      'http://[::ffff:127.0.0.1]/'
+    ];
+    for (const url of internas) {
+      assert.match(validarCallbackUrl(url) || '', /local, privada o link-local/, url);
+    }
+    assert.equal(validarCallbackUrl('http://172.32.0.1/'), null);
+    assert.equal(validarCallbackUrl('http://[2001:db8::1]/'), null);
+  });
+
+  test('WEBHOOK_HOSTS_PERMITIDOS exceptúa hosts internos', () => {
+    const permitidos = leerHostsPermitidos(' localhost, 10.0.0.8 ,');
+    assert.deepEqual(permitidos, ['localhost', '10.0.0.8']);
+    assert.equal(validarCallbackUrl('http://localhost:4000/hook', { permitidos }), null);
+    assert.equal(validarCallbackUrl('http://10.0.0.8/hook', { permitidos }), null);
+    assert.ok(validarCallbackUrl('http://10.0.0.9/hook', { permitidos }));
+  });
+
+  test('esIpInterna', () => {
+    assert.equal(esIpInterna('100.64.0.1'), true);
+    assert.equal(esIpInterna('::ffff:a9fe:a9fe'), true);
+    assert.equal(esIpInterna('8.8.8.8'), false);
+    assert.equal(esIpInterna('2606:4700::1111'), false);
+  });
+});
+
+describe('crearDespachador', () => {
+  test('no entrega a un nombre que resuelve a una dirección interna', async () => {
+    const fetch = fetchFalso(200);
+    const despachador = crearDespachador({ secreto: SECRETO, resolver, fetch, backoff: [0] });
+
+    const entrega = despachador.enviar('https://interno.test/hook', 'consulta.completada', { patente: 'HVCY94' });
+    await despachador.esperar();
+    assert.equal(entrega.estado, 'fallida');
+    assert.match(entrega.ultimoError, /interno\.test resuelve a una dirección interna \(10\.0\.0\.8\)/);
+    assert.equal(fetch.peticiones.length, 0);
+
+    const permitido = crearDespachador({ secreto: SECRETO, resolver, fetch, backoff: [0], permitidos: ['interno.test'] });
+    const aceptada = permitido.enviar('https://interno.test/hook', 'consulta.completada', { patente: 'HVCY94' });
+    await permitido.esperar();
+    assert.equal(aceptada.estado, 'entregada');
+  });
+
+  test('entrega firmada al primer intento', async () => {
+    const fetch = fetchFalso(200);
+    const despachador = crearDespachador({ secreto: SECRETO, resolver, fetch, backoff: [0] });
+
+    const entrega = despachador.enviar(URL_CALLBACK, 'consulta.completada', { patente: 'HVCY94' });
+    await despachador.esperar();
+
+    assert.equal(entrega.estado, 'entregada');
+    const [peticion] = fetch.peticiones;
+    assert.equal(peticion.url, URL_CALLBACK);
+    assert.equal(peticion.headers['x-webhook-id'], entrega.id);
+    assert.equal(peticion.headers['x-webhook-evento'], 'consulta.completada');
+    assert.equal(verificarFirma(SECRETO, peticion.headers, peticion.body), true);
+
+    const cuerpo = JSON.parse(peticion.body);
+    assert.deepEqual({ id: cuerpo.id, evento: cuerpo.evento, datos: cuerpo.datos }, {
+      id: entrega.id, evento: 'consulta.completada', datos: { patente: 'HVCY94' }
+    });
+  });
+
+  test('reintenta errores y respuestas no 2xx', async () => {
+    const fetch = fetchFalso(new Error('ECONNREFUSED'), 503, 204);
+    const despachador = crearDespachador({ secreto: SECRETO, resolver, fetch, backoff: [0, 1, 1, 1] });
+
+    const entrega = despachador.enviar(URL_CALLBACK, 'job.completado', {});
+    await despachador.esperar();
+
+    assert.equal(entrega.estado, 'entregada');
+    assert.equal(entrega.intentos, 3);
+    assert.equal(fetch.peticiones.length, 3);
+  });
+
+  test('al agotar los intentos queda fallida y se puede reenviar', async () => {
+    const fetch = fetchFalso(500, 500, 200);
+    const despachador = crearDespachador({ secreto: SECRETO, resolver, fetch, backoff: [0, 1] });
+
+    const entrega = despachador.enviar(URL_CALLBACK, 'consulta.completada', {}, { cliente: 'cobranza' });
+    await despachador.esperar();
+
+    assert.equal(entrega.estado, 'fallida');
+    assert.equal(entrega.ultimoError, 'HTTP 500');
+    assert.deepEqual(despachador.fallidas('cobranza').map(vistaEntrega), [vistaEntrega(entrega)]);
+    assert.deepEqual(despachador.fallidas('riesgo'), []);
+    assert.equal(vistaEntrega(entrega).cuerpo, undefined);
+
+    assert.equal(despachador.reenviar(entrega.id, 'riesgo'), null);
+    assert.equal(despachador.reenviar(entrega.id, 'cobranza'), entrega);
+    await despachador.esperar();
+
+    assert.equal(entrega.estado, 'entregada');
+    assert.deepEqual(despachador.fallidas(), []);
+    assert.equal(despachador.reenviar(entrega.id), null);
+  });
+
+  test('las entregas pendientes y fallidas sobreviven a un reinicio', async () => {
+    const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+    const archivo = path.join(directorio, 'webhooks.json');
+    try {
+      const caido = crearDespachador({ secreto: SECRETO, resolver, archivo, fetch: fetchFalso(500), backoff: [0, 60_000] });
+      caido.enviar(URL_CALLBACK, 'consulta.completada', { patente: 'HVCY94' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      caido.detener();
+      await caido.esperar();
+
+      const fetch = fetchFalso(200);
+      const retomado = crearDespachador({ secreto: SECRETO, resolver, archivo, fetch, backoff: [0] });
+      await retomado.esperar();
+
+      assert.equal(fetch.peticiones.length, 1);
+      assert.equal(JSON.parse(fetch.peticiones[0].body).datos.patente, 'HVCY94');
+      assert.deepEqual(JSON.parse(fs.readFileSync(archivo, 'utf8')), []);
+    } finally {
+      fs.rmSync(directorio, { recursive: true, force: true });
+    }
+  });
+
+  test('si no se puede guardar el archivo la entrega sigue en memoria', async () => {
+    const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+    fs.rmSync(directorio, { recursive: true, force: true });
+    const fetch = fetchFalso(500, 200);
+    const despachador = crearDespachador({
+      secreto: SECRETO, resolver, archivo: path.join(directorio, 'webhooks.json'), fetch, backoff: [0, 0]
+    });
+
+    const entrega = despachador.enviar(URL_CALLBACK, 'consulta.completada', { patente: 'HVCY94' });
+    await despachador.esperar();
+
+    assert.equal(fetch.peticiones.length, 2);
+    assert.equal(entrega.estado, 'entregada');
+  });
+});
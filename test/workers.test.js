@@ -0,0 +1,143 @@
+/**
+ * Tests de las respuestas de error de los Workers: todas traen el reporte
+ * canónico fallido (createErrorReport) que declara su spec
+ */
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildOpenApi, validarRespuesta } = require('../lib/openapi');
+const { SECCIONES, SCHEMA_VERSION } = require('../lib/schema');
+
+const CAPTCHA_HTML = '<html><title>Just a moment...</title><body>Cloudflare</body></html>';
+// Sin reintentos para que los errores de PatenteChile respondan al tiro
+const ENV = { MAX_RETRIES: '0', TIMEOUT_MS: '0' };
+
+const fetchOriginal = globalThis.fetch;
+let ip = 0;
+
+/**
+ * Llamar al Worker desde una IP nueva, para no chocar con su límite de tasa
+ */
+async function llamar(worker, url) {
+  const response = await worker.fetch(new Request(url, { headers: { 'CF-Connecting-IP': `10.0.0.${++ip}` } }), ENV, {});
+  return { status: response.status, cuerpo: await response.json() };
+}
+
+/**
+ * Que el cuerpo sea un reporte fallido, con el código dado y válido según el spec del Worker
+ */
+function assertReporteFallido(servicio, ruta, { status, cuerpo }, codigo) {
+  assert.equal(cuerpo.schemaVersion, SCHEMA_VERSION);
+  assert.equal(cuerpo.success, false);
+  assert.equal(typeof cuerpo.error, 'string');
+  assert.ok('mensaje' in cuerpo);
+  assert.equal(cuerpo.codigo, codigo);
+  for (const seccion of Object.keys(SECCIONES)) assert.equal(cuerpo[seccion], null);
+  assert.deepEqual(validarRespuesta(buildOpenApi(servicio), { metodo: 'GET', ruta, status, cuerpo }), []);
+}
+
+afterEach(() => {
+  globalThis.fetch = fetchOriginal;
+});
+
+describe('cloudflare-worker /consultar', () => {
+  let worker;
+  before(async () => {
+    ({ default: worker } = await import('../cloudflare-worker.js'));
+  });
+
+  test('sin patente o con una inválida responde 400', async () => {
+    const sinPatente = await llamar(worker, 'https://worker.test/consultar');
+    assert.equal(sinPatente.status, 400);
+    assertReporteFallido('cloudflare-worker', '/consultar', sinPatente, 'ERROR');
+
+    const invalida = await llamar(worker, 'https://worker.test/consultar?patente=12');
+    assert.equal(invalida.status, 400);
+    assertReporteFallido('cloudflare-worker', '/consultar', invalida, 'ERROR');
+  });
+
+  test('un CAPTCHA responde 403 con codigo CAPTCHA', async () => {
+    globalThis.fetch = async () => new Response(CAPTCHA_HTML, { status: 200 });
+    const respuesta = await llamar(worker, 'https://worker.test/consultar?patente=HVCY94');
+    assert.equal(respuesta.status, 403);
+    assertReporteFallido('cloudflare-worker', '/consultar', respuesta, 'CAPTCHA');
+    assert.equal(respuesta.cuerpo.patente, 'HVCY94');
+  });
+
+  test('un error de PatenteChile responde 500', async () => {
+    globalThis.fetch = async () => new Response('caído', { status: 502 });
+    const respuesta = await llamar(worker, 'https://worker.test/consultar?patente=HVCY94');
+    assert.equal(respuesta.status, 500);
+    assertReporteFallido('cloudflare-worker', '/consultar', respuesta, 'ERROR');
+  });
+});
+
+describe('cloudflare-worker-vehiculo', () => {
+  let worker;
+  before(async () => {
+    ({ default: worker } = await import('../cloudflare-worker-vehiculo.js'));
+  });
+
+  test('sin patente responde 400', async () => {
+    const respuesta = await llamar(worker, 'https://worker.test/');
+    assert.equal(respuesta.status, 400);
+    assertReporteFallido('cloudflare-worker-vehiculo', '/', respuesta, 'ERROR');
+  });
+
+  test('si ningún endpoint responde, 500', async () => {
+    globalThis.fetch = async () => new Response('caído', { status: 502 });
+    const respuesta = await llamar(worker, 'https://worker.test/?patente=HVCY94');
+    assert.equal(respuesta.status, 500);
+    assertReporteFallido('cloudflare-worker-vehiculo', '/', respuesta, 'ERROR');
+  });
+});
+
+describe('cloudflare-worker-vehiculo-browser', () => {
+  let worker;
+  let puppeteer;
+  let launchOriginal;
+  before(async () => {
+    ({ default: puppeteer } = await import('@cloudflare/puppeteer'));
+    launchOriginal = puppeteer.launch;
+    ({ default: worker } = await import('../cloudflare-worker-vehiculo-browser.js'));
+  });
+  after(() => {
+    puppeteer.launch = launchOriginal;
+  });
+
+  test('sin patente o con una inválida responde 400', async () => {
+    const sinPatente = await llamar(worker, 'https://worker.test/');
+    assert.equal(sinPatente.status, 400);
+    assertReporteFallido('cloudflare-worker-vehiculo-browser', '/', sinPatente, 'ERROR');
+
+    const invalida = await llamar(worker, 'https://worker.test/?patente=12');
+    assert.equal(invalida.status, 400);
+    assertReporteFallido('cloudflare-worker-vehiculo-browser', '/', invalida, 'ERROR');
+  });
+
+  test('un CAPTCHA después de buscar responde 403 con codigo CAPTCHA', async () => {
+    const page = {
+      setDefaultTimeout() {},
+      setViewport: async () => {},
+      goto: async () => {},
+      waitForSelector: async () => {},
+      type: async () => {},
+      waitForNavigation: async () => {},
+      click: async () => {},
+      content: async () => CAPTCHA_HTML
+    };
+    puppeteer.launch = async () => ({ newPage: async () => page, close: async () => {} });
+    const respuesta = await llamar(worker, 'https://worker.test/?patente=HVCY94');
+    assert.equal(respuesta.status, 403);
+    assertReporteFallido('cloudflare-worker-vehiculo-browser', '/', respuesta, 'CAPTCHA');
+  });
+
+  test('si no se puede abrir el navegador, 500', async () => {
+    puppeteer.launch = async () => { throw new Error('Sin sesiones de Browser Rendering'); };
+    const respuesta = await llamar(worker, 'https://worker.test/?patente=HVCY94');
+    assert.equal(respuesta.status, 500);
+    assertReporteFallido('cloudflare-worker-vehiculo-browser', '/', respuesta, 'ERROR');
+    assert.equal(respuesta.cuerpo.mensaje, 'Sin sesiones de Browser Rendering');
+  });
+});